@@ -5,7 +5,7 @@
  * Handles intensive CShM optimization with progress reporting.
  *
  * Messages received from main thread:
- * - { type: 'calculate', actualCoords, referenceCoords, mode, shapeName, smartAlignments }
+ * - { type: 'calculate', actualCoords, referenceCoords, mode, shapeName, smartAlignments, seed }
  * - { type: 'terminate' }
  *
  * Messages sent to main thread:
@@ -365,8 +365,22 @@ function kabschAlignment(P_coords, Q_coords) {
     return new Matrix4(); // Return identity for now
 }
 
+// Seeded generator (Mulberry32, as createRandom in src/utils/random.js), inlined
+// because the worker cannot import app modules
+function createRandom(seed = 12345) { // RANDOM_SEED.DEFAULT
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // Main CShM calculation function (adapted for worker)
-function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCallback, smartAlignments = []) {
+function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCallback, smartAlignments = [], seed) {
+    const random = createRandom(seed);
     const N = actualCoords.length;
     if (N !== referenceCoords.length || N === 0) {
         return { measure: Infinity, alignedCoords: [], rotationMatrix: new Matrix4() };
@@ -534,13 +548,13 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
             if (restart === 0) {
                 currentRotation = globalBestRotation.clone();
             } else if (restart < numRestarts / 2) {
-                const randomAxis = new Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-                const randomAngle = (Math.random() - 0.5) * Math.PI;
+                const randomAxis = new Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+                const randomAngle = (random() - 0.5) * Math.PI;
                 const perturbation = new Matrix4().makeRotationAxis(randomAxis, randomAngle);
                 currentRotation = new Matrix4().multiplyMatrices(perturbation, globalBestRotation);
             } else {
                 currentRotation = new Matrix4().makeRotationFromEuler(
-                    new Euler(Math.random() * 2 * Math.PI, Math.random() * 2 * Math.PI, Math.random() * 2 * Math.PI, 'XYZ')
+                    new Euler(random() * 2 * Math.PI, random() * 2 * Math.PI, random() * 2 * Math.PI, 'XYZ')
                 );
             }
 
@@ -554,9 +568,9 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
             const alpha = Math.pow(minTemp / temp, 1 / stepsPerRun);
 
             for (let step = 0; step < stepsPerRun; step++) {
-                const stepSize = temp * 0.12 * (1 + 0.2 * Math.random());
-                const axis = new Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-                const angle = (Math.random() - 0.5) * 2 * stepSize;
+                const stepSize = temp * 0.12 * (1 + 0.2 * random());
+                const axis = new Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+                const angle = (random() - 0.5) * 2 * stepSize;
 
                 const perturbation = new Matrix4().makeRotationAxis(axis, angle);
                 const newRotation = new Matrix4().multiplyMatrices(perturbation, currentRotation);
@@ -565,7 +579,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
                 const deltaE = newResult.measure - currentResult.measure;
                 const acceptProb = deltaE < 0 ? 1.0 : Math.exp(-deltaE / temp);
 
-                if (Math.random() < acceptProb) {
+                if (random() < acceptProb) {
                     currentRotation.copy(newRotation);
                     currentResult = newResult;
 
@@ -601,8 +615,8 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
 
         for (let step = 0; step < refinementSteps; step++) {
             const stepSize = temp * 0.02;
-            const axis = new Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-            const angle = (Math.random() - 0.5) * 2 * stepSize;
+            const axis = new Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+            const angle = (random() - 0.5) * 2 * stepSize;
 
             const perturbation = new Matrix4().makeRotationAxis(axis, angle);
             const newRotation = new Matrix4().multiplyMatrices(perturbation, currentRotation);
@@ -655,7 +669,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
 
 // Worker message handler
 self.onmessage = function(e) {
-    const { type, actualCoords, referenceCoords, mode, shapeName, smartAlignments } = e.data;
+    const { type, actualCoords, referenceCoords, mode, shapeName, smartAlignments, seed } = e.data;
 
     if (type === 'terminate') {
         self.close();
@@ -677,7 +691,8 @@ self.onmessage = function(e) {
                 referenceCoords,
                 mode,
                 progressCallback,
-                smartAlignments
+                smartAlignments,
+                seed
             );
 
             self.postMessage({
@@ -2,6 +2,7 @@ import React, { useEffect, useRef, useState, useCallback, useMemo } from "react"
 import './App.css';
 
 // Constants
+import { UNCERTAINTY_PROPAGATION, CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, SHAPE_VERDICT, RANDOM_SEED, SPHERE_DEFINITIONS, EFFECTIVE_COORDINATION, VORONOI_COORDINATION } from './constants/algorithmConstants';
 import { APP_VERSION, BUILD_DATE, APP_FULL_NAME, getCitationString, CITATION } from './constants/appMetadata';
 
 // Custom Hooks
@@ -14,7 +15,24 @@ import { useThreeScene } from './hooks/useThreeScene';
 
 // Services
 import { runIntensiveAnalysisAsync } from './services/coordination/intensiveAnalysis';
+import { analyseEffectiveCoordination } from './services/coordination/effectiveCoordination';
+import { detectVoronoiCoordination } from './services/coordination/voronoiCoordination';
+import { hasCoordinateUncertainties, propagateShapeMeasureUncertainty } from './services/shapeAnalysis/uncertaintyPropagation';
+import { calculateSymmetryMeasure } from './services/shapeAnalysis/symmetryMeasure';
+import { assessGeometryVerdict } from './services/shapeAnalysis/geometryVerdict';
+import { calculateOctahedralDistortion, OCTAHEDRON_NAME } from './services/shapeAnalysis/octahedralDistortion';
 import { generatePDFReport, generateCSVReport, generateBatchPDFReport, generateLongDetailedCSV } from './services/reportGenerator';
+import { buildShapeInput, buildBatchShapeInputs, parseShapeOutput, findShapeResult, compareWithShape } from './services/shapeInterop';
+import {
+    getReferenceGeometries,
+    getCustomPolyhedra,
+    parsePolyhedronFile,
+    addCustomPolyhedron,
+    removeCustomPolyhedron,
+    exportCustomPolyhedra,
+    importCustomPolyhedra
+} from './services/customPolyhedra';
+import { downloadTextFile } from './utils/download';
 
 // Components
 import FileUploadSection from './components/FileUploadSection';
@@ -24,15 +42,28 @@ import Visualization3D from './components/Visualization3D';
 import ResultsDisplay from './components/ResultsDisplay';
 import BatchModePanel from './components/BatchModePanel';
 import BatchSummaryTable from './components/BatchSummaryTable';
+import ShapeParityTable from './components/ShapeParityTable';
+import DistortionPathPanel from './components/DistortionPathPanel';
+import ShapeMapPanel from './components/ShapeMapPanel';
+import OctahedralDistortionPanel from './components/OctahedralDistortionPanel';
+import CustomPolyhedraPanel from './components/CustomPolyhedraPanel';
 
 // --- START: REACT COMPONENT ---
 export default function CoordinationGeometryAnalyzer() {
     // UI State (managed locally)
     const [selectedMetal, setSelectedMetal] = useState(null);
     const [analysisParams, setAnalysisParams] = useState({ mode: 'default', key: 0 });
+    const [centralAtomMode, setCentralAtomMode] = useState(CENTRAL_ATOM_MODES.INCLUDED);
+    const [seed, setSeed] = useState(RANDOM_SEED.DEFAULT);
+    const [optimizer, setOptimizer] = useState(SHAPE_OPTIMIZERS.ANNEALING);
+    const [ambiguityMargin, setAmbiguityMargin] = useState(SHAPE_VERDICT.AMBIGUITY_MARGIN);
+    const [sphereDefinition, setSphereDefinition] = useState(SPHERE_DEFINITIONS.GAP);
+    const [econThreshold, setEconThreshold] = useState(EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD);
+    const [voronoiThreshold, setVoronoiThreshold] = useState(VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD);
     const [autoRotate, setAutoRotate] = useState(false);
     const [showIdeal, setShowIdeal] = useState(true);
     const [showLabels, setShowLabels] = useState(true);
+    const [colorByContribution, setColorByContribution] = useState(false);
     const [warnings, setWarnings] = useState([]);
     const [selectedGeometryIndex, setSelectedGeometryIndex] = useState(0);
 
@@ -41,6 +72,21 @@ export default function CoordinationGeometryAnalyzer() {
     const [intensiveProgress, setIntensiveProgress] = useState(null);
     const [isRunningIntensive, setIsRunningIntensive] = useState(false);
 
+    // Uncertainty Propagation State (CIF s.u. → CShM error bars)
+    const [uncertaintyResults, setUncertaintyResults] = useState(null);
+    const [uncertaintyProgress, setUncertaintyProgress] = useState(null);
+    const [isRunningUncertainty, setIsRunningUncertainty] = useState(false);
+
+    // Continuous Symmetry Measure State (S(G) per requested point group)
+    const [symmetryResults, setSymmetryResults] = useState([]);
+    const [isRunningSymmetry, setIsRunningSymmetry] = useState(false);
+
+    // User-defined reference polyhedra (persisted in localStorage)
+    const [customPolyhedra, setCustomPolyhedra] = useState(() => getCustomPolyhedra());
+
+    // SHAPE 2.1 .tab results imported for parity checks ({ fileName, structures })
+    const [shapeOutput, setShapeOutput] = useState(null);
+
     // Refs
     const canvasRef = useRef(null);
     const fileInputRef = useRef(null);
@@ -56,6 +102,7 @@ export default function CoordinationGeometryAnalyzer() {
         error,
         uploadMetadata,
         handleFileUpload,
+        handleFileDrop,
         selectStructure,
         batchMode,
         structureCount
@@ -84,10 +131,20 @@ export default function CoordinationGeometryAnalyzer() {
         batchProgress
     } = useBatchAnalysis({
         structures,
+        centralAtomMode,
+        seed,
+        optimizer,
+        sphereDefinition,
+        econThreshold,
+        voronoiThreshold,
         onWarning: handleWarning,
         onError: handleError
     });
 
+    // Unit cell of the current structure enables periodic neighbour search
+    const unitCell = currentStructure?.metadata?.unitCell || null;
+    const bonds = currentStructure?.bonds || null;
+
     // Get effective metal and radius (with override support)
     const effectiveMetal = useMemo(() => {
         const override = structureOverrides.get(selectedStructureIndex);
@@ -97,6 +154,13 @@ export default function CoordinationGeometryAnalyzer() {
         return selectedMetal;
     }, [selectedMetal, selectedStructureIndex, structureOverrides]);
 
+    // Voronoi–Dirichlet face solid angles, when they define the sphere
+    const voronoiCoordination = useMemo(() => (
+        sphereDefinition === SPHERE_DEFINITIONS.VORONOI && atoms?.length && effectiveMetal !== null
+            ? detectVoronoiCoordination(atoms, effectiveMetal, unitCell, voronoiThreshold)
+            : null
+    ), [sphereDefinition, atoms, effectiveMetal, unitCell, voronoiThreshold]);
+
     // Radius Control Hook
     const {
         coordRadius,
@@ -115,10 +179,17 @@ export default function CoordinationGeometryAnalyzer() {
     } = useRadiusControl({
         atoms,
         selectedMetal: effectiveMetal,
+        unitCell,
+        sphereDefinition,
+        econThreshold,
+        voronoiThreshold,
         onRadiusChange: useCallback(() => {}, []),
         onWarning: handleWarning
     });
 
+    // The major-face neighbours are the sphere until the radius is set by hand
+    const voronoiSphere = autoRadius ? voronoiCoordination?.coordAtoms || null : null;
+
     // Intensive Analysis Handler
     const handleIntensiveAnalysis = useCallback(async () => {
         if (!atoms || effectiveMetal === null || !coordRadius) {
@@ -136,7 +207,8 @@ export default function CoordinationGeometryAnalyzer() {
                 coordRadius,
                 (progress) => {
                     setIntensiveProgress(progress);
-                }
+                },
+                { unitCell, bonds, centralAtomMode, seed, optimizer, coordAtoms: voronoiSphere }
             );
 
             if (!results || !results.geometryResults || !results.ligandGroups || !results.metadata) {
@@ -164,7 +236,10 @@ export default function CoordinationGeometryAnalyzer() {
                     metalIndex: effectiveMetal,
                     radius: coordRadius,
                     coordinationNumber: results.metadata?.coordinationNumber || 0,
-                    analysisMode: 'intensive'
+                    analysisMode: 'intensive',
+                    centralAtomMode,
+                    seed,
+                    optimizer
                 });
             }
 
@@ -177,15 +252,24 @@ export default function CoordinationGeometryAnalyzer() {
         } finally {
             setIsRunningIntensive(false);
         }
-    }, [atoms, effectiveMetal, coordRadius, handleWarning, handleError, batchMode, selectedStructureIndex, setStructureResult]);
+    }, [atoms, effectiveMetal, coordRadius, unitCell, bonds, centralAtomMode, seed, optimizer, voronoiSphere, handleWarning, handleError, batchMode, selectedStructureIndex, setStructureResult]);
 
     // Coordination Hook
     const { coordAtoms } = useCoordination({
         atoms,
         selectedMetal: effectiveMetal,
-        coordRadius
+        coordRadius,
+        unitCell,
+        sphereAtoms: voronoiSphere
     });
 
+    // ECoN bond weights of every neighbour, shown next to the donors
+    const effectiveCoordination = useMemo(() => (
+        atoms?.length && effectiveMetal !== null
+            ? analyseEffectiveCoordination(atoms, effectiveMetal, unitCell)
+            : null
+    ), [atoms, effectiveMetal, unitCell]);
+
     // Shape Analysis Hook
     const {
         geometryResults,
@@ -197,6 +281,9 @@ export default function CoordinationGeometryAnalyzer() {
     } = useShapeAnalysis({
         coordAtoms,
         analysisParams,
+        centralAtomMode,
+        seed,
+        optimizer,
         onWarning: handleWarning,
         onError: handleError
     });
@@ -213,6 +300,172 @@ export default function CoordinationGeometryAnalyzer() {
         }
     }, [geometryResults]);
 
+    // Error bars belong to one coordination sphere - drop them when it changes
+    useEffect(() => {
+        setUncertaintyResults(null);
+        setSymmetryResults([]);
+    }, [coordAtoms]);
+
+    // ...and to one CShM definition and seed
+    useEffect(() => {
+        setUncertaintyResults(null);
+    }, [centralAtomMode, seed]);
+
+    // Best geometry, or "between A and B" when the top two cannot be told apart
+    const verdict = useMemo(() => (
+        geometryResults?.length > 0
+            ? assessGeometryVerdict(geometryResults, coordAtoms.length, { margin: ambiguityMargin, centralAtomMode })
+            : null
+    ), [geometryResults, coordAtoms.length, ambiguityMargin, centralAtomMode]);
+
+    // Σ, Θ, ζ and Δ for six-coordinate centres, from the OC-6 vertex assignment
+    const octahedralDistortion = useMemo(() => (
+        coordAtoms.length === 6 && geometryResults?.length > 0
+            ? calculateOctahedralDistortion(coordAtoms, geometryResults.find(r => r.name === OCTAHEDRON_NAME))
+            : null
+    ), [coordAtoms, geometryResults]);
+
+    const canPropagateUncertainty = useMemo(() => (
+        effectiveMetal != null && coordAtoms.length > 0 &&
+        hasCoordinateUncertainties(atoms[effectiveMetal], coordAtoms)
+    ), [atoms, effectiveMetal, coordAtoms]);
+
+    // Uncertainty Propagation Handler - Monte Carlo over the best-ranked geometries
+    const handleUncertaintyAnalysis = useCallback(async () => {
+        const references = getReferenceGeometries(coordAtoms.length);
+        if (!canPropagateUncertainty || !geometryResults?.length || !references) {
+            handleWarning('Cannot propagate uncertainties: no standard uncertainties or no results');
+            return;
+        }
+
+        setIsRunningUncertainty(true);
+        setUncertaintyProgress({ stage: 'starting', progress: 0, message: 'Sampling coordinate uncertainties...' });
+
+        try {
+            const geometries = geometryResults
+                .slice(0, UNCERTAINTY_PROPAGATION.TOP_GEOMETRIES)
+                .filter(r => references[r.name])
+                .map(r => ({ name: r.name, coords: references[r.name] }));
+
+            const results = await propagateShapeMeasureUncertainty(
+                atoms[effectiveMetal],
+                coordAtoms,
+                geometries,
+                { centralAtomMode, seed, atoms, unitCell, onProgress: setUncertaintyProgress }
+            );
+
+            setUncertaintyResults(results);
+        } catch (error) {
+            console.error('Uncertainty propagation failed:', error);
+            handleError(`Uncertainty propagation failed: ${error.message}`);
+        } finally {
+            setUncertaintyProgress(null);
+            setIsRunningUncertainty(false);
+        }
+    }, [atoms, effectiveMetal, coordAtoms, unitCell, geometryResults, centralAtomMode, seed, canPropagateUncertainty, handleWarning, handleError]);
+
+    // Continuous Symmetry Measure Handler - one row per point group
+    const handleSymmetryMeasure = useCallback(async (pointGroup) => {
+        if (coordAtoms.length === 0) {
+            handleWarning('Cannot compute symmetry measure: no coordination sphere');
+            return;
+        }
+
+        setIsRunningSymmetry(true);
+        try {
+            // Let the button state render before the search blocks the thread
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const result = calculateSymmetryMeasure(
+                coordAtoms.map(c => [c.vec.x, c.vec.y, c.vec.z]),
+                pointGroup
+            );
+            setSymmetryResults(prev => [...prev.filter(r => r.pointGroup !== pointGroup), result]);
+        } catch (error) {
+            console.error('Symmetry measure failed:', error);
+            handleError(`Symmetry measure failed: ${error.message}`);
+        } finally {
+            setIsRunningSymmetry(false);
+        }
+    }, [coordAtoms, handleWarning, handleError]);
+
+    // Central Atom Mode Handler - intensive results were computed in the other mode
+    const handleCentralAtomModeChange = useCallback((mode) => {
+        setCentralAtomMode(mode);
+        setAnalysisParams({ mode: 'default', key: Date.now() });
+        setIntensiveMetadata(null);
+    }, []);
+
+    // A new seed re-runs the default analysis; intensive results keep the seed they were run with
+    const handleSeedChange = useCallback((value) => {
+        setSeed(value);
+        setAnalysisParams({ mode: 'default', key: Date.now() });
+        setIntensiveMetadata(null);
+    }, []);
+
+    // Switching the sphere definition or its threshold re-detects the radius with it
+    const handleSphereDefinitionChange = useCallback((value) => {
+        setSphereDefinition(value);
+        setAutoRadius(true);
+    }, [setAutoRadius]);
+
+    const handleEconThresholdChange = useCallback((value) => {
+        setEconThreshold(value);
+        setAutoRadius(true);
+    }, [setAutoRadius]);
+
+    const handleVoronoiThresholdChange = useCallback((value) => {
+        setVoronoiThreshold(value);
+        setAutoRadius(true);
+    }, [setAutoRadius]);
+
+    const handleOptimizerChange = useCallback((value) => {
+        setOptimizer(value);
+        setAnalysisParams({ mode: 'default', key: Date.now() });
+        setIntensiveMetadata(null);
+    }, []);
+
+    // Custom Polyhedra Handlers - a library change re-runs the analysis
+    const updateCustomPolyhedra = useCallback((polyhedra) => {
+        setCustomPolyhedra(polyhedra);
+        setAnalysisParams({ mode: 'default', key: Date.now() });
+    }, []);
+
+    const handleAddPolyhedron = useCallback(async (file, details) => {
+        try {
+            const result = parsePolyhedronFile(await file.text(), file.name, details);
+            if (!result.valid) {
+                handleError(`${file.name}: ${result.error}`);
+                return;
+            }
+            updateCustomPolyhedra(addCustomPolyhedron(result.polyhedron));
+        } catch (error) {
+            console.error('Adding polyhedron failed:', error);
+            handleError(`Adding polyhedron failed: ${error.message}`);
+        }
+    }, [handleError, updateCustomPolyhedra]);
+
+    const handleRemovePolyhedron = useCallback((name) => {
+        updateCustomPolyhedra(removeCustomPolyhedron(name));
+    }, [updateCustomPolyhedra]);
+
+    const handleExportPolyhedra = useCallback(() => {
+        downloadTextFile(exportCustomPolyhedra(), 'q-shape-polyhedra.json', 'application/json');
+    }, []);
+
+    const handleImportPolyhedra = useCallback(async (file) => {
+        try {
+            const { imported, errors } = importCustomPolyhedra(await file.text());
+            errors.forEach(message => handleWarning(`${file.name}: ${message}`));
+            if (imported > 0) {
+                updateCustomPolyhedra(getCustomPolyhedra());
+            }
+        } catch (error) {
+            console.error('Importing polyhedra library failed:', error);
+            handleError(`Importing polyhedra library failed: ${error.message}`);
+        }
+    }, [handleWarning, handleError, updateCustomPolyhedra]);
+
     // Determine which geometry to visualize based on user selection
     const displayGeometry = geometryResults && geometryResults.length > selectedGeometryIndex
         ? geometryResults[selectedGeometryIndex]
@@ -228,6 +481,7 @@ export default function CoordinationGeometryAnalyzer() {
         autoRotate,
         showIdeal,
         showLabels,
+        colorByContribution,
         sceneKey // Pass scene key to trigger re-renders
     });
 
@@ -245,6 +499,7 @@ export default function CoordinationGeometryAnalyzer() {
             setIntensiveMetadata(null);
             setIntensiveProgress(null);
             setSelectedGeometryIndex(0);
+            setShapeOutput(null);
 
             // Reset file input
             if (fileInputRef.current) {
@@ -342,15 +597,20 @@ export default function CoordinationGeometryAnalyzer() {
                 warnings,
                 fileName: currentStructure?.id || fileName,
                 analysisMode: analysisParams.mode,
+                centralAtomMode,
+                seed,
+                optimizer,
+                ambiguityMargin,
                 intensiveMetadata,
                 imgData,
-                structureId: currentStructure?.id
+                structureId: currentStructure?.id,
+                uncertaintyResults
             });
         } catch (err) {
             console.error("Report generation failed:", err);
             setWarnings(prev => [...prev, `Report generation failed: ${err.message}`]);
         }
-    }, [atoms, effectiveMetal, bestGeometry, fileName, analysisParams.mode, coordRadius, coordAtoms, geometryResults, additionalMetrics, qualityMetrics, warnings, intensiveMetadata, currentStructure, rendererRef, cameraRef, sceneRef]);
+    }, [atoms, effectiveMetal, bestGeometry, fileName, analysisParams.mode, coordRadius, coordAtoms, geometryResults, additionalMetrics, qualityMetrics, warnings, intensiveMetadata, uncertaintyResults, centralAtomMode, seed, optimizer, ambiguityMargin, currentStructure, rendererRef, cameraRef, sceneRef]);
 
     // Batch PDF Report
     const handleGenerateBatchReport = useCallback(() => {
@@ -364,13 +624,14 @@ export default function CoordinationGeometryAnalyzer() {
                 structures,
                 batchResults,
                 fileName,
-                fileFormat
+                fileFormat,
+                ambiguityMargin
             });
         } catch (err) {
             console.error("Batch report generation failed:", err);
             setWarnings(prev => [...prev, `Batch report generation failed: ${err.message}`]);
         }
-    }, [batchMode, batchResults, structures, fileName, fileFormat, handleWarning]);
+    }, [batchMode, batchResults, structures, fileName, fileFormat, ambiguityMargin, handleWarning]);
 
     // CSV Export - Single structure (all geometries)
     const handleGenerateCSV = useCallback(() => {
@@ -379,13 +640,18 @@ export default function CoordinationGeometryAnalyzer() {
         try {
             generateCSVReport({
                 geometryResults,
-                fileName: currentStructure?.id || fileName
+                fileName: currentStructure?.id || fileName,
+                uncertaintyResults,
+                centralAtomMode,
+                seed,
+                coordinationNumber: coordAtoms.length,
+                ambiguityMargin
             });
         } catch (err) {
             console.error("CSV generation failed:", err);
             setWarnings(prev => [...prev, `CSV export failed: ${err.message}`]);
         }
-    }, [geometryResults, fileName, currentStructure]);
+    }, [geometryResults, fileName, currentStructure, uncertaintyResults, centralAtomMode, seed, coordAtoms.length, ambiguityMargin]);
 
     // CSV Export - Long detailed (batch mode, all geometries)
     const handleGenerateLongDetailedCSV = useCallback(() => {
@@ -398,13 +664,77 @@ export default function CoordinationGeometryAnalyzer() {
             generateLongDetailedCSV({
                 structures,
                 batchResults,
-                fileName
+                fileName,
+                ambiguityMargin
             });
         } catch (err) {
             console.error("Long CSV generation failed:", err);
             setWarnings(prev => [...prev, `Long CSV export failed: ${err.message}`]);
         }
-    }, [batchMode, batchResults, structures, fileName, handleWarning]);
+    }, [batchMode, batchResults, structures, fileName, ambiguityMargin, handleWarning]);
+
+    // SHAPE Export - .dat input for the current sphere, or one file per CN in batch mode
+    const handleExportShapeInput = useCallback(() => {
+        const baseName = (currentStructure?.id || fileName || 'structure').replace(/\.[^.]+$/, '');
+
+        try {
+            if (batchMode && batchResults.size > 0) {
+                const { files, skipped } = buildBatchShapeInputs(structures, batchResults, {
+                    title: `Q-Shape ${APP_VERSION} batch export: ${fileName}`,
+                    centralAtomMode
+                });
+                if (skipped.length > 0) {
+                    handleWarning(`SHAPE has no reference shapes for ${skipped.length} structure(s): ${skipped.join(', ')}`);
+                }
+                files.forEach(file => {
+                    downloadTextFile(file.content, `${fileName || 'batch'}_CN${file.coordinationNumber}.dat`);
+                });
+                return;
+            }
+
+            if (effectiveMetal == null || coordAtoms.length === 0) {
+                handleWarning('No coordination sphere to export');
+                return;
+            }
+
+            const content = buildShapeInput([{
+                label: currentStructure?.id || baseName,
+                metal: atoms[effectiveMetal],
+                coordAtoms
+            }], { title: `Q-Shape ${APP_VERSION} export: ${currentStructure?.id || fileName}`, centralAtomMode });
+            downloadTextFile(content, `${baseName}_CN${coordAtoms.length}.dat`);
+        } catch (err) {
+            console.error("SHAPE export failed:", err);
+            setWarnings(prev => [...prev, `SHAPE export failed: ${err.message}`]);
+        }
+    }, [batchMode, batchResults, structures, atoms, effectiveMetal, coordAtoms, centralAtomMode, currentStructure, fileName, handleWarning]);
+
+    // SHAPE Import - .tab output for the parity table
+    const handleImportShapeOutput = useCallback(async (file) => {
+        try {
+            const { structures: shapeStructures, warnings: shapeWarnings } = parseShapeOutput(await file.text());
+            shapeWarnings.forEach(w => handleWarning(`${file.name}: ${w}`));
+            if (shapeStructures.length === 0) {
+                setShapeOutput(null);
+                return;
+            }
+
+            const structureId = currentStructure?.id || fileName;
+            if (!findShapeResult(shapeStructures, structureId, coordAtoms.length)) {
+                handleWarning(`${file.name}: no CN=${coordAtoms.length} result labelled "${structureId}"`);
+            }
+            setShapeOutput({ fileName: file.name, structures: shapeStructures });
+        } catch (err) {
+            console.error("SHAPE import failed:", err);
+            setWarnings(prev => [...prev, `SHAPE import failed: ${err.message}`]);
+        }
+    }, [currentStructure, fileName, coordAtoms.length, handleWarning]);
+
+    const shapeParity = useMemo(() => {
+        if (!shapeOutput || !geometryResults?.length) return null;
+        const match = findShapeResult(shapeOutput.structures, currentStructure?.id || fileName, coordAtoms.length);
+        return match ? { label: match.label, rows: compareWithShape(geometryResults, match.measures) } : null;
+    }, [shapeOutput, geometryResults, currentStructure, fileName, coordAtoms.length]);
 
     return (
     <div className="app-container">
@@ -464,12 +794,21 @@ export default function CoordinationGeometryAnalyzer() {
       <FileUploadSection
         fileInputRef={fileInputRef}
         onFileUpload={handleFileUpload}
+        onFileDrop={handleFileDrop}
         batchMode={batchMode}
         structureCount={structureCount}
         fileFormat={fileFormat}
         currentStructureId={currentStructure?.id}
       />
 
+      <CustomPolyhedraPanel
+        polyhedra={customPolyhedra}
+        onAddPolyhedron={handleAddPolyhedron}
+        onRemovePolyhedron={handleRemovePolyhedron}
+        onExportLibrary={handleExportPolyhedra}
+        onImportLibrary={handleImportPolyhedra}
+      />
+
       {atoms.length > 0 && (
       <>
         {/* Batch Mode Panel - structure selector (shown when multiple structures detected) */}
@@ -502,12 +841,26 @@ export default function CoordinationGeometryAnalyzer() {
           batchMode={batchMode}
           onApplyMetalToAll={(metalIndex) => applyOverrideToAll({ metalIndex })}
           onApplyRadiusToAll={(radius) => applyOverrideToAll({ radius })}
+          centralAtomMode={centralAtomMode}
+          onCentralAtomModeChange={handleCentralAtomModeChange}
+          seed={seed}
+          onSeedChange={handleSeedChange}
+          optimizer={optimizer}
+          onOptimizerChange={handleOptimizerChange}
+          sphereDefinition={sphereDefinition}
+          onSphereDefinitionChange={handleSphereDefinitionChange}
+          econThreshold={econThreshold}
+          onEconThresholdChange={handleEconThresholdChange}
+          voronoiThreshold={voronoiThreshold}
+          onVoronoiThresholdChange={handleVoronoiThresholdChange}
         />
 
         <CoordinationSummary
           atoms={atoms}
           selectedMetal={effectiveMetal}
           coordAtoms={coordAtoms}
+          effectiveCoordination={effectiveCoordination}
+          voronoiCoordination={voronoiCoordination}
           additionalMetrics={additionalMetrics}
           qualityMetrics={qualityMetrics}
           progress={progress}
@@ -519,8 +872,14 @@ export default function CoordinationGeometryAnalyzer() {
           bestGeometry={bestGeometry}
           geometryResults={geometryResults}
           onIntensiveAnalysis={handleIntensiveAnalysis}
+          uncertaintyProgress={uncertaintyProgress}
+          isRunningUncertainty={isRunningUncertainty}
+          canPropagateUncertainty={canPropagateUncertainty}
+          onUncertaintyAnalysis={handleUncertaintyAnalysis}
           onGenerateReport={batchMode && batchResults.size > 0 ? handleGenerateBatchReport : handleGenerateReport}
           onGenerateCSV={batchMode && batchResults.size > 0 ? handleGenerateLongDetailedCSV : handleGenerateCSV}
+          onExportShapeInput={handleExportShapeInput}
+          onImportShapeOutput={handleImportShapeOutput}
           batchMode={batchMode}
           batchResults={batchResults}
           isBatchRunning={isBatchRunning}
@@ -538,6 +897,29 @@ export default function CoordinationGeometryAnalyzer() {
             batchResults={batchResults}
             batchProgress={batchProgress}
             getBatchSummary={getBatchSummary}
+            ambiguityMargin={ambiguityMargin}
+          />
+        )}
+
+        {/* Shape Map - S(A) vs S(B) for every analysed structure */}
+        {batchMode && batchResults.size > 0 && (
+          <ShapeMapPanel
+            structures={structures}
+            batchResults={batchResults}
+            selectedStructureIndex={selectedStructureIndex}
+            onSelectStructure={handleSelectStructure}
+            fileName={fileName}
+          />
+        )}
+
+        {/* Octahedral Σ, Θ, ζ, Δ across frames of a multi-structure file */}
+        {batchMode && batchResults.size > 1 && (
+          <OctahedralDistortionPanel
+            structures={structures}
+            batchResults={batchResults}
+            selectedStructureIndex={selectedStructureIndex}
+            onSelectStructure={handleSelectStructure}
+            fileName={fileName}
           />
         )}
 
@@ -548,9 +930,11 @@ export default function CoordinationGeometryAnalyzer() {
             showIdeal={showIdeal}
             showLabels={showLabels}
             autoRotate={autoRotate}
+            colorByContribution={colorByContribution}
             onShowIdealChange={setShowIdeal}
             onShowLabelsChange={setShowLabels}
             onAutoRotateChange={setAutoRotate}
+            onColorByContributionChange={setColorByContribution}
           />
 
           <ResultsDisplay
@@ -561,10 +945,36 @@ export default function CoordinationGeometryAnalyzer() {
             selectedMetal={effectiveMetal}
             selectedGeometryIndex={selectedGeometryIndex}
             onGeometrySelect={setSelectedGeometryIndex}
+            uncertaintyResults={uncertaintyResults}
+            symmetryResults={symmetryResults}
+            isRunningSymmetry={isRunningSymmetry}
+            onSymmetryMeasure={handleSymmetryMeasure}
+            verdict={verdict}
+            ambiguityMargin={ambiguityMargin}
+            onAmbiguityMarginChange={setAmbiguityMargin}
+            tauIndices={additionalMetrics?.tauIndices}
+            octahedralDistortion={octahedralDistortion}
             structureId={currentStructure?.id}
             batchMode={batchMode}
           />
         </div>
+
+        {!isLoading && geometryResults.length > 1 && (
+          <DistortionPathPanel
+            geometryResults={geometryResults}
+            coordinationNumber={coordAtoms.length}
+            centralAtomMode={centralAtomMode}
+          />
+        )}
+
+        {shapeParity && (
+          <ShapeParityTable
+            rows={shapeParity.rows}
+            shapeLabel={shapeParity.label}
+            fileName={shapeOutput.fileName}
+            onClear={() => setShapeOutput(null)}
+          />
+        )}
       </>
       )}
 
@@ -1,11 +1,15 @@
 /**
  * Analysis Controls Component
  *
- * Handles metal center selection and coordination radius controls
+ * Handles metal center selection, coordination radius and sphere definition,
+ * CShM central atom, optimizer and optimisation seed controls
  */
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { ALL_METALS } from '../constants/atomicData';
+import { CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, SHAPE_MEASURE, RANDOM_SEED, SPHERE_DEFINITIONS, EFFECTIVE_COORDINATION, VORONOI_COORDINATION } from '../constants/algorithmConstants';
+import { generateSO3Grid } from '../services/shapeAnalysis/so3GridSearch';
+import { normalizeSeed, generateSeed } from '../utils/random';
 
 export default function AnalysisControls({
     atoms,
@@ -27,8 +31,50 @@ export default function AnalysisControls({
     // v1.5.0 batch mode props
     batchMode = false,
     onApplyMetalToAll,
-    onApplyRadiusToAll
+    onApplyRadiusToAll,
+    centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+    onCentralAtomModeChange,
+    seed = RANDOM_SEED.DEFAULT,
+    onSeedChange,
+    optimizer = SHAPE_OPTIMIZERS.ANNEALING,
+    onOptimizerChange,
+    sphereDefinition = SPHERE_DEFINITIONS.GAP,
+    onSphereDefinitionChange,
+    econThreshold = EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD,
+    onEconThresholdChange,
+    voronoiThreshold = VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD,
+    onVoronoiThresholdChange
 }) {
+    // Seed is edited as text and only applied on demand - every change re-runs the analysis
+    const [seedInput, setSeedInput] = useState(String(seed));
+    useEffect(() => {
+        setSeedInput(String(seed));
+    }, [seed]);
+
+    const parsedSeed = normalizeSeed(seedInput, null);
+
+    // Threshold input of the soft sphere definitions
+    const sphereThreshold = !onSphereDefinitionChange ? null : {
+        [SPHERE_DEFINITIONS.ECON]: onEconThresholdChange && {
+            label: 'w ≥',
+            value: econThreshold,
+            min: 0.05,
+            max: 1,
+            step: 0.05,
+            onChange: onEconThresholdChange,
+            description: <>Includes donors whose effective coordination weight exp[1 − (l/l<sub>av</sub>)⁶] reaches the threshold; suited to lanthanide and alkali centres without a clean distance gap</>
+        },
+        [SPHERE_DEFINITIONS.VORONOI]: onVoronoiThresholdChange && {
+            label: 'Ω/4π ≥',
+            value: voronoiThreshold,
+            min: 0.005,
+            max: 0.5,
+            step: 0.005,
+            onChange: onVoronoiThresholdChange,
+            description: "Counts the metal's Voronoi–Dirichlet faces whose solid angle reaches this fraction of the sphere (O'Keeffe); no radius tuning needed"
+        }
+    }[sphereDefinition] || null;
+
     return (
         <div className="controls-section">
             {/* Metal Center Selector */}
@@ -70,6 +116,112 @@ export default function AnalysisControls({
                 </select>
             </div>
 
+            {/* CShM Central Atom Mode */}
+            {onCentralAtomModeChange && (
+                <div className="card">
+                    <label className="control-label">
+                        ⚛️ Central Atom in CShM
+                    </label>
+                    <select
+                        value={centralAtomMode}
+                        onChange={(e) => onCentralAtomModeChange(e.target.value)}
+                        className="select-input"
+                    >
+                        <option value={CENTRAL_ATOM_MODES.INCLUDED}>Included (ligands + central atom)</option>
+                        <option value={CENTRAL_ATOM_MODES.LIGAND_ONLY}>Ligand-only (vertices only)</option>
+                    </select>
+                    <div style={{ fontSize: '0.85rem', color: '#64748b', marginTop: '0.5rem' }}>
+                        {centralAtomMode === CENTRAL_ATOM_MODES.LIGAND_ONLY
+                            ? 'Off-centre metals do not affect the measure (e.g. pyramidalized or SP-4 vs T-4 comparisons)'
+                            : 'The central atom is fitted to the polyhedron centre, as in SHAPE'}
+                    </div>
+                </div>
+            )}
+
+            {/* CShM Rotation Optimizer */}
+            {onOptimizerChange && (
+                <div className="card">
+                    <label className="control-label">
+                        🧭 Rotation Optimizer
+                    </label>
+                    <select
+                        value={optimizer}
+                        onChange={(e) => onOptimizerChange(e.target.value)}
+                        className="select-input"
+                    >
+                        <option value={SHAPE_OPTIMIZERS.ANNEALING}>Annealing (random restarts)</option>
+                        <option value={SHAPE_OPTIMIZERS.SO3_GRID}>SO(3) grid (deterministic)</option>
+                    </select>
+                    <div style={{ fontSize: '0.85rem', color: '#64748b', marginTop: '0.5rem' }}>
+                        {optimizer === SHAPE_OPTIMIZERS.SO3_GRID
+                            ? `${4 * SHAPE_MEASURE.SO3_GRID.RESOLUTION ** 3} refined rotations, none more than ${generateSO3Grid().maxGapDegrees.toFixed(1)}° from any orientation`
+                            : 'Stochastic search seeded below; CN 5-7 is always exhaustive'}
+                    </div>
+                </div>
+            )}
+
+            {/* Optimisation Seed */}
+            {onSeedChange && (
+                <div className="card">
+                    <label className="control-label">
+                        🎲 Optimisation Seed
+                    </label>
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem' }}>
+                        <input
+                            type="text"
+                            value={seedInput}
+                            onChange={(e) => setSeedInput(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' && parsedSeed !== null) onSeedChange(parsedSeed);
+                            }}
+                            placeholder={String(RANDOM_SEED.DEFAULT)}
+                            style={{
+                                flex: 1,
+                                padding: '0.5rem',
+                                border: `2px solid ${parsedSeed === null ? '#fca5a5' : '#e2e8f0'}`,
+                                borderRadius: '6px',
+                                fontSize: '0.95rem',
+                                fontFamily: 'monospace'
+                            }}
+                        />
+                        <button
+                            onClick={() => onSeedChange(parsedSeed)}
+                            disabled={parsedSeed === null || parsedSeed === seed}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                background: parsedSeed === null || parsedSeed === seed ? '#e2e8f0' : '#4f46e5',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '6px',
+                                cursor: parsedSeed === null || parsedSeed === seed ? 'not-allowed' : 'pointer',
+                                fontWeight: 600
+                            }}
+                        >
+                            Apply
+                        </button>
+                        <button
+                            onClick={() => onSeedChange(generateSeed())}
+                            style={{
+                                padding: '0.5rem 0.75rem',
+                                background: '#10b981',
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '6px',
+                                cursor: 'pointer',
+                                fontWeight: 600,
+                                whiteSpace: 'nowrap'
+                            }}
+                            title="Draw a new random seed"
+                        >
+                            New
+                        </button>
+                    </div>
+                    <div style={{ fontSize: '0.85rem', color: '#64748b', marginTop: '0.5rem' }}>
+                        The same seed reproduces every CShM value; it is recorded in reports and exports
+                    </div>
+                </div>
+            )}
+
             {/* Coordination Radius Control */}
             <div className="card">
                 <div className="slider-header">
@@ -107,6 +259,51 @@ export default function AnalysisControls({
                     </div>
                 </div>
 
+                {/* Sphere Definition used by the Auto radius */}
+                {onSphereDefinitionChange && (
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.75rem' }}>
+                        <select
+                            value={sphereDefinition}
+                            onChange={(e) => onSphereDefinitionChange(e.target.value)}
+                            className="select-input"
+                            style={{ flex: 1 }}
+                            title="How the Auto radius is chosen"
+                        >
+                            <option value={SPHERE_DEFINITIONS.GAP}>Largest distance gap</option>
+                            <option value={SPHERE_DEFINITIONS.ECON}>ECoN-weighted</option>
+                            <option value={SPHERE_DEFINITIONS.VORONOI}>Voronoi solid angle</option>
+                        </select>
+                        {sphereThreshold && (
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontSize: '0.85rem', color: '#475569', whiteSpace: 'nowrap' }}>
+                                {sphereThreshold.label}
+                                <input
+                                    type="number"
+                                    min={sphereThreshold.min}
+                                    max={sphereThreshold.max}
+                                    step={sphereThreshold.step}
+                                    value={sphereThreshold.value}
+                                    onChange={(e) => {
+                                        const value = parseFloat(e.target.value);
+                                        if (value > 0 && value <= sphereThreshold.max) sphereThreshold.onChange(value);
+                                    }}
+                                    style={{
+                                        width: '4.5rem',
+                                        padding: '0.4rem',
+                                        border: '2px solid #e2e8f0',
+                                        borderRadius: '6px',
+                                        fontFamily: 'monospace'
+                                    }}
+                                />
+                            </label>
+                        )}
+                    </div>
+                )}
+                {sphereThreshold && (
+                    <div style={{ fontSize: '0.85rem', color: '#64748b', marginBottom: '0.75rem' }}>
+                        {sphereThreshold.description}
+                    </div>
+                )}
+
                 {/* Precise Radius Control */}
                 <div style={{ marginBottom: '1rem' }}>
                     <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
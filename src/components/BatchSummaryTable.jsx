@@ -3,10 +3,15 @@
  *
  * Displays the batch analysis summary table and batch progress.
  * Positioned below action buttons, closer to the 3D viewer.
+ * Structures whose two best shapes cannot be told apart show "between A and B".
+ * Six-coordinate structures also show the octahedral Σ and Θ (ζ and Δ on hover).
  */
 
-import React from 'react';
+import React, { useMemo } from 'react';
 import { interpretShapeMeasure } from '../utils/geometry';
+import { assessGeometryVerdict } from '../services/shapeAnalysis/geometryVerdict';
+import { collectOctahedralSeries } from '../services/shapeAnalysis/octahedralDistortion';
+import { SHAPE_VERDICT } from '../constants/algorithmConstants';
 
 export default function BatchSummaryTable({
     structures,
@@ -14,10 +19,17 @@ export default function BatchSummaryTable({
     onSelectStructure,
     batchResults,
     batchProgress,
-    getBatchSummary
+    getBatchSummary,
+    ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN
 }) {
     const summary = getBatchSummary?.() || [];
     const hasResults = summary.length > 0;
+    // QC optimization outputs carry an energy per step
+    const showEnergy = summary.some(row => row.energy != null);
+    const octahedralByIndex = useMemo(() => new Map(
+        collectOctahedralSeries(structures, batchResults).map(row => [row.index, row])
+    ), [structures, batchResults]);
+    const showOctahedral = octahedralByIndex.size > 0;
 
     return (
         <div className="card" style={{ marginBottom: '1.5rem' }}>
@@ -113,6 +125,15 @@ export default function BatchSummaryTable({
                                     <th style={{ padding: '0.75rem', textAlign: 'center' }}>CN</th>
                                     <th style={{ padding: '0.75rem', textAlign: 'left' }}>Best Geometry</th>
                                     <th style={{ padding: '0.75rem', textAlign: 'right' }}>CShM</th>
+                                    {showEnergy && (
+                                        <th style={{ padding: '0.75rem', textAlign: 'right' }}>E (Eh)</th>
+                                    )}
+                                    {showOctahedral && (
+                                        <>
+                                            <th style={{ padding: '0.75rem', textAlign: 'right' }}>Σ (°)</th>
+                                            <th style={{ padding: '0.75rem', textAlign: 'right' }}>Θ (°)</th>
+                                        </>
+                                    )}
                                     <th style={{ padding: '0.75rem', textAlign: 'center' }}>Quality</th>
                                 </tr>
                             </thead>
@@ -122,6 +143,11 @@ export default function BatchSummaryTable({
                                     const interpretation = row.bestCShM !== null
                                         ? interpretShapeMeasure(row.bestCShM)
                                         : null;
+                                    const result = batchResults?.get(row.index);
+                                    const verdict = result
+                                        ? assessGeometryVerdict(result.geometryResults, row.coordinationNumber, { margin: ambiguityMargin, centralAtomMode: result.centralAtomMode })
+                                        : null;
+                                    const octahedral = octahedralByIndex.get(row.index);
 
                                     // Color scheme: selected rows use soft, muted blue palette
                                     // Non-selected rows use semantic colors for quality indicators
@@ -159,11 +185,14 @@ export default function BatchSummaryTable({
                                             }}>
                                                 {idx + 1}
                                             </td>
-                                            <td style={{
-                                                padding: '0.75rem',
-                                                fontWeight: isSelected ? 600 : 500,
-                                                color: isSelected ? selectedTextColor : '#374151'
-                                            }}>
+                                            <td
+                                                style={{
+                                                    padding: '0.75rem',
+                                                    fontWeight: isSelected ? 600 : 500,
+                                                    color: isSelected ? selectedTextColor : '#374151'
+                                                }}
+                                                title={row.source}
+                                            >
                                                 {row.id}
                                                 {isSelected && (
                                                     <span style={{
@@ -190,11 +219,14 @@ export default function BatchSummaryTable({
                                             }}>
                                                 {row.coordinationNumber}
                                             </td>
-                                            <td style={{
-                                                padding: '0.75rem',
-                                                color: isSelected ? selectedTextColor : '#374151'
-                                            }}>
-                                                {row.bestGeometry}
+                                            <td
+                                                style={{
+                                                    padding: '0.75rem',
+                                                    color: isSelected ? selectedTextColor : '#374151'
+                                                }}
+                                                title={verdict?.summary}
+                                            >
+                                                {verdict?.ambiguous ? `⚖️ ${verdict.label}` : row.bestGeometry}
                                             </td>
                                             <td style={{
                                                 padding: '0.75rem',
@@ -205,6 +237,30 @@ export default function BatchSummaryTable({
                                             }}>
                                                 {row.bestCShM !== null ? Math.max(0, row.bestCShM).toFixed(4) : '—'}
                                             </td>
+                                            {showEnergy && (
+                                                <td style={{
+                                                    padding: '0.75rem',
+                                                    textAlign: 'right',
+                                                    fontFamily: 'monospace',
+                                                    color: isSelected ? selectedTextColor : '#374151'
+                                                }}>
+                                                    {row.energy != null ? row.energy.toFixed(6) : '—'}
+                                                </td>
+                                            )}
+                                            {showOctahedral && ['sigma', 'theta'].map(key => (
+                                                <td
+                                                    key={key}
+                                                    style={{
+                                                        padding: '0.75rem',
+                                                        textAlign: 'right',
+                                                        fontFamily: 'monospace',
+                                                        color: isSelected ? selectedTextColor : '#374151'
+                                                    }}
+                                                    title={octahedral ? `ζ = ${octahedral.zeta.toFixed(4)} Å, Δ = ${octahedral.delta.toExponential(2)}` : undefined}
+                                                >
+                                                    {octahedral ? octahedral[key].toFixed(2) : '—'}
+                                                </td>
+                                            ))}
                                             <td style={{
                                                 padding: '0.75rem',
                                                 textAlign: 'center'
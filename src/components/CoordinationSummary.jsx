@@ -6,11 +6,17 @@
  */
 
 import React from 'react';
+import { formatLatticeOffset, isTranslatedImage } from '../utils/lattice';
+import { formatAtomLabel, hasResidueInfo } from '../utils/atomLabels';
+import { getDonorWeights } from '../services/coordination/effectiveCoordination';
+import { EFFECTIVE_COORDINATION } from '../constants/algorithmConstants';
 
 export default function CoordinationSummary({
     atoms,
     selectedMetal,
     coordAtoms,
+    effectiveCoordination = null,
+    voronoiCoordination = null,
     additionalMetrics,
     qualityMetrics,
     progress,
@@ -22,8 +28,14 @@ export default function CoordinationSummary({
     bestGeometry,
     geometryResults,
     onIntensiveAnalysis,
+    uncertaintyProgress = null,
+    isRunningUncertainty = false,
+    canPropagateUncertainty = false,
+    onUncertaintyAnalysis,
     onGenerateReport,
     onGenerateCSV,
+    onExportShapeInput,
+    onImportShapeOutput,
     // v1.5.0 batch mode props
     batchMode = false,
     batchResults,
@@ -37,11 +49,28 @@ export default function CoordinationSummary({
         return null;
     }
 
+    // Donors found in neighbouring cells (periodic search) carry an (h,k,l) offset
+    const imageDonors = coordAtoms.filter(c => isTranslatedImage(c.image));
+    // Partially occupied sites (CIF) - the sphere may mix alternate conformers
+    const partialSites = [atoms[selectedMetal], ...coordAtoms.map(c => c.atom)]
+        .filter(atom => atom.occupancy < 1);
+    // ECoN bond weight of every donor, and weighted neighbours left outside the sphere
+    const donorWeights = getDonorWeights(effectiveCoordination, coordAtoms);
+    const outerNeighbours = (effectiveCoordination?.neighbours || []).filter(n => (
+        n.distance > (coordAtoms[coordAtoms.length - 1]?.distance ?? 0) &&
+        n.weight >= EFFECTIVE_COORDINATION.DISPLAY_MIN_WEIGHT
+    ));
+    const neighbourName = c => {
+        const name = hasResidueInfo(c.atom) ? formatAtomLabel(c.atom) : c.atom.element;
+        return isTranslatedImage(c.image) ? `${name} ${formatLatticeOffset(c.image)}` : name;
+    };
+
     const hasBatchResults = batchResults && batchResults.size > 0;
     const canGenerateReport = batchMode ? hasBatchResults : (bestGeometry && !isLoading);
     const canGenerateCSV = batchMode
         ? hasBatchResults
         : (geometryResults && geometryResults.length > 0 && !isLoading);
+    const canExportShape = batchMode ? hasBatchResults : coordAtoms.length > 0;
 
     return (
         <div style={{
@@ -97,13 +126,78 @@ export default function CoordinationSummary({
                         color: '#475569'
                     }}>
                         <strong>Metal:</strong>
-                        <span>{atoms[selectedMetal].element}</span>
+                        <span>
+                            {atoms[selectedMetal].element}
+                            {hasResidueInfo(atoms[selectedMetal]) && ` (${formatAtomLabel(atoms[selectedMetal])})`}
+                        </span>
 
                         <strong>CN:</strong>
                         <span>{coordAtoms.length}</span>
 
                         <strong>Ligands:</strong>
-                        <span>{coordAtoms.map(c => c.atom.element).join(', ') || 'None'}</span>
+                        <span title={effectiveCoordination ? 'ECoN bond weight in parentheses' : undefined}>
+                            {coordAtoms.map((c, i) => (
+                                donorWeights[i] !== null
+                                    ? `${neighbourName(c)} (${donorWeights[i].toFixed(2)})`
+                                    : neighbourName(c)
+                            )).join(', ') || 'None'}
+                        </span>
+
+                        {effectiveCoordination && (
+                            <>
+                                <strong>ECoN:</strong>
+                                <span title={`Hoppe effective coordination number; weighted mean distance ${effectiveCoordination.weightedMeanDistance.toFixed(3)} Å`}>
+                                    {effectiveCoordination.econ.toFixed(2)}
+                                    {effectiveCoordination.mefir !== null && ` · MEFIR ${effectiveCoordination.mefir.toFixed(3)} Å`}
+                                </span>
+                            </>
+                        )}
+
+                        {voronoiCoordination && (
+                            <>
+                                <strong>Voronoi:</strong>
+                                <span title={voronoiCoordination.faces.map(f => (
+                                    `${neighbourName(f.neighbour)} ${f.neighbour.distance.toFixed(2)} Å: Ω/4π ${(100 * f.fraction).toFixed(1)}%`
+                                )).join('\n')}>
+                                    CN {voronoiCoordination.coordinationNumber} · O'Keeffe CN {voronoiCoordination.okeeffeCN.toFixed(2)}
+                                </span>
+                            </>
+                        )}
+
+                        {outerNeighbours.length > 0 && (
+                            <>
+                                <strong>Outside sphere:</strong>
+                                <span
+                                    style={{ color: '#64748b' }}
+                                    title="Neighbours beyond the radius that still carry ECoN weight (weight in parentheses)"
+                                >
+                                    {outerNeighbours.map(n => `${neighbourName(n)} ${n.distance.toFixed(2)} Å (${n.weight.toFixed(2)})`).join(', ')}
+                                </span>
+                            </>
+                        )}
+
+                        {imageDonors.length > 0 && (
+                            <>
+                                <strong>Cell images:</strong>
+                                <span title="Donors generated by lattice translation (h,k,l) from a neighbouring unit cell">
+                                    {imageDonors.length} of {coordAtoms.length} donors from neighbouring cells
+                                </span>
+                            </>
+                        )}
+
+                        {partialSites.length > 0 && (
+                            <>
+                                <strong style={{ color: '#b45309' }}>Partial occupancy:</strong>
+                                <span
+                                    style={{ color: '#b45309' }}
+                                    title="Sites with occupancy below 1 - check that the sphere does not mix disorder parts"
+                                >
+                                    ⚠️ {partialSites.map(atom =>
+                                        `${formatAtomLabel(atom)} (${atom.occupancy.toFixed(2)})`
+                                    ).join(', ')}
+                                </span>
+                            </>
+                        )}
                     </div>
 
                     {additionalMetrics && (
@@ -151,6 +245,23 @@ export default function CoordinationSummary({
                             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem', marginTop: '0.5rem' }}>
                                 <div><strong>RMSD:</strong> {Number.isFinite(qualityMetrics.rmsd) ? qualityMetrics.rmsd.toFixed(4) : '0.0000'}</div>
                                 <div><strong>Ang. Dist:</strong> {qualityMetrics.angularDistortionIndex.toFixed(2)}°</div>
+                                {Number.isFinite(qualityMetrics.polyhedronVolume) && (
+                                    <div><strong>Volume:</strong> {qualityMetrics.polyhedronVolume.toFixed(3)} Å³</div>
+                                )}
+                                {Number.isFinite(qualityMetrics.polyhedralVolumeRatio) && (
+                                    <div title={`Ideal volume at mean bond length: ${qualityMetrics.idealPolyhedronVolume.toFixed(3)} Å³`}>
+                                        <strong>V/V<sub>ideal</sub>:</strong> {qualityMetrics.polyhedralVolumeRatio.toFixed(4)}
+                                    </div>
+                                )}
+                                {Number.isFinite(qualityMetrics.quadraticElongation) && (
+                                    <div><strong>⟨λ⟩:</strong> {qualityMetrics.quadraticElongation.toFixed(4)}</div>
+                                )}
+                                {Number.isFinite(qualityMetrics.bondAngleVariance) && (
+                                    <div><strong>σ²:</strong> {qualityMetrics.bondAngleVariance.toFixed(2)} deg²</div>
+                                )}
+                                {Number.isFinite(qualityMetrics.baurDistortionIndex) && (
+                                    <div><strong>Baur D:</strong> {qualityMetrics.baurDistortionIndex.toFixed(4)}</div>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -186,6 +297,34 @@ export default function CoordinationSummary({
                     {isRunningIntensive ? '⚡ Running...' : '⚡ Intensive Analysis'}
                 </button>
 
+                {/* Monte Carlo error bars - only when the file gives coordinate s.u. (CIF) */}
+                {canPropagateUncertainty && (
+                    <button
+                        onClick={onUncertaintyAnalysis}
+                        disabled={isLoading || isRunningUncertainty || !bestGeometry}
+                        style={{
+                            padding: '1rem 2rem',
+                            background: (isLoading || isRunningUncertainty || !bestGeometry)
+                                ? '#d1d5db'
+                                : 'linear-gradient(135deg, #d97706 0%, #b45309 100%)',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '10px',
+                            fontWeight: 700,
+                            cursor: (isLoading || isRunningUncertainty || !bestGeometry) ? 'not-allowed' : 'pointer',
+                            boxShadow: (isLoading || isRunningUncertainty || !bestGeometry) ? 'none' : '0 4px 6px rgba(217, 119, 6, 0.4)',
+                            transition: 'all 0.2s',
+                            fontSize: '1rem',
+                            minWidth: '180px'
+                        }}
+                        onMouseOver={(e) => !(isLoading || isRunningUncertainty) && (e.currentTarget.style.transform = 'translateY(-2px)')}
+                        onMouseOut={(e) => e.currentTarget.style.transform = 'translateY(0)'}
+                        title="Propagate coordinate standard uncertainties to the CShM of the best geometries (Monte Carlo)"
+                    >
+                        {isRunningUncertainty ? '± Sampling...' : '± CShM Uncertainty'}
+                    </button>
+                )}
+
                 <button
                     onClick={onGenerateReport}
                     disabled={!canGenerateReport}
@@ -234,6 +373,68 @@ export default function CoordinationSummary({
                     📊 Download CSV
                 </button>
 
+                {/* SHAPE 2.1 cross-validation: export .dat input, import .tab output */}
+                {onExportShapeInput && (
+                    <button
+                        onClick={onExportShapeInput}
+                        disabled={!canExportShape}
+                        style={{
+                            padding: '1rem 2rem',
+                            background: canExportShape
+                                ? 'linear-gradient(135deg, #0ea5e9 0%, #0284c7 100%)'
+                                : '#cbd5e1',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '10px',
+                            fontWeight: 700,
+                            cursor: canExportShape ? 'pointer' : 'not-allowed',
+                            boxShadow: canExportShape ? '0 4px 6px rgba(14, 165, 233, 0.4)' : 'none',
+                            transition: 'all 0.2s',
+                            fontSize: '1rem',
+                            minWidth: '180px'
+                        }}
+                        onMouseOver={(e) => canExportShape && (e.currentTarget.style.transform = 'translateY(-2px)')}
+                        onMouseOut={(e) => e.currentTarget.style.transform = 'translateY(0)'}
+                        title="Write the coordination sphere(s) as a SHAPE 2.1 input file for cross-validation"
+                    >
+                        🔁 SHAPE Input (.dat)
+                    </button>
+                )}
+
+                {onImportShapeOutput && (
+                    <label
+                        style={{
+                            padding: '1rem 2rem',
+                            background: 'linear-gradient(135deg, #64748b 0%, #475569 100%)',
+                            color: 'white',
+                            borderRadius: '10px',
+                            fontWeight: 700,
+                            cursor: 'pointer',
+                            boxShadow: '0 4px 6px rgba(100, 116, 139, 0.4)',
+                            transition: 'all 0.2s',
+                            fontSize: '1rem',
+                            minWidth: '180px',
+                            textAlign: 'center',
+                            boxSizing: 'border-box'
+                        }}
+                        onMouseOver={(e) => e.currentTarget.style.transform = 'translateY(-2px)'}
+                        onMouseOut={(e) => e.currentTarget.style.transform = 'translateY(0)'}
+                        title="Load a SHAPE 2.1 .tab output file and compare it with these results"
+                    >
+                        📥 Import SHAPE .tab
+                        <input
+                            type="file"
+                            accept=".tab,.txt"
+                            style={{ display: 'none' }}
+                            onChange={(e) => {
+                                const file = e.target.files?.[0];
+                                e.target.value = '';
+                                if (file) onImportShapeOutput(file);
+                            }}
+                        />
+                    </label>
+                )}
+
                 {/* Analyze All Structures button - only in batch mode */}
                 {batchMode && (
                     <button
@@ -370,6 +571,42 @@ export default function CoordinationSummary({
                 </div>
             )}
 
+            {/* Uncertainty Propagation Progress */}
+            {uncertaintyProgress && (
+                <div style={{
+                    marginTop: '1.5rem',
+                    padding: '1rem',
+                    background: 'linear-gradient(135deg, #fffbeb 0%, #fef3c7 100%)',
+                    border: '2px solid #fcd34d',
+                    borderRadius: '8px'
+                }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                        <div style={{ fontSize: '1.5rem' }}>±</div>
+                        <div style={{ flex: 1 }}>
+                            <div style={{ fontWeight: 600, color: '#b45309', marginBottom: '0.5rem' }}>
+                                {uncertaintyProgress.message}
+                            </div>
+                            <div style={{
+                                background: '#fff',
+                                height: '8px',
+                                borderRadius: '4px',
+                                overflow: 'hidden'
+                            }}>
+                                <div style={{
+                                    background: 'linear-gradient(90deg, #f59e0b 0%, #d97706 100%)',
+                                    height: '100%',
+                                    width: `${uncertaintyProgress.progress * 100}%`,
+                                    transition: 'width 0.3s ease'
+                                }} />
+                            </div>
+                        </div>
+                        <div style={{ fontSize: '0.9rem', fontWeight: 600, color: '#b45309', minWidth: '50px', textAlign: 'right' }}>
+                            {Math.round(uncertaintyProgress.progress * 100)}%
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Intensive Metadata Display */}
             {intensiveMetadata && intensiveMetadata.metadata && intensiveMetadata.ligandGroups && (
                 <div style={{
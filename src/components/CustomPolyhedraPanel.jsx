@@ -0,0 +1,135 @@
+/**
+ * Custom Polyhedra Panel Component
+ *
+ * Manages the user-defined reference polyhedra library: add shapes from
+ * XYZ/JSON files, remove them, and share the whole library as one file.
+ * Library shapes are evaluated alongside the built-in ones of the same CN.
+ */
+
+import React, { useRef, useState } from 'react';
+
+export default function CustomPolyhedraPanel({
+    polyhedra,
+    onAddPolyhedron,
+    onRemovePolyhedron,
+    onExportLibrary,
+    onImportLibrary
+}) {
+    const fileRef = useRef(null);
+    const [details, setDetails] = useState({ code: '', label: '', pointGroup: '' });
+
+    const inputStyle = {
+        padding: '0.35rem 0.5rem',
+        border: '1px solid #cbd5e1',
+        borderRadius: '4px',
+        fontSize: '0.85rem',
+        minWidth: 0
+    };
+    const buttonStyle = {
+        background: '#7c3aed',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        padding: '0.35rem 0.75rem',
+        fontSize: '0.85rem',
+        fontWeight: 600,
+        cursor: 'pointer'
+    };
+
+    const handleAdd = () => {
+        const file = fileRef.current?.files?.[0];
+        if (!file) return;
+        onAddPolyhedron(file, details);
+        fileRef.current.value = '';
+        setDetails({ code: '', label: '', pointGroup: '' });
+    };
+
+    return (
+        <details className="card" style={{ marginBottom: '1.5rem' }}>
+            <summary style={{ cursor: 'pointer', fontWeight: 700, color: '#1e293b', fontSize: '1.05rem' }}>
+                🧩 Custom Reference Polyhedra
+                <span style={{ fontSize: '0.85rem', fontWeight: 500, color: '#64748b', marginLeft: '0.5rem' }}>
+                    ({polyhedra.length} in library)
+                </span>
+            </summary>
+
+            <p style={{ margin: '0.75rem 0', color: '#64748b', fontSize: '0.85rem' }}>
+                XYZ files list the central atom first, then the vertices. JSON files give
+                {' '}<code>{'{"code", "name", "pointGroup", "vertices": [[x, y, z], ...]}'}</code>.
+                Shapes are scale-normalized and included in every analysis with the same coordination number.
+            </p>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem' }}>
+                <input ref={fileRef} type="file" accept=".xyz,.json" style={{ fontSize: '0.85rem' }} />
+                <input
+                    placeholder="Code (e.g. ELO-6)"
+                    value={details.code}
+                    onChange={(e) => setDetails({ ...details, code: e.target.value })}
+                    style={{ ...inputStyle, width: '9rem' }}
+                />
+                <input
+                    placeholder="Name"
+                    value={details.label}
+                    onChange={(e) => setDetails({ ...details, label: e.target.value })}
+                    style={{ ...inputStyle, width: '14rem' }}
+                />
+                <input
+                    placeholder="Point group"
+                    value={details.pointGroup}
+                    onChange={(e) => setDetails({ ...details, pointGroup: e.target.value })}
+                    style={{ ...inputStyle, width: '7rem' }}
+                />
+                <button onClick={handleAdd} style={buttonStyle}>➕ Add</button>
+            </div>
+
+            {polyhedra.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                    <thead>
+                        <tr style={{ background: '#f1f5f9', color: '#334155', textAlign: 'left' }}>
+                            <th style={{ padding: '0.4rem 0.75rem' }}>Shape</th>
+                            <th style={{ padding: '0.4rem 0.75rem' }}>CN</th>
+                            <th style={{ padding: '0.4rem 0.75rem' }}>Point group</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {polyhedra.map(p => (
+                            <tr key={p.name} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                                <td style={{ padding: '0.4rem 0.75rem' }}>{p.name}</td>
+                                <td style={{ padding: '0.4rem 0.75rem', fontFamily: 'monospace' }}>{p.coordinationNumber}</td>
+                                <td style={{ padding: '0.4rem 0.75rem', fontFamily: 'monospace', color: '#6366f1' }}>{p.pointGroup || '—'}</td>
+                                <td style={{ padding: '0.4rem 0.75rem', textAlign: 'right' }}>
+                                    <button
+                                        onClick={() => onRemovePolyhedron(p.name)}
+                                        style={{ ...buttonStyle, background: '#64748b', padding: '0.2rem 0.6rem' }}
+                                    >
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <button onClick={onExportLibrary} disabled={polyhedra.length === 0} style={buttonStyle}>
+                    📤 Export Library
+                </button>
+                <label style={{ ...buttonStyle, display: 'inline-block' }}>
+                    📥 Import Library
+                    <input
+                        type="file"
+                        accept=".json"
+                        style={{ display: 'none' }}
+                        onChange={(e) => {
+                            const file = e.target.files?.[0];
+                            if (file) onImportLibrary(file);
+                            e.target.value = '';
+                        }}
+                    />
+                </label>
+            </div>
+        </details>
+    );
+}
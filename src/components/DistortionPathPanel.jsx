@@ -0,0 +1,116 @@
+/**
+ * Distortion Path Panel Component
+ *
+ * Locates the analysed structure on the minimal distortion path between two
+ * reference shapes of the same coordination number: path deviation Δ and
+ * generalized interconversion coordinate φ (%).
+ */
+
+import React, { useMemo, useState } from 'react';
+import { DISTORTION_PATH } from '../constants/algorithmConstants';
+import { analyzeDistortionPath } from '../services/shapeAnalysis/distortionPath';
+
+export default function DistortionPathPanel({
+    geometryResults,
+    coordinationNumber,
+    centralAtomMode
+}) {
+    const [shapeA, setShapeA] = useState(null);
+    const [shapeB, setShapeB] = useState(null);
+
+    const names = useMemo(() => (geometryResults || []).map(r => r.name), [geometryResults]);
+
+    // Default to the two best-matching shapes until the user picks others
+    const nameA = names.includes(shapeA) ? shapeA : names[0];
+    const nameB = names.includes(shapeB) ? shapeB : names[1];
+
+    const path = useMemo(() => {
+        if (!nameA || !nameB) return null;
+        try {
+            return analyzeDistortionPath(geometryResults, coordinationNumber, nameA, nameB, centralAtomMode);
+        } catch (error) {
+            console.warn('Distortion path analysis failed:', error);
+            return null;
+        }
+    }, [geometryResults, coordinationNumber, nameA, nameB, centralAtomMode]);
+
+    if (names.length < 2) return null;
+
+    const selectStyle = {
+        padding: '0.35rem 0.5rem',
+        border: '1px solid #cbd5e1',
+        borderRadius: '4px',
+        fontSize: '0.85rem',
+        maxWidth: '100%'
+    };
+    const valueStyle = { fontFamily: 'monospace', fontWeight: 700, color: '#1e293b', fontSize: '1.1rem' };
+    const labelStyle = { fontSize: '0.8rem', color: '#64748b' };
+
+    return (
+        <div className="card" style={{ marginTop: '1rem' }}>
+            <h3 style={{ margin: '0 0 0.75rem 0', color: '#1e293b', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <span>🛤️</span> Minimal Distortion Path
+            </h3>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+                <select value={nameA} onChange={(e) => setShapeA(e.target.value)} style={selectStyle}>
+                    {names.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <span style={{ color: '#64748b', fontWeight: 700 }}>↔</span>
+                <select value={nameB} onChange={(e) => setShapeB(e.target.value)} style={selectStyle}>
+                    {names.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+
+            {!path ? (
+                <p style={{ margin: 0, color: '#64748b', fontSize: '0.9rem', fontStyle: 'italic' }}>
+                    Choose two different reference shapes.
+                </p>
+            ) : (
+                <>
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+                        gap: '0.75rem',
+                        marginBottom: '0.75rem'
+                    }}>
+                        <div>
+                            <div style={labelStyle}>S(A)</div>
+                            <div style={valueStyle}>{path.measureA.toFixed(4)}</div>
+                        </div>
+                        <div>
+                            <div style={labelStyle}>S(B)</div>
+                            <div style={valueStyle}>{path.measureB.toFixed(4)}</div>
+                        </div>
+                        <div>
+                            <div style={labelStyle}>S<sub>A</sub>(B), θ<sub>AB</sub></div>
+                            <div style={valueStyle}>
+                                {path.referenceMeasure.toFixed(3)}, {(path.pathAngle * 180 / Math.PI).toFixed(2)}°
+                            </div>
+                        </div>
+                        <div>
+                            <div style={labelStyle}>Path deviation Δ</div>
+                            <div style={{ ...valueStyle, color: path.isOnPath ? '#15803d' : '#b91c1c' }}>
+                                {path.deviation.toFixed(3)}
+                            </div>
+                        </div>
+                        <div>
+                            <div style={labelStyle}>Generalized coordinate φ<sub>A→B</sub></div>
+                            <div style={valueStyle}>{path.generalizedCoordinate.toFixed(1)}%</div>
+                        </div>
+                    </div>
+
+                    <div style={{
+                        fontSize: '0.9rem',
+                        fontWeight: 600,
+                        color: path.isOnPath ? '#15803d' : '#b45309'
+                    }}>
+                        {path.isOnPath
+                            ? `✓ On the ${nameA.split(' ')[0]} → ${nameB.split(' ')[0]} path, ${path.generalizedCoordinate.toFixed(0)}% of the way from A to B`
+                            : `⚠️ Off the ${nameA.split(' ')[0]} ↔ ${nameB.split(' ')[0]} path (Δ ≥ ${DISTORTION_PATH.MAX_PATH_DEVIATION}); φ is only indicative`}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
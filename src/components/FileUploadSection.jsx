@@ -2,7 +2,9 @@
  * File Upload Section Component - v1.5.0
  *
  * Handles file upload interface for molecular structure files.
- * Supports XYZ (single/multi-frame) and CIF formats.
+ * Supports XYZ (single/multi-frame, extended XYZ), CIF, PDB, mmCIF, MOL/SDF,
+ * VASP POSCAR/CONTCAR and Gaussian/ORCA/xTB output formats, as single
+ * files, multiple files, folders (picker or drag-and-drop) or .zip/.gz archives.
  *
  * v1.5.0 Changes:
  * - Updated to accept .xyz and .cif files
@@ -10,20 +12,44 @@
  * - Displays file format and structure count
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 
 export default function FileUploadSection({
     fileInputRef,
     onFileUpload,
+    onFileDrop,
     batchMode = false,
     structureCount = 0,
     fileFormat = null,
     currentStructureId = null
 }) {
+    const [isDragging, setIsDragging] = useState(false);
+
     return (
-        <div className="card">
+        <div
+            className="card"
+            onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+            }}
+            onDragLeave={(e) => {
+                // Ignore leave events fired when moving onto child elements
+                if (!e.currentTarget.contains(e.relatedTarget)) {
+                    setIsDragging(false);
+                }
+            }}
+            onDrop={(e) => {
+                setIsDragging(false);
+                if (onFileDrop) {
+                    onFileDrop(e);
+                } else {
+                    e.preventDefault();
+                }
+            }}
+            style={isDragging ? { outline: '3px dashed #3b82f6', outlineOffset: '-6px', background: '#eff6ff' } : undefined}
+        >
             <label className="control-label">
-                📁 Load Molecular Structure (.xyz, .cif)
+                📁 Load Molecular Structure (.xyz, .cif, .pdb, .sdf, POSCAR, .log, .out, .zip, .gz)
             </label>
             <p style={{
                 fontSize: '0.85rem',
@@ -31,16 +57,39 @@ export default function FileUploadSection({
                 marginBottom: '0.75rem',
                 marginTop: '0.25rem'
             }}>
-                Supports single structures, multi-frame XYZ trajectories, and CIF files with multiple blocks
+                Supports single structures, multi-frame and extended XYZ trajectories, CIF files with multiple blocks, PDB/mmCIF files (one structure per metal site), MOL/SDF files with bond tables, VASP POSCAR/CONTCAR, and Gaussian/ORCA/xTB outputs (one frame per optimization step).
+                Select several files or a folder, drop them here, or upload a .zip/.gz archive to analyze them as one batch
             </p>
             <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                {/* No accept filter: it cannot match extensionless VASP files (POSCAR,
+                    CONTCAR), so the upload hook sorts files by name with isStructureFile */}
                 <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".xyz,.cif"
+                    multiple
                     onChange={onFileUpload}
                     className="file-upload-input"
                 />
+                <label style={{
+                    padding: '0.5rem 0.75rem',
+                    fontSize: '0.85rem',
+                    background: '#f1f5f9',
+                    border: '1px solid #cbd5e1',
+                    borderRadius: '6px',
+                    cursor: 'pointer',
+                    color: '#334155',
+                    fontWeight: 600
+                }}>
+                    📂 Select Folder
+                    <input
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        onClick={(e) => { e.currentTarget.value = ''; }}
+                        onChange={onFileUpload}
+                        style={{ display: 'none' }}
+                    />
+                </label>
             </div>
 
             {/* Batch mode indicator */}
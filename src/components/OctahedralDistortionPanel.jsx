@@ -0,0 +1,172 @@
+/**
+ * Octahedral Distortion Panel Component
+ *
+ * Plots Σ, Θ, ζ or Δ against frame number for the six-coordinate structures
+ * of a batch (trajectories, optimisation steps, variable-temperature series).
+ * Clicking a point selects that structure; the plot exports to SVG and CSV.
+ */
+
+import React, { useMemo, useRef, useState } from 'react';
+import { collectOctahedralSeries, buildOctahedralSeriesCSV } from '../services/shapeAnalysis/octahedralDistortion';
+import { downloadTextFile } from '../utils/download';
+
+// Plot geometry (SVG user units)
+const WIDTH = 560;
+const HEIGHT = 320;
+const MARGIN = { top: 20, right: 20, bottom: 50, left: 70 };
+const TICKS = 5;
+
+const PARAMETERS = [
+    { key: 'sigma', label: 'Σ (°)', format: v => v.toFixed(1) },
+    { key: 'theta', label: 'Θ (°)', format: v => v.toFixed(1) },
+    { key: 'zeta', label: 'ζ (Å)', format: v => v.toFixed(3) },
+    { key: 'delta', label: 'Δ', format: v => v.toExponential(1) }
+];
+
+export default function OctahedralDistortionPanel({
+    structures,
+    batchResults,
+    selectedStructureIndex,
+    onSelectStructure,
+    fileName
+}) {
+    const svgRef = useRef(null);
+    const [parameterKey, setParameterKey] = useState('sigma');
+
+    const rows = useMemo(() => collectOctahedralSeries(structures, batchResults), [structures, batchResults]);
+    if (rows.length < 2) return null;
+
+    const parameter = PARAMETERS.find(p => p.key === parameterKey);
+    const values = rows.map(r => r[parameter.key]);
+    const maxValue = Math.max(...values) * 1.05 || 1;
+    const firstFrame = rows[0].index + 1;
+    const lastFrame = Math.max(rows[rows.length - 1].index + 1, firstFrame + 1);
+
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const x = frame => MARGIN.left + ((frame - firstFrame) / (lastFrame - firstFrame)) * plotWidth;
+    const y = value => MARGIN.top + plotHeight - (value / maxValue) * plotHeight;
+    const yTicks = Array.from({ length: TICKS + 1 }, (_, k) => (maxValue * k) / TICKS);
+    const xTicks = Array.from(new Set(Array.from({ length: TICKS + 1 }, (_, k) => (
+        Math.round(firstFrame + ((lastFrame - firstFrame) * k) / TICKS)
+    ))));
+
+    const baseName = (fileName || 'structures').replace(/\.[^.]+$/, '');
+    const buttonStyle = {
+        background: '#0f766e',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        padding: '0.35rem 0.75rem',
+        fontSize: '0.85rem',
+        fontWeight: 600,
+        cursor: 'pointer'
+    };
+
+    const handleExportSVG = () => {
+        if (!svgRef.current) return;
+        const content = new XMLSerializer().serializeToString(svgRef.current);
+        downloadTextFile(content, `${baseName}_octahedral_${parameter.key}.svg`, 'image/svg+xml');
+    };
+
+    const handleExportCSV = () => {
+        downloadTextFile(buildOctahedralSeriesCSV(rows), `${baseName}_octahedral_distortion.csv`, 'text/csv');
+    };
+
+    return (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: '0.75rem',
+                flexWrap: 'wrap',
+                gap: '0.75rem'
+            }}>
+                <h3 style={{ margin: 0, color: '#1e293b', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <span>📉</span> Octahedral Distortion
+                    <span style={{ fontSize: '0.85rem', fontWeight: 500, color: '#64748b' }}>
+                        {rows.length} CN 6 frames
+                    </span>
+                </h3>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                    <select
+                        value={parameterKey}
+                        onChange={(e) => setParameterKey(e.target.value)}
+                        style={{ padding: '0.35rem 0.5rem', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '0.85rem' }}
+                    >
+                        {PARAMETERS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                    </select>
+                    <button onClick={handleExportSVG} style={buttonStyle}>⬇ SVG</button>
+                    <button onClick={handleExportCSV} style={buttonStyle}>⬇ CSV</button>
+                </div>
+            </div>
+
+            <svg
+                ref={svgRef}
+                xmlns="http://www.w3.org/2000/svg"
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                style={{ width: '100%', maxWidth: `${WIDTH}px`, height: 'auto', display: 'block', margin: '0 auto' }}
+                fontFamily="sans-serif"
+            >
+                <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="#ffffff" />
+
+                {/* Axes and ticks */}
+                {yTicks.map(t => (
+                    <g key={`y${t}`}>
+                        <line x1={x(firstFrame) - 5} y1={y(t)} x2={x(firstFrame)} y2={y(t)} stroke="#334155" />
+                        <text x={x(firstFrame) - 8} y={y(t) + 4} fontSize="11" textAnchor="end" fill="#334155">{parameter.format(t)}</text>
+                    </g>
+                ))}
+                {xTicks.map(frame => (
+                    <g key={`x${frame}`}>
+                        <line x1={x(frame)} y1={y(0)} x2={x(frame)} y2={y(0) + 5} stroke="#334155" />
+                        <text x={x(frame)} y={y(0) + 18} fontSize="11" textAnchor="middle" fill="#334155">{frame}</text>
+                    </g>
+                ))}
+                <line x1={x(firstFrame)} y1={y(0)} x2={x(lastFrame)} y2={y(0)} stroke="#334155" />
+                <line x1={x(firstFrame)} y1={y(0)} x2={x(firstFrame)} y2={y(maxValue)} stroke="#334155" />
+                <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 10} fontSize="13" textAnchor="middle" fill="#1e293b">
+                    Frame
+                </text>
+                <text
+                    x={16}
+                    y={MARGIN.top + plotHeight / 2}
+                    fontSize="13"
+                    textAnchor="middle"
+                    fill="#1e293b"
+                    transform={`rotate(-90 16 ${MARGIN.top + plotHeight / 2})`}
+                >
+                    {parameter.label}
+                </text>
+
+                <polyline
+                    points={rows.map(r => `${x(r.index + 1).toFixed(2)},${y(r[parameter.key]).toFixed(2)}`).join(' ')}
+                    fill="none"
+                    stroke="#0f766e"
+                    strokeWidth="1.5"
+                />
+                {rows.map(r => {
+                    const isSelected = r.index === selectedStructureIndex;
+                    return (
+                        <circle
+                            key={r.index}
+                            cx={x(r.index + 1)}
+                            cy={y(r[parameter.key])}
+                            r={isSelected ? 6 : 3.5}
+                            fill={isSelected ? '#2563eb' : '#0f766e'}
+                            stroke="#ffffff"
+                            strokeWidth="1"
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => onSelectStructure && onSelectStructure(r.index)}
+                        >
+                            <title>
+                                {`${r.id}: Σ = ${r.sigma.toFixed(2)}°, Θ = ${r.theta.toFixed(2)}°, ζ = ${r.zeta.toFixed(4)} Å, Δ = ${r.delta.toExponential(2)}`}
+                            </title>
+                        </circle>
+                    );
+                })}
+            </svg>
+        </div>
+    );
+}
@@ -3,11 +3,20 @@
  *
  * Displays geometry analysis results table and references.
  * Updated for batch mode with structure ID display.
+ * Also hosts the continuous symmetry measure S(G) table, the verdict on
+ * whether the best geometry can be told apart from the runner-up, and the
+ * donor-to-vertex assignment of the selected geometry with each donor's
+ * share of its CShM. τ4/τ4′ (CN 4), τ5 (CN 5) and the octahedral Σ, Θ, ζ
+ * and Δ (CN 6) are shown beside the CShM ranking.
  */
 
-import React from 'react';
-import { POINT_GROUPS } from '../constants/referenceGeometries';
+import React, { useState } from 'react';
+import { getReferencePointGroup } from '../services/customPolyhedra';
+import { SYMMETRY_MEASURE, SHAPE_VERDICT } from '../constants/algorithmConstants';
 import { interpretShapeMeasure } from '../utils/geometry';
+import { contributionColor, formatDonorAtom, formatVertex, getCentreIndex } from '../services/shapeAnalysis/donorContributions';
+
+const formatCoordinate = value => value.toFixed(4).padStart(10);
 
 export default function ResultsDisplay({
     isLoading,
@@ -17,10 +26,36 @@ export default function ResultsDisplay({
     selectedMetal,
     selectedGeometryIndex = 0,
     onGeometrySelect,
+    uncertaintyResults = null,
+    symmetryResults = [],
+    isRunningSymmetry = false,
+    onSymmetryMeasure = null,
+    verdict = null,
+    ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN,
+    onAmbiguityMarginChange = null,
+    tauIndices = null,
+    octahedralDistortion = null,
     // v1.5.0 batch mode props
     structureId = null,
     batchMode = false
 }) {
+    // Monte Carlo CShM statistics from coordinate s.u., keyed by geometry name
+    const uncertaintyByName = new Map((uncertaintyResults || []).map(u => [u.name, u]));
+
+    // Point group for S(G); defaults to that of the best-matching polyhedron
+    const [pointGroup, setPointGroup] = useState(null);
+    const bestPointGroup = getReferencePointGroup(geometryResults[0]?.name);
+    const selectedPointGroup = pointGroup
+        || (SYMMETRY_MEASURE.POINT_GROUPS.includes(bestPointGroup) ? bestPointGroup : 'Ci');
+    const symmetryCellStyle = { padding: '0.5rem 0.75rem', borderBottom: '1px solid #e2e8f0' };
+
+    // Donor-to-vertex assignment of the geometry shown in the 3D view
+    const selectedResult = geometryResults[selectedGeometryIndex] || geometryResults[0];
+    const donors = selectedResult?.donors || [];
+    const centralAssignment = selectedResult?.centralAssignment || null;
+    const centreIndex = getCentreIndex(selectedResult);
+    const maxShare = Math.max(0, ...donors.map(d => d.share));
+
     return (
         <div>
             <h3 style={{
@@ -94,10 +129,96 @@ export default function ResultsDisplay({
                 </div>
             ) : geometryResults.length > 0 ? (
                 <div className="results-container">
+                    {verdict && (
+                        <div style={{
+                            padding: '0.75rem 1rem',
+                            marginBottom: '0.75rem',
+                            borderRadius: '8px',
+                            border: `1px solid ${verdict.ambiguous ? '#f59e0b' : '#86efac'}`,
+                            background: verdict.ambiguous ? '#fffbeb' : '#f0fdf4',
+                            fontSize: '0.9rem',
+                            color: '#1e293b'
+                        }}>
+                            <div style={{ fontWeight: 700 }}>
+                                {verdict.ambiguous ? '⚖️ Ambiguous: ' : '✅ Assigned: '}
+                                {verdict.label}
+                            </div>
+                            <div style={{ fontSize: '0.8rem', color: '#64748b', marginTop: '0.25rem' }}>
+                                {verdict.summary}
+                                {verdict.reasons.includes('distorted') && ' — both shapes are in the distorted range'}
+                            </div>
+                            {onAmbiguityMarginChange && (
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.8rem', color: '#64748b', marginTop: '0.5rem' }}>
+                                    Ambiguity margin (ΔCShM)
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.1"
+                                        value={ambiguityMargin}
+                                        onChange={(e) => {
+                                            const value = parseFloat(e.target.value);
+                                            if (Number.isFinite(value) && value >= 0) onAmbiguityMarginChange(value);
+                                        }}
+                                        style={{ width: '5rem', padding: '0.25rem', border: '1px solid #e2e8f0', borderRadius: '4px' }}
+                                    />
+                                </label>
+                            )}
+                        </div>
+                    )}
+                    {tauIndices && (
+                        <div
+                            style={{
+                                display: 'flex',
+                                flexWrap: 'wrap',
+                                gap: '0.5rem 1.25rem',
+                                padding: '0.6rem 1rem',
+                                marginBottom: '0.75rem',
+                                borderRadius: '8px',
+                                border: '1px solid #c7d2fe',
+                                background: '#eef2ff',
+                                fontSize: '0.85rem',
+                                color: '#1e293b'
+                            }}
+                            title={`From the two largest L–M–L angles: β = ${tauIndices.beta.toFixed(1)}°, α = ${tauIndices.alpha.toFixed(1)}°`}
+                        >
+                            {tauIndices.indices.map(index => (
+                                <span key={index.key}>
+                                    <strong style={{ fontFamily: 'monospace' }}>
+                                        {index.symbol} = {index.value.toFixed(3)}
+                                    </strong>
+                                    <span style={{ color: '#64748b' }}> ({index.interpretation})</span>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    {octahedralDistortion && (
+                        <div
+                            style={{
+                                display: 'flex',
+                                flexWrap: 'wrap',
+                                gap: '0.5rem 1.25rem',
+                                padding: '0.6rem 1rem',
+                                marginBottom: '0.75rem',
+                                borderRadius: '8px',
+                                border: '1px solid #c7d2fe',
+                                background: '#eef2ff',
+                                fontSize: '0.85rem',
+                                color: '#1e293b',
+                                fontFamily: 'monospace'
+                            }}
+                            title="Octahedral distortion: Σ over the 12 cis angles, Θ over the 24 trigonal-face angles, ζ and Δ from the 6 M–L bonds"
+                        >
+                            <strong>Σ = {octahedralDistortion.sigma.toFixed(2)}°</strong>
+                            <strong>Θ = {octahedralDistortion.theta.toFixed(2)}°</strong>
+                            <strong>ζ = {octahedralDistortion.zeta.toFixed(4)} Å</strong>
+                            <strong>Δ = {octahedralDistortion.delta.toExponential(2)}</strong>
+                        </div>
+                    )}
                     {geometryResults.slice(0, 15).map((r, i) => {
                         const inter = interpretShapeMeasure(r.shapeMeasure);
                         const isSelected = i === selectedGeometryIndex;
                         const isBest = i === 0;
+                        const stats = uncertaintyByName.get(r.name);
                         return (
                             <div
                                 key={i}
@@ -143,7 +264,7 @@ export default function ResultsDisplay({
                                         }}>
                                             {isSelected && '👁️ '}
                                             {i + 1}. {r.name}
-                                            {isBest && ' ⭐'}
+                                            {i < 2 && verdict?.ambiguous ? ' ⚖️' : isBest && ' ⭐'}
                                         </strong>
                                         <span style={{
                                             fontSize: '0.8rem',
@@ -151,8 +272,24 @@ export default function ResultsDisplay({
                                             fontFamily: 'monospace',
                                             fontWeight: 600
                                         }}>
-                                            {POINT_GROUPS[r.name] || ''}
+                                            {getReferencePointGroup(r.name)}
                                         </span>
+                                        {r.certified && (
+                                            <span
+                                                style={{ fontSize: '0.75rem', color: '#15803d', fontWeight: 600, marginLeft: '0.5rem' }}
+                                                title="Proven minimum over all ligand-to-vertex assignments"
+                                            >
+                                                ✓ certified minimum
+                                            </span>
+                                        )}
+                                        {!r.certified && r.coverage && (
+                                            <span
+                                                style={{ fontSize: '0.75rem', color: '#64748b', fontWeight: 600, marginLeft: '0.5rem' }}
+                                                title={`Best of ${r.coverage.gridPoints} refined grid rotations; every rotation lies within ${r.coverage.maxGapDegrees.toFixed(1)}° of one`}
+                                            >
+                                                SO(3) grid ≤ {r.coverage.maxGapDegrees.toFixed(1)}°
+                                            </span>
+                                        )}
                                     </div>
                                     <div style={{
                                         fontSize: '1.1rem',
@@ -161,6 +298,14 @@ export default function ResultsDisplay({
                                         fontFamily: 'monospace'
                                     }}>
                                         {Math.max(0, r.shapeMeasure).toFixed(4)}
+                                        {stats && (
+                                            <span
+                                                style={{ display: 'block', fontSize: '0.75rem', fontWeight: 600, color: '#b45309', textAlign: 'right' }}
+                                                title={`Monte Carlo over coordinate s.u.: range ${stats.min.toFixed(4)}–${stats.max.toFixed(4)}, ${stats.certifiedSamples} of ${stats.samples} samples certified`}
+                                            >
+                                                MC {stats.mean.toFixed(4)} ± {stats.stdDev.toFixed(4)}
+                                            </span>
+                                        )}
                                     </div>
                                 </div>
                                 <div style={{
@@ -212,6 +357,223 @@ export default function ResultsDisplay({
                 </div>
             )}
 
+            {/* Donor Contributions Section */}
+            {!isLoading && donors.length > 0 && Number.isFinite(selectedResult.shapeMeasure) && (
+                <div style={{
+                    marginTop: '2rem',
+                    padding: '1.5rem',
+                    background: '#fff',
+                    border: '1px solid #e2e8f0',
+                    borderRadius: '12px',
+                    boxShadow: '0 2px 4px rgba(0,0,0,0.05)'
+                }}>
+                    <h3 style={{
+                        margin: '0 0 0.5rem 0',
+                        color: '#1e293b',
+                        fontSize: '1.25rem',
+                        fontWeight: 700
+                    }}>
+                        🎯 Donor Contributions
+                    </h3>
+                    <p style={{ margin: '0 0 1rem 0', color: '#64748b', fontSize: '0.85rem' }}>
+                        Ideal vertex of {selectedResult.name} matched to each donor and the donor&apos;s share
+                        of CShM = {Math.max(0, selectedResult.shapeMeasure).toFixed(4)}. Donors are coloured
+                        the same way in the 3D view.
+                    </p>
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                            <thead>
+                                <tr style={{ background: '#f1f5f9', color: '#334155', textAlign: 'left' }}>
+                                    <th style={symmetryCellStyle}>Donor</th>
+                                    <th style={{ ...symmetryCellStyle, textAlign: 'right' }}>Atom #</th>
+                                    <th style={symmetryCellStyle}>Ideal vertex</th>
+                                    <th style={{ ...symmetryCellStyle, textAlign: 'right' }}>Contribution</th>
+                                    <th style={symmetryCellStyle}>Share of CShM</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {[...donors].sort((a, b) => b.share - a.share).map(d => (
+                                    <tr key={d.ligandIndex}>
+                                        <td style={{ ...symmetryCellStyle, fontWeight: 600 }}>
+                                            <span style={{
+                                                display: 'inline-block',
+                                                width: '0.75rem',
+                                                height: '0.75rem',
+                                                borderRadius: '50%',
+                                                marginRight: '0.5rem',
+                                                background: contributionColor(d.share, maxShare)
+                                            }} />
+                                            {d.label || d.element}
+                                        </td>
+                                        <td style={{ ...symmetryCellStyle, textAlign: 'right', fontFamily: 'monospace' }}>
+                                            {formatDonorAtom(d)}
+                                        </td>
+                                        <td style={{ ...symmetryCellStyle, fontFamily: 'monospace' }}>
+                                            {formatVertex(d.vertexIndex, centreIndex)}
+                                        </td>
+                                        <td style={{ ...symmetryCellStyle, textAlign: 'right', fontFamily: 'monospace' }}>
+                                            {d.contribution.toFixed(4)}
+                                        </td>
+                                        <td style={{ ...symmetryCellStyle, minWidth: '8rem' }}>
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                                <div style={{ flex: 1, height: '0.5rem', background: '#f1f5f9', borderRadius: '4px' }}>
+                                                    <div style={{
+                                                        width: `${(100 * d.share).toFixed(1)}%`,
+                                                        height: '100%',
+                                                        borderRadius: '4px',
+                                                        background: contributionColor(d.share, maxShare)
+                                                    }} />
+                                                </div>
+                                                <span style={{ fontFamily: 'monospace', minWidth: '3.5rem', textAlign: 'right' }}>
+                                                    {(100 * d.share).toFixed(1)}%
+                                                </span>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                                {centralAssignment && (
+                                    <tr style={{ color: '#64748b' }}>
+                                        <td style={symmetryCellStyle}>Central atom</td>
+                                        <td style={{ ...symmetryCellStyle, textAlign: 'right' }}>—</td>
+                                        <td style={{ ...symmetryCellStyle, fontFamily: 'monospace' }}>
+                                            {formatVertex(centralAssignment.vertexIndex, centreIndex)}
+                                        </td>
+                                        <td style={{ ...symmetryCellStyle, textAlign: 'right', fontFamily: 'monospace' }}>
+                                            {centralAssignment.contribution.toFixed(4)}
+                                        </td>
+                                        <td style={{ ...symmetryCellStyle, fontFamily: 'monospace', textAlign: 'right' }}>
+                                            {(100 * centralAssignment.share).toFixed(1)}%
+                                        </td>
+                                    </tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {/* Continuous Symmetry Measures Section */}
+            {onSymmetryMeasure && !isLoading && geometryResults.length > 0 && (
+                <div style={{
+                    marginTop: '2rem',
+                    padding: '1.5rem',
+                    background: '#fff',
+                    border: '1px solid #e2e8f0',
+                    borderRadius: '12px',
+                    boxShadow: '0 2px 4px rgba(0,0,0,0.05)'
+                }}>
+                    <div style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        flexWrap: 'wrap',
+                        gap: '0.75rem',
+                        marginBottom: '1rem'
+                    }}>
+                        <h3 style={{
+                            margin: 0,
+                            color: '#1e293b',
+                            fontSize: '1.25rem',
+                            fontWeight: 700
+                        }}>
+                            🪞 Continuous Symmetry Measures
+                        </h3>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                            <select
+                                value={selectedPointGroup}
+                                onChange={(e) => setPointGroup(e.target.value)}
+                                disabled={isRunningSymmetry}
+                                style={{
+                                    padding: '0.35rem 0.5rem',
+                                    border: '1px solid #cbd5e1',
+                                    borderRadius: '4px',
+                                    fontFamily: 'monospace'
+                                }}
+                            >
+                                {SYMMETRY_MEASURE.POINT_GROUPS.map(g => (
+                                    <option key={g} value={g}>{g}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => onSymmetryMeasure(selectedPointGroup)}
+                                disabled={isRunningSymmetry}
+                                style={{
+                                    background: isRunningSymmetry ? '#94a3b8' : '#6366f1',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    padding: '0.4rem 0.9rem',
+                                    fontSize: '0.85rem',
+                                    fontWeight: 600,
+                                    cursor: isRunningSymmetry ? 'not-allowed' : 'pointer'
+                                }}
+                            >
+                                {isRunningSymmetry ? 'Computing...' : 'Compute S(G)'}
+                            </button>
+                        </div>
+                    </div>
+
+                    {symmetryResults.length === 0 ? (
+                        <p style={{ margin: 0, color: '#64748b', fontSize: '0.85rem', fontStyle: 'italic' }}>
+                            S(G) measures how far the coordination sphere (metal included) is from the
+                            nearest structure with point group G: 0 = exactly symmetric, 100 = maximum.
+                        </p>
+                    ) : (
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                                <thead>
+                                    <tr style={{ background: '#f1f5f9', color: '#334155', textAlign: 'left' }}>
+                                        <th style={symmetryCellStyle}>Point group</th>
+                                        <th style={{ ...symmetryCellStyle, textAlign: 'right' }}>|G|</th>
+                                        <th style={{ ...symmetryCellStyle, textAlign: 'right' }}>S(G)</th>
+                                        <th style={symmetryCellStyle}>Closest symmetric structure (Å)</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {symmetryResults.map(r => (
+                                        <tr key={r.pointGroup} style={{ verticalAlign: 'top' }}>
+                                            <td style={{ ...symmetryCellStyle, fontFamily: 'monospace', fontWeight: 700, color: '#6366f1' }}>
+                                                {r.pointGroup}
+                                            </td>
+                                            <td style={{ ...symmetryCellStyle, textAlign: 'right', fontFamily: 'monospace' }}>
+                                                {r.order}
+                                            </td>
+                                            <td style={{
+                                                ...symmetryCellStyle,
+                                                textAlign: 'right',
+                                                fontFamily: 'monospace',
+                                                fontWeight: 700,
+                                                color: interpretShapeMeasure(r.measure).color
+                                            }}>
+                                                {Math.max(0, r.measure).toFixed(4)}
+                                            </td>
+                                            <td style={symmetryCellStyle}>
+                                                {r.symmetricCoords.length === 0 ? (
+                                                    <span style={{ color: '#94a3b8' }}>
+                                                        No {r.pointGroup}-symmetric arrangement of these atoms
+                                                    </span>
+                                                ) : (
+                                                    <details>
+                                                        <summary style={{ cursor: 'pointer', color: '#475569' }}>
+                                                            {r.symmetricCoords.length} atoms, metal last
+                                                        </summary>
+                                                        <pre style={{ margin: '0.5rem 0 0 0', fontSize: '0.8rem', color: '#334155' }}>
+                                                            {r.symmetricCoords.map((p, i) => (
+                                                                `${(i === r.symmetricCoords.length - 1 ? 'M' : `L${i + 1}`).padEnd(4)}${p.map(formatCoordinate).join('')}`
+                                                            )).join('\n')}
+                                                        </pre>
+                                                    </details>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* References Section */}
             <div style={{
                 marginTop: '2rem',
@@ -236,9 +598,12 @@ export default function ResultsDisplay({
                     <li style={{ marginBottom: '0.5rem' }}>
                         Alvarez, S. et al. <em>Coord. Chem. Rev.</em> <strong>2005</strong>, 249, 1693–1708.
                     </li>
-                    <li>
+                    <li style={{ marginBottom: '0.5rem' }}>
                         Llunell, M. et al. SHAPE 2.1, Universitat de Barcelona, 2013.
                     </li>
+                    <li>
+                        Zabrodsky, H.; Peleg, S.; Avnir, D. <em>J. Am. Chem. Soc.</em> <strong>1992</strong>, 114, 7843–7851.
+                    </li>
                 </ul>
             </div>
         </div>
@@ -0,0 +1,231 @@
+/**
+ * Shape Map Panel Component
+ *
+ * Scatter plot of S(A) against S(B) for every analysed structure of the
+ * batch, with the minimal distortion path between the ideal shapes A and B.
+ * Clicking a point selects that structure; the map exports to SVG and CSV.
+ */
+
+import React, { useMemo, useRef, useState } from 'react';
+import { getReferenceGeometries } from '../services/customPolyhedra';
+import { DISTORTION_PATH, SHAPE_MAP, CENTRAL_ATOM_MODES } from '../constants/algorithmConstants';
+import {
+    getMinimalPathCurve,
+    getDominantCoordinationNumber,
+    collectShapeMapPoints,
+    buildShapeMapCSV
+} from '../services/shapeAnalysis/shapeMap';
+import { downloadTextFile } from '../utils/download';
+
+// Plot geometry (SVG user units)
+const WIDTH = 480;
+const HEIGHT = 420;
+const MARGIN = { top: 20, right: 20, bottom: 50, left: 60 };
+const TICKS = 5;
+
+const shapeCode = name => name.split(' ')[0];
+
+export default function ShapeMapPanel({
+    structures,
+    batchResults,
+    selectedStructureIndex,
+    onSelectStructure,
+    fileName
+}) {
+    const svgRef = useRef(null);
+    const [shapeA, setShapeA] = useState(null);
+    const [shapeB, setShapeB] = useState(null);
+
+    const coordinationNumber = useMemo(() => getDominantCoordinationNumber(batchResults), [batchResults]);
+    // Not memoised: the user polyhedra library can change between renders
+    const names = Object.keys(getReferenceGeometries(coordinationNumber) || {});
+
+    // Default to the two best-ranked shapes of the first structure with this CN;
+    // its centre mode fixes the one of the map
+    const defaults = useMemo(() => {
+        const first = [...(batchResults?.values() || [])].find(r => r.coordinationNumber === coordinationNumber);
+        const ranked = (first?.geometryResults || []).map(r => r.name);
+        return [ranked[0] || names[0], ranked[1] || names[1], first?.centralAtomMode || CENTRAL_ATOM_MODES.INCLUDED];
+    }, [batchResults, coordinationNumber, names]);
+
+    const nameA = names.includes(shapeA) ? shapeA : defaults[0];
+    const nameB = names.includes(shapeB) ? shapeB : defaults[1];
+    const centralAtomMode = defaults[2];
+
+    const map = useMemo(() => {
+        if (!nameA || !nameB || nameA === nameB) return null;
+        try {
+            const { referenceMeasure, points } = collectShapeMapPoints(structures, batchResults, coordinationNumber, nameA, nameB, centralAtomMode);
+            const curve = referenceMeasure ? getMinimalPathCurve(referenceMeasure) : [];
+            return { referenceMeasure, points, curve };
+        } catch (error) {
+            console.warn('Shape map failed:', error);
+            return null;
+        }
+    }, [structures, batchResults, coordinationNumber, nameA, nameB, centralAtomMode]);
+
+    if (!coordinationNumber || names.length < 2) return null;
+
+    const selectStyle = {
+        padding: '0.35rem 0.5rem',
+        border: '1px solid #cbd5e1',
+        borderRadius: '4px',
+        fontSize: '0.85rem',
+        maxWidth: '100%'
+    };
+    const buttonStyle = {
+        background: '#0f766e',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        padding: '0.35rem 0.75rem',
+        fontSize: '0.85rem',
+        fontWeight: 600,
+        cursor: 'pointer'
+    };
+
+    // Shared scale for both axes so the path keeps its true shape
+    const maxMeasure = map
+        ? Math.max(
+            map.referenceMeasure || 0,
+            ...map.points.map(p => Math.max(p.measureA, p.measureB)),
+            1
+        ) * (1 + SHAPE_MAP.AXIS_MARGIN)
+        : 1;
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const x = value => MARGIN.left + (value / maxMeasure) * plotWidth;
+    const y = value => MARGIN.top + plotHeight - (value / maxMeasure) * plotHeight;
+    const ticks = Array.from({ length: TICKS + 1 }, (_, k) => (maxMeasure * k) / TICKS);
+
+    const baseName = (fileName || 'structures').replace(/\.[^.]+$/, '');
+    const exportName = `${baseName}_shape_map_${shapeCode(nameA || '')}_${shapeCode(nameB || '')}`;
+
+    const handleExportSVG = () => {
+        if (!svgRef.current) return;
+        const content = new XMLSerializer().serializeToString(svgRef.current);
+        downloadTextFile(content, `${exportName}.svg`, 'image/svg+xml');
+    };
+
+    const handleExportCSV = () => {
+        if (!map) return;
+        downloadTextFile(buildShapeMapCSV(map.points, map.curve, nameA, nameB), `${exportName}.csv`, 'text/csv');
+    };
+
+    return (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: '0.75rem',
+                flexWrap: 'wrap',
+                gap: '0.75rem'
+            }}>
+                <h3 style={{ margin: 0, color: '#1e293b', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <span>🗺️</span> Shape Map
+                    <span style={{ fontSize: '0.85rem', fontWeight: 500, color: '#64748b' }}>
+                        CN = {coordinationNumber}
+                    </span>
+                </h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button onClick={handleExportSVG} disabled={!map} style={buttonStyle}>⬇ SVG</button>
+                    <button onClick={handleExportCSV} disabled={!map} style={buttonStyle}>⬇ CSV</button>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+                <label style={{ fontSize: '0.85rem', color: '#475569' }}>x: A</label>
+                <select value={nameA} onChange={(e) => setShapeA(e.target.value)} style={selectStyle}>
+                    {names.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <label style={{ fontSize: '0.85rem', color: '#475569' }}>y: B</label>
+                <select value={nameB} onChange={(e) => setShapeB(e.target.value)} style={selectStyle}>
+                    {names.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </div>
+
+            {!map ? (
+                <p style={{ margin: 0, color: '#64748b', fontSize: '0.9rem', fontStyle: 'italic' }}>
+                    Choose two different reference shapes.
+                </p>
+            ) : (
+                <>
+                    <svg
+                        ref={svgRef}
+                        xmlns="http://www.w3.org/2000/svg"
+                        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                        style={{ width: '100%', maxWidth: `${WIDTH}px`, height: 'auto', display: 'block', margin: '0 auto' }}
+                        fontFamily="sans-serif"
+                    >
+                        <rect x="0" y="0" width={WIDTH} height={HEIGHT} fill="#ffffff" />
+
+                        {/* Axes and ticks */}
+                        {ticks.map(t => (
+                            <g key={t}>
+                                <line x1={x(t)} y1={y(0)} x2={x(t)} y2={y(0) + 5} stroke="#334155" />
+                                <text x={x(t)} y={y(0) + 18} fontSize="11" textAnchor="middle" fill="#334155">{t.toFixed(1)}</text>
+                                <line x1={x(0) - 5} y1={y(t)} x2={x(0)} y2={y(t)} stroke="#334155" />
+                                <text x={x(0) - 8} y={y(t) + 4} fontSize="11" textAnchor="end" fill="#334155">{t.toFixed(1)}</text>
+                            </g>
+                        ))}
+                        <line x1={x(0)} y1={y(0)} x2={x(maxMeasure)} y2={y(0)} stroke="#334155" />
+                        <line x1={x(0)} y1={y(0)} x2={x(0)} y2={y(maxMeasure)} stroke="#334155" />
+                        <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 10} fontSize="13" textAnchor="middle" fill="#1e293b">
+                            S({shapeCode(nameA)})
+                        </text>
+                        <text
+                            x={16}
+                            y={MARGIN.top + plotHeight / 2}
+                            fontSize="13"
+                            textAnchor="middle"
+                            fill="#1e293b"
+                            transform={`rotate(-90 16 ${MARGIN.top + plotHeight / 2})`}
+                        >
+                            S({shapeCode(nameB)})
+                        </text>
+
+                        {/* Minimal distortion path */}
+                        {map.curve.length > 0 && (
+                            <polyline
+                                points={map.curve.map(c => `${x(c.measureA).toFixed(2)},${y(c.measureB).toFixed(2)}`).join(' ')}
+                                fill="none"
+                                stroke="#0f766e"
+                                strokeWidth="2"
+                            />
+                        )}
+
+                        {/* Structures */}
+                        {map.points.map(p => {
+                            const isSelected = p.index === selectedStructureIndex;
+                            const isOnPath = p.deviation !== null && p.deviation < DISTORTION_PATH.MAX_PATH_DEVIATION;
+                            return (
+                                <circle
+                                    key={p.index}
+                                    cx={x(p.measureA)}
+                                    cy={y(p.measureB)}
+                                    r={isSelected ? 7 : 5}
+                                    fill={isSelected ? '#2563eb' : isOnPath ? '#10b981' : '#f59e0b'}
+                                    stroke={isSelected ? '#1e3a8a' : '#ffffff'}
+                                    strokeWidth="1.5"
+                                    style={{ cursor: 'pointer' }}
+                                    onClick={() => onSelectStructure && onSelectStructure(p.index)}
+                                >
+                                    <title>
+                                        {`${p.id}: S(${shapeCode(nameA)}) = ${p.measureA.toFixed(3)}, S(${shapeCode(nameB)}) = ${p.measureB.toFixed(3)}`}
+                                        {p.deviation !== null && `, Δ = ${p.deviation.toFixed(3)}, φ = ${p.generalizedCoordinate.toFixed(1)}%`}
+                                    </title>
+                                </circle>
+                            );
+                        })}
+                    </svg>
+
+                    <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#64748b', textAlign: 'center' }}>
+                        {map.points.length} structure{map.points.length === 1 ? '' : 's'} plotted
+                        {' '}• green: on path (Δ &lt; {DISTORTION_PATH.MAX_PATH_DEVIATION}) • orange: off path • blue: selected
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,121 @@
+/**
+ * SHAPE Parity Table Component
+ *
+ * Side-by-side comparison of Q-Shape CShM values with those imported from
+ * a SHAPE 2.1 .tab output file. Rows outside the parity tolerance are
+ * highlighted.
+ */
+
+import React from 'react';
+import { SHAPE_PARITY } from '../constants/algorithmConstants';
+
+const formatValue = value => (value === null ? '—' : value.toFixed(5));
+
+export default function ShapeParityTable({
+    rows,
+    shapeLabel,
+    fileName,
+    onClear
+}) {
+    if (!rows || rows.length === 0) return null;
+
+    const compared = rows.filter(r => r.difference !== null);
+    const mismatches = compared.filter(r => r.isMismatch).length;
+    const maxDifference = compared.reduce((max, r) => Math.max(max, Math.abs(r.difference)), 0);
+
+    const cellStyle = { padding: '0.5rem 0.75rem', borderBottom: '1px solid #e2e8f0' };
+    const numberStyle = { ...cellStyle, textAlign: 'right', fontFamily: 'monospace' };
+
+    return (
+        <div className="card" style={{ marginTop: '1rem' }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: '0.75rem',
+                flexWrap: 'wrap',
+                gap: '0.75rem'
+            }}>
+                <h3 style={{ margin: 0, color: '#1e293b', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <span>⚖️</span> SHAPE Parity
+                    <span style={{ fontSize: '0.85rem', fontWeight: 500, color: '#64748b' }}>
+                        {shapeLabel} ({fileName})
+                    </span>
+                </h3>
+                {onClear && (
+                    <button
+                        onClick={onClear}
+                        style={{
+                            background: '#64748b',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            padding: '0.25rem 0.75rem',
+                            fontSize: '0.85rem',
+                            fontWeight: 600,
+                            cursor: 'pointer'
+                        }}
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            <div style={{
+                marginBottom: '0.75rem',
+                fontSize: '0.9rem',
+                color: mismatches > 0 ? '#b91c1c' : '#15803d',
+                fontWeight: 600
+            }}>
+                {mismatches > 0
+                    ? `⚠️ ${mismatches} of ${compared.length} geometries differ beyond tolerance`
+                    : `✓ All ${compared.length} geometries agree`}
+                <span style={{ color: '#64748b', fontWeight: 400 }}>
+                    {' '}(max |Δ| = {maxDifference.toFixed(5)}; tolerance {SHAPE_PARITY.ABSOLUTE_TOLERANCE} or {SHAPE_PARITY.RELATIVE_TOLERANCE * 100}%)
+                </span>
+            </div>
+
+            <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                    <thead>
+                        <tr style={{ background: '#f1f5f9', color: '#334155', textAlign: 'left' }}>
+                            <th style={cellStyle}>Geometry</th>
+                            <th style={{ ...cellStyle, textAlign: 'right' }}>Q-Shape</th>
+                            <th style={{ ...cellStyle, textAlign: 'right' }}>SHAPE 2.1</th>
+                            <th style={{ ...cellStyle, textAlign: 'right' }}>Δ</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(row => (
+                            <tr
+                                key={row.code}
+                                style={{
+                                    background: row.isMismatch ? '#fee2e2' : 'transparent',
+                                    color: row.difference === null ? '#94a3b8' : '#1e293b'
+                                }}
+                            >
+                                <td style={cellStyle}>
+                                    <strong>{row.code}</strong>
+                                    {row.name?.includes('(') && (
+                                        <span style={{ color: '#64748b' }}> {row.name.slice(row.name.indexOf('('))}</span>
+                                    )}
+                                </td>
+                                <td style={numberStyle}>{formatValue(row.qShape)}</td>
+                                <td style={numberStyle}>{formatValue(row.shape)}</td>
+                                <td style={{
+                                    ...numberStyle,
+                                    color: row.isMismatch ? '#b91c1c' : undefined,
+                                    fontWeight: row.isMismatch ? 700 : 400
+                                }}>
+                                    {row.difference === null
+                                        ? '—'
+                                        : `${row.difference >= 0 ? '+' : ''}${row.difference.toFixed(5)}`}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
@@ -1,7 +1,8 @@
 /**
  * 3D Visualization Component
  *
- * Displays the Three.js canvas with controls for ideal geometry, labels, and rotation
+ * Displays the Three.js canvas with controls for ideal geometry, labels, rotation,
+ * and colouring donors by their share of the CShM
  */
 
 import React from 'react';
@@ -11,9 +12,11 @@ export default function Visualization3D({
     showIdeal,
     showLabels,
     autoRotate,
+    colorByContribution = false,
     onShowIdealChange,
     onShowLabelsChange,
-    onAutoRotateChange
+    onAutoRotateChange,
+    onColorByContributionChange = null
 }) {
     return (
         <div className="visualization-card">
@@ -73,6 +76,28 @@ export default function Visualization3D({
                         />
                         Rotate
                     </label>
+                    {onColorByContributionChange && (
+                        <label
+                            style={{
+                                fontSize: '0.85rem',
+                                color: '#475569',
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '0.5rem',
+                                cursor: 'pointer',
+                                fontWeight: 500
+                            }}
+                            title="Colour donors from green (smallest) to red (largest share of the CShM)"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={colorByContribution}
+                                onChange={(e) => onColorByContributionChange(e.target.checked)}
+                                style={{ cursor: 'pointer' }}
+                            />
+                            Contributions
+                        </label>
+                    )}
                 </div>
             </div>
             <div className="canvas-container">
@@ -435,6 +435,77 @@ export const SHAPE_MEASURE = {
         DURING_REFINEMENT: 0.01
     },
 
+    /**
+     * Exact (certified) search for CN 8-12
+     *
+     * Intensive mode follows the annealing result with a branch-and-bound
+     * search over ligand → vertex assignments. For a fixed assignment the best
+     * rotation is exact (Horn quaternion); partial assignments are bounded by
+     * that rotation's overlap plus a rearrangement bound on the unassigned
+     * vertices, and assignments equivalent under the reference's rotation
+     * group are visited once.
+     */
+    EXACT: {
+        /**
+         * Coordination number range (CN 5-7 are already exhaustive)
+         */
+        MIN_CN: 8,
+        MAX_CN: 12,
+
+        /**
+         * Search tree node budget
+         *
+         * Very distorted spheres prune poorly; past this budget the best
+         * assignment found so far is returned without the certificate.
+         */
+        MAX_NODES: 400000,
+
+        /**
+         * Overlap tolerance for pruning
+         *
+         * Branches that cannot beat the incumbent overlap by more than this
+         * are discarded (ΔCShM below ~1e-7).
+         */
+        PRUNE_TOLERANCE: 1e-9,
+
+        /**
+         * Maximum vertex displacement of a reference self-rotation
+         *
+         * Only rotations that map the normalized reference onto itself within
+         * this distance are used to skip equivalent assignments. Shapes that
+         * are symmetric only approximately (e.g. fitted 2:6:2 polyhedra) would
+         * otherwise shift the minimum by up to N times their asymmetry.
+         */
+        SYMMETRY_TOLERANCE: 1e-8
+    },
+
+    /**
+     * SO(3) Grid Optimizer
+     *
+     * Deterministic alternative to annealing: every rotation of a quaternion
+     * grid (4n³ points, n = RESOLUTION) is refined by alternating Hungarian
+     * matching and the optimal rotation for that matching. The grid reports
+     * its worst-case angular gap (≈ 26° rotation at n = 6, ≈ 13° at n = 12).
+     */
+    SO3_GRID: {
+        /**
+         * Default boxes per hypercube cell edge (864 rotations)
+         */
+        RESOLUTION: 6,
+
+        /**
+         * Largest accepted resolution (16384 rotations)
+         */
+        MAX_RESOLUTION: 16,
+
+        /**
+         * Matching/rotation rounds per grid point
+         *
+         * Rounds stop earlier once the matching no longer changes.
+         */
+        MAX_REFINEMENT_ITERATIONS: 20
+    },
+
     /**
      * Key Orientations for Initial Search
      *
@@ -444,6 +515,63 @@ export const SHAPE_MEASURE = {
     NUM_KEY_ORIENTATIONS: 18
 };
 
+/**
+ * Central Atom Modes for CShM
+ *
+ * SHAPE can measure the coordination sphere with the central atom as an
+ * extra vertex (reference polyhedra have N+1 points) or on the N ligand
+ * vertices alone, centred on their centroid. Ligand-only values suit
+ * clusters, off-centre metals and older literature.
+ */
+export const CENTRAL_ATOM_MODES = {
+    /**
+     * Central atom at the origin is matched to the polyhedron centre
+     */
+    INCLUDED: 'included',
+
+    /**
+     * Ligand vertices only (SHAPE "n 0" input)
+     */
+    LIGAND_ONLY: 'ligand-only'
+};
+
+/**
+ * CShM Optimizers
+ *
+ * Rotation search used by calculateShapeMeasure outside the exhaustive CN 5-7
+ * range: stochastic annealing, or the deterministic SO(3) grid whose
+ * worst-case angular gap is known.
+ */
+export const SHAPE_OPTIMIZERS = {
+    /**
+     * Key orientations, Euler grid, annealing restarts and refinement
+     */
+    ANNEALING: 'annealing',
+
+    /**
+     * Refined quaternion grid (SHAPE_MEASURE.SO3_GRID)
+     */
+    SO3_GRID: 'so3-grid'
+};
+
+/**
+ * Random Seed Parameters
+ *
+ * Annealing restarts, power iteration start vectors and Monte Carlo sampling
+ * draw from a seeded generator, so a recorded seed reproduces every number.
+ */
+export const RANDOM_SEED = {
+    /**
+     * Seed used when none is given
+     */
+    DEFAULT: 12345,
+
+    /**
+     * Seeds are unsigned 32-bit integers
+     */
+    MAX: 4294967295
+};
+
 /**
  * Gap Detection Parameters
  *
@@ -477,6 +605,350 @@ export const GAP_DETECTION = {
     MAX_AUTO_CN: 12
 };
 
+/**
+ * Coordination Sphere Definitions
+ *
+ * How the automatic radius is chosen: at the largest gap in the sorted
+ * metal–neighbour distances, to include every neighbour whose ECoN
+ * bond weight reaches EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD, or to hold
+ * as many atoms as the metal's Voronoi–Dirichlet polyhedron has faces above
+ * VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD.
+ */
+export const SPHERE_DEFINITIONS = {
+    /**
+     * Midpoint of the largest distance gap (detectOptimalRadius)
+     */
+    GAP: 'gap',
+
+    /**
+     * Neighbours with ECoN weight ≥ threshold
+     */
+    ECON: 'econ',
+
+    /**
+     * Neighbours with a Voronoi–Dirichlet face of solid angle ≥ threshold
+     */
+    VORONOI: 'voronoi'
+};
+
+/**
+ * Effective Coordination Number Parameters
+ *
+ * Hoppe's effective coordination number (Z. Kristallogr. 1979, 150, 23):
+ * every neighbour at distance lᵢ has the bond weight
+ *   wᵢ = exp[1 − (lᵢ / l_av)⁶]
+ * where l_av is the weighted mean distance, found by iterating
+ *   l_av = Σ lᵢ wᵢ / Σ wᵢ  from l_av = l_min.
+ * ECoN = Σ wᵢ. The mean fictive ionic radius (MEFIR) applies the same
+ * iteration to the fictive radii lᵢ − R(ligand). Unlike a hard cutoff this
+ * stays meaningful for lanthanide and alkali centres whose distances have
+ * no clean gap.
+ */
+export const EFFECTIVE_COORDINATION = {
+    /**
+     * Default weight a neighbour needs to join an ECoN-weighted sphere
+     */
+    WEIGHT_THRESHOLD: 0.5,
+
+    /**
+     * Neighbour search cutoff for the weights (Å)
+     *
+     * At 1.5 × l_av a weight is already below 10⁻⁴.
+     */
+    SEARCH_CUTOFF: 6.0,
+
+    /**
+     * Convergence of the l_av iteration (Å) and its iteration limit
+     */
+    TOLERANCE: 1e-8,
+    MAX_ITERATIONS: 100,
+
+    /**
+     * Neighbours outside the sphere are listed from this weight up
+     */
+    DISPLAY_MIN_WEIGHT: 0.05,
+
+    /**
+     * Ligand ionic radii for MEFIR (Å, Shannon 1976, CN 6 anions)
+     *
+     * MEFIR is only reported when every weighted neighbour has a radius here.
+     */
+    LIGAND_IONIC_RADII: {
+        N: 1.46,
+        O: 1.40,
+        F: 1.33,
+        P: 2.12,
+        S: 1.84,
+        Cl: 1.81,
+        Se: 1.98,
+        Br: 1.96,
+        Te: 2.21,
+        I: 2.20
+    }
+};
+
+/**
+ * Voronoi–Dirichlet Coordination Parameters
+ *
+ * O'Keeffe's solid-angle criterion (Acta Cryst. A 1979, 35, 772): a
+ * neighbour coordinates when its face of the metal's Voronoi–Dirichlet
+ * polyhedron subtends a large enough solid angle Ω at the metal.
+ */
+export const VORONOI_COORDINATION = {
+    /**
+     * Default minimum face solid angle, as a fraction of the full sphere (Ω / 4π)
+     */
+    SOLID_ANGLE_THRESHOLD: 0.03,
+
+    /**
+     * Neighbour search cutoff and half-width of the bounding cube (Å)
+     *
+     * Atoms further than twice the polyhedron's circumradius cannot add a
+     * face; the cube only truncates the open cells of surface metals.
+     */
+    SEARCH_CUTOFF: 6.0
+};
+
+/**
+ * Periodic Neighbour Search Parameters
+ *
+ * For crystal structures (metadata.unitCell present), neighbours are searched
+ * over lattice translations of every atom instead of the raw atom list.
+ */
+export const PERIODIC_SEARCH = {
+    /**
+     * Search cutoff used by automatic radius detection (Å)
+     *
+     * Must exceed the 5.5 Å radius ceiling of detectOptimalRadius so the
+     * gap analysis sees the first atom beyond the coordination shell.
+     */
+    RADIUS_DETECTION_CUTOFF: 6.0,
+
+    /**
+     * Maximum search cutoff when looking for a target CN (Å)
+     *
+     * Gap detection doubles the cutoff from RADIUS_DETECTION_CUTOFF until
+     * CN + 1 neighbours are found; this bounds the number of images generated
+     * for sparse cells.
+     */
+    MAX_CUTOFF: 24.0
+};
+
+/**
+ * Uncertainty Propagation Parameters
+ *
+ * Monte Carlo propagation of coordinate standard uncertainties (CIF s.u.)
+ * into CShM values: every sample displaces the asymmetric-unit sites by
+ * Gaussian errors, moves their symmetry images with them and re-runs the
+ * shape measure from the nominal fit.
+ */
+export const UNCERTAINTY_PROPAGATION = {
+    /**
+     * Number of Monte Carlo samples
+     *
+     * The relative error of the estimated standard deviation is about
+     * 1/sqrt(2(n-1)), i.e. ~10% for 50 samples - enough to tell whether two
+     * CShM values differ by more than their spread.
+     */
+    SAMPLES: 50,
+
+    /**
+     * Number of best-ranked geometries to propagate
+     *
+     * Each sample costs one full CShM optimisation per geometry.
+     */
+    TOP_GEOMETRIES: 3,
+
+    /**
+     * Optimisation mode used for the nominal fits
+     *
+     * The samples start from the nominal rotation and only refine it by
+     * alternating matching and optimal rotation; CN 5-7 are exhaustive.
+     */
+    MODE: 'default',
+
+    /**
+     * Run the exact CN 8-12 search for every sample
+     *
+     * Off by default: each search may visit SHAPE_MEASURE.EXACT.MAX_NODES
+     * nodes, for every sample and geometry.
+     */
+    EXACT: false
+};
+
+/**
+ * SHAPE Parity Parameters
+ *
+ * Thresholds for flagging differences between Q-Shape and CShM values
+ * imported from a SHAPE 2.1 .tab output file.
+ */
+export const SHAPE_PARITY = {
+    /**
+     * Absolute CShM difference always accepted
+     *
+     * SHAPE prints CShM with 3-5 decimals, so smaller differences are
+     * rounding noise.
+     */
+    ABSOLUTE_TOLERANCE: 0.01,
+
+    /**
+     * Relative CShM difference accepted for large measures
+     *
+     * Matches the < 0.1% agreement reported for the parity benchmark.
+     */
+    RELATIVE_TOLERANCE: 0.001
+};
+
+/**
+ * Continuous Symmetry Measure Parameters
+ *
+ * S(G) of a coordination sphere is minimised over the orientation of the
+ * symmetry elements: candidate frames are built from ligand directions,
+ * bisectors and normals, screened with greedy matching, and the best ones
+ * refined by small rotations with the atoms assigned to symmetry orbits.
+ */
+export const SYMMETRY_MEASURE = {
+    /**
+     * Point groups offered in the results table
+     */
+    POINT_GROUPS: ['Ci', 'Cs', 'C2', 'C3', 'C4', 'S4', 'S6', 'D2h', 'D3h', 'D4h', 'D5h', 'D6h', 'Td', 'Oh'],
+
+    /**
+     * Principal axes kept for the spin search (Dnh, Td, Oh)
+     *
+     * Axes are first ranked with the operations that do not depend on the
+     * rotation about the axis (e.g. C4h in Oh).
+     */
+    AXIS_CANDIDATES: 8,
+
+    /**
+     * Rotations about each candidate principal axis tried during screening
+     *
+     * 12 steps = 30° apart; refinement recovers the remaining angle.
+     */
+    SPIN_STEPS: 12,
+
+    /**
+     * Number of screened frames refined with the exact assignment
+     */
+    REFINEMENT_CANDIDATES: 5,
+
+    /**
+     * Initial and final rotation steps of the refinement (radians)
+     */
+    INITIAL_STEP: 0.1,
+    MIN_STEP: 1e-4,
+
+    /**
+     * Alternations of orbit assignment and frame refinement
+     *
+     * The atom-to-orbit assignment is fixed while the frame is refined, then
+     * recomputed in the refined frame until S(G) stops improving.
+     */
+    ASSIGNMENT_ROUNDS: 3
+};
+
+/**
+ * Minimal Distortion Path Parameters
+ *
+ * Classification of structures between two reference polyhedra A and B
+ * (Cirera, Ruiz & Alvarez, Chem. Eur. J. 2006, 12, 3162).
+ */
+export const DISTORTION_PATH = {
+    /**
+     * Largest path deviation Δ for a structure to count as lying on the
+     * minimal distortion path
+     *
+     * Alvarez uses Δ < 0.1; structures above it are distorted in a way the
+     * A↔B interconversion does not describe.
+     */
+    MAX_PATH_DEVIATION: 0.1,
+
+    /**
+     * Optimisation mode for the CShM between the two ideal polyhedra
+     */
+    REFERENCE_MODE: 'default'
+};
+
+/**
+ * Geometry Verdict Parameters
+ *
+ * When the best-ranked shape cannot be told apart from the runner-up, the
+ * result is reported as lying between the two.
+ */
+export const SHAPE_VERDICT = {
+    /**
+     * Default CShM difference below which the two best shapes are ambiguous
+     *
+     * Comparable to the spread of CShM values from coordinate uncertainties
+     * and optimiser noise in typical crystal structures.
+     */
+    AMBIGUITY_MARGIN: 0.5,
+
+    /**
+     * CShM from which a structure counts as distorted from every reference
+     *
+     * Matches the "Moderate" boundary of interpretShapeMeasure.
+     */
+    DISTORTED_THRESHOLD: 3.0
+};
+
+/**
+ * Shape Map Parameters
+ *
+ * Plotting of S(A) against S(B) for a batch of structures.
+ */
+export const SHAPE_MAP = {
+    /**
+     * Points sampled along the minimal distortion path curve
+     */
+    PATH_POINTS: 101,
+
+    /**
+     * Headroom added above the largest plotted measure (fraction of range)
+     */
+    AXIS_MARGIN: 0.05
+};
+
+/**
+ * Geometry Index Parameters
+ *
+ * Angular τ indices for four- and five-coordinate complexes, from the two
+ * largest L–M–L angles β ≥ α:
+ * - τ5 = (β − α) / 60° (Addison et al., J. Chem. Soc., Dalton Trans. 1984, 1349)
+ * - τ4 = (360° − (α + β)) / 141° (Yang, Powell & Houser, Dalton Trans. 2007, 955)
+ * - τ4′ = (β − α) / (360° − θ) + (180° − β) / (180° − θ), θ = 109.5°
+ *   (Okuniewski et al., Polyhedron 2015, 90, 47)
+ */
+export const GEOMETRY_INDICES = {
+    /**
+     * Ideal tetrahedral angle θ in τ4′ (degrees)
+     */
+    TETRAHEDRAL_ANGLE: 109.5,
+
+    /**
+     * Limiting CN 4 shapes and their τ4 / τ4′ values
+     *
+     * Seesaw (β = 180°, α = 120°) and trigonal pyramid (α = β = 120°) are
+     * the trigonal bipyramid with an equatorial or axial vertex removed.
+     * τ4′ separates seesaw from the other shapes more clearly than τ4.
+     */
+    TAU4_REFERENCES: [
+        { name: 'square planar', tau4: 0, tau4Prime: 0 },
+        { name: 'seesaw', tau4: 0.43, tau4Prime: 0.24 },
+        { name: 'trigonal pyramidal', tau4: 0.85, tau4Prime: 0.85 },
+        { name: 'tetrahedral', tau4: 1, tau4Prime: 1 }
+    ],
+
+    /**
+     * Limiting CN 5 shapes and their τ5 values
+     */
+    TAU5_REFERENCES: [
+        { name: 'square pyramidal', tau5: 0 },
+        { name: 'trigonal bipyramidal', tau5: 1 }
+    ]
+};
+
 /**
  * File Parsing Parameters
  *
@@ -543,7 +1015,21 @@ export const ALGORITHM_PARAMS = {
     RING_DETECTION,
     PATTERN_DETECTION,
     SHAPE_MEASURE,
+    CENTRAL_ATOM_MODES,
+    SHAPE_OPTIMIZERS,
+    RANDOM_SEED,
     GAP_DETECTION,
+    SPHERE_DEFINITIONS,
+    EFFECTIVE_COORDINATION,
+    VORONOI_COORDINATION,
+    PERIODIC_SEARCH,
+    UNCERTAINTY_PROPAGATION,
+    SHAPE_PARITY,
+    SYMMETRY_MEASURE,
+    DISTORTION_PATH,
+    SHAPE_VERDICT,
+    SHAPE_MAP,
+    GEOMETRY_INDICES,
     FILE_PARSING,
     PROGRESS
 };
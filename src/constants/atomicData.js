@@ -135,3 +135,11 @@ export const ALL_METALS = new Set(
         })
         .map(([symbol]) => symbol)
 );
+
+/**
+ * Element symbols indexed by atomic number (index 0 is unused)
+ *
+ * ATOMIC_DATA is listed in atomic-number order, so position + 1 is Z.
+ * Used by parsers for formats that store atomic numbers (e.g. Gaussian output).
+ */
+export const ELEMENTS_BY_NUMBER = ['', ...Object.keys(ATOMIC_DATA)];
@@ -5,7 +5,7 @@
  * Bug fixed: 2025-01-05 - ALL_METALS incorrectly included H, C, N, O, etc.
  */
 
-import { ATOMIC_DATA, ALL_METALS } from './atomicData';
+import { ATOMIC_DATA, ALL_METALS, ELEMENTS_BY_NUMBER } from './atomicData';
 
 describe('ATOMIC_DATA', () => {
     test('should contain all common elements', () => {
@@ -361,3 +361,13 @@ describe('ALL_METALS - Critical Bug Fix Verification', () => {
         });
     });
 });
+
+describe('ELEMENTS_BY_NUMBER', () => {
+    test('maps atomic numbers to element symbols', () => {
+        expect(ELEMENTS_BY_NUMBER[1]).toBe('H');
+        expect(ELEMENTS_BY_NUMBER[26]).toBe('Fe');
+        expect(ELEMENTS_BY_NUMBER[57]).toBe('La');
+        expect(ELEMENTS_BY_NUMBER[92]).toBe('U');
+        expect(ELEMENTS_BY_NUMBER[109]).toBe('Mt');
+    });
+});
@@ -2057,4 +2057,4 @@ const POINT_GROUPS = {
     "TIC-60 (Truncated Icosahedron)": "Ih"
 };
 
-export { normalize, REFERENCE_GEOMETRIES, POINT_GROUPS };
+export { normalize, normalizeScale, REFERENCE_GEOMETRIES, POINT_GROUPS };
@@ -13,9 +13,11 @@
 
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { runIntensiveAnalysisAsync } from '../services/coordination/intensiveAnalysis';
-import { detectMetalCenter } from '../services/coordination/metalDetector';
+import { detectStructureMetalCenter } from '../services/coordination/metalDetector';
 import { detectOptimalRadius } from '../services/coordination/radiusDetector';
 import { getCoordinatingAtoms } from '../services/coordination/sphereDetector';
+import { detectVoronoiCoordination } from '../services/coordination/voronoiCoordination';
+import { CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, RANDOM_SEED, SPHERE_DEFINITIONS, EFFECTIVE_COORDINATION, VORONOI_COORDINATION } from '../constants/algorithmConstants';
 
 /**
  * @typedef {Object} StructureOverride
@@ -23,7 +25,17 @@ import { getCoordinatingAtoms } from '../services/coordination/sphereDetector';
  * @property {number} [radius] - Override coordination radius
  */
 
-export function useBatchAnalysis({ structures, onWarning, onError }) {
+export function useBatchAnalysis({
+    structures,
+    centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+    seed = RANDOM_SEED.DEFAULT,
+    optimizer = SHAPE_OPTIMIZERS.ANNEALING,
+    sphereDefinition = SPHERE_DEFINITIONS.GAP,
+    econThreshold = EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD,
+    voronoiThreshold = VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD,
+    onWarning,
+    onError
+}) {
     // Results storage: Map<structureIndex, results>
     const [batchResults, setBatchResults] = useState(new Map());
 
@@ -46,6 +58,16 @@ export function useBatchAnalysis({ structures, onWarning, onError }) {
         cancelRef.current = false;
     }, [structures]);
 
+    // Results measured with the other central atom mode are not comparable
+    useEffect(() => {
+        setBatchResults(new Map());
+    }, [centralAtomMode]);
+
+    // Auto-detected radii follow the sphere definition
+    useEffect(() => {
+        setBatchResults(new Map());
+    }, [sphereDefinition, econThreshold, voronoiThreshold]);
+
     /**
      * Get effective metal index for a structure (with override support)
      */
@@ -57,7 +79,7 @@ export function useBatchAnalysis({ structures, onWarning, onError }) {
 
         // Auto-detect
         if (structures[structureIndex]) {
-            return detectMetalCenter(structures[structureIndex].atoms);
+            return detectStructureMetalCenter(structures[structureIndex]);
         }
         return null;
     }, [structures, structureOverrides]);
@@ -74,13 +96,14 @@ export function useBatchAnalysis({ structures, onWarning, onError }) {
         // Auto-detect
         if (structures[structureIndex]) {
             const atoms = structures[structureIndex].atoms;
+            const unitCell = structures[structureIndex].metadata?.unitCell || null;
             const metalIdx = getMetalIndex(structureIndex);
             if (metalIdx !== null && atoms[metalIdx]) {
-                return detectOptimalRadius(atoms[metalIdx], atoms);
+                return detectOptimalRadius(atoms[metalIdx], atoms, unitCell, { sphereDefinition, econThreshold, voronoiThreshold });
             }
         }
         return 3.0; // default
-    }, [structures, structureOverrides, getMetalIndex]);
+    }, [structures, structureOverrides, getMetalIndex, sphereDefinition, econThreshold, voronoiThreshold]);
 
     /**
      * Set override for a structure
@@ -147,23 +170,31 @@ export function useBatchAnalysis({ structures, onWarning, onError }) {
         }
 
         const atoms = structures[structureIndex].atoms;
+        const unitCell = structures[structureIndex].metadata?.unitCell || null;
         const metalIndex = getMetalIndex(structureIndex);
-        const radius = getRadius(structureIndex);
 
         if (metalIndex === null) {
             throw new Error(`No metal center detected for structure ${structureIndex}`);
         }
 
+        // A Voronoi sphere is the set of major-face neighbours; its radius is for display only
+        const voronoi = sphereDefinition === SPHERE_DEFINITIONS.VORONOI &&
+            structureOverrides.get(structureIndex)?.radius === undefined
+            ? detectVoronoiCoordination(atoms, metalIndex, unitCell, voronoiThreshold)
+            : null;
+        const radius = voronoi ? voronoi.radius : getRadius(structureIndex);
+
         const result = await runIntensiveAnalysisAsync(
             atoms,
             metalIndex,
             radius,
-            onProgress
+            onProgress,
+            { unitCell, bonds: structures[structureIndex].bonds, centralAtomMode, seed, optimizer, coordAtoms: voronoi?.coordAtoms }
         );
 
         // Compute coordinating atoms for this structure
         // This is needed for the batch report to show full details
-        const coordAtoms = getCoordinatingAtoms(atoms, metalIndex, radius);
+        const coordAtoms = voronoi ? voronoi.coordAtoms : getCoordinatingAtoms(atoms, metalIndex, radius, unitCell);
 
         // Store result with coordAtoms included
         setStructureResult(structureIndex, {
@@ -175,11 +206,14 @@ export function useBatchAnalysis({ structures, onWarning, onError }) {
             radius,
             coordAtoms, // Include coordAtoms for batch report
             coordinationNumber: coordAtoms.length || result.metadata?.coordinationNumber || 0,
-            analysisMode: 'intensive'
+            analysisMode: 'intensive',
+            centralAtomMode,
+            seed,
+            optimizer
         });
 
         return result;
-    }, [structures, getMetalIndex, getRadius, setStructureResult]);
+    }, [structures, structureOverrides, centralAtomMode, seed, optimizer, sphereDefinition, voronoiThreshold, getMetalIndex, getRadius, setStructureResult]);
 
     /**
      * Run batch analysis for all structures
@@ -298,10 +332,12 @@ export function useBatchAnalysis({ structures, onWarning, onError }) {
                 summary.push({
                     index,
                     id: structure.id,
+                    source: structure.source,
                     bestGeometry: result.bestGeometry?.name || 'N/A',
                     bestCShM: result.bestGeometry?.shapeMeasure ?? null,
                     coordinationNumber: result.coordinationNumber,
                     metalElement: structure.atoms[result.metalIndex]?.element || 'N/A',
+                    energy: structure.metadata?.energy ?? null,
                     analysisMode: result.analysisMode
                 });
             }
@@ -8,6 +8,9 @@
  * @param {Array} params.atoms - Molecular structure
  * @param {Number} params.selectedMetal - Selected metal center index
  * @param {Number} params.coordRadius - Coordination sphere radius
+ * @param {Object} params.unitCell - Unit cell (periodic neighbour search when present)
+ * @param {Array} [params.sphereAtoms] - Coordinating atoms chosen without a radius (Voronoi
+ *   major faces); used instead of the radius search when given
  *
  * @returns {Object} Coordination state
  * @returns {Array} coordAtoms - Atoms within coordination sphere
@@ -28,7 +31,9 @@ import { getCoordinatingAtoms } from '../services/coordination/sphereDetector';
 export function useCoordination({
     atoms = [],
     selectedMetal = null,
-    coordRadius = 3.0
+    coordRadius = 3.0,
+    unitCell = null,
+    sphereAtoms = null
 } = {}) {
     const [coordAtoms, setCoordAtoms] = useState([]);
 
@@ -40,13 +45,13 @@ export function useCoordination({
         }
 
         try {
-            const selected = getCoordinatingAtoms(atoms, selectedMetal, coordRadius);
+            const selected = sphereAtoms || getCoordinatingAtoms(atoms, selectedMetal, coordRadius, unitCell);
             setCoordAtoms(selected);
         } catch (error) {
             console.error("Error detecting coordination sphere:", error);
             setCoordAtoms([]);
         }
-    }, [atoms, selectedMetal, coordRadius]);
+    }, [atoms, selectedMetal, coordRadius, unitCell, sphereAtoms]);
 
     // Force update coordination sphere
     const updateCoordination = useCallback(() => {
@@ -56,13 +61,13 @@ export function useCoordination({
         }
 
         try {
-            const selected = getCoordinatingAtoms(atoms, selectedMetal, coordRadius);
+            const selected = sphereAtoms || getCoordinatingAtoms(atoms, selectedMetal, coordRadius, unitCell);
             setCoordAtoms(selected);
         } catch (error) {
             console.error("Error updating coordination sphere:", error);
             setCoordAtoms([]);
         }
-    }, [atoms, selectedMetal, coordRadius]);
+    }, [atoms, selectedMetal, coordRadius, unitCell, sphereAtoms]);
 
     return {
         coordAtoms,
@@ -2,7 +2,9 @@
  * useFileUpload Hook - v1.5.0
  *
  * Manages file upload, validation, and parsing for molecular structure files.
- * Supports XYZ (single/multi-frame) and CIF formats.
+ * Supports XYZ (single/multi-frame, extended XYZ), CIF, PDB, mmCIF, MOL/SDF,
+ * VASP POSCAR/CONTCAR and Gaussian/ORCA/xTB output formats. Several files,
+ * dropped folders and .zip/.gz archives are merged into one batch.
  *
  * v1.5.0 Changes:
  * - Uses unified parseInput API
@@ -14,11 +16,99 @@
  */
 
 import { useState, useCallback } from 'react';
-import { parseInput } from '../utils/parseInput';
-import { detectMetalCenter } from '../services/coordination/metalDetector';
+import { parseInputFiles } from '../utils/parseInput';
+import { extractArchive, isArchiveFile, isStructureFile } from '../utils/archiveReader';
+import { detectStructureMetalCenter } from '../services/coordination/metalDetector';
 import { detectOptimalRadius } from '../services/coordination/radiusDetector';
 import { isBatchMode } from '../types/structureTypes';
 
+/**
+ * Read a File as text, or as bytes for archives
+ *
+ * @param {File} file - Browser File object
+ * @param {boolean} asBytes - Return a Uint8Array instead of a string
+ * @returns {Promise<string|Uint8Array>}
+ */
+function readFile(file, asBytes) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            const data = ev.target?.result;
+            resolve(asBytes ? new Uint8Array(data) : String(data || ""));
+        };
+        reader.onerror = () => {
+            reject(new Error(`Failed to read ${file.name} - please check file permissions and try again`));
+        };
+        if (asBytes) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+    });
+}
+
+/**
+ * Collect dropped files, walking into dropped directories
+ *
+ * Uses the (widely supported) webkitGetAsEntry API; browsers without it
+ * fall back to the flat file list.
+ *
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer?.items || []);
+    const entries = items
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer?.files || []).map(file => ({ file, path: file.name }));
+    }
+
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+        }
+
+        // readEntries returns directory contents in batches until it returns []
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length > 0);
+
+        const nested = await Promise.all(children.map(walk));
+        return nested.flat();
+    };
+
+    const collected = await Promise.all(entries.map(walk));
+    return collected.flat().sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Display name for an upload: the file name without extension, the common
+ * top-level folder, or a file count
+ *
+ * @param {Array<{path: string}>} uploads - Uploaded files
+ * @returns {string}
+ */
+function describeUpload(uploads) {
+    if (uploads.length === 1) {
+        return uploads[0].path.split('/').pop()
+            .replace(/\.(zip|gz)$/i, '')
+            .replace(/\.(xyz|cif|pdb|ent|mmcif|mol|sdf|sd|log|out|vasp)$/i, '');
+    }
+
+    const folders = new Set(uploads.map(u => (u.path.includes('/') ? u.path.split('/')[0] : null)));
+    const [folder] = folders;
+    return folders.size === 1 && folder ? folder : `${uploads.length} files`;
+}
+
 export function useFileUpload() {
     // Core state
     const [structures, setStructures] = useState([]);
@@ -35,11 +125,12 @@ export function useFileUpload() {
     const batchMode = isBatchMode(structures);
 
     /**
-     * Handle file upload event
+     * Parse a list of uploaded files (archives are expanded) into one batch
+     *
+     * @param {Array<{file: File, path: string}>} uploads - Files with their relative paths
      */
-    const handleFileUpload = useCallback((e) => {
-        const file = e.target.files?.[0];
-        if (!file) return;
+    const loadFiles = useCallback(async (uploads) => {
+        if (!uploads || uploads.length === 0) return;
 
         // Reset all state for new upload
         setError(null);
@@ -48,93 +139,139 @@ export function useFileUpload() {
         setSelectedStructureIndex(0);
         setFileFormat(null);
         setUploadMetadata(null);
+        setFileName(describeUpload(uploads));
 
-        // Store filename without extension
-        const baseName = file.name.replace(/\.(xyz|cif)$/i, "");
-        setFileName(baseName);
+        try {
+            const files = [];
+            const readWarnings = [];
+            let skippedCount = 0;
 
-        const reader = new FileReader();
+            for (const { file, path } of uploads) {
+                if (isArchiveFile(path)) {
+                    const bytes = await readFile(file, true);
+                    const expanded = extractArchive(path, bytes);
+                    files.push(...expanded.files);
+                    readWarnings.push(...expanded.warnings);
+                } else if (uploads.length === 1 || isStructureFile(path)) {
+                    files.push({ path, content: await readFile(file, false) });
+                } else {
+                    // Folders often hold READMEs, images, ...
+                    skippedCount++;
+                }
+            }
 
-        reader.onload = (ev) => {
-            try {
-                const content = String(ev.target?.result || "");
+            if (skippedCount > 0) {
+                readWarnings.push(`${skippedCount} file(s) without a supported structure extension or VASP name were skipped`);
+            }
+            if (files.length === 0) {
+                throw new Error(['No structure files found in the upload', ...readWarnings].join('. '));
+            }
 
-                // Use unified parser
-                const result = parseInput(content, file.name);
+            // Use unified parser
+            const result = parseInputFiles(files);
 
-                if (!result.valid) {
-                    throw new Error(result.error);
-                }
+            if (!result.valid) {
+                throw new Error(result.error);
+            }
 
-                // Set warnings from parsing
-                if (result.warnings && result.warnings.length > 0) {
-                    setWarnings(result.warnings);
-                }
+            // Set warnings from reading and parsing
+            const allWarnings = [...readWarnings, ...(result.warnings || [])];
+            if (allWarnings.length > 0) {
+                setWarnings(allWarnings);
+            }
 
-                // Store structures
-                setStructures(result.structures);
-                setFileFormat(result.format);
+            // Store structures; optimization outputs open on the final geometry
+            const initialIndex = result.defaultStructureIndex ?? 0;
+            setStructures(result.structures);
+            setSelectedStructureIndex(initialIndex);
+            setFileFormat(result.format);
 
-                // Auto-detect metal and radius for first structure
-                const firstStructure = result.structures[0];
-                const firstAtoms = firstStructure.atoms;
+            // Auto-detect metal and radius for the initially selected structure
+            const initialStructure = result.structures[initialIndex];
+            const initialAtoms = initialStructure.atoms;
 
-                const metalIdx = detectMetalCenter(firstAtoms);
-                let optimalRadius = 3.0; // default
+            const metalIdx = detectStructureMetalCenter(initialStructure);
+            let optimalRadius = 3.0; // default
 
-                if (metalIdx != null && firstAtoms[metalIdx]) {
-                    optimalRadius = detectOptimalRadius(firstAtoms[metalIdx], firstAtoms);
+            if (metalIdx != null && initialAtoms[metalIdx]) {
+                optimalRadius = detectOptimalRadius(
+                    initialAtoms[metalIdx],
+                    initialAtoms,
+                    initialStructure.metadata?.unitCell
+                );
+            }
+
+            // Calculate per-structure metadata
+            const structureMetadata = result.structures.map((struct, index) => {
+                const structAtoms = struct.atoms;
+                const structMetal = detectStructureMetalCenter(struct);
+                let structRadius = 3.0;
+
+                if (structMetal != null && structAtoms[structMetal]) {
+                    structRadius = detectOptimalRadius(
+                        structAtoms[structMetal],
+                        structAtoms,
+                        struct.metadata?.unitCell
+                    );
                 }
 
-                // Calculate per-structure metadata
-                const structureMetadata = result.structures.map((struct, index) => {
-                    const structAtoms = struct.atoms;
-                    const structMetal = detectMetalCenter(structAtoms);
-                    let structRadius = 3.0;
-
-                    if (structMetal != null && structAtoms[structMetal]) {
-                        structRadius = detectOptimalRadius(structAtoms[structMetal], structAtoms);
-                    }
-
-                    return {
-                        index,
-                        id: struct.id,
-                        detectedMetalIndex: structMetal,
-                        suggestedRadius: structRadius,
-                        atomCount: structAtoms.length
-                    };
-                });
-
-                // Store upload metadata
-                setUploadMetadata({
-                    detectedMetalIndex: metalIdx,
-                    suggestedRadius: optimalRadius,
-                    atomCount: firstAtoms.length,
-                    uploadTime: Date.now(),
-                    format: result.format,
-                    frameCount: result.frameCount,
-                    isBatchMode: isBatchMode(result.structures),
-                    structureMetadata
-                });
-
-            } catch (err) {
-                console.error("File upload error:", err);
-                setError(err.message);
-                setStructures([]);
-                setUploadMetadata(null);
-            }
-        };
+                return {
+                    index,
+                    id: struct.id,
+                    source: struct.source,
+                    detectedMetalIndex: structMetal,
+                    suggestedRadius: structRadius,
+                    atomCount: structAtoms.length
+                };
+            });
 
-        reader.onerror = () => {
-            const errorMsg = "Failed to read file - please check file permissions and try again";
-            setError(errorMsg);
+            // Store upload metadata
+            setUploadMetadata({
+                detectedMetalIndex: metalIdx,
+                suggestedRadius: optimalRadius,
+                atomCount: initialAtoms.length,
+                uploadTime: Date.now(),
+                format: result.format,
+                frameCount: result.frameCount,
+                fileCount: files.length,
+                isBatchMode: isBatchMode(result.structures),
+                structureMetadata
+            });
+
+        } catch (err) {
+            console.error("File upload error:", err);
+            setError(err.message);
             setStructures([]);
             setUploadMetadata(null);
-        };
-
-        reader.readAsText(file);
+        }
     }, []);
 
+    /**
+     * Handle file input change (one or more files, or a folder)
+     */
+    const handleFileUpload = useCallback((e) => {
+        const uploads = Array.from(e.target.files || []).map(file => ({
+            file,
+            // Folder inputs give paths relative to the chosen directory
+            path: file.webkitRelativePath || file.name
+        }));
+        return loadFiles(uploads);
+    }, [loadFiles]);
+
+    /**
+     * Handle drag-and-drop of files, folders and archives
+     */
+    const handleFileDrop = useCallback(async (e) => {
+        e.preventDefault();
+        try {
+            const uploads = await collectDroppedFiles(e.dataTransfer);
+            await loadFiles(uploads);
+        } catch (err) {
+            console.error("File drop error:", err);
+            setError(`Failed to read dropped files: ${err.message}`);
+        }
+    }, [loadFiles]);
+
     /**
      * Select a structure by index (for batch mode)
      */
@@ -195,6 +332,7 @@ export function useFileUpload() {
 
         // Actions
         handleFileUpload,
+        handleFileDrop,
         selectStructure,
         selectStructureById,
         resetFileState,
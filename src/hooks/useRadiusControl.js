@@ -10,6 +10,10 @@
  * @param {Number} params.initialRadius - Initial radius value (default: 3.0)
  * @param {Array} params.atoms - Molecular structure
  * @param {Number} params.selectedMetal - Selected metal center index
+ * @param {Object} params.unitCell - Unit cell of the current structure (enables periodic search)
+ * @param {String} params.sphereDefinition - SPHERE_DEFINITIONS value used for the auto radius
+ * @param {Number} params.econThreshold - Minimum ECoN weight of an ECoN-weighted sphere
+ * @param {Number} params.voronoiThreshold - Minimum face solid angle (Ω / 4π) of a Voronoi sphere
  * @param {Function} params.onRadiusChange - Callback when radius changes
  * @param {Function} params.onWarning - Callback for warning messages
  *
@@ -35,11 +39,17 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import * as THREE from 'three';
 import { detectOptimalRadius } from '../services/coordination/radiusDetector';
+import findOptimalRadiusForCN, { formatGapDetectionResult } from '../services/algorithms/gapDetection';
+import { SPHERE_DEFINITIONS, EFFECTIVE_COORDINATION, VORONOI_COORDINATION } from '../constants/algorithmConstants';
 
 export function useRadiusControl({
     initialRadius = 3.0,
     atoms = [],
     selectedMetal = null,
+    unitCell = null,
+    sphereDefinition = SPHERE_DEFINITIONS.GAP,
+    econThreshold = EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD,
+    voronoiThreshold = VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD,
     onRadiusChange = null,
     onWarning = null
 } = {}) {
@@ -60,23 +70,26 @@ export function useRadiusControl({
     }, [coordRadius]);
 
     // Track if we've already auto-detected for this combination
-    // Structure: { metal, atomCount, autoRadius, radius }
+    // Structure: { metal, atomCount, autoRadius, sphereDefinition, econThreshold, voronoiThreshold, radius }
     const lastAutoDetectRef = useRef({ metal: null, atomCount: 0, autoRadius: true, radius: null });
 
-    // Auto-detect radius when metal or atom count changes (not on every render)
+    // Auto-detect radius when metal, atom count or sphere definition changes (not on every render)
     useEffect(() => {
         const atomCount = atoms.length;
 
         // Skip if already processed this exact combination
         if (selectedMetal === lastAutoDetectRef.current.metal &&
             atomCount === lastAutoDetectRef.current.atomCount &&
-            autoRadius === lastAutoDetectRef.current.autoRadius) {
+            autoRadius === lastAutoDetectRef.current.autoRadius &&
+            sphereDefinition === lastAutoDetectRef.current.sphereDefinition &&
+            econThreshold === lastAutoDetectRef.current.econThreshold &&
+            voronoiThreshold === lastAutoDetectRef.current.voronoiThreshold) {
             return;
         }
 
         if (selectedMetal != null && atomCount > 0 && autoRadius) {
             try {
-                const radius = detectOptimalRadius(atoms[selectedMetal], atoms);
+                const radius = detectOptimalRadius(atoms[selectedMetal], atoms, unitCell, { sphereDefinition, econThreshold, voronoiThreshold });
                 setCoordRadius(radius);
 
                 // Update ref to prevent re-processing
@@ -84,6 +97,9 @@ export function useRadiusControl({
                     metal: selectedMetal,
                     atomCount: atomCount,
                     autoRadius: autoRadius,
+                    sphereDefinition,
+                    econThreshold,
+                    voronoiThreshold,
                     radius: radius
                 };
 
@@ -103,7 +119,7 @@ export function useRadiusControl({
         }
     // Only depend on things that can change without atoms array changing
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [selectedMetal, atoms.length, autoRadius]);
+    }, [selectedMetal, atoms.length, autoRadius, sphereDefinition, econThreshold, voronoiThreshold]);
 
     // Handle text input change
     const handleRadiusInputChange = useCallback((e) => {
@@ -168,44 +184,24 @@ export function useRadiusControl({
         }
 
         try {
-            const metal = atoms[selectedMetal];
-            const center = new THREE.Vector3(metal.x, metal.y, metal.z);
+            // Gap detection between the CN-th and (CN+1)-th neighbours
+            const result = findOptimalRadiusForCN({
+                atoms,
+                metalIndex: selectedMetal,
+                targetCN: cn,
+                THREE,
+                unitCell,
+                maxCN: 60
+            });
 
-            // Calculate distances to all neighbors
-            const allNeighbors = atoms
-                .map((atom, idx) => {
-                    if (idx === selectedMetal) return null;
-                    const pos = new THREE.Vector3(atom.x, atom.y, atom.z);
-                    const distance = pos.distanceTo(center);
-                    if (!isFinite(distance)) return null;
-                    return { atom, idx, distance, vec: pos.sub(center) };
-                })
-                .filter((x) => x && x.distance > 0.1)
-                .sort((a, b) => a.distance - b.distance);
-
-            // Check if enough neighbors
-            if (allNeighbors.length < cn) {
+            if (result.error) {
                 if (onWarning) {
-                    onWarning(`Not enough neighbors for CN=${cn}. Found only ${allNeighbors.length}.`);
+                    onWarning(result.error);
                 }
                 return;
             }
 
-            // Find optimal radius using gap detection
-            const lastIncluded = allNeighbors[cn - 1];
-            let optimalRadius;
-            let gapInfo = "";
-
-            if (allNeighbors.length > cn) {
-                const firstExcluded = allNeighbors[cn];
-                optimalRadius = (lastIncluded.distance + firstExcluded.distance) / 2.0;
-                const gap = firstExcluded.distance - lastIncluded.distance;
-                gapInfo = ` (Gap to next atom: ${gap.toFixed(3)} Å)`;
-            } else {
-                optimalRadius = lastIncluded.distance + 0.4;
-                gapInfo = " (Last available atom)";
-            }
-
+            const optimalRadius = result.optimalRadius;
             setCoordRadius(optimalRadius);
             setAutoRadius(false);
 
@@ -214,7 +210,7 @@ export function useRadiusControl({
             }
 
             if (onWarning) {
-                onWarning(`✅ Set radius to ${optimalRadius.toFixed(3)} Å for CN=${cn}${gapInfo}`);
+                onWarning(`✅ ${formatGapDetectionResult(result, cn)}`);
             }
 
         } catch (error) {
@@ -224,7 +220,7 @@ export function useRadiusControl({
             }
         }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [targetCNInput, selectedMetal, atoms]);
+    }, [targetCNInput, selectedMetal, atoms, unitCell]);
 
     // Manual radius setter (for external control)
     const updateRadius = useCallback((newRadius, isAuto = false) => {
@@ -11,6 +11,9 @@
  * @param {Object} params - Hook parameters
  * @param {Array} params.coordAtoms - Coordination sphere atoms
  * @param {Object} params.analysisParams - Analysis parameters {mode, key}
+ * @param {string} [params.centralAtomMode='included'] - CShM with or without the central atom (CENTRAL_ATOM_MODES)
+ * @param {number} [params.seed] - Optimisation seed (default RANDOM_SEED.DEFAULT)
+ * @param {string} [params.optimizer='annealing'] - Rotation search (SHAPE_OPTIMIZERS)
  * @param {Function} params.onWarning - Callback for warnings
  * @param {Function} params.onError - Callback for errors
  *
@@ -29,13 +32,18 @@
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { REFERENCE_GEOMETRIES } from '../constants/referenceGeometries';
+import { getReferenceGeometries, getCustomPolyhedraRevision } from '../services/customPolyhedra';
 import calculateShapeMeasure from '../services/shapeAnalysis/shapeCalculator';
+import { describeDonors } from '../services/shapeAnalysis/donorContributions';
+import { CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, RANDOM_SEED } from '../constants/algorithmConstants';
 import { calculateAdditionalMetrics, calculateQualityMetrics } from '../services/shapeAnalysis/qualityMetrics';
 
 export function useShapeAnalysis({
     coordAtoms = [],
     analysisParams = { mode: 'default', key: 0 },
+    centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+    seed = RANDOM_SEED.DEFAULT,
+    optimizer = SHAPE_OPTIMIZERS.ANNEALING,
     onWarning = null,
     onError = null
 } = {}) {
@@ -62,12 +70,13 @@ export function useShapeAnalysis({
             const coordKey = atoms.map(c =>
                 `${c.atom.element}${c.distance.toFixed(3)}`
             ).join('-');
-            return `${mode}-cn${atoms.length}-${coordKey}`;
+            // Results from before a user polyhedron was added must not be reused
+            return `${mode}-${centralAtomMode}-seed${seed}-${optimizer}-cn${atoms.length}-lib${getCustomPolyhedraRevision()}-${coordKey}`;
         } catch (error) {
             console.error("Error generating cache key:", error);
             return null;
         }
-    }, []);
+    }, [centralAtomMode, seed, optimizer]);
 
     // Add to cache with LRU eviction
     const addToCache = useCallback((key, value) => {
@@ -152,7 +161,7 @@ export function useShapeAnalysis({
         setAdditionalMetrics(metrics);
 
         // Get reference geometries for this CN
-        const geometries = REFERENCE_GEOMETRIES[cn];
+        const geometries = getReferenceGeometries(cn);
 
         if (!geometries) {
             setGeometryResults([]);
@@ -237,7 +246,7 @@ export function useShapeAnalysis({
                         if (isCancelled) return;
 
                         try {
-                            const { measure, alignedCoords, rotationMatrix } = calculateShapeMeasure(
+                            const { measure, alignedCoords, rotationMatrix, certified, coverage, assignment, centralAssignment } = calculateShapeMeasure(
                                 actualCoords,
                                 refCoords,
                                 analysisParams.mode,
@@ -250,7 +259,8 @@ export function useShapeAnalysis({
                                             ...progressInfo
                                         });
                                     }
-                                }
+                                },
+                                { centralAtomMode, seed, optimizer }
                             );
 
                             if (!isCancelled) {
@@ -259,7 +269,11 @@ export function useShapeAnalysis({
                                     shapeMeasure: measure,
                                     refCoords,
                                     alignedCoords,
-                                    rotationMatrix
+                                    rotationMatrix,
+                                    certified,
+                                    coverage,
+                                    donors: describeDonors(assignment, coordAtoms),
+                                    centralAssignment
                                 });
 
                                 processGeometry(index + 1);
@@ -309,7 +323,7 @@ export function useShapeAnalysis({
     // Don't include onWarning/onError in dependencies - they're stable callbacks
     // Including them causes infinite loops when they're recreated
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [coordAtoms, analysisParams, getCacheKey, addToCache]);
+    }, [coordAtoms, analysisParams, centralAtomMode, seed, optimizer, getCacheKey, addToCache]);
 
     return {
         // Results
@@ -2,6 +2,7 @@ import { useEffect, useRef } from 'react';
 import * as THREE from 'three';
 import { TrackballControls } from 'three/examples/jsm/controls/TrackballControls.js';
 import { ATOMIC_DATA } from '../constants/atomicData';
+import { contributionColor, matchDonors } from '../services/shapeAnalysis/donorContributions';
 
 /**
  * Custom hook for managing Three.js 3D visualization scene
@@ -13,6 +14,7 @@ import { ATOMIC_DATA } from '../constants/atomicData';
  * - Bond rendering as cylinders connecting metal center to coordinating atoms
  * - Atom label rendering using canvas textures and sprites
  * - Ideal geometry overlay visualization with wireframe
+ * - Optional colouring of donors by their share of the CShM
  * - Animation loop with proper cleanup on unmount
  * - Responsive canvas resizing
  *
@@ -25,6 +27,8 @@ import { ATOMIC_DATA } from '../constants/atomicData';
  * @param {boolean} params.autoRotate - Enable/disable automatic camera rotation
  * @param {boolean} params.showIdeal - Show/hide ideal geometry overlay
  * @param {boolean} params.showLabels - Show/hide atom element labels
+ * @param {boolean} params.colorByContribution - Colour donors by their share of the CShM
+ *   (bestGeometry.donors) instead of by element
  *
  * @returns {Object} Scene references
  * @returns {React.RefObject} sceneRef - Reference to the Three.js scene
@@ -41,7 +45,8 @@ import { ATOMIC_DATA } from '../constants/atomicData';
  *   bestGeometry,
  *   autoRotate,
  *   showIdeal,
- *   showLabels
+ *   showLabels,
+ *   colorByContribution
  * });
  */
 export function useThreeScene({
@@ -53,6 +58,7 @@ export function useThreeScene({
     autoRotate,
     showIdeal,
     showLabels,
+    colorByContribution = false,
     sceneKey // v1.5.0: Key to force scene re-render when structure/geometry changes
 }) {
     const sceneRef = useRef(null);
@@ -152,22 +158,30 @@ export function useThreeScene({
         backLight.position.set(0, -10, -15);
         scene.add(backLight);
 
-        // Render atoms as spheres
-        const coordinatedIdx = new Set(coordAtoms.map((c) => c.idx));
-
-        atoms.forEach((a, idx) => {
+        // Donor share of the CShM per coordAtoms entry, for contribution colouring
+        // (an atom index alone would merge periodic images of one donor)
+        const donors = colorByContribution ? bestGeometry?.donors || [] : [];
+        const donorShares = matchDonors(coordAtoms, donors).map(d => d?.share);
+        const maxShare = Math.max(0, ...donors.map(d => d.share));
+
+        // Render atoms as spheres - only the metal center and coordinating atoms.
+        // Coordinating atoms are taken from coordAtoms rather than the atom list so
+        // that donors from neighbouring cells (periodic search) appear at their
+        // translated positions.
+        const renderedAtoms = [
+            { a: atoms[selectedMetal], isMetal: true },
+            ...coordAtoms
+                .map((c, k) => ({ a: c?.atom, share: donorShares[k], isMetal: false }))
+                .filter(({ a }) => a)
+        ];
+
+        renderedAtoms.forEach(({ a, share, isMetal }) => {
             const data = ATOMIC_DATA[a.element] || { radius: 0.6, color: 0xcccccc };
-            const isMetal = idx === selectedMetal;
-            const isCoord = coordinatedIdx.has(idx);
-
-            // Only render metal center and coordinating atoms
-            if (!isMetal && !isCoord) {
-                return;
-            }
+            const isCoord = !isMetal;
 
             const geo = new THREE.SphereGeometry(data.radius * 0.3, 32, 32);
             const mat = new THREE.MeshStandardMaterial({
-                color: data.color,
+                color: share !== undefined ? new THREE.Color(contributionColor(share, maxShare)) : data.color,
                 metalness: isMetal ? 0.6 : 0.1,
                 roughness: isMetal ? 0.4 : 0.7,
                 emissive: isMetal ? new THREE.Color(data.color) : 0x000000,
@@ -328,7 +342,7 @@ export function useThreeScene({
             renderer.dispose();
         };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [atoms, selectedMetal, coordAtoms, bestGeometry, autoRotate, showIdeal, showLabels, sceneKey]);
+    }, [atoms, selectedMetal, coordAtoms, bestGeometry, autoRotate, showIdeal, showLabels, colorByContribution, sceneKey]);
 
     // Note: Auto-rotation is handled in the animation loop since TrackballControls
     // doesn't have built-in autoRotate support like OrbitControls
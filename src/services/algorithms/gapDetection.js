@@ -7,7 +7,8 @@
  * coordination shells.
  */
 
-import { GAP_DETECTION } from '../../constants/algorithmConstants.js';
+import { GAP_DETECTION, PERIODIC_SEARCH } from '../../constants/algorithmConstants.js';
+import { findPeriodicNeighbors, isValidUnitCell } from '../../utils/lattice.js';
 
 /**
  * Find optimal radius for a target coordination number
@@ -25,8 +26,11 @@ import { GAP_DETECTION } from '../../constants/algorithmConstants.js';
  * @param {Object} params - Parameters for gap detection
  * @param {Array<{x: number, y: number, z: number}>} params.atoms - All atoms in structure
  * @param {number} params.metalIndex - Index of the metal center atom
- * @param {number} params.targetCN - Target coordination number (2-60)
+ * @param {number} params.targetCN - Target coordination number (2-maxCN)
+ * @param {number} [params.maxCN=GAP_DETECTION.MAX_AUTO_CN] - Upper bound accepted for targetCN
  * @param {Object} params.THREE - THREE.js library object (for Vector3)
+ * @param {UnitCell|null} [params.unitCell=null] - Unit cell; when given, neighbours in
+ *   adjacent cells (lattice translations) are included
  * @returns {{
  *   optimalRadius: number,
  *   gap: number|null,
@@ -50,10 +54,17 @@ import { GAP_DETECTION } from '../../constants/algorithmConstants.js';
  *   }
  * }
  */
-export default function findOptimalRadiusForCN({ atoms, metalIndex, targetCN, THREE }) {
+export default function findOptimalRadiusForCN({
+    atoms,
+    metalIndex,
+    targetCN,
+    THREE,
+    unitCell = null,
+    maxCN = GAP_DETECTION.MAX_AUTO_CN
+}) {
     // Validate input
     const MIN_CN = 2; // Minimum meaningful coordination number
-    const MAX_CN = GAP_DETECTION.MAX_AUTO_CN;
+    const MAX_CN = maxCN;
     if (!Number.isFinite(targetCN) || targetCN < MIN_CN || targetCN > MAX_CN) {
         return {
             error: `Target CN must be between ${MIN_CN} and ${MAX_CN}`,
@@ -80,16 +91,18 @@ export default function findOptimalRadiusForCN({ atoms, metalIndex, targetCN, TH
 
         // Calculate distances to all neighbors
         const MIN_DISTANCE = 0.1; // Å - filter out overlapping/bonded atoms
-        const allNeighbors = atoms
-            .map((atom, idx) => {
-                if (idx === metalIndex) return null;
-                const pos = new THREE.Vector3(atom.x, atom.y, atom.z);
-                const distance = pos.distanceTo(center);
-                if (!isFinite(distance)) return null;
-                return { atom, idx, distance, vec: pos.sub(center) };
-            })
-            .filter((x) => x && x.distance > MIN_DISTANCE) // Filter out very close atoms (likely overlapping)
-            .sort((a, b) => a.distance - b.distance); // Sort by distance
+        const allNeighbors = isValidUnitCell(unitCell)
+            ? getPeriodicNeighbors(atoms, metalIndex, targetCN, unitCell, MIN_DISTANCE)
+            : atoms
+                .map((atom, idx) => {
+                    if (idx === metalIndex) return null;
+                    const pos = new THREE.Vector3(atom.x, atom.y, atom.z);
+                    const distance = pos.distanceTo(center);
+                    if (!isFinite(distance)) return null;
+                    return { atom, idx, distance, vec: pos.sub(center) };
+                })
+                .filter((x) => x && x.distance > MIN_DISTANCE) // Filter out very close atoms (likely overlapping)
+                .sort((a, b) => a.distance - b.distance); // Sort by distance
 
         // Check if we have enough neighbors
         if (allNeighbors.length < targetCN) {
@@ -141,6 +154,37 @@ export default function findOptimalRadiusForCN({ atoms, metalIndex, targetCN, TH
     }
 }
 
+/**
+ * Collect periodic neighbours for gap detection
+ *
+ * The search cutoff starts at PERIODIC_SEARCH.RADIUS_DETECTION_CUTOFF and is
+ * doubled until targetCN + 1 neighbours are found (so the gap to the next
+ * shell is defined) or PERIODIC_SEARCH.MAX_CUTOFF is reached.
+ *
+ * @param {Array<Object>} atoms - All atoms in structure
+ * @param {number} metalIndex - Index of the metal center atom
+ * @param {number} targetCN - Target coordination number
+ * @param {UnitCell} unitCell - Unit cell parameters
+ * @param {number} minDistance - Minimum distance to keep (Å)
+ * @returns {Array<{atom: Object, idx: number, distance: number, image: number[]}>} Sorted neighbours
+ */
+function getPeriodicNeighbors(atoms, metalIndex, targetCN, unitCell, minDistance) {
+    let cutoff = PERIODIC_SEARCH.RADIUS_DETECTION_CUTOFF;
+    let neighbors = [];
+
+    for (;;) {
+        neighbors = findPeriodicNeighbors(atoms, metalIndex, cutoff, unitCell)
+            .filter((n) => n.distance > minDistance)
+            .map((n) => ({ atom: n.atom, idx: n.idx, distance: n.distance, image: n.offset }))
+            .sort((a, b) => a.distance - b.distance);
+
+        if (neighbors.length > targetCN || cutoff >= PERIODIC_SEARCH.MAX_CUTOFF) {
+            return neighbors;
+        }
+        cutoff = Math.min(cutoff * 2, PERIODIC_SEARCH.MAX_CUTOFF);
+    }
+}
+
 /**
  * Format gap detection result as a human-readable message
  * @param {Object} result - Result from findOptimalRadiusForCN
@@ -0,0 +1,145 @@
+/**
+ * Effective Coordination Number Service
+ *
+ * Hoppe's effective coordination number (ECoN) and mean fictive ionic radius
+ * (MEFIR) as a soft alternative to a hard coordination radius: each
+ * neighbour carries a bond weight between 0 and 1 (see
+ * EFFECTIVE_COORDINATION for the definitions), and an ECoN-weighted sphere
+ * contains the neighbours whose weight reaches a threshold.
+ */
+
+import { EFFECTIVE_COORDINATION } from '../../constants/algorithmConstants.js';
+import { getCoordinatingAtoms } from './sphereDetector.js';
+
+// Weighted mean of values with weights exp[1 − (value / mean)⁶], iterated from the minimum
+function weightedMean(values) {
+    let mean = Math.min(...values);
+    for (let iteration = 0; iteration < EFFECTIVE_COORDINATION.MAX_ITERATIONS; iteration++) {
+        const current = mean;
+        const weights = values.map(v => Math.exp(1 - (v / current) ** 6));
+        mean = values.reduce((sum, v, i) => sum + v * weights[i], 0) / weights.reduce((a, b) => a + b, 0);
+        if (Math.abs(mean - current) < EFFECTIVE_COORDINATION.TOLERANCE) break;
+    }
+    return mean;
+}
+
+/**
+ * Effective coordination number of a set of metal–neighbour distances
+ *
+ * @param {number[]} distances - Metal–neighbour distances (Å)
+ * @returns {{econ: number, weightedMeanDistance: number, weights: number[]}|null}
+ *   weights in input order; null without a positive finite distance
+ *
+ * @example
+ * calculateECoN([2.0, 2.0, 2.0, 2.0, 2.0, 2.0]);
+ * // { econ: 6, weightedMeanDistance: 2.0, weights: [1, 1, 1, 1, 1, 1] }
+ */
+export function calculateECoN(distances) {
+    if (!distances?.length || !distances.every(d => Number.isFinite(d) && d > 0)) return null;
+
+    const weightedMeanDistance = weightedMean(distances);
+    const weights = distances.map(d => Math.exp(1 - (d / weightedMeanDistance) ** 6));
+    return {
+        econ: weights.reduce((a, b) => a + b, 0),
+        weightedMeanDistance,
+        weights
+    };
+}
+
+/**
+ * Mean fictive ionic radius of the metal
+ *
+ * Fictive radii are the distances minus the ligand ionic radius
+ * (EFFECTIVE_COORDINATION.LIGAND_IONIC_RADII).
+ *
+ * @param {Array<{distance: number, element: string}>} neighbours - Weighted neighbours
+ * @returns {number|null} MEFIR (Å); null when a ligand element has no tabulated radius
+ */
+export function calculateMEFIR(neighbours) {
+    const radii = (neighbours || []).map(n => {
+        const ligandRadius = EFFECTIVE_COORDINATION.LIGAND_IONIC_RADII[n.element];
+        return ligandRadius === undefined ? null : n.distance - ligandRadius;
+    });
+    if (!radii.length || !radii.every(r => r !== null && r > 0)) return null;
+    return weightedMean(radii);
+}
+
+/**
+ * ECoN analysis of a metal centre
+ *
+ * Weights every neighbour within EFFECTIVE_COORDINATION.SEARCH_CUTOFF.
+ * MEFIR uses the neighbours of weight ≥ DISPLAY_MIN_WEIGHT, so distant
+ * second-shell atoms without an ionic radius do not suppress it.
+ *
+ * @param {Array<Object>} atoms - All atoms
+ * @param {number} metalIndex - Index of the metal centre
+ * @param {UnitCell|null} [unitCell=null] - Unit cell for periodic search
+ * @returns {Object|null} { econ, weightedMeanDistance, mefir, neighbours } where neighbours
+ *   are getCoordinatingAtoms entries with a weight, sorted by distance; null without neighbours
+ */
+export function analyseEffectiveCoordination(atoms, metalIndex, unitCell = null) {
+    try {
+        const neighbours = getCoordinatingAtoms(atoms, metalIndex, EFFECTIVE_COORDINATION.SEARCH_CUTOFF, unitCell);
+        const result = calculateECoN(neighbours.map(n => n.distance));
+        if (!result) return null;
+
+        const weighted = neighbours.map((n, i) => ({ ...n, weight: result.weights[i] }));
+        const mefir = calculateMEFIR(weighted
+            .filter(n => n.weight >= EFFECTIVE_COORDINATION.DISPLAY_MIN_WEIGHT)
+            .map(n => ({ distance: n.distance, element: n.atom.element })));
+
+        return {
+            econ: result.econ,
+            weightedMeanDistance: result.weightedMeanDistance,
+            mefir,
+            neighbours: weighted
+        };
+    } catch (error) {
+        console.warn('Effective coordination analysis failed:', error);
+        return null;
+    }
+}
+
+// Neighbours are the same atom when both index and lattice image agree
+const neighbourKey = n => `${n.idx}:${(n.image || [0, 0, 0]).join(',')}`;
+
+/**
+ * ECoN weight of each coordinating atom
+ *
+ * @param {Object|null} analysis - analyseEffectiveCoordination result
+ * @param {Array<Object>} coordAtoms - Coordinating atoms (idx and optional image)
+ * @returns {Array<number|null>} Weight per coordAtoms entry (null beyond the search cutoff)
+ */
+export function getDonorWeights(analysis, coordAtoms) {
+    const weights = new Map((analysis?.neighbours || []).map(n => [neighbourKey(n), n.weight]));
+    return (coordAtoms || []).map(c => weights.get(neighbourKey(c)) ?? null);
+}
+
+/**
+ * Radius of the ECoN-weighted coordination sphere
+ *
+ * Weights fall with distance, so the neighbours with weight ≥ threshold are
+ * the nearest ones; the radius lies midway to the first excluded neighbour.
+ *
+ * @param {Array<Object>} atoms - All atoms
+ * @param {number} metalIndex - Index of the metal centre
+ * @param {UnitCell|null} [unitCell=null] - Unit cell for periodic search
+ * @param {number} [threshold=EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD] - Minimum weight
+ * @returns {number|null} Radius (Å); null without neighbours
+ *
+ * @example
+ * const radius = detectEconRadius(atoms, metalIndex, null, 0.5);
+ * const coordAtoms = getCoordinatingAtoms(atoms, metalIndex, radius);
+ */
+export function detectEconRadius(atoms, metalIndex, unitCell = null, threshold = EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD) {
+    const analysis = analyseEffectiveCoordination(atoms, metalIndex, unitCell);
+    if (!analysis) return null;
+
+    const { neighbours } = analysis;
+    const count = Math.max(1, neighbours.filter(n => n.weight >= threshold).length);
+    const last = neighbours[count - 1].distance;
+    const next = neighbours[count]?.distance;
+    return next === undefined ? EFFECTIVE_COORDINATION.SEARCH_CUTOFF : (last + next) / 2;
+}
+
+export default analyseEffectiveCoordination;
@@ -0,0 +1,91 @@
+/**
+ * Effective Coordination Number Tests
+ *
+ * Hoppe's ECoN and MEFIR, and the ECoN-weighted coordination sphere.
+ */
+
+import {
+    calculateECoN,
+    calculateMEFIR,
+    analyseEffectiveCoordination,
+    getDonorWeights,
+    detectEconRadius
+} from './effectiveCoordination';
+import { detectOptimalRadius } from './radiusDetector';
+import { getCoordinatingAtoms } from './sphereDetector';
+import { SPHERE_DEFINITIONS } from '../../constants/algorithmConstants';
+
+// Six short bonds, two long contacts on the diagonals and a carbon further out
+const d = 2.5 / Math.sqrt(2);
+const atoms = [
+    { element: 'Eu', x: 0, y: 0, z: 0 },
+    { element: 'O', x: 2, y: 0, z: 0 },
+    { element: 'O', x: -2, y: 0, z: 0 },
+    { element: 'O', x: 0, y: 2, z: 0 },
+    { element: 'O', x: 0, y: -2, z: 0 },
+    { element: 'O', x: 0, y: 0, z: 2 },
+    { element: 'O', x: 0, y: 0, z: -2 },
+    { element: 'O', x: d, y: d, z: 0 },
+    { element: 'O', x: -d, y: -d, z: 0 },
+    { element: 'C', x: 0, y: 3.2, z: 0.5 }
+];
+
+describe('calculateECoN', () => {
+    test('equal distances give ECoN = N with unit weights', () => {
+        const result = calculateECoN([2.1, 2.1, 2.1, 2.1]);
+
+        expect(result.econ).toBeCloseTo(4, 10);
+        expect(result.weightedMeanDistance).toBeCloseTo(2.1, 10);
+        result.weights.forEach(w => expect(w).toBeCloseTo(1, 10));
+    });
+
+    test('longer contacts add fractional weight', () => {
+        const result = calculateECoN([2, 2, 2, 2, 2, 2, 2.5]);
+
+        expect(result.econ).toBeGreaterThan(6);
+        expect(result.econ).toBeLessThan(6.5);
+        expect(result.weights[6]).toBeLessThan(result.weights[0]);
+        expect(calculateECoN([])).toBeNull();
+    });
+});
+
+describe('calculateMEFIR', () => {
+    test('subtracts the ligand ionic radius', () => {
+        const neighbours = Array.from({ length: 6 }, () => ({ distance: 2.1, element: 'O' }));
+
+        expect(calculateMEFIR(neighbours)).toBeCloseTo(0.7, 10);
+        expect(calculateMEFIR([...neighbours, { distance: 2.1, element: 'C' }])).toBeNull();
+    });
+});
+
+describe('ECoN-weighted coordination sphere', () => {
+    test('weights every neighbour and maps them onto the donors', () => {
+        const analysis = analyseEffectiveCoordination(atoms, 0);
+        const weights = getDonorWeights(analysis, getCoordinatingAtoms(atoms, 0, 2.6));
+
+        expect(analysis.neighbours).toHaveLength(9);
+        expect(analysis.econ).toBeGreaterThan(6);
+        expect(analysis.econ).toBeLessThan(7);
+        expect(weights).toHaveLength(8);
+        expect(weights[0]).toBeGreaterThan(0.9);
+        expect(weights[7]).toBeLessThan(0.5);
+    });
+
+    test('the threshold decides which contacts join the sphere', () => {
+        const strict = detectEconRadius(atoms, 0, null, 0.5);
+        const loose = detectEconRadius(atoms, 0, null, 0.05);
+
+        expect(strict).toBeCloseTo(2.25, 10);
+        expect(getCoordinatingAtoms(atoms, 0, strict)).toHaveLength(6);
+        expect(getCoordinatingAtoms(atoms, 0, loose)).toHaveLength(8);
+    });
+
+    test('detectOptimalRadius switches to the ECoN definition', () => {
+        const radius = detectOptimalRadius(atoms[0], atoms, null, {
+            sphereDefinition: SPHERE_DEFINITIONS.ECON,
+            econThreshold: 0.5
+        });
+
+        expect(radius).toBeCloseTo(detectEconRadius(atoms, 0, null, 0.5), 10);
+    });
+});
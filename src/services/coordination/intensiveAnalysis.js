@@ -12,7 +12,11 @@
  */
 
 import { detectLigandGroups } from './ringDetector';
+import { getCoordinatingAtoms } from './sphereDetector';
 import { buildGeneralGeometry } from './patterns/geometryBuilder';
+import { describeDonors } from '../shapeAnalysis/donorContributions';
+import { isValidUnitCell, isTranslatedImage } from '../../utils/lattice.js';
+import { RING_DETECTION, CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, RANDOM_SEED } from '../../constants/algorithmConstants.js';
 
 /**
  * Get coordinated atom indices within specified radius of metal center
@@ -38,6 +42,25 @@ function getCoordinatedAtoms(atoms, metalIndex, radius) {
     return coordinated;
 }
 
+/**
+ * Build a local cluster (metal + periodic coordination sphere) for crystals
+ *
+ * Donors from neighbouring cells are translated copies, so the cluster is
+ * what ring detection and coordinate extraction must work on instead of the
+ * raw atom list. The metal is index 0 and donors are 1..CN; donorIndices
+ * and donorImages keep their indices in the original atom list and their
+ * lattice offsets.
+ */
+function buildPeriodicCluster(atoms, metalIndex, sphere) {
+    return {
+        atoms: [atoms[metalIndex], ...sphere.map(c => c.atom)],
+        metalIndex: 0,
+        coordIndices: sphere.map((_, i) => i + 1),
+        donorIndices: sphere.map(c => c.idx),
+        donorImages: sphere.map(c => c.image)
+    };
+}
+
 /**
  * Extract and center coordinated atoms relative to metal
  */
@@ -57,9 +80,25 @@ function extractCoordinatedCoords(atoms, metalIndex, coordIndices) {
  * @param {number} metalIndex - Index of central metal atom
  * @param {number} radius - Coordination sphere radius (Å)
  * @param {Function} onProgress - Progress callback
+ * @param {Object} [options={}] - Analysis options
+ * @param {Object} [options.unitCell] - Unit cell; enables periodic neighbour search
+ * @param {Array} [options.bonds] - Explicit bonds (Structure.bonds) for ring detection
+ * @param {string} [options.centralAtomMode='included'] - CShM with or without the central atom (CENTRAL_ATOM_MODES)
+ * @param {number} [options.seed] - Optimisation seed (default RANDOM_SEED.DEFAULT), recorded in metadata
+ * @param {string} [options.optimizer='annealing'] - Rotation search (SHAPE_OPTIMIZERS), recorded in metadata
+ * @param {Array<Object>} [options.coordAtoms] - Coordinating atoms (getCoordinatingAtoms entries)
+ *   chosen by another sphere definition (Voronoi faces); radius is then not used to select them
  * @returns {Promise<Object>} { geometryResults, ligandGroups, metadata }
  */
-export async function runIntensiveAnalysisAsync(atoms, metalIndex, radius, onProgress = null) {
+export async function runIntensiveAnalysisAsync(atoms, metalIndex, radius, onProgress = null, options = {}) {
+    const {
+        unitCell = null,
+        bonds = null,
+        centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+        seed = RANDOM_SEED.DEFAULT,
+        optimizer = SHAPE_OPTIMIZERS.ANNEALING,
+        coordAtoms = null
+    } = options;
     const startTime = Date.now();
 
     console.log(`Starting intensive analysis with intensive CShM for ${atoms[metalIndex].element}...`);
@@ -73,7 +112,17 @@ export async function runIntensiveAnalysisAsync(atoms, metalIndex, radius, onPro
     try {
         reportProgress('detecting', 0.1, 'Detecting coordination sphere...');
 
-        const coordIndices = getCoordinatedAtoms(atoms, metalIndex, radius);
+        let cluster;
+        if (coordAtoms) {
+            cluster = coordAtoms.some(c => isTranslatedImage(c.image))
+                ? buildPeriodicCluster(atoms, metalIndex, coordAtoms)
+                : { atoms, metalIndex, coordIndices: coordAtoms.map(c => c.idx) };
+        } else {
+            cluster = isValidUnitCell(unitCell)
+                ? buildPeriodicCluster(atoms, metalIndex, getCoordinatingAtoms(atoms, metalIndex, radius, unitCell))
+                : { atoms, metalIndex, coordIndices: getCoordinatedAtoms(atoms, metalIndex, radius) };
+        }
+        const coordIndices = cluster.coordIndices;
         const CN = coordIndices.length;
 
         console.log(`Found ${CN} atoms in coordination sphere`);
@@ -86,13 +135,21 @@ export async function runIntensiveAnalysisAsync(atoms, metalIndex, radius, onPro
 
         // Detect ligand groups for informational purposes only
         // This doesn't affect the ab initio CShM calculation
-        const ligandGroups = detectLigandGroups(atoms, metalIndex, coordIndices);
+        // Bond indices refer to the original atom list, which the periodic
+        // cluster renumbers - fall back to distance guesses there
+        const ligandGroups = detectLigandGroups(
+            cluster.atoms,
+            cluster.metalIndex,
+            coordIndices,
+            RING_DETECTION.MIN_RING_SIZE,
+            cluster.atoms === atoms ? bonds : null
+        );
         console.log(`Detected ${ligandGroups.ringCount} ring(s) and ${ligandGroups.monodentate.length} monodentate ligand(s)`);
 
         reportProgress('geometry', 0.3, 'Starting ab initio CShM analysis...');
 
         // Extract centered coordinates - use ALL coordinating atoms
-        const actualCoords = extractCoordinatedCoords(atoms, metalIndex, coordIndices);
+        const actualCoords = extractCoordinatedCoords(cluster.atoms, cluster.metalIndex, coordIndices);
 
         console.log(`Running ab initio analysis: evaluating ALL geometries for CN=${CN}`);
 
@@ -102,16 +159,28 @@ export async function runIntensiveAnalysisAsync(atoms, metalIndex, radius, onPro
         // *** AB INITIO APPROACH ***
         // Evaluate ALL reference geometries for this CN
         // No pattern detection, no geometry filtering, no special cases
-        const results = await buildGeneralGeometry(
+        const geometryResults = await buildGeneralGeometry(
             actualCoords,
             CN,
             'intensive',
             (progress) => {
                 // Forward CShM calculation progress to UI
                 reportProgress('geometry', 0.3 + (progress * 0.6), `Evaluating geometries... ${Math.round(progress * 100)}%`);
-            }
+            },
+            { centralAtomMode, seed, optimizer }
         );
 
+        // Name the donors of each vertex assignment by their original atom index
+        const donorAtoms = coordIndices.map((idx, k) => ({
+            atom: cluster.atoms[idx],
+            idx: cluster.donorIndices ? cluster.donorIndices[k] : idx,
+            image: cluster.donorImages?.[k]
+        }));
+        const results = geometryResults.map(({ assignment, ...result }) => ({
+            ...result,
+            donors: describeDonors(assignment, donorAtoms)
+        }));
+
         reportProgress('complete', 1.0, 'Analysis complete!');
 
         const elapsed = Date.now() - startTime;
@@ -126,7 +195,11 @@ export async function runIntensiveAnalysisAsync(atoms, metalIndex, radius, onPro
                 metalIndex,
                 radius,
                 coordinationNumber: CN,
+                periodic: cluster.atoms !== atoms,
                 intensiveMode: true,
+                centralAtomMode,
+                seed,
+                optimizer,
                 abInitio: true, // Pure ab initio - no pattern matching
                 geometryCount: results.length,
                 bestGeometry: results[0].name,
@@ -132,3 +132,21 @@ export function detectMetalCenter(atoms) {
         return 0;
     }
 }
+
+/**
+ * Detects the metal center of a parsed Structure
+ *
+ * Honours `metadata.metalIndex` set by parsers that split one file into
+ * several metal sites (PDB / mmCIF); otherwise falls back to
+ * detectMetalCenter on the structure's atoms.
+ *
+ * @param {Structure} structure - Parsed structure
+ * @returns {number} Index of the central metal atom
+ */
+export function detectStructureMetalCenter(structure) {
+    const metalIndex = structure?.metadata?.metalIndex;
+    if (Number.isInteger(metalIndex) && structure.atoms[metalIndex]) {
+        return metalIndex;
+    }
+    return detectMetalCenter(structure?.atoms);
+}
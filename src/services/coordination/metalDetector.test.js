@@ -5,7 +5,7 @@
  * Bug fixed: 2025-01-05 - Metals now have base score of 1000 to beat ligands
  */
 
-import { detectMetalCenter } from './metalDetector';
+import { detectMetalCenter, detectStructureMetalCenter } from './metalDetector';
 
 describe('detectMetalCenter', () => {
     describe('Basic functionality', () => {
@@ -393,3 +393,20 @@ describe('detectMetalCenter', () => {
         });
     });
 });
+
+describe('detectStructureMetalCenter', () => {
+    const atoms = [
+        { element: 'Zn', x: 0, y: 0, z: 0 },
+        { element: 'N', x: 2, y: 0, z: 0 },
+        { element: 'Zn', x: 20, y: 0, z: 0 }
+    ];
+
+    test('should honour metadata.metalIndex from the parser', () => {
+        expect(detectStructureMetalCenter({ atoms, metadata: { metalIndex: 2 } })).toBe(2);
+    });
+
+    test('should fall back to detection without a valid metalIndex', () => {
+        expect(detectStructureMetalCenter({ atoms, metadata: {} })).toBe(0);
+        expect(detectStructureMetalCenter({ atoms, metadata: { metalIndex: 9 } })).toBe(0);
+    });
+});
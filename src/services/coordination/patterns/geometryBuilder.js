@@ -8,6 +8,7 @@
 import { REFERENCE_GEOMETRIES } from '../../../constants/referenceGeometries/index.js';
 import { PATTERN_DETECTION } from '../../../constants/algorithmConstants.js';
 import calculateShapeMeasure from '../../shapeAnalysis/shapeCalculator';
+import { getReferenceGeometries } from '../../customPolyhedra';
 
 /**
  * Build geometry analysis for sandwich structures
@@ -255,11 +256,13 @@ export function buildMacrocycleGeometry(actualCoords, pattern, mode = 'intensive
  *
  * Used when no specific pattern is detected
  * Evaluates all reference geometries for the CN
+ *
+ * @param {Object} [options={}] - Passed to calculateShapeMeasure (e.g. centralAtomMode, seed, optimizer)
  */
-export async function buildGeneralGeometry(actualCoords, coordinationNumber, mode = 'intensive', onProgress = null) {
+export async function buildGeneralGeometry(actualCoords, coordinationNumber, mode = 'intensive', onProgress = null, options = {}) {
     console.log(`Building general geometry for CN=${coordinationNumber}`);
 
-    const geometries = REFERENCE_GEOMETRIES[coordinationNumber];
+    const geometries = getReferenceGeometries(coordinationNumber);
     if (!geometries) {
         throw new Error(`No reference geometries for CN=${coordinationNumber}`);
     }
@@ -272,11 +275,12 @@ export async function buildGeneralGeometry(actualCoords, coordinationNumber, mod
         const name = geometryNames[i];
         const refCoords = geometries[name];
 
-        const { measure, alignedCoords, rotationMatrix } = calculateShapeMeasure(
+        const { measure, alignedCoords, rotationMatrix, certified, coverage, assignment, centralAssignment } = calculateShapeMeasure(
             actualCoords,
             refCoords,
             mode,
-            null
+            null,
+            options
         );
 
         results.push({
@@ -285,6 +289,10 @@ export async function buildGeneralGeometry(actualCoords, coordinationNumber, mod
             refCoords,  // ADD: Needed for polyhedron rendering
             alignedCoords,
             rotationMatrix,
+            certified,
+            coverage,
+            assignment,
+            centralAssignment,
             pattern: 'general'
         });
 
@@ -5,6 +5,11 @@
  * based on distance analysis between metal center and surrounding atoms.
  */
 
+import { PERIODIC_SEARCH, SPHERE_DEFINITIONS, EFFECTIVE_COORDINATION, VORONOI_COORDINATION } from '../../constants/algorithmConstants.js';
+import { findPeriodicNeighbors, isValidUnitCell } from '../../utils/lattice.js';
+import { detectEconRadius } from './effectiveCoordination.js';
+import { detectVoronoiCoordination } from './voronoiCoordination.js';
+
 /**
  * Detects the optimal coordination radius for a metal center
  *
@@ -14,8 +19,19 @@
  * 3. Sets radius at the midpoint of the largest gap
  * 4. Constrains result between 1.8 and 5.5 Angstroms
  *
+ * With the ECoN sphere definition the radius instead encloses every neighbour
+ * whose effective coordination weight reaches the threshold, and with the
+ * Voronoi definition as many atoms as the metal's Voronoi–Dirichlet polyhedron
+ * has faces of solid angle above the threshold (no gap needed for either).
+ *
  * @param {Object} metal - Metal center atom with x, y, z coordinates
  * @param {Array<Object>} atoms - Array of all atoms in the structure
+ * @param {UnitCell|null} [unitCell=null] - Unit cell; when given, distances include
+ *   lattice-translated images in neighbouring cells
+ * @param {Object} [options] - Sphere definition
+ * @param {string} [options.sphereDefinition=SPHERE_DEFINITIONS.GAP] - SPHERE_DEFINITIONS value
+ * @param {number} [options.econThreshold=EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD] - Minimum ECoN weight
+ * @param {number} [options.voronoiThreshold=VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD] - Minimum face Ω / 4π
  * @returns {number} Optimal coordination radius in Angstroms (default: 3.0)
  *
  * @example
@@ -28,29 +44,29 @@
  * const radius = detectOptimalRadius(metal, atoms);
  * // Returns: 2.5 (approximate, depends on gap analysis)
  */
-export function detectOptimalRadius(metal, atoms) {
+export function detectOptimalRadius(metal, atoms, unitCell = null, {
+    sphereDefinition = SPHERE_DEFINITIONS.GAP,
+    econThreshold = EFFECTIVE_COORDINATION.WEIGHT_THRESHOLD,
+    voronoiThreshold = VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD
+} = {}) {
     try {
         if (!metal || !atoms || atoms.length === 0) {
             throw new Error("Invalid input for radius detection");
         }
 
-        const distances = atoms
-            .map((atom) => {
-                if (atom === metal) return null;
-                const dx = atom.x - metal.x;
-                const dy = atom.y - metal.y;
-                const dz = atom.z - metal.z;
-                const dist = Math.hypot(dx, dy, dz);
-
-                if (!isFinite(dist)) {
-                    console.warn(`Non-finite distance detected for atom ${atom.element}`);
-                    return null;
-                }
-
-                return dist;
-            })
-            .filter((d) => d !== null && d > 0.1)
-            .sort((a, b) => a - b);
+        if (sphereDefinition === SPHERE_DEFINITIONS.ECON) {
+            const econRadius = detectEconRadius(atoms, atoms.indexOf(metal), unitCell, econThreshold);
+            if (econRadius !== null) return econRadius;
+            console.warn("No neighbours for ECoN weighting, falling back to gap detection");
+        }
+
+        if (sphereDefinition === SPHERE_DEFINITIONS.VORONOI) {
+            const voronoi = detectVoronoiCoordination(atoms, atoms.indexOf(metal), unitCell, voronoiThreshold);
+            if (voronoi) return voronoi.radius;
+            console.warn("No Voronoi polyhedron for the metal, falling back to gap detection");
+        }
+
+        const distances = getNeighborDistances(metal, atoms, unitCell);
 
         if (distances.length === 0) {
             console.warn("No valid neighboring atoms found, using default radius");
@@ -81,3 +97,40 @@ export function detectOptimalRadius(metal, atoms) {
         return 3.0;
     }
 }
+
+/**
+ * Sorted metal-neighbour distances (> 0.1 Å)
+ *
+ * @param {Object} metal - Metal center atom
+ * @param {Array<Object>} atoms - Array of all atoms in the structure
+ * @param {UnitCell|null} unitCell - Unit cell for periodic search, or null
+ * @returns {number[]} Distances in ascending order
+ */
+function getNeighborDistances(metal, atoms, unitCell) {
+    const metalIndex = atoms.indexOf(metal);
+
+    if (isValidUnitCell(unitCell) && metalIndex >= 0) {
+        return findPeriodicNeighbors(atoms, metalIndex, PERIODIC_SEARCH.RADIUS_DETECTION_CUTOFF, unitCell)
+            .map((n) => n.distance)
+            .filter((d) => d > 0.1)
+            .sort((a, b) => a - b);
+    }
+
+    return atoms
+        .map((atom) => {
+            if (atom === metal) return null;
+            const dx = atom.x - metal.x;
+            const dy = atom.y - metal.y;
+            const dz = atom.z - metal.z;
+            const dist = Math.hypot(dx, dy, dz);
+
+            if (!isFinite(dist)) {
+                console.warn(`Non-finite distance detected for atom ${atom.element}`);
+                return null;
+            }
+
+            return dist;
+        })
+        .filter((d) => d !== null && d > 0.1)
+        .sort((a, b) => a - b);
+}
@@ -116,20 +116,32 @@ function isPlanar(atoms, tolerance = RING_DETECTION.PLANARITY_TOLERANCE) {
 }
 
 /**
- * Find rings of coordinated atoms using depth-first search
+ * Build the adjacency list between coordinated atoms
+ *
+ * Explicit bonds (MOL/SDF bond block) are used when available; otherwise
+ * connectivity is guessed from the BOND_THRESHOLD distance.
+ *
  * @param {Array} atoms - All atoms in structure
  * @param {Array} coordIndices - Indices of atoms in coordination sphere
- * @param {number} maxRingSize - Maximum ring size to detect (default: 8)
- * @returns {Array<Array<number>>} Array of rings (each ring is array of atom indices)
+ * @param {Array<{atom1: number, atom2: number}>|null} bonds - Explicit bonds, or null to guess
+ * @returns {Map<number, Array<number>>} Adjacency list keyed by atom index
  */
-function findRings(atoms, coordIndices, maxRingSize = RING_DETECTION.MAX_RING_SIZE) {
-    const rings = [];
-    const bondThreshold = RING_DETECTION.BOND_THRESHOLD;
-
-    // Build adjacency list for coordinated atoms only
+function buildAdjacency(atoms, coordIndices, bonds) {
     const adjList = new Map();
     coordIndices.forEach(i => adjList.set(i, []));
 
+    if (bonds) {
+        bonds.forEach(({ atom1, atom2 }) => {
+            if (adjList.has(atom1) && adjList.has(atom2)) {
+                adjList.get(atom1).push(atom2);
+                adjList.get(atom2).push(atom1);
+            }
+        });
+        return adjList;
+    }
+
+    const bondThreshold = RING_DETECTION.BOND_THRESHOLD;
+
     for (let i = 0; i < coordIndices.length; i++) {
         for (let j = i + 1; j < coordIndices.length; j++) {
             const idx1 = coordIndices[i];
@@ -143,6 +155,21 @@ function findRings(atoms, coordIndices, maxRingSize = RING_DETECTION.MAX_RING_SI
         }
     }
 
+    return adjList;
+}
+
+/**
+ * Find rings of coordinated atoms using depth-first search
+ * @param {Array} atoms - All atoms in structure
+ * @param {Array} coordIndices - Indices of atoms in coordination sphere
+ * @param {Array|null} bonds - Explicit bonds (null = guess from distances)
+ * @param {number} maxRingSize - Maximum ring size to detect (default: 8)
+ * @returns {Array<Array<number>>} Array of rings (each ring is array of atom indices)
+ */
+function findRings(atoms, coordIndices, bonds = null, maxRingSize = RING_DETECTION.MAX_RING_SIZE) {
+    const rings = [];
+    const adjList = buildAdjacency(atoms, coordIndices, bonds);
+
     // Find simple cycles using DFS
     const visited = new Set();
 
@@ -225,10 +252,13 @@ function detectHapticity(ringSize, ringAtoms) {
  * @param {number} metalIndex - Index of metal center
  * @param {Array} coordIndices - Indices of coordinated atoms
  * @param {number} minRingSize - Minimum ring size to detect (default: 3)
+ * @param {Array<{atom1: number, atom2: number}>|null} [bonds=null] - Explicit bonds from the
+ *   input file (Structure.bonds). Distance guesses fail on long M–C contacts, so these take
+ *   precedence when present.
  * @returns {Object} Detected ligand groups with rings and centroids
  */
-export function detectLigandGroups(atoms, metalIndex, coordIndices, minRingSize = RING_DETECTION.MIN_RING_SIZE) {
-    const rings = findRings(atoms, coordIndices);
+export function detectLigandGroups(atoms, metalIndex, coordIndices, minRingSize = RING_DETECTION.MIN_RING_SIZE, bonds = null) {
+    const rings = findRings(atoms, coordIndices, bonds);
 
     // Filter by minimum ring size
     const validRings = rings.filter(ring => ring.length >= minRingSize);
@@ -496,4 +496,40 @@ describe('Ring Detector', () => {
             expect(result.monodentate[0].distanceToMetal).toBeCloseTo(2.5, 10);
         });
     });
+
+    describe('Explicit bonds', () => {
+        // Square C4 ring with 1.9 Å edges - beyond the distance threshold
+        const atoms = [
+            { element: 'Fe', x: 0, y: 0, z: 0 },
+            { element: 'C', x: 0.95, y: 0.95, z: 1.8 },
+            { element: 'C', x: -0.95, y: 0.95, z: 1.8 },
+            { element: 'C', x: -0.95, y: -0.95, z: 1.8 },
+            { element: 'C', x: 0.95, y: -0.95, z: 1.8 }
+        ];
+        const ringBonds = [
+            { atom1: 1, atom2: 2, order: 4 },
+            { atom1: 2, atom2: 3, order: 4 },
+            { atom1: 3, atom2: 4, order: 4 },
+            { atom1: 4, atom2: 1, order: 4 },
+            { atom1: 0, atom2: 1, order: 1 }
+        ];
+
+        test('should use the bond table instead of distance guesses', () => {
+            expect(detectLigandGroups(atoms, 0, [1, 2, 3, 4]).ringCount).toBe(0);
+
+            const result = detectLigandGroups(atoms, 0, [1, 2, 3, 4], 3, ringBonds);
+            expect(result.ringCount).toBe(1);
+            expect(result.rings[0].hapticity).toBe('η⁴-C₄');
+        });
+
+        test('should not guess bonds missing from the bond table', () => {
+            const close = atoms.map((a, i) => (i === 0 ? a : { ...a, x: a.x * 0.7, y: a.y * 0.7 }));
+            expect(detectLigandGroups(close, 0, [1, 2, 3, 4]).ringCount).toBe(1);
+
+            const chain = ringBonds.slice(0, 3);
+            const result = detectLigandGroups(close, 0, [1, 2, 3, 4], 3, chain);
+            expect(result.ringCount).toBe(0);
+            expect(result.monodentate).toHaveLength(4);
+        });
+    });
 });
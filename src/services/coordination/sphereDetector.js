@@ -6,6 +6,7 @@
  */
 
 import * as THREE from 'three';
+import { findPeriodicNeighbors, isTranslatedImage, isValidUnitCell } from '../../utils/lattice.js';
 
 /**
  * Gets all coordinating atoms within a specified radius of the metal center
@@ -17,11 +18,14 @@ import * as THREE from 'three';
  * @param {Array<Object>} atoms - Array of all atoms with x, y, z, element properties
  * @param {number} metalIndex - Index of the metal center atom
  * @param {number} coordRadius - Coordination radius in Angstroms
+ * @param {UnitCell|null} [unitCell=null] - Unit cell; when given, neighbours are
+ *   searched across cell faces using lattice translations
  * @returns {Array<Object>} Array of coordinating atoms with properties:
- *   - atom: Original atom object
+ *   - atom: Original atom object (a translated copy for neighbouring-cell images)
  *   - idx: Original index in atoms array
  *   - distance: Distance from metal center (Å)
  *   - vec: THREE.Vector3 from metal center to atom
+ *   - image: [h, k, l] lattice offset (periodic search only)
  *
  * @example
  * const atoms = [
@@ -36,7 +40,7 @@ import * as THREE from 'three';
  * //   { atom: {N}, idx: 2, distance: 2.1, vec: Vector3(0, 2.1, 0) }
  * // ]
  */
-export function getCoordinatingAtoms(atoms, metalIndex, coordRadius) {
+export function getCoordinatingAtoms(atoms, metalIndex, coordRadius, unitCell = null) {
     if (!atoms || atoms.length === 0) {
         console.warn("No atoms provided for coordination sphere detection");
         return [];
@@ -55,6 +59,10 @@ export function getCoordinatingAtoms(atoms, metalIndex, coordRadius) {
     const metal = atoms[metalIndex];
     const center = new THREE.Vector3(metal.x, metal.y, metal.z);
 
+    if (isValidUnitCell(unitCell)) {
+        return getPeriodicCoordinatingAtoms(atoms, metalIndex, coordRadius, unitCell, center);
+    }
+
     const coordinating = atoms
         .map((atom, idx) => {
             if (idx === metalIndex) return null;
@@ -73,3 +81,35 @@ export function getCoordinatingAtoms(atoms, metalIndex, coordRadius) {
 
     return coordinating;
 }
+
+/**
+ * Periodic variant of getCoordinatingAtoms
+ *
+ * Donors found in a neighbouring cell are returned as translated copies of the
+ * original atom so that downstream code (rendering, reports) sees their real
+ * position; `idx` still refers to the untranslated atom.
+ *
+ * @param {Array<Object>} atoms - Array of all atoms
+ * @param {number} metalIndex - Index of the metal center atom
+ * @param {number} coordRadius - Coordination radius in Angstroms
+ * @param {UnitCell} unitCell - Unit cell parameters
+ * @param {THREE.Vector3} center - Metal position
+ * @returns {Array<Object>} Coordinating atoms sorted by distance
+ */
+function getPeriodicCoordinatingAtoms(atoms, metalIndex, coordRadius, unitCell, center) {
+    return findPeriodicNeighbors(atoms, metalIndex, coordRadius, unitCell)
+        .filter((n) => n.distance > 0.1)
+        .map((n) => {
+            const atom = isTranslatedImage(n.offset) ? { ...n.atom, ...n.position } : n.atom;
+            const pos = new THREE.Vector3(n.position.x, n.position.y, n.position.z);
+
+            return {
+                atom,
+                idx: n.idx,
+                distance: n.distance,
+                vec: pos.sub(center),
+                image: n.offset
+            };
+        })
+        .sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,79 @@
+/**
+ * Test Suite for Coordination Sphere Detection
+ *
+ * Covers the plain distance search and the periodic (unit cell) search
+ * used for crystal structures.
+ */
+
+import { getCoordinatingAtoms } from './sphereDetector';
+import { detectOptimalRadius } from './radiusDetector';
+import findOptimalRadiusForCN from '../algorithms/gapDetection';
+import * as THREE from 'three';
+
+const cell = { a: 8, b: 8, c: 8, alpha: 90, beta: 90, gamma: 90 };
+
+// Octahedral Fe at the cell origin: three donors are stored in the home cell
+// on the far side, so they are only 2.0 Å away through the cell faces.
+const atoms = [
+    { element: 'Fe', x: 0, y: 0, z: 0 },
+    { element: 'O', x: 2, y: 0, z: 0 },
+    { element: 'O', x: 0, y: 2, z: 0 },
+    { element: 'O', x: 0, y: 0, z: 2 },
+    { element: 'O', x: 6, y: 0, z: 0 },
+    { element: 'O', x: 0, y: 6, z: 0 },
+    { element: 'O', x: 0, y: 0, z: 6 }
+];
+
+describe('getCoordinatingAtoms', () => {
+    test('returns atoms within radius sorted by distance', () => {
+        const coord = getCoordinatingAtoms(atoms, 0, 2.5);
+        expect(coord).toHaveLength(3);
+        expect(coord[0].distance).toBeCloseTo(2, 10);
+        expect(coord[0].image).toBeUndefined();
+    });
+
+    test('finds donors in neighbouring cells when a unit cell is given', () => {
+        const coord = getCoordinatingAtoms(atoms, 0, 2.5, cell);
+        expect(coord).toHaveLength(6);
+
+        const images = coord.filter(c => c.image.some(v => v !== 0));
+        expect(images).toHaveLength(3);
+
+        const xImage = images.find(c => c.idx === 4);
+        expect(xImage.image).toEqual([-1, 0, 0]);
+        // Translated copy with the real position; the original atom is untouched
+        expect(xImage.atom.x).toBeCloseTo(-2, 10);
+        expect(atoms[4].x).toBe(6);
+        expect(xImage.vec.x).toBeCloseTo(-2, 10);
+    });
+
+    test('ignores an invalid unit cell', () => {
+        const coord = getCoordinatingAtoms(atoms, 0, 2.5, { a: 0, b: 0, c: 0 });
+        expect(coord).toHaveLength(3);
+    });
+});
+
+describe('periodic radius detection', () => {
+    test('detectOptimalRadius sees the full octahedron through cell faces', () => {
+        const radius = detectOptimalRadius(atoms[0], atoms, cell);
+        const coord = getCoordinatingAtoms(atoms, 0, radius, cell);
+        expect(coord).toHaveLength(6);
+    });
+
+    test('findOptimalRadiusForCN counts images from neighbouring cells', () => {
+        const result = findOptimalRadiusForCN({
+            atoms,
+            metalIndex: 0,
+            targetCN: 6,
+            THREE,
+            unitCell: cell
+        });
+
+        expect(result.error).toBeNull();
+        expect(result.optimalRadius).toBeGreaterThan(2);
+        expect(getCoordinatingAtoms(atoms, 0, result.optimalRadius, cell)).toHaveLength(6);
+
+        const molecular = findOptimalRadiusForCN({ atoms, metalIndex: 0, targetCN: 6, THREE });
+        expect(molecular.optimalRadius).toBeGreaterThan(5);
+    });
+});
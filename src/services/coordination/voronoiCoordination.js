@@ -0,0 +1,191 @@
+/**
+ * Voronoi–Dirichlet Coordination Service
+ *
+ * O'Keeffe's solid-angle definition of coordination (Acta Cryst. A 1979,
+ * 35, 772): the Voronoi–Dirichlet polyhedron (VDP) of the metal is the
+ * region closer to it than to any other atom, every face belongs to one
+ * neighbour, and a neighbour coordinates when its face subtends a large
+ * enough solid angle at the metal. O'Keeffe's fractional CN weights every
+ * face by Ω / Ω_max.
+ *
+ * The VDP is built by clipping a bounding cube with the bisecting plane of
+ * every neighbour within VORONOI_COORDINATION.SEARCH_CUTOFF, so metals on the
+ * surface of a molecule get a finite (truncated) polyhedron.
+ */
+
+import * as THREE from 'three';
+import { VORONOI_COORDINATION } from '../../constants/algorithmConstants.js';
+import { getCoordinatingAtoms } from './sphereDetector.js';
+
+// Distance below which two polyhedron vertices are the same point (Å)
+const EPSILON = 1e-9;
+
+// Axis-aligned cube of half-width h as faces with outward normals
+function boundingCube(h) {
+    const corner = (x, y, z) => new THREE.Vector3(x * h, y * h, z * h);
+    const quads = [
+        [[1, -1, -1], [1, 1, -1], [1, 1, 1], [1, -1, 1]],
+        [[-1, -1, -1], [-1, -1, 1], [-1, 1, 1], [-1, 1, -1]],
+        [[-1, 1, -1], [-1, 1, 1], [1, 1, 1], [1, 1, -1]],
+        [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]],
+        [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]],
+        [[-1, -1, -1], [-1, 1, -1], [1, 1, -1], [1, -1, -1]]
+    ];
+    return quads.map(quad => ({ neighbour: -1, vertices: quad.map(p => corner(...p)) }));
+}
+
+// Points on a plane (unit normal) in order around their centroid
+function orderOnPlane(points, normal) {
+    const unique = points.filter((p, i) => points.findIndex(q => q.distanceTo(p) < EPSILON) === i);
+    if (unique.length < 3) return null;
+
+    const centroid = unique.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(unique.length);
+    const u = new THREE.Vector3().subVectors(unique[0], centroid).normalize();
+    const w = new THREE.Vector3().crossVectors(normal, u);
+    const angle = p => {
+        const r = new THREE.Vector3().subVectors(p, centroid);
+        return Math.atan2(r.dot(w), r.dot(u));
+    };
+    return unique.sort((a, b) => angle(a) - angle(b));
+}
+
+// Clips a convex polyhedron (list of faces) to the half-space normal·x ≤ offset
+function clipPolyhedron(faces, normal, offset, neighbour) {
+    const clipped = [];
+    const cut = [];
+
+    for (const face of faces) {
+        const kept = [];
+        face.vertices.forEach((a, i) => {
+            const b = face.vertices[(i + 1) % face.vertices.length];
+            const da = normal.dot(a) - offset;
+            const db = normal.dot(b) - offset;
+            if (da <= EPSILON) kept.push(a);
+            if ((da < -EPSILON && db > EPSILON) || (da > EPSILON && db < -EPSILON)) {
+                const point = a.clone().lerp(b, da / (da - db));
+                kept.push(point);
+                cut.push(point);
+            } else if (Math.abs(da) <= EPSILON) {
+                cut.push(a);
+            }
+        });
+        if (kept.length >= 3) clipped.push({ ...face, vertices: kept });
+    }
+
+    const capVertices = orderOnPlane(cut, normal);
+    if (capVertices) clipped.push({ neighbour, vertices: capVertices });
+    return clipped;
+}
+
+// Solid angle of a planar polygon seen from the origin (Van Oosterom & Strackee)
+function polygonSolidAngle(vertices) {
+    let total = 0;
+    for (let i = 1; i < vertices.length - 1; i++) {
+        const [a, b, c] = [vertices[0], vertices[i], vertices[i + 1]];
+        const [la, lb, lc] = [a.length(), b.length(), c.length()];
+        const numerator = Math.abs(a.dot(new THREE.Vector3().crossVectors(b, c)));
+        const denominator = la * lb * lc + a.dot(b) * lc + a.dot(c) * lb + b.dot(c) * la;
+        let angle = 2 * Math.atan2(numerator, denominator);
+        if (angle < 0) angle += 2 * Math.PI;
+        total += angle;
+    }
+    return total;
+}
+
+/**
+ * Voronoi–Dirichlet polyhedron of a metal centre
+ *
+ * @param {Array<Object>} atoms - All atoms
+ * @param {number} metalIndex - Index of the metal centre
+ * @param {UnitCell|null} [unitCell=null] - Unit cell for periodic search
+ * @returns {Object|null} { faces, okeeffeCN, neighbours } where faces are
+ *   [{ neighbour, solidAngle, fraction, weight }] sorted by decreasing solid angle;
+ *   neighbour is one of the getCoordinatingAtoms entries in neighbours (sorted by
+ *   distance), fraction = Ω / 4π and weight = Ω / Ω_max. null without neighbours
+ *
+ * @example
+ * const vdp = calculateVoronoiPolyhedron(atoms, metalIndex);
+ * vdp.faces.map(f => `${f.neighbour.atom.element} ${(100 * f.fraction).toFixed(1)}%`);
+ */
+export function calculateVoronoiPolyhedron(atoms, metalIndex, unitCell = null) {
+    try {
+        const neighbours = getCoordinatingAtoms(atoms, metalIndex, VORONOI_COORDINATION.SEARCH_CUTOFF, unitCell);
+        if (neighbours.length === 0) return null;
+
+        // Bisecting plane of neighbour n: x · v ≤ |v|² / 2 with the metal at the origin
+        let faces = boundingCube(VORONOI_COORDINATION.SEARCH_CUTOFF);
+        neighbours.forEach((n, i) => {
+            const normal = n.vec.clone().normalize();
+            faces = clipPolyhedron(faces, normal, n.distance / 2, i);
+        });
+
+        const solidAngles = new Map();
+        faces.forEach(face => {
+            if (face.neighbour < 0) return;
+            solidAngles.set(face.neighbour, (solidAngles.get(face.neighbour) || 0) + polygonSolidAngle(face.vertices));
+        });
+        if (solidAngles.size === 0) return null;
+
+        const maxSolidAngle = Math.max(...solidAngles.values());
+        const voronoiFaces = [...solidAngles.entries()]
+            .map(([i, solidAngle]) => ({
+                neighbour: neighbours[i],
+                solidAngle,
+                fraction: solidAngle / (4 * Math.PI),
+                weight: solidAngle / maxSolidAngle
+            }))
+            .sort((a, b) => b.solidAngle - a.solidAngle);
+
+        return {
+            faces: voronoiFaces,
+            okeeffeCN: voronoiFaces.reduce((sum, f) => sum + f.weight, 0),
+            neighbours
+        };
+    } catch (error) {
+        console.warn('Voronoi polyhedron construction failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Coordination sphere from the major VDP faces
+ *
+ * The coordinating atoms are the neighbours whose face subtends a solid
+ * angle of at least threshold × 4π, which need not be the nearest atoms: a
+ * short contact hidden behind a donor has almost no face. The radius encloses
+ * the farthest of them (midway to the next neighbour) and is for display
+ * only; a sphere of that radius can hold extra, minor-face atoms.
+ *
+ * @param {Array<Object>} atoms - All atoms
+ * @param {number} metalIndex - Index of the metal centre
+ * @param {UnitCell|null} [unitCell=null] - Unit cell for periodic search
+ * @param {number} [threshold=VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD] - Minimum Ω / 4π
+ * @returns {Object|null} { coordinationNumber, coordAtoms, radius, okeeffeCN, faces } where
+ *   coordAtoms are the getCoordinatingAtoms entries of the major faces (with lattice image),
+ *   sorted by distance; null without a polyhedron
+ *
+ * @example
+ * const { coordAtoms } = detectVoronoiCoordination(atoms, metalIndex, unitCell);
+ */
+export function detectVoronoiCoordination(atoms, metalIndex, unitCell = null, threshold = VORONOI_COORDINATION.SOLID_ANGLE_THRESHOLD) {
+    const polyhedron = calculateVoronoiPolyhedron(atoms, metalIndex, unitCell);
+    if (!polyhedron) return null;
+
+    const { faces, neighbours } = polyhedron;
+    // Without a major face, the largest one still coordinates
+    const majorFaces = faces.filter(f => f.fraction >= threshold);
+    const major = new Set((majorFaces.length ? majorFaces : faces.slice(0, 1)).map(f => f.neighbour));
+    const coordAtoms = neighbours.filter(n => major.has(n));
+    const last = coordAtoms[coordAtoms.length - 1].distance;
+    const next = neighbours.find(n => n.distance > last)?.distance;
+
+    return {
+        coordinationNumber: coordAtoms.length,
+        coordAtoms,
+        radius: next === undefined ? VORONOI_COORDINATION.SEARCH_CUTOFF : (last + next) / 2,
+        okeeffeCN: polyhedron.okeeffeCN,
+        faces
+    };
+}
+
+export default detectVoronoiCoordination;
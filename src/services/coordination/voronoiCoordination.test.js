@@ -0,0 +1,104 @@
+/**
+ * Voronoi–Dirichlet Coordination Tests
+ *
+ * Face solid angles of the metal's Voronoi–Dirichlet polyhedron and the
+ * coordination sphere they define, for molecules and crystals.
+ */
+
+import { calculateVoronoiPolyhedron, detectVoronoiCoordination } from './voronoiCoordination';
+import { detectOptimalRadius } from './radiusDetector';
+import { getCoordinatingAtoms } from './sphereDetector';
+import { SPHERE_DEFINITIONS } from '../../constants/algorithmConstants';
+
+const atom = (element, x, y, z) => ({ element, x, y, z });
+
+const octahedron = [
+    atom('Fe', 0, 0, 0),
+    atom('O', 2, 0, 0), atom('O', -2, 0, 0),
+    atom('O', 0, 2, 0), atom('O', 0, -2, 0),
+    atom('O', 0, 0, 2), atom('O', 0, 0, -2)
+];
+
+// Square-planar Pt with two long axial contacts
+const squarePlanar = [
+    atom('Pt', 0, 0, 0),
+    atom('Cl', 2.3, 0, 0), atom('Cl', -2.3, 0, 0),
+    atom('N', 0, 2.05, 0), atom('N', 0, -2.05, 0),
+    atom('O', 0, 0, 3.1), atom('O', 0, 0, -3.3)
+];
+
+describe('calculateVoronoiPolyhedron', () => {
+    test('a regular octahedron gives six equal faces covering the sphere', () => {
+        const vdp = calculateVoronoiPolyhedron(octahedron, 0);
+
+        expect(vdp.faces).toHaveLength(6);
+        vdp.faces.forEach(face => expect(face.fraction).toBeCloseTo(1 / 6, 10));
+        expect(vdp.okeeffeCN).toBeCloseTo(6, 10);
+    });
+
+    test('atoms behind the donors have no face', () => {
+        // Hydrogens of aqua ligands, 0.96 Å out from each O
+        const aqua = [...octahedron, atom('H', 2.6, 0.7, 0), atom('H', -2.6, 0, 0.7), atom('H', 0, 2.6, 0.7)];
+        const vdp = calculateVoronoiPolyhedron(aqua, 0);
+
+        expect(vdp.faces.map(f => f.neighbour.atom.element)).not.toContain('H');
+        expect(vdp.faces.reduce((sum, f) => sum + f.fraction, 0)).toBeCloseTo(1, 10);
+    });
+});
+
+describe('detectVoronoiCoordination', () => {
+    test('the solid-angle threshold decides on long axial contacts', () => {
+        const loose = detectVoronoiCoordination(squarePlanar, 0, null, 0.03);
+        const strict = detectVoronoiCoordination(squarePlanar, 0, null, 0.15);
+
+        expect(loose.coordinationNumber).toBe(6);
+        expect(strict.coordinationNumber).toBe(4);
+        expect(strict.radius).toBeCloseTo((2.3 + 3.1) / 2, 10);
+        expect(strict.coordAtoms.map(c => c.atom.element).sort()).toEqual(['Cl', 'Cl', 'N', 'N']);
+        expect(getCoordinatingAtoms(squarePlanar, 0, strict.radius)).toHaveLength(4);
+    });
+
+    test('keeps a long major-face donor and drops a shorter minor-face atom', () => {
+        // C just behind an equatorial O is nearer than the axial O but has almost no face
+        const shielded = [
+            atom('Fe', 0, 0, 0),
+            atom('O', 2, 0, 0), atom('O', -2, 0, 0), atom('O', 0, 2, 0), atom('O', 0, -2, 0),
+            atom('O', 0, 0, 2.5), atom('O', 0, 0, -2.5),
+            atom('C', 2.15, 0.15, 0)
+        ];
+        const voronoi = detectVoronoiCoordination(shielded, 0);
+
+        expect(voronoi.coordinationNumber).toBe(6);
+        expect(voronoi.coordAtoms.map(c => c.idx).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+        expect(voronoi.coordAtoms[5].distance).toBeCloseTo(2.5, 10);
+        expect(voronoi.radius).toBeGreaterThan(2.5);
+        // The display radius alone would also take in the C
+        expect(getCoordinatingAtoms(shielded, 0, voronoi.radius)).toHaveLength(7);
+    });
+
+    test('closes the polyhedron through periodic images', () => {
+        const cell = { a: 8, b: 8, c: 8, alpha: 90, beta: 90, gamma: 90 };
+        const crystal = [
+            atom('Fe', 0, 0, 0),
+            atom('O', 2, 0, 0), atom('O', 0, 2, 0), atom('O', 0, 0, 2),
+            atom('O', 6, 0, 0), atom('O', 0, 6, 0), atom('O', 0, 0, 6)
+        ];
+        const voronoi = detectVoronoiCoordination(crystal, 0, cell);
+
+        expect(voronoi.coordinationNumber).toBe(6);
+        expect(voronoi.okeeffeCN).toBeCloseTo(6, 8);
+        // The far O atoms coordinate through their images one cell back
+        const images = voronoi.coordAtoms.filter(c => c.idx >= 4).map(c => c.image);
+        expect(images).toHaveLength(3);
+        images.forEach(image => expect(image.reduce((sum, k) => sum + k, 0)).toBe(-1));
+    });
+
+    test('detectOptimalRadius switches to the Voronoi definition', () => {
+        const radius = detectOptimalRadius(squarePlanar[0], squarePlanar, null, {
+            sphereDefinition: SPHERE_DEFINITIONS.VORONOI,
+            voronoiThreshold: 0.15
+        });
+
+        expect(radius).toBeCloseTo(2.7, 10);
+    });
+});
@@ -0,0 +1,353 @@
+/**
+ * User-Defined Reference Polyhedra
+ *
+ * Library of reference shapes that are not in REFERENCE_GEOMETRIES
+ * (crystal-field targets, idealised DFT geometries, ...):
+ * - Read a polyhedron from XYZ (central atom first, as in SHAPE input) or JSON
+ * - Scale-normalize it like the built-in shapes (central atom last)
+ * - Persist the library in localStorage
+ * - Export/import the whole library as one JSON file to share within a group
+ *
+ * getReferenceGeometries(cn) merges the library into the built-in shapes and
+ * is what the analysis pipelines iterate over.
+ */
+
+import { REFERENCE_GEOMETRIES, POINT_GROUPS, normalizeScale } from '../constants/referenceGeometries';
+import { parseXYZ } from '../utils/parseInput';
+
+export const CUSTOM_POLYHEDRA_STORAGE_KEY = 'q-shape.customPolyhedra';
+export const LIBRARY_FORMAT = 'q-shape-polyhedra';
+export const LIBRARY_VERSION = 1;
+
+// Characters allowed in shape codes, descriptive names and point groups. Names
+// end up in reports and CSV files, so markup and quote characters are refused.
+const SAFE_CODE = /^[A-Za-z0-9._-]+$/;
+const SAFE_LABEL = /^[\p{L}\p{N} .,:;+/°_-]*$/u;
+const SAFE_POINT_GROUP = /^[A-Za-z0-9∞]*$/;
+const SAFE_NAME = /^[\p{L}\p{N} .,:;+/°()_-]+$/u;
+
+// In-memory copy of the stored library (null until first read)
+let library = null;
+// Bumped on every change so analysis caches can tell libraries apart
+let revision = 0;
+
+/**
+ * Read the library from localStorage
+ *
+ * @returns {Array<Object>} Stored polyhedra (empty if storage is unavailable or corrupt)
+ */
+function readStorage() {
+    try {
+        if (typeof localStorage === 'undefined') return [];
+        const raw = localStorage.getItem(CUSTOM_POLYHEDRA_STORAGE_KEY);
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed.filter(p => validatePolyhedron(p) === null) : [];
+    } catch (error) {
+        console.warn('Could not read custom polyhedra library:', error);
+        return [];
+    }
+}
+
+/**
+ * Write the library to localStorage
+ */
+function writeStorage(polyhedra) {
+    try {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.setItem(CUSTOM_POLYHEDRA_STORAGE_KEY, JSON.stringify(polyhedra));
+    } catch (error) {
+        console.warn('Could not save custom polyhedra library:', error);
+    }
+}
+
+/**
+ * Check a stored/imported polyhedron record
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePolyhedron(p) {
+    if (!p || typeof p !== 'object') return 'Polyhedron must be an object';
+    if (!p.name || !p.code) return 'Polyhedron needs a name and a code';
+    if (!SAFE_NAME.test(String(p.name))) return 'Polyhedron name contains characters that are not allowed';
+    const textError = checkText(p.code, p.label, p.pointGroup);
+    if (textError) return `${p.name}: ${textError}`;
+    if (!Number.isInteger(p.coordinationNumber) || p.coordinationNumber < 2) return `${p.name}: invalid coordination number`;
+    if (!Array.isArray(p.coords) || p.coords.length !== p.coordinationNumber + 1) {
+        return `${p.name}: expected ${p.coordinationNumber} vertices plus the central atom`;
+    }
+    if (!p.coords.every(c => Array.isArray(c) && c.length === 3 && c.every(Number.isFinite))) {
+        return `${p.name}: coordinates must be finite [x, y, z] triples`;
+    }
+    return null;
+}
+
+/**
+ * Check code, descriptive name and point group against the allowed characters
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkText(code, label, pointGroup) {
+    if (!SAFE_CODE.test(String(code ?? ''))) {
+        return 'Code may only contain letters, digits, ".", "_" and "-"';
+    }
+    if (!SAFE_LABEL.test(String(label ?? ''))) {
+        return 'Name may only contain letters, digits, spaces and . , : ; + / ° _ -';
+    }
+    if (!SAFE_POINT_GROUP.test(String(pointGroup ?? ''))) {
+        return 'Point group may only contain letters, digits and ∞';
+    }
+    return null;
+}
+
+/**
+ * Build a normalized library entry from raw vertex coordinates
+ *
+ * @param {Object} params
+ * @param {Array<Array<number>>} params.vertices - Vertex positions [[x, y, z], ...]
+ * @param {Array<number>} [params.center=[0, 0, 0]] - Central atom position
+ * @param {string} params.code - Shape code; "-CN" is appended if missing (e.g. "CF" → "CF-6").
+ *   Letters, digits, ".", "_" and "-"
+ * @param {string} params.label - Descriptive name (e.g. "Jahn-Teller elongated octahedron"); no
+ *   parentheses, markup or quote characters
+ * @param {string} [params.pointGroup=''] - Schoenflies symbol (letters, digits, ∞)
+ * @returns {{valid: boolean, polyhedron?: Object, error?: string}}
+ *   polyhedron: { name, code, label, pointGroup, coordinationNumber, coords }
+ *   with coords scale-normalized and the central atom last, as in
+ *   REFERENCE_GEOMETRIES; name is "CODE (label)"
+ *
+ * @example
+ * createPolyhedron({ vertices: octahedron, code: 'ELO', label: 'Elongated octahedron', pointGroup: 'D4h' });
+ * // { valid: true, polyhedron: { name: 'ELO-6 (Elongated octahedron)', coordinationNumber: 6, ... } }
+ */
+export function createPolyhedron({ vertices, center = [0, 0, 0], code, label, pointGroup = '' }) {
+    const cn = Array.isArray(vertices) ? vertices.length : 0;
+    if (cn < 2) {
+        return { valid: false, error: 'A polyhedron needs at least 2 vertices' };
+    }
+    if (![...vertices, center].every(c => Array.isArray(c) && c.length === 3 && c.map(Number).every(Number.isFinite))) {
+        return { valid: false, error: 'Coordinates must be finite [x, y, z] triples' };
+    }
+
+    const cleanCode = String(code || '').trim().replace(/\s+/g, '');
+    const cleanLabel = String(label || '').trim();
+    const cleanPointGroup = String(pointGroup || '').trim();
+    if (!cleanCode) {
+        return { valid: false, error: 'A shape code is required (e.g. ELO-6)' };
+    }
+    if (/[()]/.test(cleanCode) || /[()]/.test(cleanLabel)) {
+        return { valid: false, error: 'Code and name may not contain parentheses' };
+    }
+    const textError = checkText(cleanCode, cleanLabel, cleanPointGroup);
+    if (textError) {
+        return { valid: false, error: textError };
+    }
+
+    const fullCode = cleanCode.endsWith(`-${cn}`) ? cleanCode : `${cleanCode}-${cn}`;
+    const name = `${fullCode} (${cleanLabel || 'Custom'})`;
+    if (REFERENCE_GEOMETRIES[cn] && Object.keys(REFERENCE_GEOMETRIES[cn]).some(key => key.split(' ')[0] === fullCode)) {
+        return { valid: false, error: `${fullCode} is a built-in reference shape` };
+    }
+
+    // Central atom at the origin, then the same normalization as the built-in shapes
+    const [cx, cy, cz] = center.map(Number);
+    const ligands = vertices.map(v => [Number(v[0]) - cx, Number(v[1]) - cy, Number(v[2]) - cz]);
+    if (ligands.some(v => Math.hypot(...v) < 1e-6)) {
+        return { valid: false, error: 'A vertex coincides with the central atom' };
+    }
+
+    return {
+        valid: true,
+        polyhedron: {
+            name,
+            code: fullCode,
+            label: cleanLabel || 'Custom',
+            pointGroup: cleanPointGroup,
+            coordinationNumber: cn,
+            coords: normalizeScale([...ligands, [0, 0, 0]])
+        }
+    };
+}
+
+/**
+ * Read a polyhedron from an uploaded file
+ *
+ * XYZ: the first atom is the central atom and the others are the vertices.
+ * JSON: { "code", "name", "pointGroup", "vertices": [[x, y, z], ...], "center"? }.
+ * Fields given in `details` override those in the file.
+ *
+ * @param {string} content - File content
+ * @param {string} filename - File name (extension selects the format)
+ * @param {Object} [details={}] - { code, label, pointGroup } entered by the user
+ * @returns {{valid: boolean, polyhedron?: Object, error?: string}} As createPolyhedron
+ */
+export function parsePolyhedronFile(content, filename, details = {}) {
+    try {
+        const pick = (value, fallback) => (value !== undefined && String(value).trim() !== '' ? value : fallback);
+
+        if (/\.json$/i.test(filename)) {
+            const data = JSON.parse(content);
+            return createPolyhedron({
+                vertices: data.vertices,
+                center: data.center || [0, 0, 0],
+                code: pick(details.code, data.code),
+                label: pick(details.label, data.name),
+                pointGroup: pick(details.pointGroup, data.pointGroup)
+            });
+        }
+
+        const result = parseXYZ(content, filename);
+        if (!result.valid || result.structures.length === 0) {
+            return { valid: false, error: result.error || 'No atoms found in XYZ file' };
+        }
+        const [center, ...vertices] = result.structures[0].atoms.map(a => [a.x, a.y, a.z]);
+        return createPolyhedron({
+            vertices,
+            center,
+            code: pick(details.code, filename.replace(/\.[^.]+$/, '')),
+            label: details.label,
+            pointGroup: details.pointGroup
+        });
+    } catch (error) {
+        return { valid: false, error: `Could not read ${filename}: ${error.message}` };
+    }
+}
+
+/**
+ * All user-defined polyhedra
+ *
+ * @returns {Array<Object>} Library entries, sorted by CN then name
+ */
+export function getCustomPolyhedra() {
+    if (library === null) library = readStorage();
+    return [...library].sort((a, b) => a.coordinationNumber - b.coordinationNumber || a.name.localeCompare(b.name));
+}
+
+/**
+ * Library revision, incremented on every change
+ *
+ * @returns {number}
+ */
+export function getCustomPolyhedraRevision() {
+    return revision;
+}
+
+function setLibrary(polyhedra) {
+    library = polyhedra;
+    revision += 1;
+    writeStorage(polyhedra);
+}
+
+/**
+ * Add or replace (same name) a polyhedron in the library
+ *
+ * @param {Object} polyhedron - Entry from createPolyhedron / parsePolyhedronFile
+ * @returns {Array<Object>} Updated library
+ */
+export function addCustomPolyhedron(polyhedron) {
+    const error = validatePolyhedron(polyhedron);
+    if (error) throw new Error(error);
+
+    setLibrary([...getCustomPolyhedra().filter(p => p.name !== polyhedron.name), polyhedron]);
+    return getCustomPolyhedra();
+}
+
+/**
+ * Remove a polyhedron from the library
+ *
+ * @param {string} name - Full name ("CODE (label)")
+ * @returns {Array<Object>} Updated library
+ */
+export function removeCustomPolyhedron(name) {
+    setLibrary(getCustomPolyhedra().filter(p => p.name !== name));
+    return getCustomPolyhedra();
+}
+
+/**
+ * Serialize the library for sharing
+ *
+ * @returns {string} JSON library file
+ */
+export function exportCustomPolyhedra() {
+    return JSON.stringify({
+        format: LIBRARY_FORMAT,
+        version: LIBRARY_VERSION,
+        polyhedra: getCustomPolyhedra()
+    }, null, 2);
+}
+
+/**
+ * Merge a shared library file into the local library
+ *
+ * Every entry is rebuilt with createPolyhedron from its stored vertices, so
+ * imported files get the same checks as new shapes (no built-in codes such
+ * as OC-6, consistent name and normalization). Entries with the same name are
+ * replaced by the imported ones.
+ *
+ * @param {string} content - JSON written by exportCustomPolyhedra
+ * @returns {{imported: number, errors: Array<string>}}
+ */
+export function importCustomPolyhedra(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        return { imported: 0, errors: [`Not a JSON library file: ${error.message}`] };
+    }
+    if (data?.format !== LIBRARY_FORMAT || !Array.isArray(data.polyhedra)) {
+        return { imported: 0, errors: ['Not a Q-Shape polyhedra library file'] };
+    }
+
+    const errors = [];
+    const accepted = [];
+    data.polyhedra.forEach(p => {
+        const error = validatePolyhedron(p);
+        if (error) {
+            errors.push(error);
+            return;
+        }
+
+        const rebuilt = createPolyhedron({
+            vertices: p.coords.slice(0, -1),
+            center: p.coords[p.coords.length - 1],
+            code: p.code,
+            label: p.label,
+            pointGroup: p.pointGroup
+        });
+        if (rebuilt.valid) {
+            accepted.push(rebuilt.polyhedron);
+        } else {
+            errors.push(`${p.name}: ${rebuilt.error}`);
+        }
+    });
+
+    const names = new Set(accepted.map(p => p.name));
+    setLibrary([...getCustomPolyhedra().filter(p => !names.has(p.name)), ...accepted]);
+    return { imported: accepted.length, errors };
+}
+
+/**
+ * Built-in and user-defined reference geometries for a coordination number
+ *
+ * @param {number} coordinationNumber - Number of vertices
+ * @returns {Object|undefined} Map name → coords, undefined if there are none
+ */
+export function getReferenceGeometries(coordinationNumber) {
+    const custom = getCustomPolyhedra().filter(p => p.coordinationNumber === coordinationNumber);
+    if (custom.length === 0) return REFERENCE_GEOMETRIES[coordinationNumber];
+
+    return {
+        ...(REFERENCE_GEOMETRIES[coordinationNumber] || {}),
+        ...Object.fromEntries(custom.map(p => [p.name, p.coords]))
+    };
+}
+
+/**
+ * Point group of a built-in or user-defined reference geometry
+ *
+ * @param {string} name - Geometry name
+ * @returns {string} Schoenflies symbol, or '' if unknown
+ */
+export function getReferencePointGroup(name) {
+    return POINT_GROUPS[name] || getCustomPolyhedra().find(p => p.name === name)?.pointGroup || '';
+}
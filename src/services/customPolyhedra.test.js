@@ -0,0 +1,170 @@
+/**
+ * Custom Polyhedra Library Tests
+ *
+ * Parsing, normalization, persistence and sharing of user-defined shapes.
+ */
+
+import { REFERENCE_GEOMETRIES } from '../constants/referenceGeometries';
+import { buildGeneralGeometry } from './coordination/patterns/geometryBuilder';
+import {
+    CUSTOM_POLYHEDRA_STORAGE_KEY,
+    LIBRARY_FORMAT,
+    createPolyhedron,
+    parsePolyhedronFile,
+    getCustomPolyhedra,
+    getCustomPolyhedraRevision,
+    addCustomPolyhedron,
+    removeCustomPolyhedron,
+    exportCustomPolyhedra,
+    importCustomPolyhedra,
+    getReferenceGeometries,
+    getReferencePointGroup
+} from './customPolyhedra';
+
+// Tetragonally elongated octahedron (Jahn-Teller target)
+const elongated = [
+    [2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0], [0, 0, 2.4], [0, 0, -2.4]
+];
+
+const xyz = `7
+Jahn-Teller Cu
+Cu 1.0 1.0 1.0
+O 3.0 1.0 1.0
+O -1.0 1.0 1.0
+O 1.0 3.0 1.0
+O 1.0 -1.0 1.0
+O 1.0 1.0 3.4
+O 1.0 1.0 -1.4
+`;
+
+beforeEach(() => {
+    getCustomPolyhedra().forEach(p => removeCustomPolyhedron(p.name));
+    localStorage.clear();
+});
+
+describe('customPolyhedra - reading shapes', () => {
+    test('normalizes like the built-in shapes, central atom last', () => {
+        const { valid, polyhedron } = createPolyhedron({ vertices: elongated, code: 'ELO', label: 'Elongated octahedron', pointGroup: 'D4h' });
+
+        expect(valid).toBe(true);
+        expect(polyhedron.name).toBe('ELO-6 (Elongated octahedron)');
+        expect(polyhedron.coordinationNumber).toBe(6);
+        expect(polyhedron.coords).toHaveLength(7);
+
+        const rms = Math.sqrt(polyhedron.coords.reduce((acc, c) => acc + c[0] ** 2 + c[1] ** 2 + c[2] ** 2, 0) / 7);
+        expect(rms).toBeCloseTo(1, 10);
+        expect(polyhedron.coords[6]).toEqual([0, 0, 0]);
+
+        // Same normalization as the library: a regular octahedron reproduces OC-6
+        const regular = createPolyhedron({ vertices: elongated.map(([x, y, z]) => [x, y, Math.sign(z) * 2]), code: 'REG' }).polyhedron;
+        const reference = REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'];
+        const radius = c => Math.hypot(...c);
+        expect(radius(regular.coords[0])).toBeCloseTo(radius(reference[0]), 10);
+    });
+
+    test('reads XYZ with the central atom first and JSON with explicit vertices', () => {
+        const fromXYZ = parsePolyhedronFile(xyz, 'jt-cu.xyz', { label: 'Jahn-Teller', pointGroup: 'D4h' });
+        expect(fromXYZ.valid).toBe(true);
+        expect(fromXYZ.polyhedron.code).toBe('jt-cu-6');
+        expect(fromXYZ.polyhedron.coords[0][0]).toBeCloseTo(createPolyhedron({ vertices: elongated, code: 'X' }).polyhedron.coords[0][0], 10);
+
+        const json = JSON.stringify({ code: 'ELO-6', name: 'Elongated', pointGroup: 'D4h', vertices: elongated });
+        const fromJSON = parsePolyhedronFile(json, 'elo.json');
+        expect(fromJSON.polyhedron.name).toBe('ELO-6 (Elongated)');
+        expect(fromJSON.polyhedron.pointGroup).toBe('D4h');
+    });
+
+    test('rejects invalid input without throwing', () => {
+        expect(createPolyhedron({ vertices: elongated, code: 'OC-6' }).error).toMatch(/built-in/);
+        expect(createPolyhedron({ vertices: elongated, code: '' }).error).toMatch(/code is required/);
+        expect(createPolyhedron({ vertices: [[1, 0, 0]], code: 'X' }).valid).toBe(false);
+        expect(parsePolyhedronFile('{not json', 'bad.json').error).toMatch(/Could not read bad.json/);
+    });
+
+    test('refuses markup and quotes in code, name and point group', () => {
+        expect(createPolyhedron({ vertices: elongated, code: 'ELO', label: '<b>Elongated</b>' }).error).toMatch(/Name may only contain/);
+        expect(createPolyhedron({ vertices: elongated, code: 'EL"O' }).error).toMatch(/Code may only contain/);
+        expect(createPolyhedron({ vertices: elongated, code: 'ELO', pointGroup: 'D4h<' }).error).toMatch(/Point group/);
+        expect(createPolyhedron({ vertices: elongated, code: 'ELO', label: 'Jahn-Teller, 5° tilt', pointGroup: 'C∞v' }).valid).toBe(true);
+    });
+});
+
+describe('customPolyhedra - library', () => {
+    test('persists shapes and merges them into the reference geometries for their CN', () => {
+        const { polyhedron } = createPolyhedron({ vertices: elongated, code: 'ELO', label: 'Elongated', pointGroup: 'D4h' });
+        const revision = getCustomPolyhedraRevision();
+
+        addCustomPolyhedron(polyhedron);
+
+        expect(getCustomPolyhedraRevision()).toBeGreaterThan(revision);
+        expect(JSON.parse(localStorage.getItem(CUSTOM_POLYHEDRA_STORAGE_KEY))[0].name).toBe('ELO-6 (Elongated)');
+        expect(getReferenceGeometries(6)['ELO-6 (Elongated)']).toEqual(polyhedron.coords);
+        expect(getReferenceGeometries(6)['OC-6 (Octahedral)']).toBeDefined();
+        expect(getReferenceGeometries(4)).toBe(REFERENCE_GEOMETRIES[4]);
+        expect(getReferencePointGroup('ELO-6 (Elongated)')).toBe('D4h');
+        expect(getReferencePointGroup('OC-6 (Octahedral)')).toBe('Oh');
+
+        removeCustomPolyhedron('ELO-6 (Elongated)');
+        expect(getReferenceGeometries(6)['ELO-6 (Elongated)']).toBeUndefined();
+    });
+
+    test('general geometry analysis ranks a matching custom shape first', async () => {
+        addCustomPolyhedron(createPolyhedron({ vertices: elongated, code: 'ELO', label: 'Elongated' }).polyhedron);
+
+        const results = await buildGeneralGeometry(elongated.map(v => v.map(c => c * 1.1)), 6, 'default');
+
+        expect(results[0].name).toBe('ELO-6 (Elongated)');
+        expect(results[0].shapeMeasure).toBeLessThan(1e-3);
+    });
+
+    test('exports and re-imports the whole library', () => {
+        addCustomPolyhedron(createPolyhedron({ vertices: elongated, code: 'ELO', label: 'Elongated' }).polyhedron);
+        addCustomPolyhedron(createPolyhedron({ vertices: elongated.slice(0, 4), code: 'SQ', label: 'Square' }).polyhedron);
+        const shared = exportCustomPolyhedra();
+
+        removeCustomPolyhedron('ELO-6 (Elongated)');
+        removeCustomPolyhedron('SQ-4 (Square)');
+
+        expect(importCustomPolyhedra(shared)).toEqual({ imported: 2, errors: [] });
+        expect(getCustomPolyhedra().map(p => p.name)).toEqual(['SQ-4 (Square)', 'ELO-6 (Elongated)']);
+        expect(importCustomPolyhedra('{"polyhedra": []}').errors[0]).toMatch(/Not a Q-Shape polyhedra library/);
+    });
+
+    test('rejects imported entries that would replace a built-in shape', () => {
+        const octahedron = REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'];
+        const forged = JSON.stringify({
+            format: LIBRARY_FORMAT,
+            version: 1,
+            polyhedra: [{
+                name: 'OC-6 (Octahedral)',
+                code: 'OC-6',
+                label: 'Octahedral',
+                coordinationNumber: 6,
+                coords: [...elongated, [0, 0, 0]]
+            }]
+        });
+
+        const { imported, errors } = importCustomPolyhedra(forged);
+
+        expect(imported).toBe(0);
+        expect(errors[0]).toMatch(/OC-6 \(Octahedral\): OC-6 is a built-in reference shape/);
+        expect(getReferenceGeometries(6)['OC-6 (Octahedral)']).toBe(octahedron);
+    });
+
+    test('renames imported entries from their code and label', () => {
+        const library = JSON.stringify({
+            format: LIBRARY_FORMAT,
+            version: 1,
+            polyhedra: [{
+                name: 'Anything',
+                code: 'ELO',
+                label: 'Elongated',
+                coordinationNumber: 6,
+                coords: [...elongated, [0, 0, 0]]
+            }]
+        });
+
+        expect(importCustomPolyhedra(library)).toEqual({ imported: 1, errors: [] });
+        expect(getCustomPolyhedra().map(p => p.name)).toEqual(['ELO-6 (Elongated)']);
+    });
+});
@@ -5,10 +5,19 @@
  * Extracted from App.js to improve maintainability and separation of concerns.
  */
 
-import { REFERENCE_GEOMETRIES, POINT_GROUPS } from '../constants/referenceGeometries';
+import { REFERENCE_GEOMETRIES } from '../constants/referenceGeometries';
+import { getReferenceGeometries, getReferencePointGroup } from './customPolyhedra';
 import { interpretShapeMeasure } from '../utils/geometry';
-import { calculateAdditionalMetrics, calculateQualityMetrics } from './shapeAnalysis/qualityMetrics';
+import { calculateAdditionalMetrics, calculateQualityMetrics, calculateTauIndices } from './shapeAnalysis/qualityMetrics';
 import { APP_VERSION, APP_FULL_NAME, getCitationString, CITATION } from '../constants/appMetadata';
+import { formatAtomLabel, hasResidueInfo } from '../utils/atomLabels';
+import { downloadTextFile } from '../utils/download';
+import { csvText } from '../utils/csv';
+import { CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, SHAPE_VERDICT } from '../constants/algorithmConstants.js';
+import { generateSO3Grid } from './shapeAnalysis/so3GridSearch';
+import { assessGeometryVerdict } from './shapeAnalysis/geometryVerdict';
+import { formatDonorAssignment, getCentreIndex } from './shapeAnalysis/donorContributions';
+import { calculateOctahedralDistortion, OCTAHEDRON_NAME } from './shapeAnalysis/octahedralDistortion';
 
 /**
  * Escapes HTML special characters to prevent XSS attacks
@@ -26,6 +35,109 @@ function escapeHtml(str) {
         .replace(/'/g, '&#039;');
 }
 
+/**
+ * Human-readable description of a CShM central atom mode
+ *
+ * @param {string} [mode] - CENTRAL_ATOM_MODES value (missing means included)
+ * @returns {string}
+ */
+function describeCentralAtomMode(mode) {
+    return mode === CENTRAL_ATOM_MODES.LIGAND_ONLY
+        ? 'Ligands only (central atom excluded)'
+        : 'Ligands + central atom';
+}
+
+/**
+ * Report label for the CShM rotation optimizer
+ *
+ * @param {string} [optimizer] - SHAPE_OPTIMIZERS value (missing means annealing)
+ * @param {Object} [coverage] - Grid coverage from calculateShapeMeasure
+ * @returns {string}
+ */
+function describeOptimizer(optimizer, coverage = null) {
+    if (optimizer !== SHAPE_OPTIMIZERS.SO3_GRID) {
+        return 'Simulated annealing (random restarts)';
+    }
+    const { gridPoints, maxGapDegrees } = coverage || {
+        gridPoints: generateSO3Grid().quaternions.length,
+        maxGapDegrees: generateSO3Grid().maxGapDegrees
+    };
+    return `SO(3) grid, ${gridPoints} refined rotations (gap ≤ ${maxGapDegrees.toFixed(1)}°)`;
+}
+
+/**
+ * τ4, τ4′ and τ5 CSV cells for a coordination sphere (blank where not defined)
+ *
+ * @param {Array<Object>} coordAtoms - Coordinating atoms with vec properties
+ * @returns {string[]} [τ4, τ4′, τ5]
+ */
+function tauColumns(coordAtoms) {
+    const values = new Map((calculateTauIndices(coordAtoms)?.indices || []).map(i => [i.key, i.value.toFixed(4)]));
+    return ['tau4', 'tau4Prime', 'tau5'].map(key => values.get(key) ?? '');
+}
+
+/**
+ * Octahedral Σ, Θ, ζ and Δ of a six-coordinate sphere (null otherwise)
+ *
+ * @param {Array<Object>} coordAtoms - Coordinating atoms with vec and idx properties
+ * @param {Array<Object>} geometryResults - Results, searched for the OC-6 donor assignment
+ * @returns {Object|null}
+ */
+function getOctahedralDistortion(coordAtoms, geometryResults) {
+    return coordAtoms?.length === 6
+        ? calculateOctahedralDistortion(coordAtoms, geometryResults?.find(r => r.name === OCTAHEDRON_NAME))
+        : null;
+}
+
+/**
+ * Σ, Θ, ζ and Δ CSV cells (blank unless the sphere is six-coordinate)
+ *
+ * @param {Object|null} params - getOctahedralDistortion result
+ * @returns {string[]}
+ */
+function octahedralColumns(params) {
+    return params
+        ? [params.sigma.toFixed(3), params.theta.toFixed(3), params.zeta.toFixed(5), params.delta.toExponential(4)]
+        : ['', '', '', ''];
+}
+
+/**
+ * Polyhedral volume and distortion index entries for the PDF reports (defined values only)
+ *
+ * @param {Object} qualityMetrics - calculateQualityMetrics result
+ * @returns {Array<{label: string, value: string, note: string}>}
+ */
+function polyhedralMetricItems(qualityMetrics) {
+    const items = [
+        ['Polyhedral Volume', qualityMetrics.polyhedronVolume, v => `${v.toFixed(3)} Å³`, 'Convex hull of the donor atoms'],
+        ['Volume Ratio V/V<sub>ideal</sub>', qualityMetrics.polyhedralVolumeRatio, v => v.toFixed(4),
+            `Ideal volume ${qualityMetrics.idealPolyhedronVolume?.toFixed(3)} Å³ at the mean bond length`],
+        ['Quadratic Elongation ⟨λ⟩', qualityMetrics.quadraticElongation, v => v.toFixed(4), 'Robinson (ideal = 1)'],
+        ['Bond-Angle Variance σ²', qualityMetrics.bondAngleVariance, v => `${v.toFixed(2)} deg²`, 'Robinson (ideal = 0)'],
+        ['Baur Distortion Index D', qualityMetrics.baurDistortionIndex, v => v.toFixed(4), 'Bond-length distortion (ideal = 0)']
+    ];
+    return items
+        .filter(([, value]) => Number.isFinite(value))
+        .map(([label, value, format, note]) => ({ label, value: format(value), note }));
+}
+
+/**
+ * Polyhedral volume and distortion index CSV cells (blank when undefined)
+ *
+ * @param {Object|null} qualityMetrics - calculateQualityMetrics result
+ * @returns {string[]}
+ */
+function polyhedralColumns(qualityMetrics) {
+    const format = (value, digits) => (Number.isFinite(value) ? value.toFixed(digits) : '');
+    return [
+        format(qualityMetrics?.polyhedronVolume, 4),
+        format(qualityMetrics?.polyhedralVolumeRatio, 4),
+        format(qualityMetrics?.quadraticElongation, 5),
+        format(qualityMetrics?.bondAngleVariance, 3),
+        format(qualityMetrics?.baurDistortionIndex, 5)
+    ];
+}
+
 /**
  * Generate PDF report (opens in new window)
  *
@@ -41,8 +153,13 @@ function escapeHtml(str) {
  * @param {Array} params.warnings - Analysis warnings
  * @param {string} params.fileName - Structure file name
  * @param {string} params.analysisMode - 'default' or 'intensive'
+ * @param {string} [params.centralAtomMode] - CENTRAL_ATOM_MODES value used for the CShM
+ * @param {number} [params.seed] - Optimisation seed (intensive metadata takes precedence)
+ * @param {string} [params.optimizer] - SHAPE_OPTIMIZERS value used for the CShM
+ * @param {number} [params.ambiguityMargin] - ΔCShM below which the two best shapes are ambiguous
  * @param {Object} params.intensiveMetadata - Intensive analysis metadata
  * @param {string} params.imgData - Base64 encoded 3D visualization image
+ * @param {Array} [params.uncertaintyResults] - Monte Carlo CShM statistics ({name, mean, stdDev, samples})
  * @returns {void} Opens report in new window
  */
 export function generatePDFReport({
@@ -57,8 +174,13 @@ export function generatePDFReport({
     warnings,
     fileName,
     analysisMode,
+    centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+    seed = null,
+    optimizer = SHAPE_OPTIMIZERS.ANNEALING,
+    ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN,
     intensiveMetadata,
-    imgData
+    imgData,
+    uncertaintyResults = null
 }) {
     if (!atoms.length || selectedMetal == null || !bestGeometry) {
         throw new Error('Missing required data for report generation');
@@ -68,14 +190,25 @@ export function generatePDFReport({
     const date = new Date().toLocaleString('en-US', { dateStyle: 'full', timeStyle: 'long' });
     const { name, shapeMeasure } = bestGeometry;
     const interpretation = interpretShapeMeasure(shapeMeasure);
+    const optimisationSeed = intensiveMetadata?.metadata?.seed ?? seed;
+    const verdict = assessGeometryVerdict(geometryResults, coordAtoms.length, { margin: ambiguityMargin, centralAtomMode });
+    const octahedralDistortion = getOctahedralDistortion(coordAtoms, geometryResults);
 
     const totalAvailableGeometries = Object.values(REFERENCE_GEOMETRIES).reduce(
         (sum, geoms) => sum + Object.keys(geoms).length,
         0
     );
     const cnGeometries = coordAtoms.length > 0
-        ? Object.keys(REFERENCE_GEOMETRIES[coordAtoms.length] || {}).length
+        ? Object.keys(getReferenceGeometries(coordAtoms.length) || {}).length
         : 0;
+    // Residue labels (e.g. "HIS A 93 NE2") for PDB/mmCIF donors
+    const showDonorLabels = coordAtoms.some(c => hasResidueInfo(c.atom));
+    // Monte Carlo mean ± SD from coordinate s.u. (only for the propagated geometries)
+    const uncertaintyByName = new Map((uncertaintyResults || []).map(u => [u.name, u]));
+    const formatMonteCarlo = geometryName => {
+        const stats = uncertaintyByName.get(geometryName);
+        return stats ? `${stats.mean.toFixed(4)} ± ${stats.stdDev.toFixed(4)}` : '—';
+    };
 
     const html = `
 <!DOCTYPE html>
@@ -431,6 +564,9 @@ footer strong {
   <p><strong>File:</strong> ${escapeHtml(fileName)}.xyz</p>
   <p><strong>Generated on:</strong> ${date}</p>
   <p><strong>Analysis Mode:</strong> ${analysisMode === 'intensive' ? 'Intensive (High Precision) with Kabsch Alignment' : 'Standard with Improved Kabsch Alignment'}</p>
+  <p><strong>CShM Vertices:</strong> ${describeCentralAtomMode(centralAtomMode)}</p>
+  <p><strong>Rotation Optimizer:</strong> ${describeOptimizer(optimizer, geometryResults.find(r => r.coverage)?.coverage)}</p>
+  ${optimisationSeed != null ? `<p><strong>Optimisation Seed:</strong> ${optimisationSeed}</p>` : ''}
   <p style="font-style: italic; margin-top: 1rem; font-size: 0.9rem;">
     Cite this: ${getCitationString()}
     <a href="${CITATION.url}" style="color: #4f46e5;">${CITATION.url}</a>
@@ -449,7 +585,7 @@ footer strong {
   <div class="summary-grid">
     <div class="summary-item">
       <strong>Metal Center</strong>
-      <span>${metal.element} (#${selectedMetal + 1})</span>
+      <span>${metal.element} (#${selectedMetal + 1})${hasResidueInfo(metal) ? ` — ${escapeHtml(formatAtomLabel(metal))}` : ''}</span>
     </div>
     <div class="summary-item">
       <strong>Coordination Number</strong>
@@ -461,21 +597,28 @@ footer strong {
     </div>
     <div class="summary-item">
       <strong>Best Match Geometry</strong>
-      <span style="color:${interpretation.color};">${name}</span>
+      <span style="color:${interpretation.color};">${escapeHtml(name)}</span>
     </div>
     <div class="summary-item">
       <strong>Point Group</strong>
-      <span style="color:#6366f1; font-family: monospace; font-weight: 600;">${POINT_GROUPS[name] || '—'}</span>
+      <span style="color:#6366f1; font-family: monospace; font-weight: 600;">${escapeHtml(getReferencePointGroup(name)) || '—'}</span>
     </div>
     <div class="summary-item">
       <strong>CShM Value</strong>
-      <span style="color:${interpretation.color};">${Math.max(0, shapeMeasure).toFixed(4)}</span>
+      <span style="color:${interpretation.color};">${Math.max(0, shapeMeasure).toFixed(4)}${uncertaintyByName.has(name) ? ` (MC ${formatMonteCarlo(name)})` : ''}</span>
     </div>
     <div class="summary-item">
       <strong>Interpretation</strong>
       <span style="color:${interpretation.color};">${interpretation.text}</span>
     </div>
+    ${verdict ? `
+    <div class="summary-item">
+      <strong>Verdict</strong>
+      <span style="color:${verdict.ambiguous ? '#d97706' : '#059669'};" title="${escapeHtml(verdict.summary)}">${verdict.ambiguous ? `Ambiguous: ${escapeHtml(verdict.label)}` : escapeHtml(verdict.label)}</span>
+    </div>
+    ` : ''}
   </div>
+  ${verdict?.ambiguous ? `<p style="font-size: 0.9rem; color: #92400e;">⚖️ ${escapeHtml(verdict.summary)} (margin ΔCShM < ${ambiguityMargin}).</p>` : ''}
 
   ${qualityMetrics ? `
   <h2>🎯 Quality Metrics</h2>
@@ -503,6 +646,12 @@ footer strong {
       <div class="metric-value">${(Number.isFinite(qualityMetrics.rmsd) ? qualityMetrics.rmsd : 0).toFixed(4)} Å</div>
       <div style="font-size: 0.8em; color: #64748b; margin-top: 0.5rem;">Root mean square deviation</div>
     </div>
+    ${polyhedralMetricItems(qualityMetrics).map(item => `
+    <div class="metric-box">
+      <div class="metric-label">${item.label}</div>
+      <div class="metric-value">${item.value}</div>
+      <div style="font-size: 0.8em; color: #64748b; margin-top: 0.5rem;">${item.note}</div>
+    </div>`).join('')}
   </div>
   ` : ''}
 
@@ -533,6 +682,31 @@ footer strong {
       <div class="metric-label">Number of L-M-L Angles</div>
       <div class="metric-value">${additionalMetrics.angleStats.count}</div>
     </div>
+    ${(additionalMetrics.tauIndices?.indices || []).map(index => `
+    <div class="metric-box">
+      <div class="metric-label">${index.symbol} Index</div>
+      <div class="metric-value">${index.value.toFixed(3)}</div>
+      <div style="font-size: 0.8em; color: #64748b; margin-top: 0.5rem;">Closest to ${escapeHtml(index.interpretation)}</div>
+    </div>
+    `).join('')}
+    ${octahedralDistortion ? `
+    <div class="metric-box">
+      <div class="metric-label">Σ (cis angles)</div>
+      <div class="metric-value">${octahedralDistortion.sigma.toFixed(2)}°</div>
+    </div>
+    <div class="metric-box">
+      <div class="metric-label">Θ (trigonal twist)</div>
+      <div class="metric-value">${octahedralDistortion.theta.toFixed(2)}°</div>
+    </div>
+    <div class="metric-box">
+      <div class="metric-label">ζ (bond lengths)</div>
+      <div class="metric-value">${octahedralDistortion.zeta.toFixed(4)} Å</div>
+    </div>
+    <div class="metric-box">
+      <div class="metric-label">Δ (bond lengths)</div>
+      <div class="metric-value">${octahedralDistortion.delta.toExponential(2)}</div>
+    </div>
+    ` : ''}
   </div>
   ` : ''}
 
@@ -595,6 +769,7 @@ footer strong {
         <th>Geometry</th>
         <th>Point Group</th>
         <th>CShM</th>
+        ${uncertaintyByName.size > 0 ? '<th>MC mean ± SD</th>' : ''}
         <th>Interpretation</th>
         <th>Confidence</th>
       </tr>
@@ -603,15 +778,19 @@ footer strong {
       ${geometryResults.map((r, i) => `
       <tr class="${i === 0 ? 'best-result' : ''}">
         <td>${i + 1}</td>
-        <td><strong>${r.name}</strong></td>
-        <td style="font-family: monospace; font-weight: 600; color: #6366f1;">${POINT_GROUPS[r.name] || '—'}</td>
-        <td style="font-family: monospace; font-weight: 600;">${Math.max(0, r.shapeMeasure).toFixed(4)}</td>
+        <td><strong>${escapeHtml(r.name)}</strong></td>
+        <td style="font-family: monospace; font-weight: 600; color: #6366f1;">${escapeHtml(getReferencePointGroup(r.name)) || '—'}</td>
+        <td style="font-family: monospace; font-weight: 600;">${Math.max(0, r.shapeMeasure).toFixed(4)}${r.certified ? ' ✓' : ''}</td>
+        ${uncertaintyByName.size > 0 ? `<td style="font-family: monospace;">${formatMonteCarlo(r.name)}</td>` : ''}
         <td style="color: ${interpretShapeMeasure(r.shapeMeasure).color}; font-weight: 600;">${interpretShapeMeasure(r.shapeMeasure).text}</td>
         <td style="font-weight: 600;">${interpretShapeMeasure(r.shapeMeasure).confidence}%</td>
       </tr>
       `).join('')}
     </tbody>
   </table>
+  ${geometryResults.some(r => r.certified) ? `
+  <p style="font-size: 0.85rem; color: #64748b;">✓ Certified minimum: proven optimal over all ligand-to-vertex assignments (exhaustive or branch-and-bound search).</p>
+  ` : ''}
 
   <h2>🔗 Coordinating Atoms</h2>
   <table>
@@ -619,6 +798,7 @@ footer strong {
       <tr>
         <th>#</th>
         <th>Element</th>
+        ${showDonorLabels ? '<th>Label</th>' : ''}
         <th>Distance (Å)</th>
         <th>Coordinates (x, y, z)</th>
       </tr>
@@ -628,6 +808,7 @@ footer strong {
       <tr>
         <td>${i + 1}</td>
         <td><strong>${c.atom.element}</strong></td>
+        ${showDonorLabels ? `<td style="font-family: monospace;">${escapeHtml(formatAtomLabel(c.atom))}</td>` : ''}
         <td style="font-family: monospace;">${c.distance.toFixed(4)}</td>
         <td style="font-family: monospace; font-size: 0.9em;">${c.atom.x.toFixed(4)}, ${c.atom.y.toFixed(4)}, ${c.atom.z.toFixed(4)}</td>
       </tr>
@@ -683,29 +864,71 @@ footer strong {
  * @param {Object} params - CSV generation parameters
  * @param {Array} params.geometryResults - All geometry analysis results
  * @param {string} params.fileName - Structure file name
+ * @param {Array} [params.uncertaintyResults] - Monte Carlo CShM statistics ({name, mean, stdDev, samples})
+ * @param {string} [params.centralAtomMode] - CENTRAL_ATOM_MODES value used for the CShM
+ * @param {number} [params.seed] - Optimisation seed
+ * @param {number} [params.coordinationNumber] - CN for the verdict (default: from the reference coordinates)
+ * @param {number} [params.ambiguityMargin] - ΔCShM below which the two best shapes are ambiguous
  * @returns {void} Downloads CSV file
  */
-export function generateCSVReport({ geometryResults, fileName }) {
+export function generateCSVReport({
+    geometryResults,
+    fileName,
+    uncertaintyResults = null,
+    centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+    seed = null,
+    coordinationNumber = null,
+    ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN
+}) {
     if (!geometryResults || geometryResults.length === 0) {
         throw new Error('No geometry results available for CSV export');
     }
 
+    const uncertaintyByName = new Map((uncertaintyResults || []).map(u => [u.name, u]));
+    const showUncertainty = uncertaintyByName.size > 0;
+    const verdict = assessGeometryVerdict(
+        geometryResults,
+        coordinationNumber ?? (geometryResults[0].refCoords?.length || 1) - 1,
+        { margin: ambiguityMargin, centralAtomMode }
+    );
+
     // CSV Header
-    const headers = ['Rank', 'Geometry', 'Point Group', 'CShM', 'Interpretation', 'Confidence %'];
+    const headers = ['Rank', 'Geometry', 'Point Group', 'CShM', 'Interpretation', 'Confidence %', 'Central Atom Mode', 'Certified Minimum', 'Seed', 'Verdict', 'Donor Vertex Map', 'Donor CShM Share'];
+    if (showUncertainty) {
+        headers.push('CShM_MC_Mean', 'CShM_MC_SD', 'MC_Samples');
+    }
 
     // CSV Rows
     const rows = geometryResults.map((result, index) => {
         const interpretation = interpretShapeMeasure(result.shapeMeasure);
-        const pointGroup = POINT_GROUPS[result.name] || '';
+        const pointGroup = getReferencePointGroup(result.name) || '';
+        const donors = formatDonorAssignment(result.donors, getCentreIndex(result));
 
-        return [
+        const row = [
             index + 1,
-            `"${result.name}"`, // Quote to handle commas in names
-            pointGroup,
+            csvText(result.name),
+            csvText(pointGroup),
             Math.max(0, result.shapeMeasure).toFixed(4),
-            `"${interpretation.text}"`,
-            interpretation.confidence
+            csvText(interpretation.text),
+            interpretation.confidence,
+            centralAtomMode,
+            result.certified ? 'Yes' : 'No',
+            seed ?? '',
+            csvText(verdict?.label),
+            csvText(donors.vertexMap),
+            csvText(donors.shares)
         ];
+
+        if (showUncertainty) {
+            const stats = uncertaintyByName.get(result.name);
+            row.push(
+                stats ? stats.mean.toFixed(4) : '',
+                stats ? stats.stdDev.toFixed(4) : '',
+                stats ? stats.samples : ''
+            );
+        }
+
+        return row;
     });
 
     // Combine into CSV string
@@ -714,20 +937,7 @@ export function generateCSVReport({ geometryResults, fileName }) {
         ...rows.map(row => row.join(','))
     ].join('\n');
 
-    // Create download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-
-    link.setAttribute('href', url);
-    // Sanitize filename for download (remove potentially dangerous characters)
-    const safeFileName = (fileName || 'shape-analysis').replace(/[<>:"/\\|?*]/g, '_');
-    link.setAttribute('download', `${safeFileName}_results.csv`);
-    link.style.visibility = 'hidden';
-
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadTextFile(csvContent, `${fileName || 'shape-analysis'}_results.csv`, 'text/csv');
 }
 
 /**
@@ -742,8 +952,9 @@ export function generateCSVReport({ geometryResults, fileName }) {
  * @param {Map} params.batchResults - Map of structureIndex -> results
  * @param {string} params.fileName - Base filename
  * @param {string} params.fileFormat - File format (xyz/cif)
+ * @param {number} [params.ambiguityMargin] - ΔCShM below which the two best shapes are ambiguous
  */
-export function generateBatchPDFReport({ structures, batchResults, fileName, fileFormat }) {
+export function generateBatchPDFReport({ structures, batchResults, fileName, fileFormat, ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN }) {
     if (!structures || structures.length === 0) {
         throw new Error('No structures available for batch report');
     }
@@ -761,13 +972,14 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
         const result = batchResults.get(index);
         if (result && result.bestGeometry) {
             const interpretation = interpretShapeMeasure(result.bestGeometry.shapeMeasure);
+            const verdict = assessGeometryVerdict(result.geometryResults, result.coordinationNumber, { margin: ambiguityMargin, centralAtomMode: result.centralAtomMode });
             summaryRows.push(`
                 <tr>
                     <td>${index + 1}</td>
                     <td><strong>${escapeHtml(structure.id)}</strong></td>
                     <td>${structure.atoms[result.metalIndex]?.element || 'N/A'}</td>
                     <td style="text-align: center;">${result.coordinationNumber || 'N/A'}</td>
-                    <td>${result.bestGeometry.name}</td>
+                    <td>${verdict?.ambiguous ? `⚖️ ${escapeHtml(verdict.label)}` : escapeHtml(result.bestGeometry.name)}</td>
                     <td style="font-family: monospace; color: ${interpretation.color};">${Math.max(0, result.bestGeometry.shapeMeasure).toFixed(4)}</td>
                     <td style="text-align: center;">${interpretation.confidence}%</td>
                 </tr>
@@ -782,9 +994,11 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
         if (result && result.geometryResults) {
             // Get coordAtoms from the result (stored during batch analysis)
             const coordAtoms = result.coordAtoms || [];
+            const showDonorLabels = coordAtoms.some(c => hasResidueInfo(c.atom));
 
             // Calculate metrics
             const additionalMetrics = calculateAdditionalMetrics(coordAtoms);
+            const octahedralDistortion = getOctahedralDistortion(coordAtoms, result.geometryResults);
             const qualityMetrics = result.bestGeometry
                 ? calculateQualityMetrics(coordAtoms, result.bestGeometry, result.bestGeometry.shapeMeasure)
                 : null;
@@ -798,8 +1012,8 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                 return `
                     <tr class="${i === 0 ? 'best-result' : ''}">
                         <td>${i + 1}</td>
-                        <td><strong>${r.name}</strong></td>
-                        <td style="font-family: monospace;">${POINT_GROUPS[r.name] || '—'}</td>
+                        <td><strong>${escapeHtml(r.name)}</strong></td>
+                        <td style="font-family: monospace;">${escapeHtml(getReferencePointGroup(r.name)) || '—'}</td>
                         <td style="font-family: monospace; color: ${interp.color};">${Math.max(0, r.shapeMeasure).toFixed(4)}</td>
                         <td style="color: ${interp.color};">${interp.text}</td>
                         <td>${interp.confidence}%</td>
@@ -817,7 +1031,7 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                 (sum, geoms) => sum + Object.keys(geoms).length, 0
             );
             const cnGeometries = coordAtoms.length > 0
-                ? Object.keys(REFERENCE_GEOMETRIES[coordAtoms.length] || {}).length
+                ? Object.keys(getReferenceGeometries(coordAtoms.length) || {}).length
                 : 0;
 
             detailSections.push(`
@@ -838,7 +1052,7 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                         <div class="summary-grid">
                             <div class="summary-item">
                                 <strong>Metal Center</strong>
-                                <span>${structure.atoms[result.metalIndex]?.element || 'N/A'} (#${(result.metalIndex || 0) + 1})</span>
+                                <span>${structure.atoms[result.metalIndex]?.element || 'N/A'} (#${(result.metalIndex || 0) + 1})${hasResidueInfo(structure.atoms[result.metalIndex]) ? ` — ${escapeHtml(formatAtomLabel(structure.atoms[result.metalIndex]))}` : ''}</span>
                             </div>
                             <div class="summary-item">
                                 <strong>Coordination Number</strong>
@@ -850,11 +1064,11 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                             </div>
                             <div class="summary-item">
                                 <strong>Best Match Geometry</strong>
-                                <span>${result.bestGeometry?.name || 'N/A'}</span>
+                                <span>${escapeHtml(result.bestGeometry?.name) || 'N/A'}</span>
                             </div>
                             <div class="summary-item">
                                 <strong>Point Group</strong>
-                                <span>${POINT_GROUPS[result.bestGeometry?.name] || '—'}</span>
+                                <span>${escapeHtml(getReferencePointGroup(result.bestGeometry?.name)) || '—'}</span>
                             </div>
                             <div class="summary-item">
                                 <strong>CShM Value</strong>
@@ -864,6 +1078,10 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                                 <strong>Interpretation</strong>
                                 <span style="color: ${bestInterp?.color || '#374151'};">${bestInterp?.text || 'N/A'}</span>
                             </div>
+                            <div class="summary-item">
+                                <strong>Verdict</strong>
+                                <span>${escapeHtml(assessGeometryVerdict(result.geometryResults, result.coordinationNumber, { margin: ambiguityMargin, centralAtomMode: result.centralAtomMode })?.summary || 'N/A')}</span>
+                            </div>
                             <div class="summary-item">
                                 <strong>Ligands</strong>
                                 <span>${ligandElements}</span>
@@ -896,6 +1114,11 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                                 <strong>RMSD</strong>
                                 <span>${(Number.isFinite(qualityMetrics.rmsd) ? qualityMetrics.rmsd : 0).toFixed(4)} Å</span>
                             </div>
+                            ${polyhedralMetricItems(qualityMetrics).map(item => `
+                            <div class="summary-item">
+                                <strong>${item.label}</strong>
+                                <span>${item.value}</span>
+                            </div>`).join('')}
                         </div>
                     </div>
                     ` : ''}
@@ -931,6 +1154,22 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                                 <span>${additionalMetrics.angleStats.count}</span>
                             </div>
                             ` : ''}
+                            ${(additionalMetrics.tauIndices?.indices || []).map(index => `
+                            <div class="summary-item">
+                                <strong>${index.symbol} Index</strong>
+                                <span>${index.value.toFixed(3)} (${escapeHtml(index.interpretation)})</span>
+                            </div>
+                            `).join('')}
+                            ${octahedralDistortion ? `
+                            <div class="summary-item">
+                                <strong>Σ / Θ</strong>
+                                <span>${octahedralDistortion.sigma.toFixed(2)}° / ${octahedralDistortion.theta.toFixed(2)}°</span>
+                            </div>
+                            <div class="summary-item">
+                                <strong>ζ / Δ</strong>
+                                <span>${octahedralDistortion.zeta.toFixed(4)} Å / ${octahedralDistortion.delta.toExponential(2)}</span>
+                            </div>
+                            ` : ''}
                         </div>
                     </div>
                     ` : ''}
@@ -968,6 +1207,7 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                             <tr>
                                 <th>#</th>
                                 <th>Element</th>
+                                ${showDonorLabels ? '<th>Label</th>' : ''}
                                 <th>Distance (Å)</th>
                                 <th>Coordinates (x, y, z)</th>
                             </tr>
@@ -977,6 +1217,7 @@ export function generateBatchPDFReport({ structures, batchResults, fileName, fil
                             <tr>
                                 <td>${i + 1}</td>
                                 <td><strong>${c.atom?.element || '?'}</strong></td>
+                                ${showDonorLabels ? `<td style="font-family: monospace;">${escapeHtml(formatAtomLabel(c.atom))}</td>` : ''}
                                 <td style="font-family: monospace;">${c.distance?.toFixed(4) || 'N/A'}</td>
                                 <td style="font-family: monospace; font-size: 0.9em;">${c.atom?.x?.toFixed(4) || '?'}, ${c.atom?.y?.toFixed(4) || '?'}, ${c.atom?.z?.toFixed(4) || '?'}</td>
                             </tr>
@@ -1029,6 +1270,9 @@ ${getBatchReportStyles()}
   <p><strong>Generated:</strong> ${date}</p>
   <p><strong>Structures Analyzed:</strong> ${analyzedCount} of ${structures.length}</p>
   <p><strong>Analysis Mode:</strong> Intensive (High Precision) with Kabsch Alignment</p>
+  <p><strong>CShM Vertices:</strong> ${[...new Set([...batchResults.values()].map(r => describeCentralAtomMode(r.centralAtomMode)))].join('; ')}</p>
+  <p><strong>Rotation Optimizer:</strong> ${[...new Set([...batchResults.values()].map(r => describeOptimizer(r.optimizer ?? r.metadata?.optimizer, r.bestGeometry?.coverage)))].join('; ')}</p>
+  <p><strong>Optimisation Seed:</strong> ${[...new Set([...batchResults.values()].map(r => r.seed ?? r.metadata?.seed ?? 'not recorded'))].join('; ')}</p>
   <p style="font-style: italic; margin-top: 1rem; font-size: 0.9rem;">
     Cite this: ${getCitationString()}
     <a href="${CITATION.url}" style="color: #4f46e5;">${CITATION.url}</a>
@@ -1099,14 +1343,19 @@ ${getBatchReportStyles()}
  * @param {Array} params.structures
  * @param {Map} params.batchResults
  * @param {string} params.fileName
+ * @param {number} [params.ambiguityMargin] - ΔCShM below which the two best shapes are ambiguous
  */
-export function generateWideSummaryCSV({ structures, batchResults, fileName }) {
+export function generateWideSummaryCSV({ structures, batchResults, fileName, ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN }) {
     if (!structures || !batchResults || batchResults.size === 0) {
         throw new Error('No batch results available for CSV export');
     }
 
+    // Multi-file and archive uploads: keep the path each structure came from
+    const hasSources = new Set(structures.map(s => s.source)).size > 1;
+
     const headers = [
         'Structure_ID',
+        ...(hasSources ? ['Source_File'] : []),
         'Metal_Element',
         'Coordination_Number',
         'Radius_Å',
@@ -1115,31 +1364,65 @@ export function generateWideSummaryCSV({ structures, batchResults, fileName }) {
         'CShM',
         'Interpretation',
         'Confidence_%',
-        'Analysis_Mode'
+        'Analysis_Mode',
+        'Central_Atom_Mode',
+        'Seed',
+        'Verdict',
+        'Tau4',
+        'Tau4_Prime',
+        'Tau5',
+        'Sigma_deg',
+        'Theta_deg',
+        'Zeta_A',
+        'Delta',
+        'Volume_A3',
+        'Volume_Ratio',
+        'Quadratic_Elongation',
+        'Angle_Variance_deg2',
+        'Baur_Distortion'
     ];
 
+    // Optimization outputs (Gaussian/ORCA/xTB) carry an energy per step
+    const hasEnergies = structures.some(s => Number.isFinite(s.metadata?.energy));
+    if (hasEnergies) {
+        headers.push('Energy_Eh');
+    }
+
     const rows = [];
     structures.forEach((structure, index) => {
         const result = batchResults.get(index);
         if (result && result.bestGeometry) {
             const interpretation = interpretShapeMeasure(result.bestGeometry.shapeMeasure);
-            rows.push([
-                `"${structure.id}"`,
+            const row = [
+                csvText(structure.id),
+                ...(hasSources ? [csvText(structure.source)] : []),
                 structure.atoms[result.metalIndex]?.element || '',
                 result.coordinationNumber || '',
                 result.radius?.toFixed(3) || '',
-                `"${result.bestGeometry.name}"`,
-                POINT_GROUPS[result.bestGeometry.name] || '',
+                csvText(result.bestGeometry.name),
+                csvText(getReferencePointGroup(result.bestGeometry.name)),
                 Math.max(0, result.bestGeometry.shapeMeasure).toFixed(4),
-                `"${interpretation.text}"`,
+                csvText(interpretation.text),
                 interpretation.confidence,
-                result.analysisMode || 'default'
-            ]);
+                result.analysisMode || 'default',
+                result.centralAtomMode || CENTRAL_ATOM_MODES.INCLUDED,
+                result.seed ?? result.metadata?.seed ?? '',
+                csvText(assessGeometryVerdict(result.geometryResults, result.coordinationNumber, { margin: ambiguityMargin, centralAtomMode: result.centralAtomMode })?.label),
+                ...tauColumns(result.coordAtoms),
+                ...octahedralColumns(getOctahedralDistortion(result.coordAtoms, result.geometryResults)),
+                ...polyhedralColumns(result.coordAtoms?.length
+                    ? calculateQualityMetrics(result.coordAtoms, result.bestGeometry, result.bestGeometry.shapeMeasure)
+                    : null)
+            ];
+            if (hasEnergies) {
+                row.push(Number.isFinite(structure.metadata?.energy) ? structure.metadata.energy.toFixed(8) : '');
+            }
+            rows.push(row);
         }
     });
 
     const csvContent = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    downloadCSV(csvContent, `${fileName}_batch_summary.csv`);
+    downloadTextFile(csvContent, `${fileName}_batch_summary.csv`, 'text/csv');
 }
 
 /**
@@ -1151,14 +1434,18 @@ export function generateWideSummaryCSV({ structures, batchResults, fileName }) {
  * @param {Array} params.structures
  * @param {Map} params.batchResults
  * @param {string} params.fileName
+ * @param {number} [params.ambiguityMargin] - ΔCShM below which the two best shapes are ambiguous
  */
-export function generateLongDetailedCSV({ structures, batchResults, fileName }) {
+export function generateLongDetailedCSV({ structures, batchResults, fileName, ambiguityMargin = SHAPE_VERDICT.AMBIGUITY_MARGIN }) {
     if (!structures || !batchResults || batchResults.size === 0) {
         throw new Error('No batch results available for CSV export');
     }
 
+    const hasSources = new Set(structures.map(s => s.source)).size > 1;
+
     const headers = [
         'Structure_ID',
+        ...(hasSources ? ['Source_File'] : []),
         'Metal_Element',
         'Coordination_Number',
         'Geometry_Rank',
@@ -1167,47 +1454,60 @@ export function generateLongDetailedCSV({ structures, batchResults, fileName })
         'CShM',
         'Interpretation',
         'Confidence_%',
-        'Is_Best_Match'
+        'Is_Best_Match',
+        'Central_Atom_Mode',
+        'Certified_Minimum',
+        'Seed',
+        'Verdict',
+        'Donor_Vertex_Map',
+        'Donor_CShM_Share',
+        'Tau4',
+        'Tau4_Prime',
+        'Tau5',
+        'Sigma_deg',
+        'Theta_deg',
+        'Zeta_A',
+        'Delta'
     ];
 
     const rows = [];
     structures.forEach((structure, index) => {
         const result = batchResults.get(index);
         if (result && result.geometryResults) {
+            const verdict = assessGeometryVerdict(result.geometryResults, result.coordinationNumber, { margin: ambiguityMargin, centralAtomMode: result.centralAtomMode });
+            const structureColumns = [
+                ...tauColumns(result.coordAtoms),
+                ...octahedralColumns(getOctahedralDistortion(result.coordAtoms, result.geometryResults))
+            ];
             result.geometryResults.forEach((geom, geomIndex) => {
                 const interpretation = interpretShapeMeasure(geom.shapeMeasure);
+                const donors = formatDonorAssignment(geom.donors, getCentreIndex(geom));
                 rows.push([
-                    `"${structure.id}"`,
+                    csvText(structure.id),
+                    ...(hasSources ? [csvText(structure.source)] : []),
                     structure.atoms[result.metalIndex]?.element || '',
                     result.coordinationNumber || '',
                     geomIndex + 1,
-                    `"${geom.name}"`,
-                    POINT_GROUPS[geom.name] || '',
+                    csvText(geom.name),
+                    csvText(getReferencePointGroup(geom.name)),
                     Math.max(0, geom.shapeMeasure).toFixed(4),
-                    `"${interpretation.text}"`,
+                    csvText(interpretation.text),
                     interpretation.confidence,
-                    geomIndex === 0 ? 'Yes' : 'No'
+                    geomIndex === 0 ? 'Yes' : 'No',
+                    result.centralAtomMode || CENTRAL_ATOM_MODES.INCLUDED,
+                    geom.certified ? 'Yes' : 'No',
+                    result.seed ?? result.metadata?.seed ?? '',
+                    csvText(verdict?.label),
+                    csvText(donors.vertexMap),
+                    csvText(donors.shares),
+                    ...structureColumns
                 ]);
             });
         }
     });
 
     const csvContent = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    downloadCSV(csvContent, `${fileName}_all_geometries.csv`);
-}
-
-/**
- * Helper: Download CSV content
- */
-function downloadCSV(content, filename) {
-    const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = filename.replace(/[<>:"/\\|?*]/g, '_');
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadTextFile(csvContent, `${fileName}_all_geometries.csv`, 'text/csv');
 }
 
 /**
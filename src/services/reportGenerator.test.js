@@ -0,0 +1,135 @@
+/**
+ * Report Generator Tests
+ *
+ * Text that can come from user-defined polyhedra must reach the HTML report
+ * escaped and the CSV files quoted.
+ */
+
+import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../constants/referenceGeometries';
+import { LIBRARY_FORMAT, importCustomPolyhedra } from './customPolyhedra';
+import { calculateAdditionalMetrics, calculateQualityMetrics } from './shapeAnalysis/qualityMetrics';
+import { downloadTextFile } from '../utils/download';
+import { generateBatchPDFReport, generateCSVReport, generatePDFReport } from './reportGenerator';
+
+jest.mock('../utils/download', () => ({ downloadTextFile: jest.fn() }));
+
+const MARKUP = '<img src=x onerror=alert(1)>';
+
+// Regular octahedron of N donors around Fe at the origin
+const atoms = [
+    { element: 'Fe', x: 0, y: 0, z: 0 },
+    ...[[2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0], [0, 0, 2], [0, 0, -2]]
+        .map(([x, y, z]) => ({ element: 'N', x, y, z }))
+];
+const coordAtoms = atoms.slice(1).map((atom, i) => ({
+    atom,
+    idx: i + 1,
+    vec: new THREE.Vector3(atom.x, atom.y, atom.z),
+    distance: 2
+}));
+
+// HTML written to the report window by generate()
+function captureReport(generate) {
+    let html = '';
+    const open = jest.spyOn(window, 'open').mockReturnValue({
+        document: { write: text => { html += text; }, close: () => {} }
+    });
+    try {
+        generate();
+    } finally {
+        open.mockRestore();
+    }
+    return html;
+}
+
+function writtenReport(geometryResults) {
+    return captureReport(() => {
+        const bestGeometry = geometryResults[0];
+        generatePDFReport({
+            atoms,
+            selectedMetal: 0,
+            bestGeometry,
+            coordAtoms,
+            coordRadius: 2.5,
+            geometryResults,
+            additionalMetrics: calculateAdditionalMetrics(coordAtoms),
+            qualityMetrics: calculateQualityMetrics(coordAtoms, bestGeometry, bestGeometry.shapeMeasure),
+            warnings: [],
+            fileName: 'octahedron',
+            analysisMode: 'default'
+        });
+    });
+}
+
+describe('reportGenerator - user-defined names', () => {
+    test('a library label with markup is refused and never reaches the report unescaped', () => {
+        const library = JSON.stringify({
+            format: LIBRARY_FORMAT,
+            version: 1,
+            polyhedra: [{
+                name: `ELO-6 (${MARKUP})`,
+                code: 'ELO',
+                label: MARKUP,
+                coordinationNumber: 6,
+                coords: REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)']
+            }]
+        });
+        const { imported, errors } = importCustomPolyhedra(library);
+
+        expect(imported).toBe(0);
+        expect(errors[0]).not.toContain('<img');
+
+        const html = writtenReport([
+            { name: `ELO-6 (${MARKUP})`, shapeMeasure: 0.1, refCoords: REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'] },
+            { name: 'OC-6 (Octahedral)', shapeMeasure: 0.2, refCoords: REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'] }
+        ]);
+
+        expect(html).toContain('ELO-6 (&lt;img src=x onerror=alert(1)&gt;)');
+        expect(html).not.toContain(MARKUP);
+    });
+
+    test('verdict labels built from user-defined names are escaped', () => {
+        const markupCode = '<svg/onload=alert(1)>';
+        const refCoords = REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'];
+        // Within the ambiguity margin, so the label names both shapes
+        const geometryResults = [
+            { name: `${markupCode} (x)`, shapeMeasure: 0.1, refCoords },
+            { name: 'OC-6 (Octahedral)', shapeMeasure: 0.2, refCoords }
+        ];
+
+        const single = writtenReport(geometryResults);
+        const batch = captureReport(() => generateBatchPDFReport({
+            structures: [{ id: 'fe1', atoms }],
+            batchResults: new Map([[0, {
+                geometryResults,
+                bestGeometry: geometryResults[0],
+                coordAtoms,
+                coordinationNumber: 6,
+                metalIndex: 0,
+                radius: 2.5
+            }]]),
+            fileName: 'batch'
+        }));
+
+        [single, batch].forEach(html => {
+            expect(html).toContain('&lt;svg/onload=alert(1)&gt;');
+            expect(html).not.toContain(markupCode);
+        });
+    });
+
+    test('CSV rows quote names with quotes and neutralise formulas', () => {
+        generateCSVReport({
+            geometryResults: [
+                { name: 'X-6 ("a", b)', shapeMeasure: 0.1 },
+                { name: '=cmd|calc', shapeMeasure: 0.2 }
+            ],
+            fileName: 'octahedron',
+            coordinationNumber: 6
+        });
+        const rows = downloadTextFile.mock.calls[0][0].split('\n');
+
+        expect(rows[1].startsWith('1,"X-6 (""a"", b)",')).toBe(true);
+        expect(rows[2].startsWith('2,"\'=cmd|calc",')).toBe(true);
+    });
+});
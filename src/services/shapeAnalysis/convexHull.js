@@ -0,0 +1,113 @@
+/**
+ * Convex Hull of a Coordination Polyhedron
+ *
+ * Exact hull of the few (≤ 13) vertices of a coordination polyhedron by
+ * enumerating support planes: a plane through three vertices is a face
+ * plane when no vertex lies on its outer side. Vertices on the same face
+ * plane form one polygon (its 2D hull), so square or hexagonal faces are
+ * not counted twice. Brute force is O(n⁴) but n is at most 13.
+ */
+
+import * as THREE from 'three';
+
+// Relative tolerance for coplanarity, scaled by the size of the point set
+const RELATIVE_TOLERANCE = 1e-7;
+
+// Andrew's monotone chain; returns indices into points2d in counter-clockwise order
+function convexHull2D(points2d) {
+    const order = points2d.map((_, i) => i).sort((a, b) => (
+        points2d[a][0] - points2d[b][0] || points2d[a][1] - points2d[b][1]
+    ));
+    const cross = (o, a, b) => (
+        (points2d[a][0] - points2d[o][0]) * (points2d[b][1] - points2d[o][1]) -
+        (points2d[a][1] - points2d[o][1]) * (points2d[b][0] - points2d[o][0])
+    );
+    const chain = indices => {
+        const hull = [];
+        for (const i of indices) {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], i) <= 0) hull.pop();
+            hull.push(i);
+        }
+        hull.pop();
+        return hull;
+    };
+    return [...chain(order), ...chain([...order].reverse())];
+}
+
+/**
+ * Convex hull of a small point set
+ *
+ * @param {Array<Array<number>>} points - Vertex coordinates [x, y, z]
+ * @returns {{volume: number, faces: Array<{vertices: number[], area: number}>, edges: Array<[number, number]>}}
+ *   faces as point-index polygons (in order around the face), edges as index pairs i < j;
+ *   volume 0 and no faces when the points are coplanar or fewer than four
+ *
+ * @example
+ * convexHull([[1,0,0], [-1,0,0], [0,1,0], [0,-1,0], [0,0,1], [0,0,-1]]).volume; // 4/3
+ */
+export function convexHull(points) {
+    const empty = { volume: 0, faces: [], edges: [] };
+    const n = points?.length || 0;
+    if (n < 4) return empty;
+
+    const vectors = points.map(p => new THREE.Vector3(...p));
+    const centroid = vectors.reduce((sum, v) => sum.add(v), new THREE.Vector3()).divideScalar(n);
+    const size = Math.max(...vectors.map(v => v.distanceTo(centroid)));
+    if (!(size > 0)) return empty;
+    const tolerance = RELATIVE_TOLERANCE * size;
+
+    const faces = [];
+    const seen = new Set();
+    let volume = 0;
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            for (let k = j + 1; k < n; k++) {
+                const normal = new THREE.Vector3()
+                    .subVectors(vectors[j], vectors[i])
+                    .cross(new THREE.Vector3().subVectors(vectors[k], vectors[i]));
+                if (normal.length() < tolerance * size) continue; // collinear
+                normal.normalize();
+
+                const offset = normal.dot(vectors[i]);
+                const distances = vectors.map(v => normal.dot(v) - offset);
+                const above = distances.some(d => d > tolerance);
+                const below = distances.some(d => d < -tolerance);
+                if (above && below) continue;
+                if (!above && !below) return empty; // every point on one plane
+
+                const onPlane = distances.map((d, m) => (Math.abs(d) <= tolerance ? m : -1)).filter(m => m >= 0);
+                const key = onPlane.join(',');
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                // Outline of the face in plane coordinates
+                const u = new THREE.Vector3().subVectors(vectors[j], vectors[i]).normalize();
+                const w = new THREE.Vector3().crossVectors(normal, u);
+                const planar = onPlane.map(m => {
+                    const r = new THREE.Vector3().subVectors(vectors[m], vectors[i]);
+                    return [r.dot(u), r.dot(w)];
+                });
+                const outline = convexHull2D(planar);
+                const area = Math.abs(outline.reduce((sum, a, t) => {
+                    const b = outline[(t + 1) % outline.length];
+                    return sum + planar[a][0] * planar[b][1] - planar[b][0] * planar[a][1];
+                }, 0)) / 2;
+
+                faces.push({ vertices: outline.map(t => onPlane[t]), area });
+                volume += (area * Math.abs(normal.dot(centroid) - offset)) / 3;
+            }
+        }
+    }
+
+    const edgeKeys = new Set();
+    faces.forEach(({ vertices }) => vertices.forEach((a, t) => {
+        const b = vertices[(t + 1) % vertices.length];
+        edgeKeys.add(a < b ? `${a},${b}` : `${b},${a}`);
+    }));
+    const edges = [...edgeKeys].map(key => key.split(',').map(Number));
+
+    return { volume, faces, edges };
+}
+
+export default convexHull;
@@ -0,0 +1,47 @@
+/**
+ * Convex Hull Tests
+ *
+ * Volumes, faces and edges of polyhedra with triangular and square faces.
+ */
+
+import { convexHull } from './convexHull';
+
+const cube = [];
+for (const x of [-1, 1]) for (const y of [-1, 1]) for (const z of [-1, 1]) cube.push([x, y, z]);
+
+const octahedron = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+describe('convexHull', () => {
+    test('a cube has six square faces and twelve edges', () => {
+        const hull = convexHull(cube);
+
+        expect(hull.volume).toBeCloseTo(8, 10);
+        expect(hull.faces).toHaveLength(6);
+        hull.faces.forEach(face => {
+            expect(face.vertices).toHaveLength(4);
+            expect(face.area).toBeCloseTo(4, 10);
+        });
+        expect(hull.edges).toHaveLength(12);
+    });
+
+    test('octahedron and tetrahedron volumes', () => {
+        const tetrahedron = [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]];
+
+        expect(convexHull(octahedron).volume).toBeCloseTo(4 / 3, 10);
+        expect(convexHull(octahedron).edges).toHaveLength(12);
+        expect(convexHull(tetrahedron).volume).toBeCloseTo(8 / 3, 10);
+    });
+
+    test('interior points do not change the hull', () => {
+        const hull = convexHull([...octahedron, [0.1, 0.1, 0.1]]);
+
+        expect(hull.volume).toBeCloseTo(4 / 3, 10);
+        expect(hull.faces.every(face => !face.vertices.includes(6))).toBe(true);
+    });
+
+    test('coplanar or too few points have no volume', () => {
+        expect(convexHull([[1, 0, 0], [0, 1, 0], [-1, 0, 0], [0, -1, 0]]).volume).toBe(0);
+        expect(convexHull(octahedron.slice(0, 3)).faces).toEqual([]);
+        expect(convexHull([]).volume).toBe(0);
+    });
+});
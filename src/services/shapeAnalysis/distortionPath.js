@@ -0,0 +1,147 @@
+/**
+ * Minimal Distortion Path Service
+ *
+ * Places a structure X between two reference polyhedra A and B of the same
+ * coordination number (Cirera, Ruiz & Alvarez, Chem. Eur. J. 2006, 12, 3162):
+ *
+ *   θ_AB   = arcsin(√S_A(B) / 10)                       angle between A and B
+ *   Δ_AB   = [arcsin(√S_X(A) / 10) + arcsin(√S_X(B) / 10)] / θ_AB − 1
+ *   φ_A→B  = 100 · arcsin(√S_X(A) / 10) / θ_AB          (%)
+ *
+ * Δ is 0 for structures exactly on the minimal distortion path and grows as
+ * they leave it; φ runs from 0% at A to 100% at B.
+ */
+
+import calculateShapeMeasure from './shapeCalculator';
+import { getReferenceGeometries, getCustomPolyhedraRevision } from '../customPolyhedra';
+import { DISTORTION_PATH, CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants.js';
+
+// CShM between ideal polyhedra, keyed by "cn|nameA|nameB|centre mode|library revision" (names sorted)
+const referenceMeasureCache = new Map();
+
+/**
+ * Angular distance equivalent to a shape measure
+ *
+ * @param {number} measure - CShM (0-100)
+ * @returns {number} arcsin(√S / 10) in radians
+ */
+function shapeAngle(measure) {
+    return Math.asin(Math.min(1, Math.sqrt(Math.max(0, measure)) / 10));
+}
+
+/**
+ * Ligand positions of a reference polyhedron relative to its central atom
+ *
+ * Reference geometries list the central atom last; calculateShapeMeasure
+ * expects metal-centred ligand vectors and adds the metal itself.
+ */
+function toLigandVectors(referenceCoords) {
+    const center = referenceCoords[referenceCoords.length - 1];
+    return referenceCoords.slice(0, -1).map(p => [p[0] - center[0], p[1] - center[1], p[2] - center[2]]);
+}
+
+/**
+ * CShM of ideal polyhedron B relative to ideal polyhedron A, S_A(B)
+ *
+ * The measure between two ideal shapes is symmetric; it is computed in both
+ * directions and the lower value kept, so a missed global minimum in one
+ * direction does not inflate θ_AB. Results are cached.
+ *
+ * The centre mode must match the one of the structure's S_X(A) and S_X(B),
+ * otherwise Δ and φ compare measures of different point sets.
+ *
+ * @param {number} coordinationNumber - Coordination number of both shapes
+ * @param {string} nameA - Reference geometry name of shape A (built-in or user-defined)
+ * @param {string} nameB - Reference geometry name of shape B
+ * @param {string} [centralAtomMode=CENTRAL_ATOM_MODES.INCLUDED] - CENTRAL_ATOM_MODES value
+ * @returns {number|null} S_A(B), or null if either shape is unknown
+ *
+ * @example
+ * getReferenceShapeMeasure(6, 'OC-6 (Octahedral)', 'TPR-6 (Trigonal Prism)');
+ * // ≈ 16.74
+ */
+export function getReferenceShapeMeasure(coordinationNumber, nameA, nameB, centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED) {
+    const references = getReferenceGeometries(coordinationNumber);
+    if (!references?.[nameA] || !references?.[nameB]) return null;
+    if (nameA === nameB) return 0;
+
+    const key = [coordinationNumber, ...[nameA, nameB].sort(), centralAtomMode, getCustomPolyhedraRevision()].join('|');
+    if (!referenceMeasureCache.has(key)) {
+        const options = { centralAtomMode };
+        const { measure: forward } = calculateShapeMeasure(toLigandVectors(references[nameB]), references[nameA], DISTORTION_PATH.REFERENCE_MODE, null, options);
+        const { measure: backward } = calculateShapeMeasure(toLigandVectors(references[nameA]), references[nameB], DISTORTION_PATH.REFERENCE_MODE, null, options);
+        referenceMeasureCache.set(key, Math.min(forward, backward));
+    }
+    return referenceMeasureCache.get(key);
+}
+
+/**
+ * Path deviation and generalized coordinate from three shape measures
+ *
+ * @param {number} measureA - S_X(A) of the structure
+ * @param {number} measureB - S_X(B) of the structure
+ * @param {number} referenceMeasure - S_A(B) between the ideal shapes
+ * @returns {{pathAngle: number, deviation: number, generalizedCoordinate: number}|null}
+ *   pathAngle θ_AB (rad), deviation Δ_AB and generalizedCoordinate φ_A→B (%);
+ *   null if A and B coincide (θ_AB = 0)
+ *
+ * @example
+ * calculatePathDeviation(0, 16.74, 16.74);
+ * // { pathAngle: 0.4208, deviation: 0, generalizedCoordinate: 0 }
+ */
+export function calculatePathDeviation(measureA, measureB, referenceMeasure) {
+    const pathAngle = shapeAngle(referenceMeasure);
+    if (!(pathAngle > 0) || !isFinite(measureA) || !isFinite(measureB)) return null;
+
+    const angleA = shapeAngle(measureA);
+    const angleB = shapeAngle(measureB);
+
+    return {
+        pathAngle,
+        deviation: (angleA + angleB) / pathAngle - 1,
+        generalizedCoordinate: 100 * angleA / pathAngle
+    };
+}
+
+/**
+ * Minimal distortion path analysis of an analysed structure
+ *
+ * Uses the CShM values already in geometryResults for S_X(A) and S_X(B).
+ *
+ * @param {Array<{name: string, shapeMeasure: number}>} geometryResults - Analysis results
+ * @param {number} coordinationNumber - Coordination number of the structure
+ * @param {string} nameA - Reference shape A (φ = 0%)
+ * @param {string} nameB - Reference shape B (φ = 100%)
+ * @param {string} [centralAtomMode=CENTRAL_ATOM_MODES.INCLUDED] - Centre mode geometryResults
+ *   were computed in
+ * @returns {Object|null} { nameA, nameB, measureA, measureB, referenceMeasure,
+ *   pathAngle, deviation, generalizedCoordinate, isOnPath }, or null if either
+ *   shape has no result or A and B coincide
+ *
+ * @example
+ * const path = analyzeDistortionPath(geometryResults, 6, 'OC-6 (Octahedral)', 'TPR-6 (Trigonal Prism)');
+ * // path.generalizedCoordinate = 35 → 35% along the Bailar twist from OC-6
+ */
+export function analyzeDistortionPath(geometryResults, coordinationNumber, nameA, nameB, centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED) {
+    const resultA = (geometryResults || []).find(r => r.name === nameA);
+    const resultB = (geometryResults || []).find(r => r.name === nameB);
+    if (!resultA || !resultB || nameA === nameB) return null;
+
+    const referenceMeasure = getReferenceShapeMeasure(coordinationNumber, nameA, nameB, centralAtomMode);
+    if (referenceMeasure === null) return null;
+
+    const path = calculatePathDeviation(resultA.shapeMeasure, resultB.shapeMeasure, referenceMeasure);
+    if (!path) return null;
+
+    return {
+        nameA,
+        nameB,
+        measureA: resultA.shapeMeasure,
+        measureB: resultB.shapeMeasure,
+        referenceMeasure,
+        ...path,
+        isOnPath: path.deviation < DISTORTION_PATH.MAX_PATH_DEVIATION
+    };
+}
+
+export default analyzeDistortionPath;
@@ -0,0 +1,107 @@
+/**
+ * Minimal Distortion Path Tests
+ *
+ * Path deviation Δ and generalized coordinate φ between two reference shapes.
+ */
+
+import calculateShapeMeasure from './shapeCalculator';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import { CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants';
+import {
+    getReferenceShapeMeasure,
+    calculatePathDeviation,
+    analyzeDistortionPath
+} from './distortionPath';
+
+const OC6 = 'OC-6 (Octahedral)';
+const TPR6 = 'TPR-6 (Trigonal Prism)';
+
+// Octahedron twisted about a C3 axis by `twist` degrees (0 = OC-6, 60 = TPR-6)
+function bailarTwist(twist) {
+    const h = Math.sqrt(2 / 3);
+    const r = Math.sqrt(4 / 3);
+    return [0, 1, 2].flatMap(k => {
+        const top = (120 * k) * Math.PI / 180;
+        const bottom = (120 * k + 60 - twist) * Math.PI / 180;
+        return [
+            [r * Math.cos(top), r * Math.sin(top), h],
+            [r * Math.cos(bottom), r * Math.sin(bottom), -h]
+        ];
+    });
+}
+
+describe('distortionPath - reference shapes', () => {
+    test('reproduces the SHAPE measures between ideal polyhedra', () => {
+        expect(getReferenceShapeMeasure(6, OC6, TPR6)).toBeCloseTo(16.737, 2);
+        expect(getReferenceShapeMeasure(6, TPR6, OC6)).toBeCloseTo(16.737, 2);
+        expect(getReferenceShapeMeasure(4, 'SP-4 (Square Planar)', 'T-4 (Tetrahedral)')).toBeCloseTo(33.333, 2);
+        expect(getReferenceShapeMeasure(6, OC6, OC6)).toBe(0);
+        expect(getReferenceShapeMeasure(6, OC6, 'T-4 (Tetrahedral)')).toBeNull();
+    });
+
+    test('measures the references in the centre mode of the structure', () => {
+        const vOC5 = 'vOC-5 (Square Pyramid, J1)';
+        const TBPY5 = 'TBPY-5 (Trigonal Bipyramidal)';
+        const included = getReferenceShapeMeasure(5, vOC5, TBPY5);
+        const ligandOnly = getReferenceShapeMeasure(5, vOC5, TBPY5, CENTRAL_ATOM_MODES.LIGAND_ONLY);
+
+        // vOC-5 has its metal off the ligand centroid
+        expect(included).toBeCloseTo(7.342, 2);
+        expect(ligandOnly).toBeCloseTo(6.699, 2);
+        expect(getReferenceShapeMeasure(5, TBPY5, vOC5)).toBe(included);
+
+        const geometryResults = [{ name: vOC5, shapeMeasure: 1 }, { name: TBPY5, shapeMeasure: 3 }];
+        expect(analyzeDistortionPath(geometryResults, 5, vOC5, TBPY5, CENTRAL_ATOM_MODES.LIGAND_ONLY).referenceMeasure)
+            .toBe(ligandOnly);
+    });
+});
+
+describe('distortionPath - path deviation and generalized coordinate', () => {
+    test('points on the minimal path have Δ = 0 and φ equal to the fraction travelled', () => {
+        const referenceMeasure = 16.737;
+        const theta = Math.asin(Math.sqrt(referenceMeasure) / 10);
+
+        [0, 0.25, 0.5, 1].forEach(fraction => {
+            const measureA = 100 * Math.sin(fraction * theta) ** 2;
+            const measureB = 100 * Math.sin((1 - fraction) * theta) ** 2;
+            const path = calculatePathDeviation(measureA, measureB, referenceMeasure);
+
+            expect(path.pathAngle).toBeCloseTo(theta, 10);
+            expect(path.deviation).toBeCloseTo(0, 10);
+            expect(path.generalizedCoordinate).toBeCloseTo(100 * fraction, 8);
+        });
+    });
+
+    test('structures off the path have positive deviation', () => {
+        const path = calculatePathDeviation(8, 8, 16.737);
+        expect(path.deviation).toBeGreaterThan(0.1);
+        expect(calculatePathDeviation(1, 1, 0)).toBeNull();
+    });
+
+    test('places Bailar-twisted octahedra between OC-6 and TPR-6', () => {
+        const references = REFERENCE_GEOMETRIES[6];
+        const coordinates = [15, 30, 45].map(twist => {
+            const coords = bailarTwist(twist);
+            const geometryResults = [OC6, TPR6].map(name => ({
+                name,
+                shapeMeasure: calculateShapeMeasure(coords, references[name]).measure
+            }));
+            const path = analyzeDistortionPath(geometryResults, 6, OC6, TPR6);
+
+            expect(path.isOnPath).toBe(true);
+            expect(path.referenceMeasure).toBeCloseTo(16.737, 2);
+            return path.generalizedCoordinate;
+        });
+
+        expect(coordinates[0]).toBeGreaterThan(0);
+        expect(coordinates[1]).toBeGreaterThan(coordinates[0]);
+        expect(coordinates[2]).toBeGreaterThan(coordinates[1]);
+        expect(coordinates[2]).toBeLessThan(100);
+    });
+
+    test('returns null when either shape has no result', () => {
+        const geometryResults = [{ name: OC6, shapeMeasure: 0.5 }];
+        expect(analyzeDistortionPath(geometryResults, 6, OC6, TPR6)).toBeNull();
+        expect(analyzeDistortionPath(geometryResults, 6, OC6, OC6)).toBeNull();
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Donor Contribution Service
+ *
+ * Attaches atom identities to the donor-to-vertex assignment returned by
+ * calculateShapeMeasure, so results can show which ligand sits on which ideal
+ * vertex and how much of the CShM it accounts for.
+ */
+
+import { formatAtomLabel } from '../../utils/atomLabels.js';
+import { formatLatticeOffset, isTranslatedImage } from '../../utils/lattice.js';
+
+// Colour scale from the smallest to the largest contribution (green → amber → red)
+const CONTRIBUTION_COLOR_STOPS = [
+    [0x22, 0xc5, 0x5e],
+    [0xf5, 0x9e, 0x0b],
+    [0xdc, 0x26, 0x26]
+];
+
+// Donors are the same atom when both index and lattice image agree
+const donorKey = (atomIndex, image) => `${atomIndex}:${(image || [0, 0, 0]).join(',')}`;
+
+/**
+ * Label the donors of an assignment
+ *
+ * @param {Array<Object>} assignment - calculateShapeMeasure assignment ({ ligandIndex, vertexIndex,
+ *   squaredDeviation, contribution, share })
+ * @param {Array<{atom: Atom, idx: number, image?: number[]}>} donorAtoms - Coordinating atoms in
+ *   the order the coordinates were passed to calculateShapeMeasure
+ * @returns {Array<Object>} Assignment entries with atomIndex, image (lattice offset, null
+ *   outside periodic search), element and label added
+ *
+ * @example
+ * describeDonors(result.assignment, coordAtoms);
+ * // [{ ligandIndex: 0, vertexIndex: 3, atomIndex: 12, element: 'N', label: 'N1', share: 0.41, ... }]
+ */
+export function describeDonors(assignment, donorAtoms) {
+    if (!Array.isArray(assignment)) return [];
+
+    return assignment.map(entry => {
+        const donor = donorAtoms?.[entry.ligandIndex];
+        return {
+            ...entry,
+            atomIndex: donor?.idx ?? null,
+            image: donor?.image || null,
+            element: donor?.atom?.element || '',
+            label: formatAtomLabel(donor?.atom)
+        };
+    });
+}
+
+/**
+ * Donor entry of each coordinating atom
+ *
+ * Donors are matched to coordAtoms by atom index and lattice image, since the
+ * analysis may have ordered the coordination sphere differently (intensive
+ * analysis) and a periodic sphere can hold several images of one atom.
+ *
+ * @param {Array<{idx: number, image?: number[]}>} coordAtoms - Coordinating atoms
+ * @param {Array<Object>} donors - describeDonors output
+ * @returns {Array<Object|undefined>} Donor per coordAtoms entry (undefined when unmatched)
+ */
+export function matchDonors(coordAtoms, donors) {
+    const donorByAtom = new Map((donors || []).map(d => [donorKey(d.atomIndex, d.image), d]));
+    return (coordAtoms || []).map(c => donorByAtom.get(donorKey(c?.idx, c?.image)));
+}
+
+/**
+ * Reference vertex of each coordinating atom in a geometry result
+ *
+ * @param {Array<{idx: number, image?: number[]}>} coordAtoms - Coordinating atoms
+ * @param {Object} geometryResult - Result with donors (describeDonors output)
+ * @returns {number[]|null} vertexIndex per coordAtoms entry; null if the donors
+ *   cannot be matched one-to-one (see matchDonors)
+ */
+export function getVertexIndices(coordAtoms, geometryResult) {
+    const donors = geometryResult?.donors;
+    if (!donors?.length || donors.length !== coordAtoms?.length) return null;
+
+    const vertices = matchDonors(coordAtoms, donors).map(d => d?.vertexIndex);
+    return vertices.every(v => v !== undefined) && new Set(vertices).size === vertices.length
+        ? vertices
+        : null;
+}
+
+/**
+ * Display number of a donor atom: 1-based index, with the lattice image for
+ * donors from neighbouring cells, e.g. "12 (1,0,0)"
+ *
+ * @param {Object} donor - describeDonors entry
+ * @returns {string} '—' without an atom index
+ */
+export function formatDonorAtom(donor) {
+    if (donor?.atomIndex == null) return '—';
+    const number = String(donor.atomIndex + 1);
+    return isTranslatedImage(donor.image) ? `${number} ${formatLatticeOffset(donor.image)}` : number;
+}
+
+/**
+ * Colour for a donor's share of the CShM
+ *
+ * @param {number} share - Donor share of the measure (0-1)
+ * @param {number} maxShare - Largest share among the donors
+ * @returns {string} CSS hex colour, green for no contribution to red for the largest
+ */
+export function contributionColor(share, maxShare) {
+    const t = maxShare > 0 ? Math.min(1, Math.max(0, share / maxShare)) : 0;
+    const scaled = t * (CONTRIBUTION_COLOR_STOPS.length - 1);
+    const lower = Math.min(Math.floor(scaled), CONTRIBUTION_COLOR_STOPS.length - 2);
+    const f = scaled - lower;
+
+    return '#' + CONTRIBUTION_COLOR_STOPS[lower]
+        .map((c, k) => Math.round(c + f * (CONTRIBUTION_COLOR_STOPS[lower + 1][k] - c)))
+        .map(c => c.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Reference index of the polyhedron centre in a geometry result
+ *
+ * @param {Object} geometryResult - Result with refCoords and centralAssignment
+ * @returns {number|null} Last reference index when the central atom was matched, else null
+ */
+export function getCentreIndex(geometryResult) {
+    return geometryResult?.centralAssignment && geometryResult.refCoords
+        ? geometryResult.refCoords.length - 1
+        : null;
+}
+
+/**
+ * Display name of a reference vertex ("V3", 1-based, or "centre")
+ *
+ * @param {number} vertexIndex - Reference point index
+ * @param {number|null} [centreIndex=null] - Reference index of the polyhedron centre, if matched
+ * @returns {string}
+ */
+export function formatVertex(vertexIndex, centreIndex = null) {
+    return vertexIndex === centreIndex ? 'centre' : `V${vertexIndex + 1}`;
+}
+
+/**
+ * One-line summary of an assignment for CSV export
+ *
+ * @param {Array<Object>} donors - describeDonors output
+ * @param {number|null} [centreIndex=null] - Reference index of the polyhedron centre, if matched
+ * @returns {{vertexMap: string, shares: string}} "label#12→V3; ..." (1-based atoms and
+ *   vertices, lattice image appended for neighbouring-cell donors) and "label#12: 41.0%; ..."
+ *   in donor order
+ */
+export function formatDonorAssignment(donors, centreIndex = null) {
+    if (!donors?.length) return { vertexMap: '', shares: '' };
+
+    const name = d => `${d.label || d.element}${d.atomIndex != null ? `#${formatDonorAtom(d)}` : ''}`;
+    return {
+        vertexMap: donors.map(d => `${name(d)}→${formatVertex(d.vertexIndex, centreIndex)}`).join('; '),
+        shares: donors.map(d => `${name(d)}: ${(100 * d.share).toFixed(1)}%`).join('; ')
+    };
+}
+
+export default describeDonors;
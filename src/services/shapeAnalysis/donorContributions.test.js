@@ -0,0 +1,101 @@
+/**
+ * Donor Contribution Tests
+ *
+ * Vertex assignment and per-donor CShM terms from calculateShapeMeasure,
+ * and the labels, colours and CSV summary built from them.
+ */
+
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import { CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants';
+import calculateShapeMeasure from './shapeCalculator';
+import {
+    describeDonors,
+    contributionColor,
+    formatDonorAssignment,
+    formatDonorAtom,
+    formatVertex,
+    getVertexIndices,
+    matchDonors
+} from './donorContributions';
+
+const OC6 = 'OC-6 (Octahedral)';
+
+// Octahedron with the fourth ligand pushed off its vertex
+const distortedOctahedron = [
+    [2, 0, 0], [-2, 0, 0], [0, 2, 0], [0.9, -1.7, 0.6], [0, 0, 2], [0, 0, -2]
+];
+
+describe('donorContributions - assignment', () => {
+    test('the displaced ligand carries the largest share and terms add up to the CShM', () => {
+        const result = calculateShapeMeasure(distortedOctahedron, REFERENCE_GEOMETRIES[6][OC6]);
+        const total = result.assignment.reduce((sum, d) => sum + d.contribution, 0)
+            + result.centralAssignment.contribution;
+        const largest = result.assignment.reduce((a, b) => (b.share > a.share ? b : a));
+
+        expect(result.assignment).toHaveLength(6);
+        expect(new Set(result.assignment.map(d => d.vertexIndex)).size).toBe(6);
+        expect(total).toBeCloseTo(result.measure, 6);
+        expect(largest.ligandIndex).toBe(3);
+        expect(largest.share).toBeGreaterThan(0.5);
+    });
+
+    test('ligand-only mode has no central atom term', () => {
+        const result = calculateShapeMeasure(distortedOctahedron, REFERENCE_GEOMETRIES[6][OC6], 'default', null, {
+            centralAtomMode: CENTRAL_ATOM_MODES.LIGAND_ONLY
+        });
+
+        expect(result.centralAssignment).toBeNull();
+        expect(result.assignment.reduce((sum, d) => sum + d.share, 0)).toBeCloseTo(1, 10);
+    });
+});
+
+describe('donorContributions - labels', () => {
+    const donors = describeDonors(
+        [
+            { ligandIndex: 0, vertexIndex: 2, squaredDeviation: 0, contribution: 0.1, share: 0.25 },
+            { ligandIndex: 1, vertexIndex: 6, squaredDeviation: 0, contribution: 0.3, share: 0.75 }
+        ],
+        [
+            { idx: 4, atom: { element: 'N', residueName: 'HIS', chainId: 'A', residueNumber: 93, atomName: 'NE2' } },
+            { idx: 9, atom: { element: 'O', label: 'O1' } }
+        ]
+    );
+
+    test('donors take the atom index, element and label', () => {
+        expect(donors[0]).toMatchObject({ atomIndex: 4, element: 'N', label: 'HIS A 93 NE2' });
+        expect(donors[1]).toMatchObject({ atomIndex: 9, element: 'O', label: 'O1' });
+        expect(describeDonors(undefined, [])).toEqual([]);
+    });
+
+    test('CSV summary uses 1-based atoms and vertices and names the centre', () => {
+        expect(formatVertex(6, 6)).toBe('centre');
+        expect(formatDonorAssignment(donors, 6)).toEqual({
+            vertexMap: 'HIS A 93 NE2#5→V3; O1#10→centre',
+            shares: 'HIS A 93 NE2#5: 25.0%; O1#10: 75.0%'
+        });
+    });
+
+    test('periodic images of one atom stay separate donors', () => {
+        const coordAtoms = [
+            { idx: 3, atom: { element: 'O', label: 'O1' }, image: [0, 0, 0] },
+            { idx: 3, atom: { element: 'O', label: 'O1' }, image: [1, 0, 0] },
+            { idx: 5, atom: { element: 'N', label: 'N1' } }
+        ];
+        const imageDonors = describeDonors(
+            [2, 0, 1].map((ligandIndex, vertexIndex) => ({ ligandIndex, vertexIndex, contribution: 0, share: vertexIndex / 3 })),
+            coordAtoms
+        );
+
+        expect(matchDonors(coordAtoms, imageDonors).map(d => d.vertexIndex)).toEqual([1, 2, 0]);
+        expect(getVertexIndices([...coordAtoms].reverse(), { donors: imageDonors })).toEqual([0, 2, 1]);
+        expect(formatDonorAtom(imageDonors[2])).toBe('4 (1,0,0)');
+        expect(formatDonorAtom(imageDonors[1])).toBe('4');
+        expect(formatDonorAssignment(imageDonors).vertexMap).toBe('N1#6→V1; O1#4→V2; O1#4 (1,0,0)→V3');
+    });
+
+    test('colours run from green to red with the share', () => {
+        expect(contributionColor(0, 0.5)).toBe('#22c55e');
+        expect(contributionColor(0.5, 0.5)).toBe('#dc2626');
+        expect(contributionColor(0.2, 0)).toBe('#22c55e');
+    });
+});
@@ -0,0 +1,323 @@
+/**
+ * Exact Continuous Shape Measure
+ *
+ * Certified CShM minimum by branch-and-bound over ligand → vertex assignments.
+ * With both point sets centred and scaled to unit RMS (Σ|p|² = Σ|q|² = N),
+ *
+ *   CShM = 100 · (1 − (max_{R, π} Σ_i R·p_i · q_π(i) / N)²)
+ *
+ * - For a fixed assignment π the best proper rotation is closed-form: the
+ *   largest eigenvalue of Horn's 4×4 quaternion matrix (Horn, J. Opt. Soc.
+ *   Am. A 1987, 4, 629)
+ * - A partial assignment is bounded by its own optimal overlap plus the
+ *   rearrangement bound Σ |p_j||q_k| of the still unassigned points
+ * - Assignments related by a rotation of the reference polyhedron give the
+ *   same overlap; only the lexicographically smallest of each class is
+ *   expanded (the rotation group is found once per reference by the same
+ *   search against itself)
+ *
+ * A search that finishes within the node budget proves that no assignment
+ * beats the returned one: the result is a certified minimum.
+ */
+
+import * as THREE from 'three';
+import hungarianAlgorithm from '../algorithms/hungarian.js';
+import { SHAPE_MEASURE } from '../../constants/algorithmConstants.js';
+
+// Jacobi sweeps for the 4×4 eigenproblem (converges in ~5)
+const MAX_JACOBI_SWEEPS = 30;
+
+// Rotation groups of the reference polyhedra, keyed by coordinates
+const groupCache = new Map();
+
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+
+function addOuter(H, p, q) {
+    return [
+        [H[0][0] + p[0] * q[0], H[0][1] + p[0] * q[1], H[0][2] + p[0] * q[2]],
+        [H[1][0] + p[1] * q[0], H[1][1] + p[1] * q[1], H[1][2] + p[1] * q[2]],
+        [H[2][0] + p[2] * q[0], H[2][1] + p[2] * q[1], H[2][2] + p[2] * q[2]]
+    ];
+}
+
+/**
+ * Largest eigenpair of a symmetric 4×4 matrix (cyclic Jacobi)
+ *
+ * @param {Array<Array<number>>} M - Symmetric matrix (not modified)
+ * @returns {{value: number, vector: number[]}}
+ */
+function largestEigenpair(M) {
+    const a = M.map(row => [...row]);
+    const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    for (let sweep = 0; sweep < MAX_JACOBI_SWEEPS; sweep++) {
+        let off = 0;
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+        }
+        if (off < 1e-24) break;
+
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) {
+                if (a[p][q] === 0) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < 4; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < 4; i++) {
+        if (a[i][i] > a[best][best]) best = i;
+    }
+    return { value: a[best][best], vector: v.map(row => row[best]) };
+}
+
+/**
+ * Best overlap Σ R·p_i · q_i over proper rotations for a fixed pairing
+ *
+ * @param {Array<Array<number>>} H - Correlation matrix Σ p_i q_iᵀ
+ * @returns {{overlap: number, quaternion: number[]}} quaternion [w, x, y, z] of R
+ *
+ * @example
+ * // p = x axis, q = y axis: a 90° turn about z gives overlap 1
+ * optimalRotationOverlap([[0, 1, 0], [0, 0, 0], [0, 0, 0]]).overlap; // 1
+ */
+export function optimalRotationOverlap(H) {
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = H;
+    const { value, vector } = largestEigenpair([
+        [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+        [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+        [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+        [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+    ]);
+    return { overlap: value, quaternion: vector };
+}
+
+/**
+ * Depth-first branch-and-bound over assignments of the first `free` points
+ *
+ * Points with index ≥ free (the central atom) stay paired with themselves.
+ * Ligand i is assigned at depth i; at each depth the children are visited
+ * best bound first.
+ *
+ * @param {Array<Array<number>>} P - Actual points
+ * @param {Array<Array<number>>} Q - Reference points
+ * @param {number} free - Number of permutable points
+ * @param {Object} options
+ * @param {Array<number[]>} options.group - Vertex permutations of Q's rotation group
+ * @param {number} options.target - Incumbent overlap (search mode) or acceptance threshold (collect mode)
+ * @param {number[]|null} [options.seed] - Assignment achieving the incumbent
+ * @param {boolean} [options.collect=false] - Return every assignment reaching the threshold
+ * @param {number} [options.maxNodes=Infinity] - Budget of bound evaluations
+ * @returns {{overlap: number, permutation: number[]|null, found: Array<number[]>, nodes: number, complete: boolean}}
+ */
+function searchAssignments(P, Q, free, { group, target, seed = null, collect = false, maxNodes = Infinity }) {
+    const N = P.length;
+    const tolerance = SHAPE_MEASURE.EXACT.PRUNE_TOLERANCE;
+    const qNorms = Q.map(norm);
+    const vertexOrder = Array.from({ length: free }, (_, j) => j).sort((a, b) => qNorms[b] - qNorms[a]);
+    const ligandNorms = Array.from({ length: free + 1 }, (_, d) =>
+        P.slice(d, free).map(norm).sort((a, b) => b - a)
+    );
+
+    let H0 = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let k = free; k < N; k++) H0 = addOuter(H0, P[k], Q[k]);
+
+    const perm = new Array(free);
+    const used = new Array(free).fill(false);
+    const found = [];
+    let best = target;
+    let bestPerm = seed;
+    let nodes = 0;
+    let complete = true;
+
+    // Rearrangement bound on the unassigned points
+    const restBound = depth => {
+        const norms = ligandNorms[depth];
+        let sum = 0;
+        let k = 0;
+        for (const j of vertexOrder) {
+            if (k === norms.length) break;
+            if (used[j]) continue;
+            sum += norms[k++] * qNorms[j];
+        }
+        return sum;
+    };
+
+    const isPruned = value => (collect ? value < best : value <= best + tolerance);
+
+    const expand = (depth, H, stabilizer) => {
+        const children = [];
+        for (let v = 0; v < free; v++) {
+            if (used[v]) continue;
+            // Only the smallest vertex of each orbit of the prefix stabilizer
+            if (stabilizer.some(g => g[v] < v)) continue;
+            if (++nodes > maxNodes) {
+                complete = false;
+                return;
+            }
+
+            const childH = addOuter(H, P[depth], Q[v]);
+            const { overlap } = optimalRotationOverlap(childH);
+            used[v] = true;
+            const bound = overlap + restBound(depth + 1);
+            used[v] = false;
+
+            if (!isPruned(bound)) children.push({ v, childH, overlap, bound });
+        }
+        children.sort((a, b) => b.bound - a.bound);
+
+        for (const child of children) {
+            if (!complete) return;
+            if (isPruned(child.bound)) break;
+            perm[depth] = child.v;
+
+            if (depth + 1 === free) {
+                if (collect) {
+                    found.push([...perm]);
+                } else if (child.overlap > best) {
+                    best = child.overlap;
+                    bestPerm = [...perm];
+                }
+                continue;
+            }
+
+            used[child.v] = true;
+            expand(depth + 1, child.childH, stabilizer.filter(g => g[child.v] === child.v));
+            used[child.v] = false;
+        }
+    };
+
+    expand(0, H0, group);
+    return { overlap: best, permutation: bestPerm, found, nodes, complete };
+}
+
+/**
+ * Rotation for a pairing, from Horn's quaternion
+ *
+ * @param {Array<Array<number>>} P - Actual points
+ * @param {Array<Array<number>>} Q - Reference points
+ * @param {Array<[number, number]>} matching - [actual index, reference index] pairs
+ * @returns {{overlap: number, rotation: THREE.Matrix4}}
+ */
+export function pairingRotation(P, Q, matching) {
+    let H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    matching.forEach(([i, j]) => { H = addOuter(H, P[i], Q[j]); });
+    const { overlap, quaternion: [w, x, y, z] } = optimalRotationOverlap(H);
+    const rotation = new THREE.Matrix4().makeRotationFromQuaternion(new THREE.Quaternion(x, y, z, w).normalize());
+    return { overlap, rotation };
+}
+
+/**
+ * Proper rotation group of a reference polyhedron as vertex permutations
+ *
+ * Candidates are the assignments of Q onto itself with near-perfect overlap;
+ * only those whose rotation maps every vertex within SYMMETRY_TOLERANCE are
+ * kept, so approximate symmetries never merge inequivalent assignments.
+ *
+ * @param {Array<Array<number>>} Q - Normalized reference points
+ * @param {number} free - Number of permutable points
+ * @returns {Array<number[]>} g[v] = image of vertex v (includes the identity)
+ */
+export function getReferenceRotationGroup(Q, free) {
+    const key = `${free}|${Q.map(q => q.map(x => x.toFixed(9)).join(',')).join(';')}`;
+    if (!groupCache.has(key)) {
+        const tolerance = SHAPE_MEASURE.EXACT.SYMMETRY_TOLERANCE;
+        const { found } = searchAssignments(Q, Q, free, {
+            group: [],
+            target: Q.length * (1 - tolerance),
+            collect: true
+        });
+
+        const group = found.filter(g => {
+            const matching = Q.map((_, k) => [k, k < free ? g[k] : k]);
+            const { rotation } = pairingRotation(Q, Q, matching);
+            return matching.every(([i, j]) =>
+                new THREE.Vector3(...Q[i]).applyMatrix4(rotation).distanceTo(new THREE.Vector3(...Q[j])) < tolerance
+            );
+        });
+        groupCache.set(key, group);
+    }
+    return groupCache.get(key);
+}
+
+/**
+ * Exact CShM for one pair of normalized point sets
+ *
+ * @param {Array<Array<number>>} P - Actual points, centred and scaled to unit RMS
+ * @param {Array<Array<number>>} Q - Reference points, normalized the same way
+ * @param {Object} [options={}]
+ * @param {number} [options.fixed=0] - Trailing points paired with themselves (1 for the central atom)
+ * @param {THREE.Matrix4} [options.seedRotation] - Rotation from a heuristic search; its
+ *   assignment becomes the starting incumbent, which makes pruning far more effective
+ * @param {number} [options.maxNodes=SHAPE_MEASURE.EXACT.MAX_NODES] - Node budget
+ * @returns {{measure: number, matching: Array<[number, number]>, rotation: THREE.Matrix4, certified: boolean, nodes: number}}
+ *   matching pairs [actual index, reference index] for all N points; certified is
+ *   false when the node budget ran out (the measure is then the best one found)
+ *
+ * @example
+ * const { measure, certified } = exactShapeMeasure(P, Q, { fixed: 1, seedRotation });
+ */
+export function exactShapeMeasure(P, Q, options = {}) {
+    const {
+        fixed = 0,
+        seedRotation = null,
+        maxNodes = SHAPE_MEASURE.EXACT.MAX_NODES
+    } = options;
+    const N = P.length;
+    const free = N - fixed;
+
+    // Starting incumbent: best assignment for the heuristic rotation
+    let target = -Infinity;
+    let seed = null;
+    if (seedRotation) {
+        const rotated = P.slice(0, free).map(p => new THREE.Vector3(...p).applyMatrix4(seedRotation));
+        const cost = rotated.map(p => Q.slice(0, free).map(q => -(p.x * q[0] + p.y * q[1] + p.z * q[2])));
+        seed = new Array(free);
+        hungarianAlgorithm(cost).forEach(([i, j]) => { seed[i] = j; });
+
+        let H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let k = 0; k < N; k++) H = addOuter(H, P[k], Q[k < free ? seed[k] : k]);
+        target = optimalRotationOverlap(H).overlap;
+    }
+
+    const group = getReferenceRotationGroup(Q, free);
+    const search = searchAssignments(P, Q, free, { group, target, seed, maxNodes });
+    const permutation = search.permutation || Array.from({ length: free }, (_, k) => k);
+
+    const matching = Array.from({ length: N }, (_, k) => [k, k < free ? permutation[k] : k]);
+    const { overlap, rotation } = pairingRotation(P, Q, matching);
+
+    const overlapNorm = Math.max(-1, Math.min(1, overlap / N));
+    return {
+        measure: Math.max(0, 100 * (1 - overlapNorm * overlapNorm)),
+        matching,
+        rotation,
+        certified: search.complete,
+        nodes: search.nodes
+    };
+}
+
+export default exactShapeMeasure;
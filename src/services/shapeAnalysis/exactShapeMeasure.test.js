@@ -0,0 +1,116 @@
+/**
+ * Exact CShM Tests
+ *
+ * Branch-and-bound search against brute force, reference rotation groups
+ * and certified values between ideal polyhedra.
+ */
+
+import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import calculateShapeMeasure from './shapeCalculator';
+import { exactShapeMeasure, getReferenceRotationGroup, optimalRotationOverlap } from './exactShapeMeasure';
+import { normalize, randomSphere } from './testUtils';
+
+function* permutations(items) {
+    if (items.length <= 1) {
+        yield items;
+        return;
+    }
+    for (let i = 0; i < items.length; i++) {
+        for (const rest of permutations([...items.slice(0, i), ...items.slice(i + 1)])) {
+            yield [items[i], ...rest];
+        }
+    }
+}
+
+// Minimum CShM over every assignment, central atom fixed
+function bruteForceMeasure(P, Q) {
+    const N = P.length;
+    let best = -Infinity;
+    for (const perm of permutations(Array.from({ length: N - 1 }, (_, k) => k))) {
+        const H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        [...perm, N - 1].forEach((j, i) => {
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) H[a][b] += P[i][a] * Q[j][b];
+            }
+        });
+        best = Math.max(best, optimalRotationOverlap(H).overlap);
+    }
+    return 100 * (1 - (best / N) ** 2);
+}
+
+const withCentre = ligands => normalize([...ligands, [0, 0, 0]]);
+
+describe('exactShapeMeasure - optimal rotation', () => {
+    test('Horn quaternion rotates the actual points onto the reference', () => {
+        const { overlap, quaternion: [w, x, y, z] } = optimalRotationOverlap([[0, 1, 0], [0, 0, 0], [0, 0, 0]]);
+        const rotated = new THREE.Vector3(1, 0, 0).applyQuaternion(new THREE.Quaternion(x, y, z, w));
+
+        expect(overlap).toBeCloseTo(1, 10);
+        expect(rotated.y).toBeCloseTo(1, 10);
+    });
+
+    test('finds the proper rotation groups of the reference polyhedra', () => {
+        const groupOrder = (cn, name) => getReferenceRotationGroup(normalize(REFERENCE_GEOMETRIES[cn][name]), cn).length;
+
+        expect(groupOrder(6, 'OC-6 (Octahedral)')).toBe(24);
+        expect(groupOrder(8, 'CU-8 (Cube)')).toBe(24);
+        expect(groupOrder(8, 'SAPR-8 (Square Antiprism)')).toBe(8);
+        expect(groupOrder(12, 'COC-12 (Cuboctahedral)')).toBe(24);
+        expect(groupOrder(12, 'IC-12 (Icosahedral)')).toBe(60);
+    });
+});
+
+describe('exactShapeMeasure - certified minimum', () => {
+    test('matches brute force over all 8! assignments', () => {
+        const P = withCentre(randomSphere(8, 11));
+        ['CU-8 (Cube)', 'TDD-8 (Triangular Dodecahedron)'].forEach(name => {
+            const Q = normalize(REFERENCE_GEOMETRIES[8][name]);
+            const result = exactShapeMeasure(P, Q, { fixed: 1 });
+
+            expect(result.certified).toBe(true);
+            expect(result.measure).toBeCloseTo(bruteForceMeasure(P, Q), 6);
+        });
+    });
+
+    test('recovers a rotated and shuffled icosahedron exactly', () => {
+        const rotation = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(0.3, 1.1, -0.7));
+        const ligands = REFERENCE_GEOMETRIES[12]['IC-12 (Icosahedral)'].slice(0, -1)
+            .map(p => new THREE.Vector3(...p).multiplyScalar(2.1).applyMatrix4(rotation).toArray())
+            .reverse();
+
+        const result = exactShapeMeasure(withCentre(ligands), normalize(REFERENCE_GEOMETRIES[12]['IC-12 (Icosahedral)']), { fixed: 1 });
+
+        expect(result.certified).toBe(true);
+        expect(result.measure).toBeLessThan(1e-8);
+        expect(new Set(result.matching.map(([, j]) => j)).size).toBe(13);
+    });
+
+    test('reproduces SHAPE values between ideal polyhedra', () => {
+        const measure = (cn, actual, reference) => exactShapeMeasure(
+            normalize(REFERENCE_GEOMETRIES[cn][actual]),
+            normalize(REFERENCE_GEOMETRIES[cn][reference]),
+            { fixed: 1 }
+        ).measure;
+
+        expect(measure(12, 'COC-12 (Cuboctahedral)', 'IC-12 (Icosahedral)')).toBeCloseTo(5.279, 2);
+    });
+
+    test('reports an exhausted node budget as not certified', () => {
+        const P = withCentre(randomSphere(12, 5));
+        const result = exactShapeMeasure(P, normalize(REFERENCE_GEOMETRIES[12]['IC-12 (Icosahedral)']), { fixed: 1, maxNodes: 50 });
+
+        expect(result.certified).toBe(false);
+        expect(Number.isFinite(result.measure)).toBe(true);
+    });
+});
+
+describe('calculateShapeMeasure - certification flag', () => {
+    test('exhaustive CN 6 results are certified, annealed CN 8 defaults are not', () => {
+        const octahedron = REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'];
+        const cube = REFERENCE_GEOMETRIES[8]['CU-8 (Cube)'];
+
+        expect(calculateShapeMeasure(octahedron.slice(0, -1), octahedron).certified).toBe(true);
+        expect(calculateShapeMeasure(randomSphere(8, 3), cube).certified).toBe(false);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Geometry Verdict Service
+ *
+ * Decides whether the best-ranked reference shape can be reported as the
+ * geometry of a structure, or whether the data only place it between the
+ * two best shapes. The ranking is ambiguous when
+ * 1. the two lowest CShM values differ by less than a user-set margin, or
+ * 2. both lie in the distorted range (CShM ≥ SHAPE_VERDICT.DISTORTED_THRESHOLD)
+ *
+ * Ambiguous results are described with the minimal distortion path between
+ * the two shapes: on the path (small Δ) the structure is an intermediate at
+ * generalized coordinate φ; off the path neither shape describes it well.
+ */
+
+import { analyzeDistortionPath } from './distortionPath';
+import { SHAPE_VERDICT, CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants.js';
+
+/**
+ * Short label of a reference geometry ("SAPR-8 (Square Antiprism)" → "SAPR-8")
+ *
+ * @param {string} name - Reference geometry name
+ * @returns {string}
+ */
+export function getShapeLabel(name) {
+    return String(name || '').split(' (')[0];
+}
+
+/**
+ * Confidence verdict for the best geometry of one structure
+ *
+ * @param {Array<{name: string, shapeMeasure: number}>} geometryResults - Analysis results
+ * @param {number} coordinationNumber - Coordination number of the structure
+ * @param {Object} [options={}]
+ * @param {number} [options.margin=SHAPE_VERDICT.AMBIGUITY_MARGIN] - CShM difference below
+ *   which the two best shapes are not told apart
+ * @param {string} [options.centralAtomMode=CENTRAL_ATOM_MODES.INCLUDED] - Centre mode of
+ *   geometryResults, used for the distortion path between the two best shapes
+ * @returns {Object|null} { ambiguous, reasons, best, runnerUp, difference, path, label, summary };
+ *   reasons lists 'margin' and/or 'distorted'; path is the analyzeDistortionPath result
+ *   between the two best shapes (null if unavailable); label is the best shape's short
+ *   name, or "between A and B" when ambiguous. null without a finite result.
+ *
+ * @example
+ * const verdict = assessGeometryVerdict(geometryResults, 8);
+ * // { ambiguous: true, reasons: ['margin'], label: 'between SAPR-8 and TDD-8', ... }
+ */
+export function assessGeometryVerdict(geometryResults, coordinationNumber, options = {}) {
+    const {
+        margin = SHAPE_VERDICT.AMBIGUITY_MARGIN,
+        centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED
+    } = options;
+    const ranked = (geometryResults || [])
+        .filter(r => Number.isFinite(r.shapeMeasure))
+        .sort((a, b) => a.shapeMeasure - b.shapeMeasure);
+    if (ranked.length === 0) return null;
+
+    const [best, runnerUp = null] = ranked;
+    const bestLabel = getShapeLabel(best.name);
+    if (!runnerUp) {
+        return {
+            ambiguous: false,
+            reasons: [],
+            best,
+            runnerUp: null,
+            difference: null,
+            path: null,
+            label: bestLabel,
+            summary: `${bestLabel} (only candidate)`
+        };
+    }
+
+    const runnerUpLabel = getShapeLabel(runnerUp.name);
+    const difference = Math.max(0, runnerUp.shapeMeasure) - Math.max(0, best.shapeMeasure);
+    const reasons = [];
+    if (difference < margin) reasons.push('margin');
+    if (best.shapeMeasure >= SHAPE_VERDICT.DISTORTED_THRESHOLD) reasons.push('distorted');
+
+    const path = analyzeDistortionPath(ranked, coordinationNumber, best.name, runnerUp.name, centralAtomMode);
+    const ambiguous = reasons.length > 0;
+
+    let summary;
+    if (!ambiguous) {
+        summary = `${bestLabel} (ΔCShM = ${difference.toFixed(2)} to ${runnerUpLabel})`;
+    } else if (path?.isOnPath) {
+        summary = `between ${bestLabel} and ${runnerUpLabel}: on the minimal distortion path ` +
+            `(Δ = ${path.deviation.toFixed(3)}), ${path.generalizedCoordinate.toFixed(0)}% from ${bestLabel}`;
+    } else if (path) {
+        summary = `between ${bestLabel} and ${runnerUpLabel}: off the minimal distortion path ` +
+            `(Δ = ${path.deviation.toFixed(3)}), neither shape describes the structure well`;
+    } else {
+        summary = `between ${bestLabel} and ${runnerUpLabel} (ΔCShM = ${difference.toFixed(2)})`;
+    }
+
+    return {
+        ambiguous,
+        reasons,
+        best,
+        runnerUp,
+        difference,
+        path,
+        label: ambiguous ? `between ${bestLabel} and ${runnerUpLabel}` : bestLabel,
+        summary
+    };
+}
+
+export default assessGeometryVerdict;
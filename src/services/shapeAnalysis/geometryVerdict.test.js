@@ -0,0 +1,77 @@
+/**
+ * Geometry Verdict Tests
+ *
+ * Clear winners, near ties, distorted intermediates on and off the minimal
+ * distortion path.
+ */
+
+import { getReferenceShapeMeasure } from './distortionPath';
+import { assessGeometryVerdict, getShapeLabel } from './geometryVerdict';
+
+const OC6 = 'OC-6 (Octahedral)';
+const TPR6 = 'TPR-6 (Trigonal Prism)';
+
+// CShM values of a structure a fraction t along the OC-6 → TPR-6 path
+function onPath(t) {
+    const theta = Math.asin(Math.sqrt(getReferenceShapeMeasure(6, OC6, TPR6)) / 10);
+    return [
+        { name: OC6, shapeMeasure: (10 * Math.sin(t * theta)) ** 2 },
+        { name: TPR6, shapeMeasure: (10 * Math.sin((1 - t) * theta)) ** 2 },
+        { name: 'HP-6 (Hexagon)', shapeMeasure: 30 }
+    ];
+}
+
+describe('geometryVerdict - labels', () => {
+    test('short labels drop the descriptive name', () => {
+        expect(getShapeLabel('SAPR-8 (Square Antiprism)')).toBe('SAPR-8');
+        expect(getShapeLabel('my-shape')).toBe('my-shape');
+    });
+});
+
+describe('geometryVerdict - verdicts', () => {
+    test('a clear best match names one geometry', () => {
+        const verdict = assessGeometryVerdict([
+            { name: TPR6, shapeMeasure: 15 },
+            { name: OC6, shapeMeasure: 0.2 }
+        ], 6);
+
+        expect(verdict.ambiguous).toBe(false);
+        expect(verdict.label).toBe('OC-6');
+        expect(verdict.runnerUp.name).toBe(TPR6);
+        expect(verdict.difference).toBeCloseTo(14.8, 10);
+    });
+
+    test('a near tie off the path is ambiguous and flagged as poorly described', () => {
+        const verdict = assessGeometryVerdict([
+            { name: OC6, shapeMeasure: 6.0 },
+            { name: TPR6, shapeMeasure: 6.3 }
+        ], 6);
+
+        expect(verdict.ambiguous).toBe(true);
+        expect(verdict.reasons).toEqual(['margin', 'distorted']);
+        expect(verdict.label).toBe('between OC-6 and TPR-6');
+        expect(verdict.path.isOnPath).toBe(false);
+        expect(verdict.summary).toMatch(/off the minimal distortion path/);
+    });
+
+    test('a distorted intermediate on the path reports its position', () => {
+        const verdict = assessGeometryVerdict(onPath(0.45), 6);
+
+        expect(verdict.ambiguous).toBe(true);
+        expect(verdict.reasons).toEqual(['distorted']);
+        expect(verdict.path.deviation).toBeCloseTo(0, 8);
+        expect(verdict.path.generalizedCoordinate).toBeCloseTo(45, 6);
+        expect(verdict.summary).toMatch(/on the minimal distortion path .* 45% from OC-6/);
+    });
+
+    test('the margin is user-set', () => {
+        expect(assessGeometryVerdict(onPath(0.3), 6).ambiguous).toBe(false);
+        expect(assessGeometryVerdict(onPath(0.3), 6, { margin: 10 }).reasons).toEqual(['margin']);
+    });
+
+    test('single and missing results', () => {
+        expect(assessGeometryVerdict([{ name: OC6, shapeMeasure: 0.4 }], 6)).toMatchObject({ ambiguous: false, label: 'OC-6' });
+        expect(assessGeometryVerdict([{ name: OC6, shapeMeasure: Infinity }], 6)).toBeNull();
+        expect(assessGeometryVerdict([], 6)).toBeNull();
+    });
+});
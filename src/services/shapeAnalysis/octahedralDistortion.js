@@ -0,0 +1,183 @@
+/**
+ * Octahedral Distortion Parameters
+ *
+ * Standard distortion parameters of six-coordinate centres used in
+ * spin-crossover work (Marchivie et al., Acta Cryst. B 2005, 61, 25;
+ * Ketkaew et al., Dalton Trans. 2021, 50, 1086):
+ * - Σ = Σ|90° − φ| over the 12 cis L–M–L angles
+ * - Θ = Σ|60° − θ| over the 24 angles between ligands of opposite triangular
+ *   faces, projected onto the plane normal to the line through the face
+ *   centroids (4 face pairs × 6 angles)
+ * - ζ = Σ|dᵢ − d̄| over the 6 M–L bonds (Å)
+ * - Δ = (1/6) Σ((dᵢ − d̄) / d̄)²
+ *
+ * Which ligands are cis, trans or on opposite faces follows from the OC-6
+ * vertex each donor is matched to in the CShM calculation.
+ */
+
+import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries/index.js';
+import calculateShapeMeasure from './shapeCalculator.js';
+import { getVertexIndices } from './donorContributions.js';
+import { csvText } from '../../utils/csv.js';
+
+export const OCTAHEDRON_NAME = 'OC-6 (Octahedral)';
+
+// Trans partner of every OC-6 vertex and the 8 faces, from the reference polyhedron
+const octahedronTopology = (() => {
+    const vertices = REFERENCE_GEOMETRIES[6][OCTAHEDRON_NAME].slice(0, 6).map(p => new THREE.Vector3(...p));
+    const trans = vertices.map((v, i) => vertices.reduce(
+        (best, w, j) => (j !== i && v.dot(w) < v.dot(vertices[best]) ? j : best),
+        i === 0 ? 1 : 0
+    ));
+    const cis = (i, j) => i !== j && trans[i] !== j;
+
+    const faces = [];
+    for (let i = 0; i < 6; i++) {
+        for (let j = i + 1; j < 6; j++) {
+            for (let k = j + 1; k < 6; k++) {
+                if (cis(i, j) && cis(i, k) && cis(j, k)) faces.push([i, j, k]);
+            }
+        }
+    }
+    // Each face with its opposite (the trans vertices), every pair once
+    const facePairs = faces
+        .filter(face => face.includes(0))
+        .map(face => [face, face.map(v => trans[v])]);
+
+    return { trans, cis, facePairs };
+})();
+
+/**
+ * OC-6 vertex of each coordinating atom
+ *
+ * Reuses the donor assignment of an OC-6 result when its donors can be
+ * matched to coordAtoms by atom index; otherwise matches OC-6 directly.
+ */
+function getVertexAssignment(coordAtoms, octahedronResult) {
+    const vertices = getVertexIndices(coordAtoms, octahedronResult);
+    if (vertices && vertices.every(v => v < 6)) return vertices;
+
+    const { assignment } = calculateShapeMeasure(
+        coordAtoms.map(c => c.vec.toArray()),
+        REFERENCE_GEOMETRIES[6][OCTAHEDRON_NAME]
+    );
+    return assignment?.map(a => a.vertexIndex) || null;
+}
+
+/**
+ * Σ, Θ, ζ and Δ of a six-coordinate centre
+ *
+ * @param {Array<Object>} coordAtoms - Coordinating atoms with vec (metal-centred) and idx properties
+ * @param {Object} [octahedronResult=null] - OC-6 geometry result with donors, to reuse its assignment
+ * @returns {Object|null} { sigma, theta, zeta, delta, meanBondLength, transPairs } with angles in
+ *   degrees, ζ in Å and transPairs as coordAtoms index pairs; null unless CN is 6
+ *
+ * @example
+ * const params = calculateOctahedralDistortion(coordAtoms, geometryResults.find(r => r.name === OCTAHEDRON_NAME));
+ * // { sigma: 58.2, theta: 181.4, zeta: 0.21, delta: 9.5e-4, ... }
+ */
+export function calculateOctahedralDistortion(coordAtoms, octahedronResult = null) {
+    if (coordAtoms?.length !== 6 || !coordAtoms.every(c => c?.vec)) return null;
+
+    try {
+        const vertices = getVertexAssignment(coordAtoms, octahedronResult);
+        if (!vertices) return null;
+
+        const { trans, cis, facePairs } = octahedronTopology;
+        const atVertex = [];
+        vertices.forEach((v, ligand) => { atVertex[v] = coordAtoms[ligand].vec; });
+        const angle = (a, b) => a.angleTo(b) * (180 / Math.PI);
+
+        let sigma = 0;
+        for (let i = 0; i < 6; i++) {
+            for (let j = i + 1; j < 6; j++) {
+                if (cis(i, j)) sigma += Math.abs(90 - angle(atVertex[i], atVertex[j]));
+            }
+        }
+
+        let theta = 0;
+        for (const [face, opposite] of facePairs) {
+            const centroid = vs => vs.reduce((sum, v) => sum.add(atVertex[v]), new THREE.Vector3()).divideScalar(3);
+            const axis = centroid(opposite).sub(centroid(face)).normalize();
+            const project = v => atVertex[v].clone().projectOnPlane(axis);
+
+            for (const a of face) {
+                for (const b of opposite) {
+                    if (b !== trans[a]) theta += Math.abs(60 - angle(project(a), project(b)));
+                }
+            }
+        }
+
+        const distances = coordAtoms.map(c => c.vec.length());
+        const meanBondLength = distances.reduce((a, b) => a + b, 0) / 6;
+        const zeta = distances.reduce((sum, d) => sum + Math.abs(d - meanBondLength), 0);
+        const delta = distances.reduce((sum, d) => sum + ((d - meanBondLength) / meanBondLength) ** 2, 0) / 6;
+
+        const ligandAt = [];
+        vertices.forEach((v, ligand) => { ligandAt[v] = ligand; });
+        const transPairs = [];
+        for (let v = 0; v < 6; v++) {
+            if (v < trans[v]) transPairs.push([ligandAt[v], ligandAt[trans[v]]]);
+        }
+
+        return { sigma, theta, zeta, delta, meanBondLength, transPairs };
+    } catch (error) {
+        console.warn('Octahedral distortion parameters failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Octahedral distortion parameters of every six-coordinate structure in a batch
+ *
+ * @param {Array<Object>} structures - Batch structures
+ * @param {Map<number, Object>} batchResults - structureIndex → analysis result (with coordAtoms)
+ * @returns {Array<Object>} [{ index, id, energy, sigma, theta, zeta, delta }] in structure order
+ */
+export function collectOctahedralSeries(structures, batchResults) {
+    const rows = [];
+    (structures || []).forEach((structure, index) => {
+        const result = batchResults?.get(index);
+        if (!result || result.coordinationNumber !== 6) return;
+
+        const params = calculateOctahedralDistortion(
+            result.coordAtoms,
+            result.geometryResults?.find(r => r.name === OCTAHEDRON_NAME)
+        );
+        if (!params) return;
+
+        rows.push({
+            index,
+            id: structure.id,
+            energy: structure.metadata?.energy ?? null,
+            sigma: params.sigma,
+            theta: params.theta,
+            zeta: params.zeta,
+            delta: params.delta
+        });
+    });
+    return rows;
+}
+
+/**
+ * CSV table of a batch octahedral distortion series
+ *
+ * @param {Array<Object>} rows - From collectOctahedralSeries
+ * @returns {string} CSV content
+ */
+export function buildOctahedralSeriesCSV(rows) {
+    return [
+        'Frame,Structure_ID,Sigma_deg,Theta_deg,Zeta_A,Delta',
+        ...rows.map(r => [
+            r.index + 1,
+            csvText(r.id),
+            r.sigma.toFixed(3),
+            r.theta.toFixed(3),
+            r.zeta.toFixed(5),
+            r.delta.toExponential(4)
+        ].join(','))
+    ].join('\n');
+}
+
+export default calculateOctahedralDistortion;
@@ -0,0 +1,103 @@
+/**
+ * Octahedral Distortion Tests
+ *
+ * Σ, Θ, ζ and Δ for ideal, trigonally twisted and bond-stretched octahedra.
+ */
+
+import * as THREE from 'three';
+import calculateShapeMeasure from './shapeCalculator';
+import { describeDonors } from './donorContributions';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import {
+    OCTAHEDRON_NAME,
+    calculateOctahedralDistortion,
+    collectOctahedralSeries,
+    buildOctahedralSeriesCSV
+} from './octahedralDistortion';
+
+const toAtoms = points => points.map((p, idx) => ({
+    idx: idx + 1,
+    atom: { element: 'N' },
+    vec: new THREE.Vector3(...p),
+    distance: Math.hypot(...p)
+}));
+
+// Octahedron viewed down C3: two triangles at ±h, the top one turned by twist degrees
+function twistedOctahedron(twistDegrees, radius = 2.0) {
+    const h = radius / Math.sqrt(3);
+    const r = radius * Math.sqrt(2 / 3);
+    const points = [];
+    for (let k = 0; k < 3; k++) {
+        const bottom = (k * 120 * Math.PI) / 180;
+        const top = bottom + ((60 + twistDegrees) * Math.PI) / 180;
+        points.push([r * Math.cos(bottom), r * Math.sin(bottom), -h]);
+        points.push([r * Math.cos(top), r * Math.sin(top), h]);
+    }
+    return points;
+}
+
+const octahedron = [[2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0], [0, 0, 2], [0, 0, -2]];
+
+describe('octahedralDistortion - parameters', () => {
+    test('a regular octahedron has no distortion', () => {
+        const params = calculateOctahedralDistortion(toAtoms(octahedron));
+
+        expect(params.sigma).toBeCloseTo(0, 6);
+        expect(params.theta).toBeCloseTo(0, 6);
+        expect(params.zeta).toBeCloseTo(0, 10);
+        expect(params.delta).toBeCloseTo(0, 10);
+        expect(params.transPairs.map(p => [...p].sort()).sort()).toEqual([[0, 1], [2, 3], [4, 5]]);
+    });
+
+    test('a trigonal twist raises Σ and Θ but not ζ', () => {
+        const small = calculateOctahedralDistortion(toAtoms(twistedOctahedron(5)));
+        const large = calculateOctahedralDistortion(toAtoms(twistedOctahedron(15)));
+
+        expect(small.sigma).toBeGreaterThan(1);
+        expect(large.sigma).toBeGreaterThan(small.sigma);
+        expect(large.theta).toBeGreaterThan(small.theta);
+        expect(large.zeta).toBeCloseTo(0, 10);
+    });
+
+    test('bond stretching gives ζ and Δ from the mean bond length', () => {
+        const stretched = octahedron.map((p, i) => (i < 2 ? p.map(x => x * 1.1) : p));
+        const params = calculateOctahedralDistortion(toAtoms(stretched));
+        const mean = (2 * 2.2 + 4 * 2.0) / 6;
+
+        expect(params.meanBondLength).toBeCloseTo(mean, 10);
+        expect(params.zeta).toBeCloseTo(2 * (2.2 - mean) + 4 * (mean - 2.0), 10);
+        expect(params.delta).toBeCloseTo((2 * ((2.2 - mean) / mean) ** 2 + 4 * ((2.0 - mean) / mean) ** 2) / 6, 12);
+        expect(params.sigma).toBeCloseTo(0, 6);
+    });
+
+    test('reuses the OC-6 donor assignment and rejects other CNs', () => {
+        const atoms = toAtoms(twistedOctahedron(10));
+        const result = calculateShapeMeasure(atoms.map(c => c.vec.toArray()), REFERENCE_GEOMETRIES[6][OCTAHEDRON_NAME]);
+        const reused = calculateOctahedralDistortion(atoms, { donors: describeDonors(result.assignment, atoms) });
+
+        expect(reused.theta).toBeCloseTo(calculateOctahedralDistortion(atoms).theta, 8);
+        expect(calculateOctahedralDistortion(atoms.slice(0, 5))).toBeNull();
+    });
+});
+
+describe('octahedralDistortion - batch series', () => {
+    test('collects CN 6 structures and exports CSV', () => {
+        const structures = [{ id: 'f1' }, { id: 'f2' }, { id: 'f3' }];
+        const batchResults = new Map([
+            [0, { coordinationNumber: 6, coordAtoms: toAtoms(octahedron), geometryResults: [] }],
+            [1, { coordinationNumber: 5, coordAtoms: toAtoms(octahedron.slice(0, 5)), geometryResults: [] }],
+            [2, { coordinationNumber: 6, coordAtoms: toAtoms(twistedOctahedron(10)), geometryResults: [] }]
+        ]);
+        const rows = collectOctahedralSeries(structures, batchResults);
+        const csv = buildOctahedralSeriesCSV(rows).split('\n');
+
+        expect(rows.map(r => r.id)).toEqual(['f1', 'f3']);
+        expect(csv[0]).toBe('Frame,Structure_ID,Sigma_deg,Theta_deg,Zeta_A,Delta');
+        expect(csv[2].startsWith('3,"f3",')).toBe(true);
+    });
+
+    test('escapes quotes in structure IDs', () => {
+        const rows = [{ index: 0, id: 'Fe "A"', sigma: 0, theta: 0, zeta: 0, delta: 0 }];
+        expect(buildOctahedralSeriesCSV(rows).split('\n')[1].startsWith('1,"Fe ""A""",')).toBe(true);
+    });
+});
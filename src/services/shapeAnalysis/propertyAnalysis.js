@@ -12,15 +12,17 @@
  */
 
 import * as THREE from 'three';
+import { createRandom } from '../../utils/random';
 
 /**
  * Calculate principal axes of a point cloud using PCA (Principal Component Analysis)
  * Returns ordered eigenvectors (largest to smallest eigenvalue)
  *
  * @param {Array<Array<number>>} coords - Array of [x, y, z] coordinates (already centered)
+ * @param {number} [seed] - Seed for the power iteration start vectors (default RANDOM_SEED.DEFAULT)
  * @returns {Object} { axes: [v1, v2, v3], eigenvalues: [λ1, λ2, λ3], anisotropy }
  */
-export function calculatePrincipalAxes(coords) {
+export function calculatePrincipalAxes(coords, seed) {
     const N = coords.length;
     if (N === 0) return { axes: [], eigenvalues: [], anisotropy: 0 };
 
@@ -54,7 +56,7 @@ export function calculatePrincipalAxes(coords) {
 
     // Simple power iteration for dominant eigenvector (approximate)
     // For production, use proper eigendecomposition library
-    const eigendata = approximateEigendecomposition(cov);
+    const eigendata = approximateEigendecomposition(cov, createRandom(seed));
 
     // Calculate anisotropy (0 = spherical, 1 = highly directional)
     const eigensum = eigendata.eigenvalues.reduce((a, b) => a + b, 0);
@@ -72,10 +74,13 @@ export function calculatePrincipalAxes(coords) {
 /**
  * Approximate eigendecomposition using power iteration
  * Finds 3 eigenvectors iteratively
+ *
+ * @param {Array<Array<number>>} matrix - Symmetric 3x3 matrix
+ * @param {Function} random - Uniform generator on [0, 1) for the start vectors
  */
-function approximateEigendecomposition(matrix) {
+function approximateEigendecomposition(matrix, random) {
     const findEigenvector = (mat, maxIter = 100) => {
-        let v = [Math.random(), Math.random(), Math.random()];
+        let v = [random(), random(), random()];
         const norm = Math.sqrt(v[0]*v[0] + v[1]*v[1] + v[2]*v[2]);
         v = v.map(x => x / norm);
 
@@ -222,9 +227,10 @@ export function detectCoplanarLayers(coords, tolerance = 0.15) {
  * @param {Array<Array<number>>} coords - Array of [x, y, z] coordinates
  * @param {number} maxOrder - Maximum symmetry order to test (default 8)
  * @param {number} tolerance - Matching tolerance in Ångströms
+ * @param {number} [seed] - Seed for the principal axis power iteration
  * @returns {Array<Object>} Array of { axis, order, score } for detected symmetries
  */
-export function detectSymmetryAxes(coords, maxOrder = 8, tolerance = 0.2) {
+export function detectSymmetryAxes(coords, maxOrder = 8, tolerance = 0.2, seed) {
     const N = coords.length;
     if (N < 2) return [];
 
@@ -240,7 +246,7 @@ export function detectSymmetryAxes(coords, maxOrder = 8, tolerance = 0.2) {
     testAxes.push(new THREE.Vector3(0, 0, 1));
 
     // Add principal axes from PCA
-    const pca = calculatePrincipalAxes(coords);
+    const pca = calculatePrincipalAxes(coords, seed);
     if (pca.axes.length > 0) {
         testAxes.push(...pca.axes);
     }
@@ -428,13 +434,14 @@ export function detectCycles(coords, bondThreshold = 1.6, minRingSize = 3, maxRi
  * Returns complete geometric characterization of coordination sphere
  *
  * @param {Array<Array<number>>} coords - Array of [x, y, z] coordinates (centered at origin)
+ * @param {number} [seed] - Seed for the principal axis power iteration
  * @returns {Object} Complete property set
  */
-export function analyzeGeometricProperties(coords) {
+export function analyzeGeometricProperties(coords, seed) {
     return {
-        principalAxes: calculatePrincipalAxes(coords),
+        principalAxes: calculatePrincipalAxes(coords, seed),
         layers: detectCoplanarLayers(coords),
-        symmetries: detectSymmetryAxes(coords),
+        symmetries: detectSymmetryAxes(coords, undefined, undefined, seed),
         cycles: detectCycles(coords),
         atomCount: coords.length
     };
@@ -7,9 +7,70 @@
  * - Angular distortion indices
  * - Bond length uniformity
  * - Overall quality scores
+ * - τ4, τ4′ and τ5 indices for four- and five-coordinate centres
+ * - Polyhedral volume and the polyhedral distortion indices of Robinson
+ *   (quadratic elongation, bond-angle variance; Science 1971, 172, 567) and
+ *   Baur (distortion index; Acta Cryst. B 1974, 30, 1195)
  */
 
 import * as THREE from 'three';
+import { GEOMETRY_INDICES } from '../../constants/algorithmConstants.js';
+import { convexHull } from './convexHull.js';
+import { getVertexIndices } from './donorContributions.js';
+
+// Name of the limiting shape whose index value is closest
+const nearestReference = (references, key, value) => references.reduce((best, ref) => (
+    Math.abs(ref[key] - value) < Math.abs(best[key] - value) ? ref : best
+)).name;
+
+/**
+ * Calculates the τ geometry indices of a four- or five-coordinate centre
+ *
+ * Uses the two largest L–M–L angles β ≥ α (see GEOMETRY_INDICES for the
+ * definitions and references). Each index is reported with the limiting
+ * shape it is closest to.
+ *
+ * @param {Array<Object>} coordAtoms - Coordinating atoms with vec properties
+ * @returns {Object|null} { coordinationNumber, alpha, beta, indices } where indices is
+ *   [{ key, symbol, value, interpretation }] (τ4 and τ4′ for CN 4, τ5 for CN 5);
+ *   null for other coordination numbers
+ *
+ * @example
+ * calculateTauIndices(coordAtoms);
+ * // { coordinationNumber: 5, alpha: 150.2, beta: 171.9,
+ * //   indices: [{ key: 'tau5', symbol: 'τ5', value: 0.36, interpretation: 'square pyramidal' }] }
+ */
+export function calculateTauIndices(coordAtoms) {
+    const cn = coordAtoms?.length;
+    if (cn !== 4 && cn !== 5) return null;
+
+    const angles = [];
+    for (let i = 0; i < cn; i++) {
+        for (let j = i + 1; j < cn; j++) {
+            angles.push(coordAtoms[i].vec.angleTo(coordAtoms[j].vec) * (180 / Math.PI));
+        }
+    }
+    if (!angles.every(isFinite)) return null;
+
+    const [beta, alpha] = angles.sort((a, b) => b - a);
+    let indices;
+    if (cn === 5) {
+        const tau5 = (beta - alpha) / 60;
+        indices = [
+            { key: 'tau5', symbol: 'τ5', value: tau5, interpretation: nearestReference(GEOMETRY_INDICES.TAU5_REFERENCES, 'tau5', tau5) }
+        ];
+    } else {
+        const theta = GEOMETRY_INDICES.TETRAHEDRAL_ANGLE;
+        const tau4 = (360 - (alpha + beta)) / 141;
+        const tau4Prime = (beta - alpha) / (360 - theta) + (180 - beta) / (180 - theta);
+        indices = [
+            { key: 'tau4', symbol: 'τ4', value: tau4, interpretation: nearestReference(GEOMETRY_INDICES.TAU4_REFERENCES, 'tau4', tau4) },
+            { key: 'tau4Prime', symbol: 'τ4′', value: tau4Prime, interpretation: nearestReference(GEOMETRY_INDICES.TAU4_REFERENCES, 'tau4Prime', tau4Prime) }
+        ];
+    }
+
+    return { coordinationNumber: cn, alpha, beta, indices };
+}
 
 /**
  * Calculates additional structural metrics for coordinating atoms
@@ -27,6 +88,7 @@ import * as THREE from 'three';
  *   - minBondLength: Minimum bond length (Å)
  *   - maxBondLength: Maximum bond length (Å)
  *   - angleStats: { count, mean, stdDev, min, max } for inter-ligand angles (degrees)
+ *   - tauIndices: calculateTauIndices result (null unless CN is 4 or 5)
  *
  * @example
  * const coordAtoms = [
@@ -51,7 +113,8 @@ export function calculateAdditionalMetrics(coordAtoms) {
                 stdDevBondLength: 0,
                 minBondLength: 0,
                 maxBondLength: 0,
-                angleStats: { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 }
+                angleStats: { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 },
+                tauIndices: null
             };
         }
 
@@ -93,7 +156,8 @@ export function calculateAdditionalMetrics(coordAtoms) {
             stdDevBondLength: stdDev,
             minBondLength: Math.min(...distances),
             maxBondLength: Math.max(...distances),
-            angleStats
+            angleStats,
+            tauIndices: calculateTauIndices(coordAtoms)
         };
     } catch (error) {
         console.error("Error calculating additional metrics:", error);
@@ -103,9 +167,89 @@ export function calculateAdditionalMetrics(coordAtoms) {
             stdDevBondLength: 0,
             minBondLength: 0,
             maxBondLength: 0,
-            angleStats: { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 }
+            angleStats: { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 },
+            tauIndices: null
+        };
+    }
+}
+
+/**
+ * Ideal polyhedron vertices relative to the central atom, scaled to unit mean radius
+ *
+ * Reference geometries list the central atom after the N vertices; without
+ * it the vertex centroid is taken as the centre.
+ */
+function unitIdealVertices(refCoords, coordinationNumber) {
+    if (!refCoords || refCoords.length < coordinationNumber) return null;
+
+    const vertices = refCoords.slice(0, coordinationNumber).map(p => new THREE.Vector3(...p));
+    const centre = refCoords.length > coordinationNumber
+        ? new THREE.Vector3(...refCoords[coordinationNumber])
+        : vertices.reduce((sum, v) => sum.add(v), new THREE.Vector3()).divideScalar(coordinationNumber);
+    vertices.forEach(v => v.sub(centre));
+
+    const meanRadius = vertices.reduce((sum, v) => sum + v.length(), 0) / coordinationNumber;
+    if (!(meanRadius > 0)) return null;
+    return vertices.map(v => v.divideScalar(meanRadius));
+}
+
+/**
+ * Volume-based polyhedral distortion indices
+ *
+ * - polyhedronVolume: convex hull volume of the coordinating atoms (Å³)
+ * - idealPolyhedronVolume: ideal polyhedron with its mean radius equal to the mean bond length (Å³)
+ * - quadraticElongation: ⟨λ⟩ = (1/n) Σ (lᵢ/l₀)², l₀ the radius of the ideal polyhedron of equal volume
+ * - bondAngleVariance: σ² = Σ (θᵢ − θ₀ᵢ)² / (m − 1) over the m L–M–L angles along ideal polyhedron
+ *   edges (deg²); needs the donor-to-vertex assignment of bestGeometry
+ * - baurDistortionIndex: D = (1/n) Σ |lᵢ − l̄| / l̄
+ *
+ * Volume-based values are null for planar or linear ideal shapes.
+ */
+function calculatePolyhedralDistortion(coordAtoms, bestGeometry) {
+    const n = coordAtoms.length;
+    const distances = coordAtoms.map(c => c.vec.length());
+    const meanDist = distances.reduce((a, b) => a + b, 0) / n;
+    const polyhedronVolume = convexHull(coordAtoms.map(c => c.vec.toArray())).volume;
+    const baurDistortionIndex = distances.reduce((sum, d) => sum + Math.abs(d - meanDist), 0) / (n * meanDist);
+
+    const ideal = unitIdealVertices(bestGeometry.refCoords, n);
+    const idealHull = ideal ? convexHull(ideal.map(v => v.toArray())) : null;
+    if (!idealHull || idealHull.volume === 0) {
+        return {
+            polyhedronVolume,
+            idealPolyhedronVolume: null,
+            polyhedralVolumeRatio: null,
+            quadraticElongation: null,
+            bondAngleVariance: null,
+            baurDistortionIndex
         };
     }
+
+    const idealPolyhedronVolume = idealHull.volume * meanDist ** 3;
+    const l0 = Math.cbrt(polyhedronVolume / idealHull.volume);
+    const quadraticElongation = l0 > 0
+        ? distances.reduce((sum, d) => sum + (d / l0) ** 2, 0) / n
+        : null;
+
+    let bondAngleVariance = null;
+    const vertices = getVertexIndices(coordAtoms, bestGeometry);
+    if (vertices && vertices.every(v => v < n) && idealHull.edges.length > 1) {
+        const atVertex = [];
+        vertices.forEach((v, ligand) => { atVertex[v] = coordAtoms[ligand].vec; });
+        const toDegrees = 180 / Math.PI;
+        bondAngleVariance = idealHull.edges.reduce((sum, [a, b]) => (
+            sum + (atVertex[a].angleTo(atVertex[b]) * toDegrees - ideal[a].angleTo(ideal[b]) * toDegrees) ** 2
+        ), 0) / (idealHull.edges.length - 1);
+    }
+
+    return {
+        polyhedronVolume,
+        idealPolyhedronVolume,
+        polyhedralVolumeRatio: polyhedronVolume / idealPolyhedronVolume,
+        quadraticElongation,
+        bondAngleVariance,
+        baurDistortionIndex
+    };
 }
 
 /**
@@ -115,14 +259,21 @@ export function calculateAdditionalMetrics(coordAtoms) {
  * - Angular distortion index: Mean absolute deviation of angles from ideal
  * - Bond length uniformity: Percentage uniformity of metal-ligand bonds
  * - Overall quality score: Combined metric (0-100, higher is better)
+ * - Polyhedral volume, quadratic elongation, bond-angle variance and Baur's
+ *   distortion index
  *
  * @param {Array<Object>} coordAtoms - Coordinating atoms with distance and vec properties
- * @param {Object} bestGeometry - Best-fit geometry with refCoords array
+ * @param {Object} bestGeometry - Best-fit geometry with refCoords array (and donors for σ²)
  * @param {number} shapeMeasure - Continuous shape measure (CShM) value
  * @returns {Object|null} Quality metrics object containing:
  *   - angularDistortionIndex: Mean angular deviation from ideal (degrees)
  *   - bondLengthUniformityIndex: Percentage bond length uniformity (0-100)
- *   - polyhedralVolumeRatio: Volume ratio (currently 1.0 placeholder)
+ *   - polyhedronVolume: Convex hull volume of the coordination polyhedron (Å³)
+ *   - idealPolyhedronVolume: Ideal polyhedron volume at the mean bond length (Å³)
+ *   - polyhedralVolumeRatio: polyhedronVolume / idealPolyhedronVolume
+ *   - quadraticElongation: Robinson's ⟨λ⟩ (1 for the ideal polyhedron)
+ *   - bondAngleVariance: Robinson's σ² (deg²)
+ *   - baurDistortionIndex: Baur's bond-length distortion index D
  *   - shapeDeviationParameter: Normalized shape deviation
  *   - overallQualityScore: Combined quality score (0-100)
  *   - rmsd: Root mean square deviation from ideal
@@ -181,7 +332,7 @@ export function calculateQualityMetrics(coordAtoms, bestGeometry, shapeMeasure)
         const relativeDeviations = distances.map(d => Math.abs(d - meanDist) / meanDist);
         const bondLengthUniformity = 100 * (1 - (relativeDeviations.reduce((a, b) => a + b, 0) / relativeDeviations.length));
 
-        const volumeRatio = 1.0;
+        const polyhedralDistortion = calculatePolyhedralDistortion(coordAtoms, bestGeometry);
 
         /**
          * Shape Deviation Parameter
@@ -235,7 +386,7 @@ export function calculateQualityMetrics(coordAtoms, bestGeometry, shapeMeasure)
         return {
             angularDistortionIndex: angularDistortion,
             bondLengthUniformityIndex: bondLengthUniformity,
-            polyhedralVolumeRatio: volumeRatio,
+            ...polyhedralDistortion,
             shapeDeviationParameter: shapeDeviation,
             overallQualityScore: qualityScore,
             rmsd: approximateRmsd,
@@ -0,0 +1,107 @@
+/**
+ * Quality Metrics Tests
+ *
+ * τ4, τ4′ and τ5 for the limiting shapes they are defined against, and the
+ * polyhedral volume and distortion indices for ideal and distorted octahedra.
+ */
+
+import * as THREE from 'three';
+import { calculateAdditionalMetrics, calculateQualityMetrics, calculateTauIndices } from './qualityMetrics';
+import calculateShapeMeasure from './shapeCalculator';
+import { describeDonors } from './donorContributions';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+
+const sphere = points => points.map(p => {
+    const vec = new THREE.Vector3(...p).setLength(2.0);
+    return { vec, distance: vec.length() };
+});
+
+const valueOf = (result, key) => result.indices.find(i => i.key === key);
+
+const s3 = Math.sqrt(3) / 2;
+const tbpAxial = [[0, 0, 1], [0, 0, -1]];
+const tbpEquatorial = [[1, 0, 0], [-0.5, s3, 0], [-0.5, -s3, 0]];
+
+describe('qualityMetrics - τ4 and τ4′', () => {
+    test('tetrahedron and square plane are the limits', () => {
+        const tetrahedral = calculateTauIndices(sphere([[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]]));
+        const squarePlanar = calculateTauIndices(sphere([[1, 0, 0], [0, 1, 0], [-1, 0, 0], [0, -1, 0]]));
+
+        expect(valueOf(tetrahedral, 'tau4').value).toBeCloseTo(1, 2);
+        expect(valueOf(tetrahedral, 'tau4Prime').value).toBeCloseTo(1, 2);
+        expect(valueOf(tetrahedral, 'tau4').interpretation).toBe('tetrahedral');
+        expect(valueOf(squarePlanar, 'tau4').value).toBeCloseTo(0, 10);
+        expect(valueOf(squarePlanar, 'tau4Prime').interpretation).toBe('square planar');
+    });
+
+    test('seesaw and trigonal pyramid', () => {
+        const seesaw = calculateTauIndices(sphere([...tbpAxial, ...tbpEquatorial.slice(0, 2)]));
+        const trigonalPyramid = calculateTauIndices(sphere([tbpAxial[0], ...tbpEquatorial]));
+
+        expect(seesaw.beta).toBeCloseTo(180, 8);
+        expect(seesaw.alpha).toBeCloseTo(120, 8);
+        expect(valueOf(seesaw, 'tau4').value).toBeCloseTo(60 / 141, 10);
+        expect(valueOf(seesaw, 'tau4Prime').value).toBeCloseTo(60 / 250.5, 10);
+        expect(valueOf(seesaw, 'tau4Prime').interpretation).toBe('seesaw');
+        expect(valueOf(trigonalPyramid, 'tau4').value).toBeCloseTo(120 / 141, 10);
+        expect(valueOf(trigonalPyramid, 'tau4Prime').interpretation).toBe('trigonal pyramidal');
+    });
+});
+
+describe('qualityMetrics - τ5', () => {
+    test('trigonal bipyramid and square pyramid are the limits', () => {
+        const tbp = calculateTauIndices(sphere([...tbpAxial, ...tbpEquatorial]));
+        const spy = calculateTauIndices(sphere([[0, 0, 1], [1, 0, 0], [0, 1, 0], [-1, 0, 0], [0, -1, 0]]));
+
+        expect(tbp.indices).toHaveLength(1);
+        expect(valueOf(tbp, 'tau5').value).toBeCloseTo(1, 10);
+        expect(valueOf(tbp, 'tau5').interpretation).toBe('trigonal bipyramidal');
+        expect(valueOf(spy, 'tau5').value).toBeCloseTo(0, 10);
+        expect(valueOf(spy, 'tau5').interpretation).toBe('square pyramidal');
+    });
+
+    test('only defined for CN 4 and 5, and reported with the other metrics', () => {
+        const octahedron = sphere([[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]);
+
+        expect(calculateTauIndices(octahedron)).toBeNull();
+        expect(calculateTauIndices([])).toBeNull();
+        expect(calculateAdditionalMetrics(octahedron).tauIndices).toBeNull();
+        expect(calculateAdditionalMetrics(sphere([...tbpAxial, ...tbpEquatorial])).tauIndices.indices[0].key).toBe('tau5');
+    });
+});
+
+describe('qualityMetrics - polyhedral volume and distortion indices', () => {
+    const octahedronRef = REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'];
+    const toAtoms = points => points.map((p, i) => {
+        const vec = new THREE.Vector3(...p);
+        return { idx: i + 1, atom: { element: 'O' }, vec, distance: vec.length() };
+    });
+    const analyse = atoms => {
+        const { assignment } = calculateShapeMeasure(atoms.map(c => c.vec.toArray()), octahedronRef);
+        return calculateQualityMetrics(atoms, { refCoords: octahedronRef, donors: describeDonors(assignment, atoms) }, 0);
+    };
+    const octahedron = [[2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0], [0, 0, 2], [0, 0, -2]];
+
+    test('a regular octahedron matches its ideal polyhedron', () => {
+        const quality = analyse(toAtoms(octahedron));
+
+        expect(quality.polyhedronVolume).toBeCloseTo(32 / 3, 8);
+        expect(quality.idealPolyhedronVolume).toBeCloseTo(32 / 3, 8);
+        expect(quality.polyhedralVolumeRatio).toBeCloseTo(1, 8);
+        expect(quality.quadraticElongation).toBeCloseTo(1, 8);
+        expect(quality.bondAngleVariance).toBeCloseTo(0, 6);
+        expect(quality.baurDistortionIndex).toBeCloseTo(0, 10);
+    });
+
+    test('elongation and angular distortion raise ⟨λ⟩, σ² and D', () => {
+        const elongated = analyse(toAtoms(octahedron.map((p, i) => (i >= 4 ? p.map(x => x * 1.2) : p))));
+        const sheared = analyse(toAtoms([[2, 0, 0], [-2, 0, 0], [0.3, 2, 0], [-0.3, -2, 0], [0, 0, 2], [0, 0, -2]]));
+
+        expect(elongated.quadraticElongation).toBeGreaterThan(1);
+        expect(elongated.bondAngleVariance).toBeCloseTo(0, 6);
+        const mean = (4 * 2 + 2 * 2.4) / 6;
+        expect(elongated.baurDistortionIndex).toBeCloseTo((4 * (mean - 2) + 2 * (2.4 - mean)) / (6 * mean), 10);
+        expect(sheared.bondAngleVariance).toBeGreaterThan(1);
+        expect(calculateQualityMetrics(toAtoms(octahedron), { refCoords: octahedronRef }, 0).bondAngleVariance).toBeNull();
+    });
+});
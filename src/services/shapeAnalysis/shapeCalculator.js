@@ -1,7 +1,10 @@
 import * as THREE from 'three';
 import kabschAlignment from '../algorithms/kabsch.js';
 import hungarianAlgorithm from '../algorithms/hungarian.js';
-import { SHAPE_MEASURE, KABSCH, PROGRESS } from '../../constants/algorithmConstants.js';
+import { exactShapeMeasure, pairingRotation } from './exactShapeMeasure.js';
+import { so3GridSearch } from './so3GridSearch.js';
+import { SHAPE_MEASURE, KABSCH, PROGRESS, CENTRAL_ATOM_MODES, SHAPE_OPTIMIZERS, RANDOM_SEED } from '../../constants/algorithmConstants.js';
+import { createRandom } from '../../utils/random.js';
 
 /**
  * Generate all permutations of an array (Heap's algorithm)
@@ -152,6 +155,41 @@ function exhaustivePermutationSearch(P_vecs, Q_vecs) {
     return { measure: bestMeasure, matching: bestMatching, rotation: bestRotation };
 }
 
+/**
+ * Per-point terms of the shape measure for a matching
+ *
+ * With both point sets at unit RMS and the optimal scale s = overlap / N,
+ * CShM = (100 / N) Σ |q_π(i) − s·R p_i|², so the terms add up to the measure.
+ *
+ * @param {THREE.Vector3[]} P_vecs - Normalized actual coordinates
+ * @param {THREE.Vector3[]} Q_vecs - Normalized reference coordinates
+ * @param {THREE.Matrix4} rotation - Optimal rotation
+ * @param {Array<[number, number]>} matching - [actual index, reference index] pairs
+ * @param {number} ligandCount - Number of donor atoms (an extra actual point is the central atom)
+ * @returns {{assignment: Array<Object>, centralAssignment: Object|null}} assignment in donor
+ *   order as { ligandIndex, vertexIndex, squaredDeviation, contribution, share }; the central
+ *   atom's term separately (null when it is not part of the measure)
+ */
+function computeAssignment(P_vecs, Q_vecs, rotation, matching, ligandCount) {
+    const N = P_vecs.length;
+    const rotatedP = P_vecs.map(p => p.clone().applyMatrix4(rotation));
+    const overlap = matching.reduce((sum, [i, j]) => sum + rotatedP[i].dot(Q_vecs[j]), 0);
+    const scale = overlap / N;
+
+    const terms = new Array(N);
+    for (const [p_idx, q_idx] of matching) {
+        const squaredDeviation = Q_vecs[q_idx].distanceToSquared(rotatedP[p_idx].clone().multiplyScalar(scale));
+        terms[p_idx] = { vertexIndex: q_idx, squaredDeviation, contribution: (100 * squaredDeviation) / N };
+    }
+    const total = terms.reduce((sum, t) => sum + t.contribution, 0);
+    terms.forEach(t => { t.share = total > 0 ? t.contribution / total : 0; });
+
+    return {
+        assignment: terms.slice(0, ligandCount).map((t, ligandIndex) => ({ ligandIndex, ...t })),
+        centralAssignment: N > ligandCount ? terms[ligandCount] : null
+    };
+}
+
 /**
  * Scale-normalizes coordinates using centroid-based strategy.
  *
@@ -214,7 +252,10 @@ function scaleNormalize(vectors, centerOnLast = false) {
  * 4. Performs grid search over rotation space
  * 5. Applies simulated annealing for global optimization
  * 6. Refines the solution with local optimization
+ * 7. Intensive mode, CN 8-12: branch-and-bound over all vertex assignments,
+ *    seeded with the annealing result, certifies the global minimum
  *
+ * CN 5-7 (with central atom) skip stages 2-7: every assignment is tried.
  * The algorithm finds the optimal rotation and atom-to-vertex matching that
  * minimizes the root mean square deviation between the actual and reference
  * geometries.
@@ -223,7 +264,8 @@ function scaleNormalize(vectors, centerOnLast = false) {
  * @param {Array<Array<number>>} referenceCoords - Array of [x, y, z] coordinates for reference shape
  * @param {string} [mode='default'] - Optimization mode: 'default' or 'intensive'
  *   - 'default': Faster computation with good accuracy (18 grid steps, 6 restarts, 3000 steps/run)
- *   - 'intensive': More thorough search with higher accuracy (30 grid steps, 12 restarts, 8000 steps/run)
+ *   - 'intensive': More thorough search with higher accuracy (30 grid steps, 12 restarts, 8000 steps/run),
+ *     followed by the exact search for CN 8-12
  * @param {Function} [progressCallback=null] - Optional callback to report progress
  *   Called with: { stage, percentage, current, total, extra }
  *   - stage: Current optimization stage name
@@ -231,11 +273,38 @@ function scaleNormalize(vectors, centerOnLast = false) {
  *   - current: Current step in stage
  *   - total: Total steps in stage
  *   - extra: Additional info (e.g., current best measure)
+ * @param {Object} [options={}] - Measure options
+ * @param {string} [options.centralAtomMode=CENTRAL_ATOM_MODES.INCLUDED] - 'included' matches the
+ *   metal (origin) to the polyhedron centre; 'ligand-only' drops the centre and
+ *   measures the ligand vertices alone, centred on their centroid
+ * @param {number} [options.seed=RANDOM_SEED.DEFAULT] - Seed for the annealing and refinement
+ *   moves; the same seed and input always give the same measure
+ * @param {string} [options.optimizer=SHAPE_OPTIMIZERS.ANNEALING] - Rotation search outside the
+ *   exhaustive CN 5-7 range: 'annealing', or 'so3-grid' (deterministic quaternion grid,
+ *   each point refined by Hungarian matching and Kabsch rotation; the central atom stays
+ *   paired with the polyhedron centre)
+ * @param {number} [options.gridResolution=SHAPE_MEASURE.SO3_GRID.RESOLUTION] - SO(3) grid
+ *   resolution n (4n³ rotations)
+ * @param {boolean} [options.exact=mode === 'intensive'] - Certify CN 8-12 with the
+ *   branch-and-bound search (up to SHAPE_MEASURE.EXACT.MAX_NODES nodes)
+ * @param {THREE.Matrix4} [options.seedRotation] - rotationMatrix of an earlier fit to nearly
+ *   the same coordinates (e.g. the nominal structure of a Monte Carlo sample); the heuristic
+ *   stages are skipped and the seed is refined by alternating matching and optimal rotation,
+ *   then handed to the exact search when options.exact applies
  *
  * @returns {Object} Result object containing:
  *   - measure {number}: The shape measure (0 = perfect match, higher = worse)
  *   - alignedCoords {Array<Array<number>>}: Aligned coordinates in reference order
  *   - rotationMatrix {THREE.Matrix4}: The optimal rotation matrix found
+ *   - certified {boolean}: true when the measure is a proven minimum over all
+ *     assignments (exhaustive or completed branch-and-bound search)
+ *   - assignment {Array<Object>}: Donor-to-vertex matching in input order, as
+ *     { ligandIndex, vertexIndex, squaredDeviation, contribution, share }; contribution is the
+ *     donor's term of the measure (terms sum to measure), share its fraction of the total.
+ *     vertexIndex is a reference point index (the last one is the polyhedron centre)
+ *   - centralAssignment {Object|null}: The central atom's term, null in ligand-only mode
+ *   - coverage {Object} (SO(3) grid only): { resolution, gridPoints, maxGapDegrees },
+ *     maxGapDegrees bounding the rotation angle to the nearest starting point
  *
  * @throws {Error} If calculation fails due to invalid input or algorithm error
  *
@@ -248,15 +317,30 @@ function scaleNormalize(vectors, centerOnLast = false) {
  * );
  * console.log(`Shape measure: ${result.measure}`);
  */
-function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default', progressCallback = null) {
+function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default', progressCallback = null, options = {}) {
+    const {
+        centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED,
+        seed = RANDOM_SEED.DEFAULT,
+        optimizer = SHAPE_OPTIMIZERS.ANNEALING,
+        gridResolution = SHAPE_MEASURE.SO3_GRID.RESOLUTION,
+        exact = mode === 'intensive',
+        seedRotation = null
+    } = options;
+    const random = createRandom(seed);
     let workingActualCoords = actualCoords;
     let workingRefCoords = referenceCoords;
 
+    // Ligand-only mode: drop the polyhedron centre (last point) so only the
+    // N vertices are compared, both sets centred on their own centroid
+    if (centralAtomMode === CENTRAL_ATOM_MODES.LIGAND_ONLY && referenceCoords.length === actualCoords.length + 1) {
+        workingRefCoords = referenceCoords.slice(0, -1);
+    }
+
     // SHAPE/cosymlib include central atom in CShM calculations
     // Reference geometries have N+1 points (N ligands + 1 central atom)
     // Add central atom at origin to input coordinates when needed
     // This applies to ALL coordination numbers (CN=3 through CN=12)
-    const needsCentralAtom = (referenceCoords.length === actualCoords.length + 1);
+    const needsCentralAtom = (workingRefCoords.length === actualCoords.length + 1);
     if (needsCentralAtom) {
         workingActualCoords = [...actualCoords, [0, 0, 0]];
     }
@@ -299,7 +383,8 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
         // The optimization approach with Hungarian algorithm can find better matchings
         // for these asymmetric geometries.
         //
-        // For CN=5-7, use exhaustive permutation search for exact CShM.
+        // For CN=5-7, use exhaustive permutation search for exact CShM
+        // (branch-and-bound in ligand-only mode, which has no centre to pin).
         // For larger CNs (>7), fall back to optimization-based approach.
         const MIN_EXHAUSTIVE_N = 6; // CN=5+ (skip CN=2-4 which have asymmetric central atoms)
         const MAX_EXHAUSTIVE_N = 8; // 7! = 5040 permutations - manageable
@@ -313,7 +398,26 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
             return {
                 measure: result.measure,
                 alignedCoords: finalAlignedCoords.filter(Boolean),
-                rotationMatrix: result.rotation
+                rotationMatrix: result.rotation,
+                certified: true,
+                ...computeAssignment(P_vecs, Q_vecs, result.rotation, result.matching, actualCoords.length)
+            };
+        }
+
+        // Ligand-only CN 5-7: no centre to pin, so branch-and-bound over all N! assignments
+        if (N >= MIN_EXHAUSTIVE_N - 1 && N <= MAX_EXHAUSTIVE_N - 1 && centralAtomMode === CENTRAL_ATOM_MODES.LIGAND_ONLY) {
+            const exact = exactShapeMeasure(P_vecs.map(p => p.toArray()), Q_vecs.map(q => q.toArray()));
+            const rotatedP = P_vecs.map(p => p.clone().applyMatrix4(exact.rotation));
+            const finalAlignedCoords = new Array(N);
+            for (const [p_idx, q_idx] of exact.matching) {
+                finalAlignedCoords[q_idx] = rotatedP[p_idx].toArray();
+            }
+            return {
+                measure: exact.measure,
+                alignedCoords: finalAlignedCoords.filter(Boolean),
+                rotationMatrix: exact.rotation,
+                certified: exact.certified,
+                ...computeAssignment(P_vecs, Q_vecs, exact.rotation, exact.matching, actualCoords.length)
             };
         }
 
@@ -363,6 +467,83 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
             }
         };
 
+        // Intensive mode certifies CN 8-12 by branch-and-bound from the best rotation found
+        const vertexCount = needsCentralAtom ? N - 1 : N;
+        const useExactSearch = exact &&
+            vertexCount >= SHAPE_MEASURE.EXACT.MIN_CN &&
+            vertexCount <= SHAPE_MEASURE.EXACT.MAX_CN;
+
+        const buildResult = (measure, rotation, matching) => {
+            let certified = false;
+            if (useExactSearch) {
+                reportProgress('Exact Search', 0, 1, `Best: ${measure.toFixed(4)}`);
+                const exact = exactShapeMeasure(
+                    P_vecs.map(p => p.toArray()),
+                    Q_vecs.map(q => q.toArray()),
+                    { fixed: needsCentralAtom ? 1 : 0, seedRotation: rotation }
+                );
+                ({ measure, rotation, matching, certified } = exact);
+                if (!certified) {
+                    console.warn(`Exact CShM search stopped after ${exact.nodes} nodes; result is not certified`);
+                }
+            }
+
+            reportProgress('Complete', 100, 100, `Final: ${measure.toFixed(4)}`);
+            const rotatedP = P_vecs.map(p => p.clone().applyMatrix4(rotation));
+            const finalAlignedCoords = new Array(N);
+            for (const [p_idx, q_idx] of matching) {
+                finalAlignedCoords[q_idx] = rotatedP[p_idx].toArray();
+            }
+            return {
+                measure,
+                alignedCoords: finalAlignedCoords.filter(Boolean),
+                rotationMatrix: rotation,
+                certified,
+                ...computeAssignment(P_vecs, Q_vecs, rotation, matching, actualCoords.length)
+            };
+        };
+
+        // A rotation from an earlier fit only needs local refinement (and is a
+        // good enough incumbent for the exact search)
+        if (seedRotation) {
+            const P = P_vecs.map(p => p.toArray());
+            const Q = Q_vecs.map(q => q.toArray());
+            let rotation = seedRotation;
+            let seeded = getMeasureForRotation(rotation);
+            for (let iteration = 0; iteration < SHAPE_MEASURE.SO3_GRID.MAX_REFINEMENT_ITERATIONS; iteration++) {
+                const refinedRotation = pairingRotation(P, Q, seeded.matching).rotation;
+                const refined = getMeasureForRotation(refinedRotation);
+                if (refined.measure >= seeded.measure) break;
+                rotation = refinedRotation;
+                seeded = refined;
+            }
+            return buildResult(seeded.measure, rotation, seeded.matching);
+        }
+
+        // Deterministic alternative: refine every rotation of an SO(3) grid
+        if (optimizer === SHAPE_OPTIMIZERS.SO3_GRID) {
+            const grid = so3GridSearch(
+                P_vecs.map(p => p.toArray()),
+                Q_vecs.map(q => q.toArray()),
+                {
+                    fixed: needsCentralAtom ? 1 : 0,
+                    resolution: gridResolution,
+                    onProgress: (current, total) => {
+                        totalSteps = Math.round((current / total) * estimatedTotalSteps);
+                        reportProgress('SO(3) Grid', current, total);
+                    }
+                }
+            );
+            return {
+                ...buildResult(grid.measure, grid.rotation, grid.matching),
+                coverage: {
+                    resolution: grid.resolution,
+                    gridPoints: grid.gridPoints,
+                    maxGapDegrees: grid.maxGapDegrees
+                }
+            };
+        }
+
         // STAGE 0: Kabsch Initial Alignment (IMPROVED)
         if (currentParams.USE_KABSCH) {
             reportProgress('Kabsch Alignment', 0, 1);
@@ -418,17 +599,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
 
         // Early termination if already excellent
         if (globalBestMeasure < SHAPE_MEASURE.EARLY_STOP.AFTER_KEY_ORIENTATIONS) {
-            reportProgress('Complete', 100, 100, `Final: ${globalBestMeasure.toFixed(4)}`);
-            const rotatedP = P_vecs.map(p => p.clone().applyMatrix4(globalBestRotation));
-            const finalAlignedCoords = new Array(N);
-            for (const [p_idx, q_idx] of globalBestMatching) {
-                finalAlignedCoords[q_idx] = rotatedP[p_idx].toArray();
-            }
-            return {
-                measure: globalBestMeasure,
-                alignedCoords: finalAlignedCoords.filter(Boolean),
-                rotationMatrix: globalBestRotation
-            };
+            return buildResult(globalBestMeasure, globalBestRotation, globalBestMatching);
         }
 
         // STAGE 2: Grid search (optimized)
@@ -462,17 +633,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
 
         // Early termination check
         if (globalBestMeasure < SHAPE_MEASURE.EARLY_STOP.AFTER_GRID_SEARCH) {
-            reportProgress('Complete', 100, 100, `Final: ${globalBestMeasure.toFixed(4)}`);
-            const rotatedP = P_vecs.map(p => p.clone().applyMatrix4(globalBestRotation));
-            const finalAlignedCoords = new Array(N);
-            for (const [p_idx, q_idx] of globalBestMatching) {
-                finalAlignedCoords[q_idx] = rotatedP[p_idx].toArray();
-            }
-            return {
-                measure: globalBestMeasure,
-                alignedCoords: finalAlignedCoords.filter(Boolean),
-                rotationMatrix: globalBestRotation
-            };
+            return buildResult(globalBestMeasure, globalBestRotation, globalBestMatching);
         }
 
         // STAGE 3: Simulated annealing (optimized)
@@ -487,13 +648,13 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
             if (restart === 0) {
                 currentRotation = globalBestRotation.clone();
             } else if (restart < numRestarts / 2) {
-                const randomAxis = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-                const randomAngle = (Math.random() - 0.5) * Math.PI;
+                const randomAxis = new THREE.Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+                const randomAngle = (random() - 0.5) * Math.PI;
                 const perturbation = new THREE.Matrix4().makeRotationAxis(randomAxis, randomAngle);
                 currentRotation = new THREE.Matrix4().multiplyMatrices(perturbation, globalBestRotation);
             } else {
                 currentRotation = new THREE.Matrix4().makeRotationFromEuler(
-                    new THREE.Euler(Math.random() * 2 * Math.PI, Math.random() * 2 * Math.PI, Math.random() * 2 * Math.PI, 'XYZ')
+                    new THREE.Euler(random() * 2 * Math.PI, random() * 2 * Math.PI, random() * 2 * Math.PI, 'XYZ')
                 );
             }
 
@@ -512,9 +673,9 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
 
             for (let step = 0; step < stepsPerRun; step++) {
                 const stepSize = temp * SHAPE_MEASURE.ANNEALING.STEP_SIZE_FACTOR *
-                    (1 + SHAPE_MEASURE.ANNEALING.STEP_SIZE_RANDOMNESS * Math.random());
-                const axis = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-                const angle = (Math.random() - 0.5) * 2 * stepSize;
+                    (1 + SHAPE_MEASURE.ANNEALING.STEP_SIZE_RANDOMNESS * random());
+                const axis = new THREE.Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+                const angle = (random() - 0.5) * 2 * stepSize;
 
                 const perturbation = new THREE.Matrix4().makeRotationAxis(axis, angle);
                 const newRotation = new THREE.Matrix4().multiplyMatrices(perturbation, currentRotation);
@@ -523,7 +684,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
                 const deltaE = newResult.measure - currentResult.measure;
                 const acceptProb = deltaE < 0 ? 1.0 : Math.exp(-deltaE / temp);
 
-                if (Math.random() < acceptProb) {
+                if (random() < acceptProb) {
                     currentRotation.copy(newRotation);
                     currentResult = newResult;
 
@@ -561,8 +722,8 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
 
         for (let step = 0; step < refinementSteps; step++) {
             const stepSize = temp * SHAPE_MEASURE.REFINEMENT.STEP_SIZE_FACTOR;
-            const axis = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-            const angle = (Math.random() - 0.5) * 2 * stepSize;
+            const axis = new THREE.Vector3(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+            const angle = (random() - 0.5) * 2 * stepSize;
 
             const perturbation = new THREE.Matrix4().makeRotationAxis(axis, angle);
             const newRotation = new THREE.Matrix4().multiplyMatrices(perturbation, currentRotation);
@@ -596,20 +757,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode = 'default',
             }
         }
 
-        reportProgress('Complete', 100, 100, `Final: ${globalBestMeasure.toFixed(4)}`);
-
-        const rotatedP = P_vecs.map(p => p.clone().applyMatrix4(globalBestRotation));
-        const finalAlignedCoords = new Array(N);
-
-        for (const [p_idx, q_idx] of globalBestMatching) {
-            finalAlignedCoords[q_idx] = rotatedP[p_idx].toArray();
-        }
-
-        return {
-            measure: globalBestMeasure,
-            alignedCoords: finalAlignedCoords.filter(Boolean),
-            rotationMatrix: globalBestRotation
-        };
+        return buildResult(globalBestMeasure, globalBestRotation, globalBestMatching);
 
     } catch (error) {
         console.error("Error during CShM calculation:", error);
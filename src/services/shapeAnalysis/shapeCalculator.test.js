@@ -6,6 +6,8 @@
 
 import calculateShapeMeasure from './shapeCalculator';
 import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import { CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants';
 
 describe('Shape Calculator', () => {
     describe('Perfect Matches', () => {
@@ -313,6 +315,48 @@ describe('Shape Calculator', () => {
         });
     });
 
+    describe('Central Atom Mode', () => {
+        const octahedron = REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'];
+        const ligandOnly = { centralAtomMode: CENTRAL_ATOM_MODES.LIGAND_ONLY };
+
+        test('ideal octahedron is zero in both modes', () => {
+            const ligands = octahedron.slice(0, -1).map(v => v.map(x => 2 * x));
+
+            expect(calculateShapeMeasure(ligands, octahedron).measure).toBeLessThan(1e-4);
+            expect(calculateShapeMeasure(ligands, octahedron, 'default', null, ligandOnly).measure).toBeLessThan(1e-4);
+        });
+
+        test('ligand-only mode ignores an off-centre metal', () => {
+            // Ideal octahedron of donors around a metal displaced along z
+            const ligands = octahedron.slice(0, -1).map(([x, y, z]) => [2 * x, 2 * y, 2 * z - 0.4]);
+
+            const included = calculateShapeMeasure(ligands, octahedron).measure;
+            const excluded = calculateShapeMeasure(ligands, octahedron, 'default', null, ligandOnly).measure;
+
+            expect(included).toBeGreaterThan(0.1);
+            expect(excluded).toBeLessThan(1e-4);
+        });
+
+        test('ligand-only mode certifies CN 5-7 like the centred search', () => {
+            const ligands = octahedron.slice(0, -1).map(([x, y, z], i) => [2 * x + 0.1 * (i % 3), 2 * y - 0.05 * i, 2 * z + 0.15]);
+            const random = calculateShapeMeasure(ligands, octahedron, 'default', null, { ...ligandOnly, seed: 7 });
+            const other = calculateShapeMeasure(ligands, octahedron, 'default', null, { ...ligandOnly, seed: 11 });
+
+            expect(random.certified).toBe(true);
+            expect(random.measure).toBeCloseTo(other.measure, 8);
+            expect(random.assignment).toHaveLength(6);
+            expect(random.centralAssignment).toBeNull();
+        });
+
+        test('ligand-only mode leaves references without a centre unchanged', () => {
+            const coords = [[1, 0, 0], [0, 1, 0], [0, 0, 1], [-1, -1, 0.2]];
+            const reference = [[1, 0, 0], [0, 1, 0], [0, 0, 1], [-1, -1, 0]];
+
+            expect(calculateShapeMeasure(coords, reference, 'default', null, ligandOnly).measure)
+                .toBeCloseTo(calculateShapeMeasure(coords, reference).measure, 4);
+        });
+    });
+
     describe('Progress Callback', () => {
         test('should call progress callback during calculation', () => {
             const coords = [
@@ -0,0 +1,136 @@
+/**
+ * Shape Map Service
+ *
+ * Data for shape maps: S(A) against S(B) for every analysed structure of a
+ * batch, together with the minimal distortion path between the ideal shapes
+ * A and B (Cirera, Ruiz & Alvarez, Chem. Eur. J. 2006, 12, 3162):
+ *
+ *   S(A) = 100 · sin²(φ·θ_AB),  S(B) = 100 · sin²((1 − φ)·θ_AB),  φ ∈ [0, 1]
+ */
+
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import { SHAPE_MAP, CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants.js';
+import { getReferenceShapeMeasure, calculatePathDeviation } from './distortionPath';
+import { csvText } from '../../utils/csv.js';
+
+/**
+ * Sample the minimal distortion path between two shapes
+ *
+ * @param {number} referenceMeasure - S_A(B) between the ideal shapes
+ * @param {number} [points=SHAPE_MAP.PATH_POINTS] - Number of samples (≥ 2)
+ * @returns {Array<{fraction: number, measureA: number, measureB: number}>}
+ *   From A (fraction 0, S(A) = 0) to B (fraction 1, S(B) = 0)
+ *
+ * @example
+ * getMinimalPathCurve(16.737, 3);
+ * // [{fraction: 0, measureA: 0, measureB: 16.737}, {fraction: 0.5, ...}, {fraction: 1, measureA: 16.737, measureB: 0}]
+ */
+export function getMinimalPathCurve(referenceMeasure, points = SHAPE_MAP.PATH_POINTS) {
+    const pathAngle = Math.asin(Math.min(1, Math.sqrt(Math.max(0, referenceMeasure)) / 10));
+    return Array.from({ length: Math.max(2, points) }, (_, k) => {
+        const fraction = k / (Math.max(2, points) - 1);
+        return {
+            fraction,
+            measureA: 100 * Math.sin(fraction * pathAngle) ** 2,
+            measureB: 100 * Math.sin((1 - fraction) * pathAngle) ** 2
+        };
+    });
+}
+
+/**
+ * Coordination number shared by most analysed structures of a batch
+ *
+ * @param {Map<number, Object>} batchResults - Results keyed by structure index
+ * @returns {number|null}
+ */
+export function getDominantCoordinationNumber(batchResults) {
+    const counts = new Map();
+    (batchResults ? [...batchResults.values()] : []).forEach(result => {
+        const cn = result?.coordinationNumber;
+        if (cn && REFERENCE_GEOMETRIES[cn]) counts.set(cn, (counts.get(cn) || 0) + 1);
+    });
+    let best = null;
+    counts.forEach((count, cn) => {
+        if (best === null || count > counts.get(best)) best = cn;
+    });
+    return best;
+}
+
+/**
+ * Shape map points for every structure with results for both shapes
+ *
+ * @param {Array<Object>} structures - Batch structures ({id, ...})
+ * @param {Map<number, Object>} batchResults - Results keyed by structure index
+ * @param {number} coordinationNumber - Only structures with this CN are plotted
+ * @param {string} nameA - Reference shape on the x axis
+ * @param {string} nameB - Reference shape on the y axis
+ * @param {string} [centralAtomMode=CENTRAL_ATOM_MODES.INCLUDED] - Centre mode of the map;
+ *   results computed in the other mode are left out
+ * @returns {{referenceMeasure: number|null, points: Array<Object>}} Each point:
+ *   { index, id, measureA, measureB, deviation, generalizedCoordinate }
+ */
+export function collectShapeMapPoints(structures, batchResults, coordinationNumber, nameA, nameB, centralAtomMode = CENTRAL_ATOM_MODES.INCLUDED) {
+    const referenceMeasure = getReferenceShapeMeasure(coordinationNumber, nameA, nameB, centralAtomMode);
+    const points = [];
+
+    (structures || []).forEach((structure, index) => {
+        const result = batchResults?.get(index);
+        if (!result || result.coordinationNumber !== coordinationNumber) return;
+        if ((result.centralAtomMode || CENTRAL_ATOM_MODES.INCLUDED) !== centralAtomMode) return;
+
+        const resultA = result.geometryResults?.find(r => r.name === nameA);
+        const resultB = result.geometryResults?.find(r => r.name === nameB);
+        if (!resultA || !resultB || !isFinite(resultA.shapeMeasure) || !isFinite(resultB.shapeMeasure)) return;
+
+        const path = referenceMeasure
+            ? calculatePathDeviation(resultA.shapeMeasure, resultB.shapeMeasure, referenceMeasure)
+            : null;
+
+        points.push({
+            index,
+            id: structure.id,
+            measureA: Math.max(0, resultA.shapeMeasure),
+            measureB: Math.max(0, resultB.shapeMeasure),
+            deviation: path ? path.deviation : null,
+            generalizedCoordinate: path ? path.generalizedCoordinate : null
+        });
+    });
+
+    return { referenceMeasure, points };
+}
+
+/**
+ * CSV table of a shape map: one row per structure, then the path curve
+ *
+ * @param {Array<Object>} points - From collectShapeMapPoints
+ * @param {Array<Object>} curve - From getMinimalPathCurve
+ * @param {string} nameA - Reference shape on the x axis
+ * @param {string} nameB - Reference shape on the y axis
+ * @returns {string} CSV content
+ */
+export function buildShapeMapCSV(points, curve, nameA, nameB) {
+    const codeA = nameA.split(' ')[0];
+    const codeB = nameB.split(' ')[0];
+    const formatOptional = (value, digits) => (value === null ? '' : value.toFixed(digits));
+
+    const lines = [
+        ['Series', 'Structure_ID', `S(${codeA})`, `S(${codeB})`, 'Path_Deviation', `Phi_${codeA}_to_${codeB}_%`].join(','),
+        ...points.map(p => [
+            'structure',
+            csvText(p.id),
+            p.measureA.toFixed(4),
+            p.measureB.toFixed(4),
+            formatOptional(p.deviation, 4),
+            formatOptional(p.generalizedCoordinate, 2)
+        ].join(',')),
+        ...curve.map(c => [
+            'minimal_path',
+            '',
+            c.measureA.toFixed(4),
+            c.measureB.toFixed(4),
+            '0.0000',
+            (100 * c.fraction).toFixed(2)
+        ].join(','))
+    ];
+    return lines.join('\n');
+}
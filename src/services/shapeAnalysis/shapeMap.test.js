@@ -0,0 +1,84 @@
+/**
+ * Shape Map Tests
+ *
+ * Minimal distortion path curve, batch points and CSV export.
+ */
+
+import {
+    getMinimalPathCurve,
+    getDominantCoordinationNumber,
+    collectShapeMapPoints,
+    buildShapeMapCSV
+} from './shapeMap';
+import { CENTRAL_ATOM_MODES } from '../../constants/algorithmConstants';
+
+const OC6 = 'OC-6 (Octahedral)';
+const TPR6 = 'TPR-6 (Trigonal Prism)';
+
+function makeResult(coordinationNumber, measures) {
+    return {
+        coordinationNumber,
+        geometryResults: Object.entries(measures).map(([name, shapeMeasure]) => ({ name, shapeMeasure }))
+    };
+}
+
+describe('shapeMap - minimal distortion path', () => {
+    test('runs from A to B and satisfies the path equation', () => {
+        const curve = getMinimalPathCurve(16.737, 11);
+        const theta = Math.asin(Math.sqrt(16.737) / 10);
+
+        expect(curve).toHaveLength(11);
+        expect(curve[0]).toEqual({ fraction: 0, measureA: 0, measureB: expect.any(Number) });
+        expect(curve[0].measureB).toBeCloseTo(16.737, 8);
+        expect(curve[10].measureA).toBeCloseTo(16.737, 8);
+        expect(curve[10].measureB).toBeCloseTo(0, 8);
+        curve.forEach(({ measureA, measureB }) => {
+            const angles = Math.asin(Math.sqrt(measureA) / 10) + Math.asin(Math.sqrt(measureB) / 10);
+            expect(angles).toBeCloseTo(theta, 8);
+        });
+    });
+});
+
+describe('shapeMap - batch points', () => {
+    const structures = ['a', 'b', 'c', 'd'].map(id => ({ id }));
+    const batchResults = new Map([
+        [0, makeResult(6, { [OC6]: 0.5, [TPR6]: 12.0 })],
+        [1, makeResult(6, { [OC6]: 8.0, [TPR6]: 2.0 })],
+        [2, makeResult(4, { 'SP-4 (Square Planar)': 1.0 })],
+        [3, makeResult(6, { [OC6]: 1.0 })]
+    ]);
+
+    test('picks the most common coordination number', () => {
+        expect(getDominantCoordinationNumber(batchResults)).toBe(6);
+        expect(getDominantCoordinationNumber(new Map())).toBeNull();
+    });
+
+    test('plots structures with both measures and places them on the path', () => {
+        const { referenceMeasure, points } = collectShapeMapPoints(structures, batchResults, 6, OC6, TPR6);
+
+        expect(referenceMeasure).toBeCloseTo(16.737, 2);
+        expect(points.map(p => p.id)).toEqual(['a', 'b']);
+        expect(points[0]).toMatchObject({ index: 0, measureA: 0.5, measureB: 12.0 });
+        expect(points[0].generalizedCoordinate).toBeLessThan(points[1].generalizedCoordinate);
+        expect(points[0].deviation).toBeGreaterThan(0);
+    });
+
+    test('keeps only structures measured in the centre mode of the map', () => {
+        const mixed = new Map(batchResults);
+        mixed.set(1, { ...batchResults.get(1), centralAtomMode: CENTRAL_ATOM_MODES.LIGAND_ONLY });
+
+        expect(collectShapeMapPoints(structures, mixed, 6, OC6, TPR6).points.map(p => p.id)).toEqual(['a']);
+        expect(collectShapeMapPoints(structures, mixed, 6, OC6, TPR6, CENTRAL_ATOM_MODES.LIGAND_ONLY).points.map(p => p.id))
+            .toEqual(['b']);
+    });
+
+    test('exports structures and the path curve as CSV', () => {
+        const { points } = collectShapeMapPoints(structures, batchResults, 6, OC6, TPR6);
+        const csv = buildShapeMapCSV(points, getMinimalPathCurve(16.737, 3), OC6, TPR6).split('\n');
+
+        expect(csv[0]).toBe('Series,Structure_ID,S(OC-6),S(TPR-6),Path_Deviation,Phi_OC-6_to_TPR-6_%');
+        expect(csv[1].startsWith('structure,"a",0.5000,12.0000,')).toBe(true);
+        expect(csv).toHaveLength(1 + 2 + 3);
+        expect(csv[3]).toBe('minimal_path,,0.0000,16.7370,0.0000,0.00');
+    });
+});
@@ -52,9 +52,9 @@ function alignVectors(v1, v2) {
  * Align based on principal axes (PCA alignment)
  * Good for anisotropic structures
  */
-function alignByPrincipalAxes(actualCoords, referenceCoords) {
-    const actualPCA = calculatePrincipalAxes(actualCoords);
-    const refPCA = calculatePrincipalAxes(referenceCoords);
+function alignByPrincipalAxes(actualCoords, referenceCoords, seed) {
+    const actualPCA = calculatePrincipalAxes(actualCoords, seed);
+    const refPCA = calculatePrincipalAxes(referenceCoords, seed);
 
     if (actualPCA.axes.length < 3 || refPCA.axes.length < 3) {
         return [new THREE.Matrix4()]; // Fallback to identity
@@ -133,9 +133,9 @@ function alignByLayers(actualCoords, referenceCoords) {
  * Align based on symmetry axes
  * Useful for high-symmetry structures (C5, C6, etc.)
  */
-function alignBySymmetry(actualCoords, referenceCoords) {
-    const actualSyms = detectSymmetryAxes(actualCoords);
-    const refSyms = detectSymmetryAxes(referenceCoords);
+function alignBySymmetry(actualCoords, referenceCoords, seed) {
+    const actualSyms = detectSymmetryAxes(actualCoords, undefined, undefined, seed);
+    const refSyms = detectSymmetryAxes(referenceCoords, undefined, undefined, seed);
 
     if (actualSyms.length === 0 || refSyms.length === 0) {
         return [];
@@ -176,17 +176,18 @@ function alignBySymmetry(actualCoords, referenceCoords) {
  *
  * @param {Array<Array<number>>} actualCoords - Actual structure coordinates (centered)
  * @param {Array<Array<number>>} referenceCoords - Reference geometry coordinates
+ * @param {number} [seed] - Seed for the principal axis power iteration (default RANDOM_SEED.DEFAULT)
  * @returns {Array<THREE.Matrix4>} Array of candidate rotation matrices
  */
-export function generateSmartAlignments(actualCoords, referenceCoords) {
+export function generateSmartAlignments(actualCoords, referenceCoords, seed) {
     const rotations = [];
 
     // Always include identity as fallback
     rotations.push(new THREE.Matrix4());
 
     // Analyze properties
-    const actualProps = analyzeGeometricProperties(actualCoords);
-    const refProps = analyzeGeometricProperties(referenceCoords);
+    const actualProps = analyzeGeometricProperties(actualCoords, seed);
+    const refProps = analyzeGeometricProperties(referenceCoords, seed);
 
     console.log(`Smart Alignment: Actual has ${actualProps.layers.length} layers, ${actualProps.symmetries.length} symmetries`);
     console.log(`Smart Alignment: Reference has ${refProps.layers.length} layers, ${refProps.symmetries.length} symmetries`);
@@ -200,14 +201,14 @@ export function generateSmartAlignments(actualCoords, referenceCoords) {
 
     // Strategy 2: Symmetry-based alignment (good for high-symmetry structures)
     if (actualProps.symmetries.length > 0 && refProps.symmetries.length > 0) {
-        const symAlignments = alignBySymmetry(actualCoords, referenceCoords);
+        const symAlignments = alignBySymmetry(actualCoords, referenceCoords, seed);
         rotations.push(...symAlignments);
         console.log(`  Added ${symAlignments.length} symmetry-based alignments`);
     }
 
     // Strategy 3: PCA-based alignment (general purpose)
     if (actualProps.principalAxes.anisotropy > 0.1) { // Only if not too spherical
-        const pcaAlignments = alignByPrincipalAxes(actualCoords, referenceCoords);
+        const pcaAlignments = alignByPrincipalAxes(actualCoords, referenceCoords, seed);
         rotations.push(...pcaAlignments);
         console.log(`  Added ${pcaAlignments.length} PCA-based alignments`);
     }
@@ -238,8 +239,13 @@ export function generateSmartAlignments(actualCoords, referenceCoords) {
 /**
  * Enhanced version that returns alignments with metadata
  * Useful for debugging and progress reporting
+ *
+ * @param {Array<Array<number>>} actualCoords - Actual structure coordinates (centered)
+ * @param {Array<Array<number>>} referenceCoords - Reference geometry coordinates
+ * @param {number} [seed] - Seed for the principal axis power iteration (default RANDOM_SEED.DEFAULT)
+ * @returns {Array<Object>} Candidate alignments { rotation, strategy, description }
  */
-export function generateSmartAlignmentsWithMetadata(actualCoords, referenceCoords) {
+export function generateSmartAlignmentsWithMetadata(actualCoords, referenceCoords, seed) {
     const alignments = [];
 
     // Identity
@@ -249,8 +255,8 @@ export function generateSmartAlignmentsWithMetadata(actualCoords, referenceCoord
         description: 'No rotation'
     });
 
-    const actualProps = analyzeGeometricProperties(actualCoords);
-    const refProps = analyzeGeometricProperties(referenceCoords);
+    const actualProps = analyzeGeometricProperties(actualCoords, seed);
+    const refProps = analyzeGeometricProperties(referenceCoords, seed);
 
     // Layer alignments
     if (actualProps.layers.length > 0 && refProps.layers.length > 0) {
@@ -266,7 +272,7 @@ export function generateSmartAlignmentsWithMetadata(actualCoords, referenceCoord
 
     // Symmetry alignments
     if (actualProps.symmetries.length > 0 && refProps.symmetries.length > 0) {
-        const symRots = alignBySymmetry(actualCoords, referenceCoords);
+        const symRots = alignBySymmetry(actualCoords, referenceCoords, seed);
         symRots.forEach((R, i) => {
             alignments.push({
                 rotation: R,
@@ -278,7 +284,7 @@ export function generateSmartAlignmentsWithMetadata(actualCoords, referenceCoord
 
     // PCA alignments
     if (actualProps.principalAxes.anisotropy > 0.1) {
-        const pcaRots = alignByPrincipalAxes(actualCoords, referenceCoords);
+        const pcaRots = alignByPrincipalAxes(actualCoords, referenceCoords, seed);
         pcaRots.forEach((R, i) => {
             alignments.push({
                 rotation: R,
@@ -0,0 +1,161 @@
+/**
+ * Deterministic SO(3) Grid Search
+ *
+ * Alternative to the random restarts and annealing of calculateShapeMeasure:
+ * every rotation of a deterministic quaternion grid is refined by alternating
+ * Hungarian matching and the optimal rotation for that matching (Kabsch,
+ * solved with Horn's quaternion), so the angular distance from any rotation
+ * to the nearest starting point has a known bound.
+ *
+ * Grid: unit quaternions (q ≡ −q) are covered by the four cells of the
+ * hypercube [−1, 1]⁴ whose largest |component| is fixed at +1. Each cell is
+ * split into n³ boxes with equal-angle edges (tan of uniformly spaced angles
+ * in [−π/4, π/4]) and the box centres are projected onto S³. Quaternions
+ * within a given angle of a centre form a convex cone, so the farthest point
+ * of a box is one of its corners: twice the largest centre–corner angle
+ * bounds the rotation angle between any rotation and its grid point.
+ */
+
+import * as THREE from 'three';
+import hungarianAlgorithm from '../algorithms/hungarian.js';
+import { pairingRotation } from './exactShapeMeasure.js';
+import { SHAPE_MEASURE, PROGRESS } from '../../constants/algorithmConstants.js';
+
+// Grids are pure functions of the resolution
+const gridCache = new Map();
+
+const normalize4 = q => {
+    const length = Math.hypot(q[0], q[1], q[2], q[3]);
+    return q.map(x => x / length);
+};
+
+// Place the three free coordinates around the fixed +1 at position axis
+const embed = (axis, [a, b, c]) => {
+    const free = [a, b, c];
+    return [0, 1, 2, 3].map(k => (k === axis ? 1 : free[k < axis ? k : k - 1]));
+};
+
+/**
+ * Quaternion grid covering SO(3)
+ *
+ * @param {number} [resolution=SHAPE_MEASURE.SO3_GRID.RESOLUTION] - Boxes per cell edge (n),
+ *   clamped to 1..MAX_RESOLUTION; the grid has 4n³ rotations
+ * @returns {{resolution: number, quaternions: Array<number[]>, maxGapDegrees: number}}
+ *   quaternions as unit [w, x, y, z]; maxGapDegrees bounds the rotation angle from
+ *   any rotation to the nearest grid rotation
+ *
+ * @example
+ * generateSO3Grid(6).quaternions.length; // 864
+ */
+export function generateSO3Grid(resolution = SHAPE_MEASURE.SO3_GRID.RESOLUTION) {
+    const n = Math.min(SHAPE_MEASURE.SO3_GRID.MAX_RESOLUTION, Math.max(1, Math.round(resolution) || 1));
+    if (!gridCache.has(n)) {
+        const edgeAt = k => Math.tan(-Math.PI / 4 + (k * Math.PI) / (2 * n));
+        const quaternions = [];
+        let maxHalfAngle = 0;
+
+        for (let axis = 0; axis < 4; axis++) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    for (let k = 0; k < n; k++) {
+                        const centre = normalize4(embed(axis, [edgeAt(i + 0.5), edgeAt(j + 0.5), edgeAt(k + 0.5)]));
+                        quaternions.push(centre);
+
+                        for (const corner of [[i, j, k], [i + 1, j, k], [i, j + 1, k], [i, j, k + 1],
+                            [i + 1, j + 1, k], [i + 1, j, k + 1], [i, j + 1, k + 1], [i + 1, j + 1, k + 1]]) {
+                            const q = normalize4(embed(axis, corner.map(edgeAt)));
+                            const cos = Math.abs(q.reduce((sum, x, m) => sum + x * centre[m], 0));
+                            maxHalfAngle = Math.max(maxHalfAngle, Math.acos(Math.min(1, cos)));
+                        }
+                    }
+                }
+            }
+        }
+
+        gridCache.set(n, {
+            resolution: n,
+            quaternions,
+            maxGapDegrees: (2 * maxHalfAngle * 180) / Math.PI
+        });
+    }
+    return gridCache.get(n);
+}
+
+/**
+ * Best CShM over a refined SO(3) grid
+ *
+ * @param {Array<Array<number>>} P - Actual points, centred and scaled to unit RMS
+ * @param {Array<Array<number>>} Q - Reference points, normalized the same way
+ * @param {Object} [options={}]
+ * @param {number} [options.fixed=0] - Trailing points paired with themselves (1 for the central atom)
+ * @param {number} [options.resolution=SHAPE_MEASURE.SO3_GRID.RESOLUTION] - Grid resolution (see generateSO3Grid)
+ * @param {number} [options.maxIterations=SHAPE_MEASURE.SO3_GRID.MAX_REFINEMENT_ITERATIONS] -
+ *   Matching/rotation rounds per grid point
+ * @param {Function} [options.onProgress] - Called with (gridPointsDone, gridPointsTotal)
+ * @returns {{measure: number, matching: Array<[number, number]>, rotation: THREE.Matrix4,
+ *   resolution: number, gridPoints: number, maxGapDegrees: number}}
+ *
+ * @example
+ * const { measure, maxGapDegrees } = so3GridSearch(P, Q, { fixed: 1, resolution: 8 });
+ */
+export function so3GridSearch(P, Q, options = {}) {
+    const {
+        fixed = 0,
+        resolution = SHAPE_MEASURE.SO3_GRID.RESOLUTION,
+        maxIterations = SHAPE_MEASURE.SO3_GRID.MAX_REFINEMENT_ITERATIONS,
+        onProgress = null
+    } = options;
+    const grid = generateSO3Grid(resolution);
+    const N = P.length;
+    const free = N - fixed;
+    const P_vecs = P.slice(0, free).map(p => new THREE.Vector3(...p));
+
+    const matchFor = rotation => {
+        const rotated = P_vecs.map(p => p.clone().applyMatrix4(rotation));
+        const cost = rotated.map(p => Q.slice(0, free).map(q => -(p.x * q[0] + p.y * q[1] + p.z * q[2])));
+        const matching = hungarianAlgorithm(cost);
+        for (let k = free; k < N; k++) matching.push([k, k]);
+        return matching;
+    };
+
+    let bestOverlap = -Infinity;
+    let bestMatching = null;
+    let bestRotation = new THREE.Matrix4();
+
+    grid.quaternions.forEach(([w, x, y, z], index) => {
+        let rotation = new THREE.Matrix4().makeRotationFromQuaternion(new THREE.Quaternion(x, y, z, w));
+        let previousKey = null;
+
+        // Each round can only raise the overlap; stop once the matching is stable
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const matching = matchFor(rotation);
+            const key = matching.map(([i, j]) => `${i}:${j}`).join(',');
+            if (key === previousKey) break;
+            previousKey = key;
+
+            const refined = pairingRotation(P, Q, matching);
+            rotation = refined.rotation;
+            if (refined.overlap > bestOverlap) {
+                bestOverlap = refined.overlap;
+                bestMatching = matching;
+                bestRotation = rotation;
+            }
+        }
+
+        if (onProgress && (index + 1) % PROGRESS.GRID_UPDATE_FREQUENCY === 0) {
+            onProgress(index + 1, grid.quaternions.length);
+        }
+    });
+
+    const overlapNorm = Math.max(-1, Math.min(1, bestOverlap / N));
+    return {
+        measure: Math.max(0, 100 * (1 - overlapNorm * overlapNorm)),
+        matching: bestMatching,
+        rotation: bestRotation,
+        resolution: grid.resolution,
+        gridPoints: grid.quaternions.length,
+        maxGapDegrees: grid.maxGapDegrees
+    };
+}
+
+export default so3GridSearch;
@@ -0,0 +1,82 @@
+/**
+ * SO(3) Grid Search Tests
+ *
+ * Grid size and covering bound, and refined grid minima against the
+ * certified branch-and-bound search.
+ */
+
+import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import { SHAPE_OPTIMIZERS } from '../../constants/algorithmConstants';
+import { createRandom } from '../../utils/random';
+import calculateShapeMeasure from './shapeCalculator';
+import { exactShapeMeasure } from './exactShapeMeasure';
+import { generateSO3Grid, so3GridSearch } from './so3GridSearch';
+import { normalize, randomSphere } from './testUtils';
+
+describe('so3GridSearch - grid', () => {
+    test('has 4n³ unit quaternions and a shrinking gap', () => {
+        const coarse = generateSO3Grid(2);
+        const fine = generateSO3Grid(6);
+
+        expect(coarse.quaternions).toHaveLength(32);
+        expect(fine.quaternions).toHaveLength(864);
+        fine.quaternions.forEach(q => expect(Math.hypot(...q)).toBeCloseTo(1, 12));
+        expect(generateSO3Grid(1).maxGapDegrees).toBeCloseTo(120, 8);
+        expect(fine.maxGapDegrees).toBeLessThan(coarse.maxGapDegrees);
+    });
+
+    test('every rotation lies within the reported gap of a grid rotation', () => {
+        const grid = generateSO3Grid(4);
+        const random = createRandom(3);
+
+        for (let t = 0; t < 500; t++) {
+            const q = [random() - 0.5, random() - 0.5, random() - 0.5, random() - 0.5];
+            const length = Math.hypot(...q);
+            const nearest = Math.max(...grid.quaternions.map(g => Math.abs(g.reduce((sum, x, k) => sum + x * q[k] / length, 0))));
+            const gapDegrees = (2 * Math.acos(Math.min(1, nearest)) * 180) / Math.PI;
+
+            expect(gapDegrees).toBeLessThanOrEqual(grid.maxGapDegrees + 1e-9);
+        }
+    });
+});
+
+describe('so3GridSearch - minima', () => {
+    test('recovers a rotated and shuffled square antiprism', () => {
+        const reference = REFERENCE_GEOMETRIES[8]['SAPR-8 (Square Antiprism)'];
+        const rotation = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(0.4, -1.2, 2.5));
+        const ligands = reference.slice(0, -1)
+            .map(p => new THREE.Vector3(...p).multiplyScalar(2.2).applyMatrix4(rotation).toArray())
+            .reverse();
+
+        const result = so3GridSearch(normalize([...ligands, [0, 0, 0]]), normalize(reference), { fixed: 1 });
+
+        expect(result.measure).toBeLessThan(1e-8);
+        expect(result.gridPoints).toBe(864);
+    });
+
+    test('reaches the certified minimum for a distorted CN 8 sphere', () => {
+        const P = normalize([...randomSphere(8, 21), [0, 0, 0]]);
+        ['CU-8 (Cube)', 'SAPR-8 (Square Antiprism)'].forEach(name => {
+            const Q = normalize(REFERENCE_GEOMETRIES[8][name]);
+            const exact = exactShapeMeasure(P, Q, { fixed: 1 });
+
+            expect(exact.certified).toBe(true);
+            expect(so3GridSearch(P, Q, { fixed: 1 }).measure).toBeCloseTo(exact.measure, 6);
+        });
+    });
+
+    test('calculateShapeMeasure reports the grid coverage', () => {
+        const ligands = randomSphere(9, 4);
+        const reference = REFERENCE_GEOMETRIES[9]['CSAPR-9 (Capped Square Antiprism)'];
+        const run = () => calculateShapeMeasure(ligands, reference, 'default', null, {
+            optimizer: SHAPE_OPTIMIZERS.SO3_GRID,
+            gridResolution: 4
+        });
+        const result = run();
+
+        expect(result.coverage).toEqual({ resolution: 4, gridPoints: 256, maxGapDegrees: generateSO3Grid(4).maxGapDegrees });
+        expect(result.measure).toBe(run().measure);
+        expect(result.alignedCoords).toHaveLength(10);
+    });
+});
@@ -0,0 +1,607 @@
+/**
+ * Continuous Symmetry Measure Service
+ *
+ * Zabrodsky/Avnir continuous symmetry measure S(G) of a coordination sphere:
+ *
+ *   S(G) = 100 · Σ|Q_i − P_i|² / Σ|Q_i − Q_0|²
+ *
+ * where Q are the atom positions (metal included), Q_0 their centroid and P
+ * the closest structure with exact G symmetry. For a fixed orientation of
+ * the symmetry elements and a permutation σ_g per operation, P follows from
+ * folding/unfolding: P_i = (1/|G|) Σ_g g⁻¹ Q_σg(i). The permutations must
+ * form a group action, so the atoms are distributed over orbits (a site with
+ * its stabilizer, e.g. the C4 axes of Oh, holds an orbit of |G|/|H| atoms).
+ * The orientation is optimised as in the CShM search: candidate frames are
+ * screened, then the best are refined by small rotations.
+ *
+ * Ligands are treated as equivalent vertices; the central atom is only
+ * mapped onto itself, as in SHAPE and cosymlib.
+ *
+ * References:
+ * - Zabrodsky, H.; Peleg, S.; Avnir, D. J. Am. Chem. Soc. 1992, 114, 7843-7851.
+ * - Pinsky, M.; Avnir, D. Inorg. Chem. 1998, 37, 5575-5582.
+ */
+
+import hungarianAlgorithm, { greedyMatching } from '../algorithms/hungarian.js';
+import { jacobiSVD } from '../algorithms/kabsch.js';
+import { SYMMETRY_MEASURE } from '../../constants/algorithmConstants.js';
+
+// Penalty that keeps the central atom from being exchanged with a ligand
+const TYPE_MISMATCH_COST = 1e6;
+
+// Tolerance for treating two matrices (or frame axes) as equal
+const MATRIX_TOLERANCE = 1e-6;
+
+/**
+ * 3×3 matrix helpers (row-major arrays)
+ */
+const multiply = (A, B) => A.map(row => [0, 1, 2].map(j =>
+    row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]
+));
+const transpose = A => [0, 1, 2].map(i => [A[0][i], A[1][i], A[2][i]]);
+const apply = (A, v) => [
+    A[0][0] * v[0] + A[0][1] * v[1] + A[0][2] * v[2],
+    A[1][0] * v[0] + A[1][1] * v[1] + A[1][2] * v[2],
+    A[2][0] * v[0] + A[2][1] * v[1] + A[2][2] * v[2]
+];
+const sameMatrix = (A, B) => A.every((row, i) => row.every((v, j) => Math.abs(v - B[i][j]) < MATRIX_TOLERANCE));
+const distanceSq = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const unit = v => {
+    const length = norm(v);
+    return length > MATRIX_TOLERANCE ? v.map(c => c / length) : null;
+};
+const outer = (a, b) => [0, 1, 2].map(i => [0, 1, 2].map(j => a[i] * b[j]));
+
+/**
+ * Rotation matrix about a unit axis (Rodrigues)
+ */
+function rotationAbout(axis, angle) {
+    const [x, y, z] = unit(axis);
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const t = 1 - c;
+    return [
+        [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+        [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+        [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+    ];
+}
+
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+const ZERO = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+const INVERSION = [[-1, 0, 0], [0, -1, 0], [0, 0, -1]];
+const MIRROR_XY = [[1, 0, 0], [0, 1, 0], [0, 0, -1]];
+const C2_X = [[1, 0, 0], [0, -1, 0], [0, 0, -1]];
+
+/**
+ * Close a set of generators into the full group of operations
+ */
+function generateGroup(generators) {
+    const group = [IDENTITY];
+    for (let k = 0; k < group.length; k++) {
+        for (const generator of generators) {
+            const product = multiply(generator, group[k]);
+            if (!group.some(op => sameMatrix(op, product))) {
+                group.push(product);
+            }
+        }
+    }
+    return group;
+}
+
+/**
+ * Parse a point group label into its family and order
+ *
+ * @param {string} label - Schoenflies symbol (Ci, Cs, Cn, Sn, Dnh, Td, Oh)
+ * @returns {{family: string, n: number}|null} null for unsupported groups
+ *
+ * @example
+ * parsePointGroup('D4h'); // { family: 'Dnh', n: 4 }
+ */
+export function parsePointGroup(label) {
+    const text = String(label || '').trim();
+    if (text === 'Ci' || text === 'Cs' || text === 'Td' || text === 'Oh') {
+        return { family: text, n: 0 };
+    }
+
+    const match = text.match(/^([CSD])(\d+)(h?)$/);
+    if (!match) return null;
+
+    const n = parseInt(match[2], 10);
+    if (match[1] === 'C' && !match[3] && n >= 1) return { family: 'Cn', n };
+    if (match[1] === 'S' && !match[3] && n >= 2 && n % 2 === 0) return { family: 'Sn', n };
+    if (match[1] === 'D' && match[3] && n >= 2) return { family: 'Dnh', n };
+    return null;
+}
+
+/**
+ * Symmetry operations of a point group in its standard frame
+ *
+ * The principal axis is z; for Dnh one C2 axis lies along x; for Td and Oh
+ * the C2/C4 axes are x, y and z.
+ *
+ * @param {string} label - Schoenflies symbol
+ * @returns {Array<number[][]>} 3×3 operation matrices, identity first
+ * @throws {Error} If the point group is not supported
+ */
+export function getSymmetryOperations(label) {
+    const group = parsePointGroup(label);
+    if (!group) {
+        throw new Error(`Unsupported point group: ${label}`);
+    }
+
+    const z = [0, 0, 1];
+    const c3 = rotationAbout([1, 1, 1], 2 * Math.PI / 3);
+
+    switch (group.family) {
+        case 'Ci':
+            return generateGroup([INVERSION]);
+        case 'Cs':
+            return generateGroup([MIRROR_XY]);
+        case 'Cn':
+            return generateGroup([rotationAbout(z, 2 * Math.PI / group.n)]);
+        case 'Sn':
+            return generateGroup([multiply(MIRROR_XY, rotationAbout(z, 2 * Math.PI / group.n))]);
+        case 'Dnh':
+            return generateGroup([rotationAbout(z, 2 * Math.PI / group.n), C2_X, MIRROR_XY]);
+        case 'Td':
+            return generateGroup([multiply(MIRROR_XY, rotationAbout(z, Math.PI / 2)), c3]);
+        case 'Oh':
+            return generateGroup([rotationAbout(z, Math.PI / 2), c3, INVERSION]);
+        default:
+            throw new Error(`Unsupported point group: ${label}`);
+    }
+}
+
+/**
+ * Projector onto the subspace an operation leaves fixed
+ *
+ * Identity → whole space, proper rotation → its axis, reflection → its
+ * plane, improper rotations and inversion → the origin.
+ */
+function fixedSpaceProjector(op) {
+    if (sameMatrix(op, IDENTITY)) return IDENTITY;
+
+    const det = op[0][0] * (op[1][1] * op[2][2] - op[1][2] * op[2][1]) -
+        op[0][1] * (op[1][0] * op[2][2] - op[1][2] * op[2][0]) +
+        op[0][2] * (op[1][0] * op[2][1] - op[1][1] * op[2][0]);
+    const trace = op[0][0] + op[1][1] + op[2][2];
+
+    // Only reflections (trace 1) fix a plane among improper operations
+    if (det < 0 && Math.abs(trace - 1) > MATRIX_TOLERANCE) return ZERO;
+
+    // Rotation axis from the antisymmetric part; for C2 (and for the
+    // reflection normal) from the largest column of op ± I
+    let direction = det > 0
+        ? unit([op[2][1] - op[1][2], op[0][2] - op[2][0], op[1][0] - op[0][1]])
+        : null;
+    if (!direction) {
+        const sign = det > 0 ? 1 : -1;
+        const columns = [0, 1, 2].map(j => [0, 1, 2].map(i => op[i][j] + sign * IDENTITY[i][j]));
+        columns.sort((a, b) => norm(b) - norm(a));
+        direction = unit(columns[0]);
+    }
+
+    const projector = outer(direction, direction);
+    return det > 0 ? projector : IDENTITY.map((row, i) => row.map((v, j) => v - projector[i][j]));
+}
+
+// Group tables are built once per point group
+const groupCache = new Map();
+
+/**
+ * Multiplication table, inverses and orbit sites of a point group
+ *
+ * A site is a fixed subspace S of some operation together with its
+ * stabilizer H = {g : g fixes S pointwise} and one representative per coset
+ * gH; an orbit of atoms on that site has |G|/|H| members.
+ */
+function getGroupStructure(pointGroup) {
+    if (groupCache.has(pointGroup)) return groupCache.get(pointGroup);
+
+    const operations = getSymmetryOperations(pointGroup);
+    const h = operations.length;
+    const indexOf = matrix => operations.findIndex(op => sameMatrix(op, matrix));
+
+    const table = operations.map(a => operations.map(b => indexOf(multiply(a, b))));
+    const inverse = operations.map(op => indexOf(transpose(op)));
+
+    const sites = [];
+    operations.forEach(op => {
+        const projector = fixedSpaceProjector(op);
+        if (sites.some(site => sameMatrix(site.projector, projector))) return;
+
+        const stabilizer = new Set();
+        operations.forEach((g, k) => {
+            if (sameMatrix(multiply(g, projector), projector)) stabilizer.add(k);
+        });
+
+        const cosetReps = [];
+        for (let g = 0; g < h; g++) {
+            if (!cosetReps.some(a => stabilizer.has(table[inverse[a]][g]))) {
+                cosetReps.push(g);
+            }
+        }
+
+        sites.push({ projector, stabilizer, cosetReps, orbitSize: cosetReps.length });
+    });
+
+    const structure = { operations, table, inverse, sites };
+    groupCache.set(pointGroup, structure);
+    return structure;
+}
+
+/**
+ * Whether an operation commutes with every rotation about z (Cn, Sn, σh, i)
+ *
+ * Such operations give the same S(G) for any rotation of the frame about
+ * its principal axis.
+ */
+function isAxialOperation(op) {
+    return Math.abs(op[0][2]) < MATRIX_TOLERANCE && Math.abs(op[1][2]) < MATRIX_TOLERANCE &&
+        Math.abs(op[2][0]) < MATRIX_TOLERANCE && Math.abs(op[2][1]) < MATRIX_TOLERANCE &&
+        Math.abs(op[0][0] - op[1][1]) < MATRIX_TOLERANCE && Math.abs(op[0][1] + op[1][0]) < MATRIX_TOLERANCE;
+}
+
+/**
+ * Screening permutation σ_g of one operation (g·X_i ≈ X_σ(i))
+ *
+ * Operations are matched independently, so the permutations need not form
+ * a group action; good enough to rank frames, not for the final measure.
+ */
+function matchOperation(op, X, types) {
+    const moved = X.map(x => apply(op, x));
+    const cost = moved.map((m, i) => X.map((x, j) =>
+        distanceSq(m, x) + (types[i] === types[j] ? 0 : TYPE_MISMATCH_COST)
+    ));
+    const permutation = new Array(X.length);
+    greedyMatching(cost).forEach(([i, j]) => { permutation[i] = j; });
+    return permutation;
+}
+
+/**
+ * Closest symmetric structure for given permutations (folding/unfolding)
+ */
+function foldUnfold(Q, operations, permutations) {
+    const h = operations.length;
+    return Q.map((_, i) => {
+        const sum = [0, 0, 0];
+        operations.forEach((op, k) => {
+            // g⁻¹ = gᵀ for orthogonal operations
+            const back = apply(transpose(op), Q[permutations[k][i]]);
+            sum[0] += back[0];
+            sum[1] += back[1];
+            sum[2] += back[2];
+        });
+        return sum.map(c => c / h);
+    });
+}
+
+/**
+ * Place one orbit on a site with atom `first` at the identity coset
+ *
+ * The other coset images are matched to the free atoms (Hungarian), then
+ * the site point is re-fitted: x = Π_S · mean_k(a_k⁻¹ Q_jk).
+ */
+function buildOrbit(Q, site, operations, first, free) {
+    const { projector, cosetReps } = site;
+    const others = free.filter(j => j !== first);
+    if (others.length < cosetReps.length - 1) return null;
+
+    const x0 = apply(projector, Q[first]);
+    const atoms = [first];
+
+    if (cosetReps.length > 1) {
+        const targets = cosetReps.slice(1).map(a => apply(operations[a], x0));
+        // Pad to a square matrix with zero-cost dummy targets
+        const cost = others.map(j => [
+            ...targets.map(t => distanceSq(Q[j], t)),
+            ...new Array(others.length - targets.length).fill(0)
+        ]);
+        const assigned = new Array(targets.length);
+        hungarianAlgorithm(cost).forEach(([row, col]) => {
+            if (col < targets.length) assigned[col] = others[row];
+        });
+        atoms.push(...assigned);
+    }
+
+    const mean = [0, 0, 0];
+    cosetReps.forEach((a, k) => {
+        const back = apply(transpose(operations[a]), Q[atoms[k]]);
+        mean[0] += back[0] / cosetReps.length;
+        mean[1] += back[1] / cosetReps.length;
+        mean[2] += back[2] / cosetReps.length;
+    });
+    const x = apply(projector, mean);
+    const cost = cosetReps.reduce((acc, a, k) => acc + distanceSq(Q[atoms[k]], apply(operations[a], x)), 0);
+
+    return { site, atoms, cost };
+}
+
+/**
+ * All multisets of orbit sizes that add up to a total (largest first)
+ */
+function orbitSizeCombinations(sizes, total) {
+    const combinations = [];
+    const recurse = (start, remaining, current) => {
+        if (remaining === 0) {
+            combinations.push(current);
+            return;
+        }
+        for (let s = start; s < sizes.length; s++) {
+            if (sizes[s] <= remaining) recurse(s, remaining - sizes[s], [...current, sizes[s]]);
+        }
+    };
+    recurse(0, total, []);
+    return combinations;
+}
+
+/**
+ * Distribute the atoms over orbits and derive the group-action permutations
+ *
+ * The central atom keeps the site fixed by the whole group (its own orbit);
+ * ligands are placed greedily, largest orbits first, for every combination
+ * of orbit sizes that adds up to the ligand count.
+ *
+ * @returns {Array<number[]>|null} π_g for every operation; null when no combination fits
+ */
+function assignOrbits(Q, types, group) {
+    const { operations, table, inverse, sites } = group;
+    const h = operations.length;
+    const centerIndex = types.indexOf('center');
+    const ligands = Q.map((_, i) => i).filter(i => i !== centerIndex);
+
+    const sizes = [...new Set(sites.map(s => s.orbitSize))].sort((a, b) => b - a);
+    let best = null;
+
+    orbitSizeCombinations(sizes, ligands.length).forEach(combination => {
+        let free = ligands;
+        const orbits = [];
+        let total = 0;
+
+        for (const size of combination) {
+            const candidates = free;
+            let chosen = null;
+            sites.filter(site => site.orbitSize === size).forEach(site => {
+                candidates.forEach(first => {
+                    const orbit = buildOrbit(Q, site, operations, first, candidates);
+                    if (orbit && (!chosen || orbit.cost < chosen.cost)) chosen = orbit;
+                });
+            });
+            if (!chosen) return;
+
+            orbits.push(chosen);
+            total += chosen.cost;
+            free = free.filter(j => !chosen.atoms.includes(j));
+            if (best && total >= best.total) return;
+        }
+
+        if (!best || total < best.total) best = { orbits, total };
+    });
+
+    if (!best) return null;
+
+    // π_g(j_k) = j_l where g·a_k ∈ a_l·H; the central atom stays in place
+    const permutations = operations.map(() => Q.map((_, i) => i));
+    best.orbits.forEach(({ site, atoms }) => {
+        const { cosetReps, stabilizer } = site;
+        for (let g = 0; g < h; g++) {
+            cosetReps.forEach((a, k) => {
+                const product = table[g][a];
+                const l = cosetReps.findIndex(b => stabilizer.has(table[inverse[b]][product]));
+                permutations[g][atoms[k]] = atoms[l];
+            });
+        }
+    });
+    return permutations;
+}
+
+/**
+ * S(G) and the symmetric structure for a frame and fixed permutations
+ */
+function measureWithPermutations(Q, operations, frame, permutations, denominator) {
+    // Coordinates in the frame of the symmetry elements
+    const Qf = Q.map(q => apply(transpose(frame), q));
+    const P = foldUnfold(Qf, operations, permutations);
+    const deviation = Qf.reduce((acc, q, i) => acc + distanceSq(q, P[i]), 0);
+    return {
+        measure: Math.min(100, 100 * deviation / denominator),
+        symmetric: P.map(p => apply(frame, p))
+    };
+}
+
+/**
+ * Screening estimate of S(G) for a frame (independent permutations)
+ */
+function screenFrame(Q, types, operations, frame, denominator) {
+    const Qf = Q.map(q => apply(transpose(frame), q));
+    const permutations = operations.map(op => matchOperation(op, Qf, types));
+    return measureWithPermutations(Q, operations, frame, permutations, denominator).measure;
+}
+
+/**
+ * Orthonormal frame (columns x, y, z) from a principal axis and a reference direction
+ */
+function buildFrame(zAxis, reference) {
+    const z = unit(zAxis);
+    let x = unit(cross(cross(z, reference), z));
+    if (!x) {
+        x = unit(cross(z, Math.abs(z[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]));
+    }
+    const y = cross(z, x);
+    return [
+        [x[0], y[0], z[0]],
+        [x[1], y[1], z[1]],
+        [x[2], y[2], z[2]]
+    ];
+}
+
+/**
+ * Candidate axis directions from the structure: principal axes of inertia,
+ * atom directions, pair bisectors and pair normals (deduplicated up to sign)
+ *
+ * Every symmetry axis and mirror normal of a symmetric structure is a
+ * principal axis unless the inertia tensor is degenerate (Td, Oh), where the
+ * atom directions and bisectors supply them instead.
+ */
+function candidateAxes(Q) {
+    const inertia = [0, 1, 2].map(i => [0, 1, 2].map(j => Q.reduce((acc, q) => acc + q[i] * q[j], 0)));
+    const { V } = jacobiSVD(inertia);
+    const principal = [0, 1, 2].map(k => unit([V[0][k], V[1][k], V[2][k]])).filter(Boolean);
+
+    const directions = Q.map(unit).filter(Boolean);
+    const axes = [...principal, [1, 0, 0], [0, 1, 0], [0, 0, 1], ...directions];
+
+    for (let i = 0; i < directions.length; i++) {
+        for (let j = i + 1; j < directions.length; j++) {
+            const a = directions[i];
+            const b = directions[j];
+            [unit([a[0] + b[0], a[1] + b[1], a[2] + b[2]]), unit(cross(a, b))]
+                .filter(Boolean)
+                .forEach(axis => axes.push(axis));
+        }
+    }
+
+    const unique = [];
+    axes.forEach(axis => {
+        if (!unique.some(u => Math.abs(u[0] * axis[0] + u[1] * axis[1] + u[2] * axis[2]) > 1 - MATRIX_TOLERANCE)) {
+            unique.push(axis);
+        }
+    });
+    return { axes: unique, directions };
+}
+
+/**
+ * Refine a frame by small rotations, alternating with orbit re-assignment
+ */
+function refineFrame(Q, types, group, frame, denominator) {
+    const { operations } = group;
+    let currentFrame = frame;
+    let best = null;
+
+    for (let round = 0; round < SYMMETRY_MEASURE.ASSIGNMENT_ROUNDS; round++) {
+        const inverseFrame = transpose(currentFrame);
+        const Qf = Q.map(q => apply(inverseFrame, q));
+        const permutations = assignOrbits(Qf, types, group);
+        if (!permutations) return null;
+
+        let current = measureWithPermutations(Q, operations, currentFrame, permutations, denominator);
+        for (let step = SYMMETRY_MEASURE.INITIAL_STEP; step >= SYMMETRY_MEASURE.MIN_STEP; step /= 2) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (const axis of [[1, 0, 0], [0, 1, 0], [0, 0, 1]]) {
+                    for (const angle of [step, -step]) {
+                        const trialFrame = multiply(rotationAbout(axis, angle), currentFrame);
+                        const trial = measureWithPermutations(Q, operations, trialFrame, permutations, denominator);
+                        if (trial.measure < current.measure - 1e-12) {
+                            current = trial;
+                            currentFrame = trialFrame;
+                            improved = true;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (best && current.measure >= best.measure - 1e-12) break;
+        best = current;
+    }
+
+    return best;
+}
+
+/**
+ * Calculate the continuous symmetry measure S(G) of a coordination sphere
+ *
+ * @param {Array<Array<number>>} actualCoords - Ligand positions relative to the metal [[x, y, z], ...] (Å)
+ * @param {string} pointGroup - Schoenflies symbol: Ci, Cs, Cn, Sn (n even), Dnh, Td or Oh
+ * @returns {{pointGroup: string, order: number, measure: number, symmetricCoords: Array<Array<number>>}}
+ *   measure is S(G) on the 0-100 scale; symmetricCoords is the closest
+ *   G-symmetric structure in the input frame, ligands in input order followed
+ *   by the central atom (empty if the atoms cannot form G orbits)
+ * @throws {Error} If the point group is not supported
+ *
+ * @example
+ * const { measure } = calculateSymmetryMeasure(coordAtoms.map(c => [c.vec.x, c.vec.y, c.vec.z]), 'Oh');
+ * // 0 for a perfect octahedron
+ */
+export function calculateSymmetryMeasure(actualCoords, pointGroup) {
+    const group = getGroupStructure(pointGroup);
+    const { operations } = group;
+
+    // The central atom (origin) is part of the structure, as for CShM
+    const atoms = [...actualCoords, [0, 0, 0]];
+    const types = atoms.map((_, i) => (i === atoms.length - 1 ? 'center' : 'ligand'));
+
+    const centroid = [0, 1, 2].map(c => atoms.reduce((acc, a) => acc + a[c], 0) / atoms.length);
+    const Q = atoms.map(a => [a[0] - centroid[0], a[1] - centroid[1], a[2] - centroid[2]]);
+    const denominator = Q.reduce((acc, q) => acc + q[0] ** 2 + q[1] ** 2 + q[2] ** 2, 0);
+
+    const toResult = evaluation => ({
+        pointGroup,
+        order: operations.length,
+        measure: evaluation.measure,
+        symmetricCoords: evaluation.symmetric.map(p => [p[0] + centroid[0], p[1] + centroid[1], p[2] + centroid[2]])
+    });
+
+    if (denominator < MATRIX_TOLERANCE) {
+        return toResult({ measure: 0, symmetric: Q });
+    }
+
+    // Stage 1: screen candidate frames with independent greedy permutations
+    const { axes, directions } = candidateAxes(Q);
+    const axialOperations = operations.filter(isAxialOperation);
+    const needsSpin = axialOperations.length < operations.length;
+
+    let screenedAxes = axes;
+    if (needsSpin) {
+        // The axial subgroup (e.g. C4h in Oh) does not depend on the rotation
+        // about z, so it ranks the principal axes before spins are tried
+        screenedAxes = axes
+            .map(axis => ({
+                axis,
+                measure: screenFrame(Q, types, axialOperations, buildFrame(axis, [1, 0, 0]), denominator)
+            }))
+            .sort((a, b) => a.measure - b.measure)
+            .slice(0, SYMMETRY_MEASURE.AXIS_CANDIDATES)
+            .map(({ axis }) => axis);
+    }
+
+    const spins = Array.from({ length: SYMMETRY_MEASURE.SPIN_STEPS }, (_, k) => k * Math.PI / SYMMETRY_MEASURE.SPIN_STEPS);
+    const screened = [];
+    screenedAxes.forEach(axis => {
+        const base = buildFrame(axis, [1, 0, 0]);
+        const frames = needsSpin
+            ? [
+                ...directions.map(d => buildFrame(axis, d)),
+                ...spins.map(angle => multiply(rotationAbout(axis, angle), base))
+            ]
+            : [base];
+
+        frames.forEach(frame => {
+            screened.push({ measure: screenFrame(Q, types, operations, frame, denominator), frame });
+        });
+    });
+    screened.sort((a, b) => a.measure - b.measure);
+
+    // Stage 2: exact orbit assignment and refinement of the best frames
+    let best = null;
+    screened.slice(0, SYMMETRY_MEASURE.REFINEMENT_CANDIDATES).forEach(({ frame }) => {
+        const refined = refineFrame(Q, types, group, frame, denominator);
+        if (refined && (!best || refined.measure < best.measure)) {
+            best = refined;
+        }
+    });
+
+    // No orbit decomposition fits the ligand count
+    if (!best) {
+        return { pointGroup, order: operations.length, measure: 100, symmetricCoords: [] };
+    }
+
+    return toResult(best);
+}
+
+export default calculateSymmetryMeasure;
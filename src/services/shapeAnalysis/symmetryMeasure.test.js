@@ -0,0 +1,104 @@
+/**
+ * Continuous Symmetry Measure Tests
+ *
+ * S(G) for ideal and distorted coordination spheres.
+ */
+
+import {
+    parsePointGroup,
+    getSymmetryOperations,
+    calculateSymmetryMeasure
+} from './symmetryMeasure';
+
+const octahedron = [
+    [2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0], [0, 0, 2], [0, 0, -2]
+];
+
+const tetrahedron = [
+    [1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]
+].map(v => v.map(c => c * 2.0 / Math.sqrt(3)));
+
+const squarePlanar = [[2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0]];
+
+// Trigonal prism with triangular faces at z = ±1.2
+const trigonalPrism = [0, 1, 2].flatMap(k => {
+    const angle = 2 * Math.PI * k / 3;
+    return [[1.7 * Math.cos(angle), 1.7 * Math.sin(angle), 1.2], [1.7 * Math.cos(angle), 1.7 * Math.sin(angle), -1.2]];
+});
+
+// Arbitrary rotation so the symmetry elements are not along the axes
+function rotate(coords) {
+    const [a, b] = [0.4, 1.1];
+    return coords.map(([x, y, z]) => {
+        const x1 = x * Math.cos(a) - y * Math.sin(a);
+        const y1 = x * Math.sin(a) + y * Math.cos(a);
+        return [x1, y1 * Math.cos(b) - z * Math.sin(b), y1 * Math.sin(b) + z * Math.cos(b)];
+    });
+}
+
+describe('symmetryMeasure - point groups', () => {
+    test('parses supported Schoenflies symbols', () => {
+        expect(parsePointGroup('Ci')).toEqual({ family: 'Ci', n: 0 });
+        expect(parsePointGroup('C3')).toEqual({ family: 'Cn', n: 3 });
+        expect(parsePointGroup('S4')).toEqual({ family: 'Sn', n: 4 });
+        expect(parsePointGroup('D6h')).toEqual({ family: 'Dnh', n: 6 });
+        expect(parsePointGroup('C2v')).toBeNull();
+        expect(parsePointGroup('S3')).toBeNull();
+    });
+
+    test('generates groups of the right order', () => {
+        const orders = { Ci: 2, Cs: 2, C4: 4, S4: 4, S6: 6, D3h: 12, D4h: 16, Td: 24, Oh: 48 };
+        Object.entries(orders).forEach(([label, order]) => {
+            expect(getSymmetryOperations(label)).toHaveLength(order);
+        });
+        expect(() => getSymmetryOperations('D4d')).toThrow(/Unsupported point group/);
+    });
+});
+
+describe('symmetryMeasure - S(G)', () => {
+    test('ideal polyhedra are symmetric in their own point groups, in any orientation', () => {
+        expect(calculateSymmetryMeasure(rotate(octahedron), 'Oh').measure).toBeLessThan(1e-4);
+        expect(calculateSymmetryMeasure(rotate(tetrahedron), 'Td').measure).toBeLessThan(1e-4);
+        expect(calculateSymmetryMeasure(rotate(squarePlanar), 'D4h').measure).toBeLessThan(1e-4);
+        expect(calculateSymmetryMeasure(rotate(trigonalPrism), 'D3h').measure).toBeLessThan(1e-4);
+        expect(calculateSymmetryMeasure(rotate(trigonalPrism), 'C3').measure).toBeLessThan(1e-4);
+    });
+
+    test('structures lacking the symmetry give positive measures', () => {
+        expect(calculateSymmetryMeasure(tetrahedron, 'Ci').measure).toBeGreaterThan(1);
+        expect(calculateSymmetryMeasure(trigonalPrism, 'Oh').measure).toBeGreaterThan(1);
+        expect(calculateSymmetryMeasure(trigonalPrism, 'Ci').measure).toBeGreaterThan(1);
+    });
+
+    test('distortion raises S(Oh) but leaves lower symmetries intact', () => {
+        // Tetragonal elongation keeps D4h and Ci
+        const elongated = octahedron.map(([x, y, z]) => [x, y, z * 1.15]);
+        const oh = calculateSymmetryMeasure(elongated, 'Oh').measure;
+
+        expect(oh).toBeGreaterThan(0.01);
+        expect(calculateSymmetryMeasure(elongated, 'D4h').measure).toBeLessThan(1e-4);
+        expect(calculateSymmetryMeasure(elongated, 'Ci').measure).toBeLessThan(1e-4);
+
+        const moreElongated = octahedron.map(([x, y, z]) => [x, y, z * 1.3]);
+        expect(calculateSymmetryMeasure(moreElongated, 'Oh').measure).toBeGreaterThan(oh);
+    });
+
+    test('the closest symmetric structure is close to the input and keeps the metal position', () => {
+        const distorted = octahedron.map(([x, y, z], i) => [x + 0.05 * (i % 3), y - 0.03 * (i % 2), z]);
+        const { measure, symmetricCoords, order } = calculateSymmetryMeasure(distorted, 'Oh');
+
+        expect(order).toBe(48);
+        expect(symmetricCoords).toHaveLength(7);
+        expect(measure).toBeGreaterThan(0);
+        expect(measure).toBeLessThan(1);
+
+        // A perfect octahedron: all ligands equidistant from the symmetric center
+        const center = symmetricCoords[6];
+        const distances = symmetricCoords.slice(0, 6).map(p => Math.hypot(p[0] - center[0], p[1] - center[1], p[2] - center[2]));
+        distances.forEach(d => expect(d).toBeCloseTo(distances[0], 6));
+
+        // ...which is itself exactly Oh-symmetric
+        const ligands = symmetricCoords.slice(0, 6).map(p => [p[0] - center[0], p[1] - center[1], p[2] - center[2]]);
+        expect(calculateSymmetryMeasure(ligands, 'Oh').measure).toBeLessThan(1e-6);
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Shape Analysis Test Fixtures
+ *
+ * Point sets shared by the exact and SO(3) grid CShM tests. Not a test file
+ * itself: Jest only collects *.test.js.
+ */
+
+import { createRandom } from '../../utils/random';
+
+/**
+ * Centre on the centroid and scale to unit RMS, as calculateShapeMeasure does
+ *
+ * @param {Array<Array<number>>} points - Points [x, y, z]
+ * @returns {Array<Array<number>>} Normalized copies
+ */
+export function normalize(points) {
+    const centroid = [0, 1, 2].map(k => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+    const centred = points.map(p => p.map((x, k) => x - centroid[k]));
+    const rms = Math.sqrt(centred.reduce((sum, p) => sum + p[0] ** 2 + p[1] ** 2 + p[2] ** 2, 0) / points.length);
+    return centred.map(p => p.map(x => x / rms));
+}
+
+/**
+ * Deterministic pseudo-random points on a sphere of radius 2
+ *
+ * @param {number} count - Number of points
+ * @param {number} seed - Seed for createRandom
+ * @returns {Array<Array<number>>} Points [x, y, z]
+ */
+export function randomSphere(count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => {
+        const v = [random() - 0.5, random() - 0.5, random() - 0.5];
+        const length = Math.hypot(...v);
+        return v.map(x => (2 * x) / length);
+    });
+}
@@ -0,0 +1,220 @@
+/**
+ * Uncertainty Propagation Service
+ *
+ * Propagates coordinate standard uncertainties (CIF s.u., stored as atom.su)
+ * into continuous shape measures by Monte Carlo sampling:
+ * 1. Displace every asymmetric-unit site by a Gaussian error and move its
+ *    symmetry images with it (rotated by their operator), so donors related
+ *    by symmetry - or through a metal on a special position - stay correlated
+ * 2. Recompute the CShM of each candidate geometry with calculateShapeMeasure,
+ *    refining the rotation of the nominal fit instead of searching again
+ * 3. Report mean ± standard deviation over all samples
+ *
+ * Two CShM values whose difference is small compared with their standard
+ * deviations cannot be told apart from the diffraction data.
+ */
+
+import calculateShapeMeasure from './shapeCalculator';
+import { UNCERTAINTY_PROPAGATION, RANDOM_SEED } from '../../constants/algorithmConstants.js';
+import { createRandom } from '../../utils/random.js';
+import { fractionalToCartesianMatrix, cartesianToFractionalMatrix } from '../../utils/lattice.js';
+import { parseSymmetryOperator } from '../../utils/parseInput';
+
+/**
+ * Check whether any atom of a coordination sphere carries standard uncertainties
+ *
+ * @param {Object} metal - Metal atom
+ * @param {Array<Object>} coordAtoms - Coordinating atoms ({atom, vec, ...})
+ * @returns {boolean}
+ */
+export function hasCoordinateUncertainties(metal, coordAtoms) {
+    const hasSU = atom => Array.isArray(atom?.su) && atom.su.some(u => u > 0);
+    return hasSU(metal) || (coordAtoms || []).some(c => hasSU(c.atom));
+}
+
+/**
+ * Draw a standard normal deviate (Box-Muller)
+ *
+ * @param {Function} random - Uniform generator on [0, 1)
+ * @returns {number}
+ */
+function gaussian(random) {
+    const u1 = 1 - random(); // (0, 1] keeps the logarithm finite
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Random displacement for one atom from its standard uncertainties
+ */
+function sampleDisplacement(atom, random) {
+    const su = atom?.su || [0, 0, 0];
+    return su.map(sigma => (sigma > 0 ? sigma * gaussian(random) : 0));
+}
+
+const multiply = (A, B) => A.map(row => B[0].map((_, j) => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+const apply = (A, v) => A.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+/**
+ * Asymmetric-unit site behind every sampled atom
+ *
+ * CIF atoms generated by symmetry expansion are traced back to the identity
+ * copy with the same label (and disorder group); their displacement is the
+ * parent's, rotated by the Cartesian operator M·W·M⁻¹. Lattice images share
+ * the atom object and so the displacement. Atoms without symmetry provenance
+ * are their own parent.
+ *
+ * @returns {{parents: Array<Object>, sites: Array<{parentIndex: number, rotation: number[][]|null}>}}
+ */
+function buildDisplacementModel(sampledAtoms, atoms, unitCell) {
+    const toCartesian = unitCell ? fractionalToCartesianMatrix(unitCell) : null;
+    const toFractional = unitCell ? cartesianToFractionalMatrix(unitCell) : null;
+    const parents = [];
+
+    const sites = sampledAtoms.map(atom => {
+        const operator = toCartesian && atom?.symmetry ? parseSymmetryOperator(atom.symmetry.operator) : null;
+        const parent = operator && atom.label !== undefined
+            ? (atoms || []).find(a =>
+                a.label === atom.label &&
+                a.disorderGroup === atom.disorderGroup &&
+                a.symmetry?.operatorIndex === 0
+            )
+            : null;
+
+        const source = parent || atom;
+        let parentIndex = parents.indexOf(source);
+        if (parentIndex < 0) parentIndex = parents.push(source) - 1;
+
+        return {
+            parentIndex,
+            rotation: parent ? multiply(toCartesian, multiply(operator.rotation, toFractional)) : null
+        };
+    });
+
+    return { parents, sites };
+}
+
+/**
+ * Mean, sample standard deviation and range of a list of values, with the
+ * number of samples whose CShM is a certified minimum
+ */
+function summarize(values, certified) {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const variance = n > 1
+        ? values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1)
+        : 0;
+    return {
+        mean,
+        stdDev: Math.sqrt(variance),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        samples: n,
+        certifiedSamples: certified
+    };
+}
+
+/**
+ * Estimate CShM standard deviations by Monte Carlo sampling of coordinate errors
+ *
+ * Every sample reuses the rotation of the nominal fit as the starting point of
+ * the CShM search and only refines it. CN 5-7 are exhaustive, so those samples
+ * are certified minima (certifiedSamples); CN 8-12 samples are certified only
+ * with options.exact, which runs the branch-and-bound search for each of them.
+ *
+ * @param {Object} metal - Metal atom (its su, if any, is sampled too)
+ * @param {Array<Object>} coordAtoms - Coordinating atoms ({atom, vec}); vec is donor − metal
+ * @param {Array<{name: string, coords: number[][]}>} geometries - Reference geometries to evaluate
+ * @param {Object} [options={}] - Sampling options
+ * @param {number} [options.samples] - Number of samples (default UNCERTAINTY_PROPAGATION.SAMPLES)
+ * @param {string} [options.mode] - CShM optimisation mode (default UNCERTAINTY_PROPAGATION.MODE)
+ * @param {Array<Object>} [options.atoms] - All atoms of the structure; with options.unitCell,
+ *   symmetry images are displaced together with their asymmetric-unit site
+ * @param {UnitCell|null} [options.unitCell=null] - Unit cell of a symmetry-expanded CIF
+ * @param {string} [options.centralAtomMode] - CENTRAL_ATOM_MODES value passed to calculateShapeMeasure
+ * @param {boolean} [options.exact=UNCERTAINTY_PROPAGATION.EXACT] - Exact CN 8-12 search for every sample
+ * @param {number} [options.seed=RANDOM_SEED.DEFAULT] - Seed for the displacements and the CShM optimisation
+ * @param {Function} [options.random] - Uniform random generator on [0, 1) (default: seeded from options.seed)
+ * @param {Function} [options.onProgress] - Called with { stage, progress, message }
+ * @returns {Promise<Array<{name: string, mean: number, stdDev: number, min: number, max: number, samples: number, certifiedSamples: number}>>}
+ *   One entry per geometry; geometries without a single finite sample are left out
+ *
+ * @example
+ * const stats = await propagateShapeMeasureUncertainty(atoms[metalIndex], coordAtoms, [
+ *     { name: 'OC-6 (Octahedral)', coords: REFERENCE_GEOMETRIES[6]['OC-6 (Octahedral)'] }
+ * ]);
+ * // [{ name: 'OC-6 (Octahedral)', mean: 0.412, stdDev: 0.018, ... }]
+ */
+export async function propagateShapeMeasureUncertainty(metal, coordAtoms, geometries, options = {}) {
+    const {
+        samples = UNCERTAINTY_PROPAGATION.SAMPLES,
+        mode = UNCERTAINTY_PROPAGATION.MODE,
+        centralAtomMode,
+        exact = UNCERTAINTY_PROPAGATION.EXACT,
+        atoms = null,
+        unitCell = null,
+        seed = RANDOM_SEED.DEFAULT,
+        random = createRandom(seed),
+        onProgress = null
+    } = options;
+
+    const values = geometries.map(() => []);
+    const certified = geometries.map(() => 0);
+    const { parents, sites } = buildDisplacementModel([metal, ...coordAtoms.map(c => c.atom)], atoms, unitCell);
+
+    // Nominal fits: their rotations seed the search of every sample
+    const nominalCoords = coordAtoms.map(c => [c.vec.x, c.vec.y, c.vec.z]);
+    const seedRotations = geometries.map(geometry => {
+        try {
+            return calculateShapeMeasure(nominalCoords, geometry.coords, mode, null, { centralAtomMode, seed }).rotationMatrix;
+        } catch (error) {
+            console.warn(`Nominal fit failed for ${geometry.name}:`, error.message);
+            return undefined;
+        }
+    });
+
+    for (let s = 0; s < samples; s++) {
+        const parentShifts = parents.map(atom => sampleDisplacement(atom, random));
+        const shifts = sites.map(({ parentIndex, rotation }) => (
+            rotation ? apply(rotation, parentShifts[parentIndex]) : parentShifts[parentIndex]
+        ));
+        const [metalShift, ...donorShifts] = shifts;
+        const coords = coordAtoms.map((c, i) => [
+            c.vec.x + donorShifts[i][0] - metalShift[0],
+            c.vec.y + donorShifts[i][1] - metalShift[1],
+            c.vec.z + donorShifts[i][2] - metalShift[2]
+        ]);
+
+        geometries.forEach((geometry, g) => {
+            try {
+                const result = calculateShapeMeasure(coords, geometry.coords, mode, null, {
+                    centralAtomMode,
+                    seed,
+                    exact,
+                    seedRotation: seedRotations[g]
+                });
+                if (Number.isFinite(result.measure)) {
+                    values[g].push(result.measure);
+                    if (result.certified) certified[g]++;
+                }
+            } catch (error) {
+                console.warn(`Uncertainty sample ${s + 1} failed for ${geometry.name}:`, error.message);
+            }
+        });
+
+        if (onProgress) {
+            onProgress({
+                stage: 'sampling',
+                progress: (s + 1) / samples,
+                message: `Monte Carlo sample ${s + 1}/${samples}`
+            });
+        }
+
+        // Allow UI to update
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return geometries
+        .map((geometry, g) => (values[g].length > 0 ? { name: geometry.name, ...summarize(values[g], certified[g]) } : null))
+        .filter(Boolean);
+}
@@ -0,0 +1,142 @@
+/**
+ * Uncertainty Propagation Tests
+ *
+ * Monte Carlo CShM statistics for coordination spheres with CIF standard
+ * uncertainties.
+ */
+
+import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../../constants/referenceGeometries';
+import {
+    hasCoordinateUncertainties,
+    propagateShapeMeasureUncertainty
+} from './uncertaintyPropagation';
+import { exactShapeMeasure } from './exactShapeMeasure';
+import { createRandom } from '../../utils/random';
+
+// Counts the exact searches; CRA resets mock implementations before each test
+jest.mock('./exactShapeMeasure', () => ({
+    ...jest.requireActual('./exactShapeMeasure'),
+    exactShapeMeasure: jest.fn()
+}));
+
+beforeEach(() => {
+    exactShapeMeasure.mockImplementation(jest.requireActual('./exactShapeMeasure').exactShapeMeasure);
+});
+
+const tetrahedron = [
+    [1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]
+].map(v => v.map(c => c * 2.0 / Math.sqrt(3)));
+
+function makeSphere(su) {
+    return tetrahedron.map(([x, y, z]) => ({
+        atom: { element: 'Cl', x, y, z, su },
+        vec: new THREE.Vector3(x, y, z),
+        distance: 2.0
+    }));
+}
+
+const geometries = [{ name: 'T-4 (Tetrahedral)', coords: REFERENCE_GEOMETRIES[4]['T-4 (Tetrahedral)'] }];
+
+describe('uncertaintyPropagation', () => {
+    test('hasCoordinateUncertainties looks at the metal and the donors', () => {
+        const metal = { element: 'Zn', x: 0, y: 0, z: 0 };
+        expect(hasCoordinateUncertainties(metal, makeSphere(undefined))).toBe(false);
+        expect(hasCoordinateUncertainties(metal, makeSphere([0, 0, 0]))).toBe(false);
+        expect(hasCoordinateUncertainties(metal, makeSphere([0.002, 0.002, 0.002]))).toBe(true);
+        expect(hasCoordinateUncertainties({ ...metal, su: [0.001, 0, 0] }, makeSphere(undefined))).toBe(true);
+    });
+
+    test('without uncertainties every sample gives the nominal CShM', async () => {
+        const metal = { element: 'Zn', x: 0, y: 0, z: 0 };
+        const [stats] = await propagateShapeMeasureUncertainty(metal, makeSphere(undefined), geometries, {
+            samples: 3,
+            random: createRandom(1)
+        });
+
+        expect(stats.name).toBe('T-4 (Tetrahedral)');
+        expect(stats.samples).toBe(3);
+        expect(stats.mean).toBeLessThan(0.01);
+        expect(stats.stdDev).toBeLessThan(1e-6);
+    });
+
+    test('coordinate uncertainties give a non-zero spread that grows with s.u.', async () => {
+        const metal = { element: 'Zn', x: 0, y: 0, z: 0 };
+        const run = su => propagateShapeMeasureUncertainty(metal, makeSphere(su), geometries, {
+            samples: 12,
+            random: createRandom(42)
+        });
+
+        const [small] = await run([0.005, 0.005, 0.005]);
+        const [large] = await run([0.05, 0.05, 0.05]);
+
+        expect(small.stdDev).toBeGreaterThan(0);
+        expect(large.stdDev).toBeGreaterThan(small.stdDev);
+        expect(large.mean).toBeGreaterThan(small.mean);
+        expect(large.min).toBeLessThanOrEqual(large.mean);
+        expect(large.max).toBeGreaterThanOrEqual(large.mean);
+    });
+
+    test('reports progress for every sample', async () => {
+        const metal = { element: 'Zn', x: 0, y: 0, z: 0, su: [0.01, 0.01, 0.01] };
+        const updates = [];
+        await propagateShapeMeasureUncertainty(metal, makeSphere(undefined), geometries, {
+            samples: 4,
+            random: createRandom(7),
+            onProgress: p => updates.push(p.progress)
+        });
+
+        expect(updates).toEqual([0.25, 0.5, 0.75, 1]);
+    });
+
+    test('symmetry images move with their asymmetric-unit site', async () => {
+        // Metal on an inversion centre; O1' is generated from O1 by -x,-y,-z
+        const unitCell = { a: 10, b: 10, c: 10, alpha: 90, beta: 90, gamma: 90 };
+        const su = [0.02, 0.02, 0.02];
+        const metal = { element: 'Cu', x: 0, y: 0, z: 0, label: 'Cu1', symmetry: { operator: 'x,y,z', operatorIndex: 0, translation: [0, 0, 0] } };
+        const o1 = { element: 'O', x: 2, y: 0.3, z: 0, label: 'O1', su, symmetry: { operator: 'x,y,z', operatorIndex: 0, translation: [0, 0, 0] } };
+        const o1i = { ...o1, x: -2, y: -0.3, symmetry: { operator: '-x,-y,-z', operatorIndex: 1, translation: [0, 0, 0] } };
+        const coordAtoms = [o1, o1i].map(atom => ({ atom, vec: new THREE.Vector3(atom.x, atom.y, atom.z) }));
+        const linear = [{ name: 'L-2 (Linear)', coords: REFERENCE_GEOMETRIES[2]['L-2 (Linear)'] }];
+
+        const [correlated] = await propagateShapeMeasureUncertainty(metal, coordAtoms, linear, {
+            samples: 6,
+            random: createRandom(3),
+            atoms: [metal, o1, o1i],
+            unitCell
+        });
+        const [independent] = await propagateShapeMeasureUncertainty(metal, coordAtoms, linear, {
+            samples: 6,
+            random: createRandom(3)
+        });
+
+        // The pair stays centrosymmetric, so the sphere stays exactly linear
+        expect(correlated.max).toBeLessThan(1e-4);
+        expect(independent.max).toBeGreaterThan(1e-3);
+    });
+
+    test('CN 8 samples refine the nominal rotation unless the exact search is asked for', async () => {
+        const cube = REFERENCE_GEOMETRIES[8]['CU-8 (Cube)'];
+        const metal = { element: 'U', x: 0, y: 0, z: 0 };
+        const coordAtoms = cube.slice(0, -1).map(([x, y, z]) => ({
+            atom: { element: 'F', x: 2 * x, y: 2 * y, z: 2 * z, su: [0.01, 0.01, 0.01] },
+            vec: new THREE.Vector3(2 * x, 2 * y, 2 * z)
+        }));
+        const run = options => propagateShapeMeasureUncertainty(metal, coordAtoms, [{ name: 'CU-8 (Cube)', coords: cube }], {
+            samples: 3,
+            random: createRandom(11),
+            ...options
+        });
+
+        const [refined] = await run({});
+        expect(exactShapeMeasure).not.toHaveBeenCalled();
+        expect(refined.samples).toBe(3);
+        expect(refined.certifiedSamples).toBe(0);
+
+        const [exact] = await run({ exact: true });
+        expect(exactShapeMeasure).toHaveBeenCalledTimes(3);
+        expect(exact.certifiedSamples).toBe(3);
+        expect(exact.mean).toBeGreaterThan(0);
+        expect(refined.mean).toBeCloseTo(exact.mean, 3);
+    });
+});
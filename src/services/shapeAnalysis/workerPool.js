@@ -171,7 +171,8 @@ class WorkerPool {
             referenceCoords: task.referenceCoords,
             mode: task.mode,
             shapeName: task.shapeName,
-            smartAlignments: task.smartAlignments
+            smartAlignments: task.smartAlignments,
+            seed: task.seed
         });
 
         this.notifyProgress();
@@ -179,6 +180,9 @@ class WorkerPool {
 
     /**
      * Submit batch of calculations
+     *
+     * @param {Array<Object>} tasks - { shapeName, actualCoords, referenceCoords, mode,
+     *   smartAlignments, seed }; the seed (default RANDOM_SEED.DEFAULT) makes the annealing reproducible
      */
     async calculateBatch(tasks, onProgress, onComplete) {
         this.taskQueue = [...tasks];
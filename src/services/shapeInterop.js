@@ -0,0 +1,309 @@
+/**
+ * SHAPE 2.1 Interoperability
+ *
+ * Cross-validation with the reference Fortran program (Llunell et al.):
+ * - Export coordination spheres as a SHAPE .dat input file
+ * - Import the .tab output that SHAPE writes
+ * - Compare imported CShM values with Q-Shape geometryResults
+ *
+ * Polyhedron codes are the key prefixes of REFERENCE_GEOMETRIES
+ * (e.g. "OC-6 (Octahedral)" → OC-6). The library lists each CN in SHAPE's
+ * own order, so the SHAPE reference number of a code is its 1-based
+ * position within REFERENCE_GEOMETRIES[cn].
+ */
+
+import { REFERENCE_GEOMETRIES } from '../constants/referenceGeometries';
+import { SHAPE_PARITY, CENTRAL_ATOM_MODES } from '../constants/algorithmConstants.js';
+
+/**
+ * Codes that SHAPE spells differently from the Q-Shape key prefix
+ */
+const SHAPE_CODE_ALIASES = {
+    'JBTP-8': 'JBTPR-8'
+};
+
+/**
+ * SHAPE polyhedron code for a Q-Shape geometry name
+ *
+ * @param {string} name - REFERENCE_GEOMETRIES key (e.g. "OC-6 (Octahedral)")
+ * @returns {string} SHAPE code (e.g. "OC-6")
+ */
+export function getShapeCode(name) {
+    const prefix = String(name || '').split(' (')[0].trim();
+    return SHAPE_CODE_ALIASES[prefix] || prefix;
+}
+
+/**
+ * SHAPE reference polyhedra available for a coordination number
+ *
+ * @param {number} coordinationNumber - Number of vertices
+ * @returns {Array<{number: number, code: string, name: string}>} Empty when SHAPE has no shapes for this CN
+ */
+export function getShapeReferences(coordinationNumber) {
+    const geometries = REFERENCE_GEOMETRIES[coordinationNumber];
+    if (!geometries) return [];
+
+    return Object.keys(geometries).map((name, index) => ({
+        number: index + 1,
+        code: getShapeCode(name),
+        name
+    }));
+}
+
+/**
+ * Structure label as written to (and read back from) SHAPE files
+ *
+ * SHAPE reads the label as a single token and the .tab output separates
+ * columns with commas, so whitespace and commas are replaced.
+ *
+ * @param {string} label - Structure id
+ * @returns {string}
+ */
+export function toShapeLabel(label) {
+    return String(label || 'structure').trim().replace(/[\s,]+/g, '_') || 'structure';
+}
+
+/**
+ * Format one coordinate line ("Symbol   x   y   z")
+ */
+function formatAtomLine(element, x, y, z) {
+    const coord = v => v.toFixed(6).padStart(12);
+    return `${String(element).padEnd(3)}${coord(x)}${coord(y)}${coord(z)}`;
+}
+
+/**
+ * Build a SHAPE .dat input file
+ *
+ * Every entry is written with its metal first (central atom position 1)
+ * followed by the donors relative to the metal, which keeps periodic images
+ * at their minimum-image positions. All entries must share the same
+ * coordination number because SHAPE reads a single vertex count per file.
+ * In ligand-only mode the metal line is left out and the central atom
+ * position is written as 0, so SHAPE fits the donors alone.
+ *
+ * @param {Array<{label: string, metal: Object, coordAtoms: Array<Object>}>} entries - Coordination spheres (coordAtoms as {atom, vec})
+ * @param {Object} [options={}] - Output options
+ * @param {string} [options.title] - Title written as a "$" comment line
+ * @param {string} [options.centralAtomMode=CENTRAL_ATOM_MODES.INCLUDED] - CENTRAL_ATOM_MODES value
+ * @returns {string} File content; empty when there are no entries
+ * @throws {Error} If the entries have different coordination numbers or SHAPE has no shapes for their CN
+ *
+ * @example
+ * const dat = buildShapeInput([{ label: 'ABCDEF', metal: atoms[metalIndex], coordAtoms }]);
+ * // $ Q-Shape export ...
+ * // 6 1
+ * // 1 2 3 4 5
+ * // ABCDEF
+ * // Ni   0.000000 ...
+ */
+export function buildShapeInput(entries, options = {}) {
+    if (!entries || entries.length === 0) return '';
+
+    const coordinationNumber = entries[0].coordAtoms.length;
+    if (entries.some(e => e.coordAtoms.length !== coordinationNumber)) {
+        throw new Error('All structures in a SHAPE input file must have the same coordination number');
+    }
+
+    const references = getShapeReferences(coordinationNumber);
+    if (references.length === 0) {
+        throw new Error(`SHAPE has no reference polyhedra for CN=${coordinationNumber}`);
+    }
+
+    const ligandOnly = options.centralAtomMode === CENTRAL_ATOM_MODES.LIGAND_ONLY;
+
+    const lines = [
+        `$ ${options.title || 'Q-Shape export'}`,
+        `$ Reference shapes: ${references.map(r => r.code).join(' ')}`,
+        `${coordinationNumber} ${ligandOnly ? 0 : 1}`,
+        references.map(r => r.number).join(' ')
+    ];
+
+    entries.forEach(({ label, metal, coordAtoms }) => {
+        lines.push(toShapeLabel(label));
+        if (!ligandOnly) {
+            lines.push(formatAtomLine(metal.element, 0, 0, 0));
+        }
+        coordAtoms.forEach(c => {
+            lines.push(formatAtomLine(c.atom.element, c.vec.x, c.vec.y, c.vec.z));
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build SHAPE input files for a batch, one per coordination number
+ *
+ * @param {Array<Object>} structures - Parsed structures
+ * @param {Map<number, Object>} batchResults - Batch results (with metalIndex and coordAtoms)
+ * @param {Object} [options={}] - Passed to buildShapeInput
+ * @returns {{files: Array<{coordinationNumber: number, count: number, content: string}>, skipped: string[]}}
+ *   skipped lists the ids of analysed structures SHAPE cannot handle
+ */
+export function buildBatchShapeInputs(structures, batchResults, options = {}) {
+    const groups = new Map();
+    const skipped = [];
+
+    structures.forEach((structure, index) => {
+        const result = batchResults?.get(index);
+        if (!result || !result.coordAtoms?.length || result.metalIndex == null) return;
+
+        const coordinationNumber = result.coordAtoms.length;
+        if (getShapeReferences(coordinationNumber).length === 0) {
+            skipped.push(structure.id);
+            return;
+        }
+
+        if (!groups.has(coordinationNumber)) groups.set(coordinationNumber, []);
+        groups.get(coordinationNumber).push({
+            label: structure.id,
+            metal: structure.atoms[result.metalIndex],
+            coordAtoms: result.coordAtoms
+        });
+    });
+
+    const files = [...groups.keys()].sort((a, b) => a - b).map(coordinationNumber => {
+        const entries = groups.get(coordinationNumber);
+        return {
+            coordinationNumber,
+            count: entries.length,
+            content: buildShapeInput(entries, options)
+        };
+    });
+
+    return { files, skipped };
+}
+
+/**
+ * Parse a SHAPE .tab output file
+ *
+ * The table starts with a header line "Structure [ML6 ]  HP-6  PPY-6 ..."
+ * followed by one row per structure ("label , 31.123, 29.000, ...").
+ * Several tables (one per input file) may be concatenated. Values SHAPE
+ * could not compute are stored as null.
+ *
+ * @param {string} content - .tab file content
+ * @returns {{structures: Array<{label: string, coordinationNumber: number, measures: Object<string, number|null>}>, warnings: string[]}}
+ *
+ * @example
+ * const { structures } = parseShapeOutput(tabText);
+ * // [{ label: 'ABCDEF', coordinationNumber: 6, measures: { 'OC-6': 0.216, ... } }]
+ */
+export function parseShapeOutput(content) {
+    const structures = [];
+    const warnings = [];
+    let codes = null;
+
+    String(content || '').split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+
+        if (/^Structure\b/i.test(trimmed)) {
+            const header = trimmed.includes(']')
+                ? trimmed.slice(trimmed.indexOf(']') + 1)
+                : trimmed.replace(/^Structure\b/i, '');
+            codes = header.trim().split(/\s+/).filter(Boolean);
+            return;
+        }
+
+        if (!codes || codes.length === 0) return;
+
+        let label;
+        let values;
+        if (trimmed.includes(',')) {
+            const parts = trimmed.split(',').map(p => p.trim());
+            label = parts[0];
+            values = parts.slice(1);
+        } else {
+            const tokens = trimmed.split(/\s+/);
+            label = tokens.slice(0, tokens.length - codes.length).join(' ');
+            values = tokens.slice(tokens.length - codes.length);
+        }
+
+        if (!label || values.length !== codes.length) return;
+
+        const numbers = values.map(v => parseFloat(v));
+        if (numbers.every(v => !Number.isFinite(v))) return;
+
+        const measures = {};
+        codes.forEach((code, i) => {
+            measures[code] = Number.isFinite(numbers[i]) ? numbers[i] : null;
+        });
+
+        const coordinationNumber = parseInt(codes[0].split('-').pop(), 10);
+        structures.push({ label, coordinationNumber, measures });
+    });
+
+    if (structures.length === 0) {
+        warnings.push('No SHAPE results found - expected a .tab file with a "Structure" header line');
+    }
+
+    return { structures, warnings };
+}
+
+/**
+ * Find the SHAPE result belonging to a structure
+ *
+ * Labels are matched after toShapeLabel; a file with a single result of the
+ * right coordination number is accepted whatever its label.
+ *
+ * @param {Array<Object>} shapeStructures - structures from parseShapeOutput
+ * @param {string} structureId - Q-Shape structure id
+ * @param {number} coordinationNumber - Current coordination number
+ * @returns {Object|null}
+ */
+export function findShapeResult(shapeStructures, structureId, coordinationNumber) {
+    const candidates = (shapeStructures || []).filter(s => s.coordinationNumber === coordinationNumber);
+    const label = toShapeLabel(structureId);
+
+    return candidates.find(s => s.label === label) ||
+        (candidates.length === 1 ? candidates[0] : null);
+}
+
+/**
+ * Side-by-side comparison of Q-Shape and SHAPE CShM values
+ *
+ * Rows follow the Q-Shape ranking; SHAPE codes without a Q-Shape result are
+ * appended with qShape null. A row is a mismatch when |Δ| exceeds both
+ * SHAPE_PARITY.ABSOLUTE_TOLERANCE and SHAPE_PARITY.RELATIVE_TOLERANCE × |SHAPE|.
+ *
+ * @param {Array<{name: string, shapeMeasure: number}>} geometryResults - Q-Shape results
+ * @param {Object<string, number|null>} shapeMeasures - SHAPE values keyed by code
+ * @returns {Array<{code: string, name: string|null, qShape: number|null, shape: number|null, difference: number|null, isMismatch: boolean}>}
+ */
+export function compareWithShape(geometryResults, shapeMeasures) {
+    const measures = shapeMeasures || {};
+    const seen = new Set();
+
+    const rows = (geometryResults || []).map(result => {
+        const code = getShapeCode(result.name);
+        seen.add(code);
+        const shape = measures[code] ?? null;
+        return buildParityRow(code, result.name, result.shapeMeasure, shape);
+    });
+
+    Object.keys(measures)
+        .filter(code => !seen.has(code))
+        .forEach(code => rows.push(buildParityRow(code, null, null, measures[code])));
+
+    return rows;
+}
+
+/**
+ * One parity row with its difference and mismatch flag
+ */
+function buildParityRow(code, name, qShape, shape) {
+    const difference = Number.isFinite(qShape) && Number.isFinite(shape) ? qShape - shape : null;
+    const tolerance = Number.isFinite(shape)
+        ? Math.max(SHAPE_PARITY.ABSOLUTE_TOLERANCE, SHAPE_PARITY.RELATIVE_TOLERANCE * Math.abs(shape))
+        : SHAPE_PARITY.ABSOLUTE_TOLERANCE;
+
+    return {
+        code,
+        name,
+        qShape: Number.isFinite(qShape) ? qShape : null,
+        shape: Number.isFinite(shape) ? shape : null,
+        difference,
+        isMismatch: difference !== null && Math.abs(difference) > tolerance
+    };
+}
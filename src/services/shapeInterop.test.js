@@ -0,0 +1,174 @@
+/**
+ * SHAPE Interoperability Tests
+ *
+ * .dat export, .tab import and parity comparison against SHAPE 2.1.
+ */
+
+import * as THREE from 'three';
+import { REFERENCE_GEOMETRIES } from '../constants/referenceGeometries';
+import {
+    getShapeCode,
+    getShapeReferences,
+    toShapeLabel,
+    buildShapeInput,
+    buildBatchShapeInputs,
+    parseShapeOutput,
+    findShapeResult,
+    compareWithShape
+} from './shapeInterop';
+
+function makeOctahedron(element = 'N') {
+    return [
+        [2, 0, 0], [-2, 0, 0], [0, 2, 0], [0, -2, 0], [0, 0, 2], [0, 0, -2]
+    ].map(([x, y, z]) => ({
+        // Absolute coordinates deliberately differ from vec (periodic image)
+        atom: { element, x: x + 10, y, z },
+        vec: new THREE.Vector3(x, y, z),
+        distance: 2.0
+    }));
+}
+
+const tab = `S H A P E  v2.1      Continuous Shape Measures calculation
+(c) 2013   Electronic Structure Group,  Universitat de Barcelona
+                 Contact: llunell@ub.edu
+
+Q-Shape export
+
+ HP-6         1 D6h    Hexagon
+ PPY-6        2 C5v    Pentagonal pyramid
+ OC-6         3 Oh     Octahedron
+ TPR-6        4 D3h    Trigonal prism
+ JPPY-6       5 C5v    Johnson pentagonal pyramid J2
+
+ Structure [ML6 ]         HP-6         PPY-6        OC-6         TPR-6        JPPY-6
+ ABCDEF   ,     31.12345,     29.00012,      0.21577,     15.00000,     32.00000
+ block1_partA,  30.00000,     28.00000,      1.50000,     14.00000,     31.00000
+`;
+
+describe('shapeInterop - polyhedron codes', () => {
+    test('codes are REFERENCE_GEOMETRIES key prefixes numbered in library order', () => {
+        expect(getShapeCode('OC-6 (Octahedral)')).toBe('OC-6');
+        expect(getShapeCode('JBTP-8 (Biaugmented Trigonal Prism, J50)')).toBe('JBTPR-8');
+
+        const cn6 = getShapeReferences(6);
+        expect(cn6.map(r => r.code)).toEqual(['HP-6', 'PPY-6', 'OC-6', 'TPR-6', 'JPPY-6']);
+        expect(cn6.find(r => r.code === 'OC-6').number).toBe(3);
+        expect(getShapeReferences(8).find(r => r.code === 'SAPR-8').number).toBe(5);
+        expect(getShapeReferences(13)).toEqual([]);
+    });
+
+    test('every reference geometry has a distinct code with its CN as suffix', () => {
+        Object.keys(REFERENCE_GEOMETRIES).forEach(cn => {
+            const codes = getShapeReferences(Number(cn)).map(r => r.code);
+            expect(new Set(codes).size).toBe(codes.length);
+            codes.forEach(code => expect(code.endsWith(`-${cn}`)).toBe(true));
+        });
+    });
+
+    test('labels become single tokens without commas', () => {
+        expect(toShapeLabel('block1:partA')).toBe('block1:partA');
+        expect(toShapeLabel('Ni complex, form B')).toBe('Ni_complex_form_B');
+        expect(toShapeLabel('')).toBe('structure');
+    });
+});
+
+describe('shapeInterop - .dat export', () => {
+    test('writes header, shape numbers and metal-first coordinates', () => {
+        const dat = buildShapeInput([
+            { label: 'ABCDEF', metal: { element: 'Ni', x: 10, y: 0, z: 0 }, coordAtoms: makeOctahedron() }
+        ], { title: 'parity check' });
+        const lines = dat.trim().split('\n');
+
+        expect(lines[0]).toBe('$ parity check');
+        expect(lines[1]).toBe('$ Reference shapes: HP-6 PPY-6 OC-6 TPR-6 JPPY-6');
+        expect(lines[2]).toBe('6 1');
+        expect(lines[3]).toBe('1 2 3 4 5');
+        expect(lines[4]).toBe('ABCDEF');
+        expect(lines[5].split(/\s+/)).toEqual(['Ni', '0.000000', '0.000000', '0.000000']);
+        expect(lines[6].split(/\s+/)).toEqual(['N', '2.000000', '0.000000', '0.000000']);
+        expect(lines).toHaveLength(12);
+    });
+
+    test('ligand-only mode writes no central atom', () => {
+        const dat = buildShapeInput([
+            { label: 'ABCDEF', metal: { element: 'Ni', x: 10, y: 0, z: 0 }, coordAtoms: makeOctahedron() }
+        ], { centralAtomMode: 'ligand-only' });
+        const lines = dat.trim().split('\n');
+
+        expect(lines[2]).toBe('6 0');
+        expect(lines[5].split(/\s+/)).toEqual(['N', '2.000000', '0.000000', '0.000000']);
+        expect(lines).toHaveLength(11);
+    });
+
+    test('rejects mixed coordination numbers in one file', () => {
+        const metal = { element: 'Ni', x: 0, y: 0, z: 0 };
+        expect(() => buildShapeInput([
+            { label: 'a', metal, coordAtoms: makeOctahedron() },
+            { label: 'b', metal, coordAtoms: makeOctahedron().slice(0, 4) }
+        ])).toThrow(/same coordination number/);
+    });
+
+    test('batch export groups analysed structures by coordination number', () => {
+        const metal = { element: 'Ni', x: 0, y: 0, z: 0 };
+        const structures = ['s1', 's2', 's3', 's4'].map(id => ({ id, atoms: [metal] }));
+        const batchResults = new Map([
+            [0, { metalIndex: 0, coordAtoms: makeOctahedron() }],
+            [1, { metalIndex: 0, coordAtoms: makeOctahedron().slice(0, 4) }],
+            [3, { metalIndex: 0, coordAtoms: makeOctahedron() }]
+        ]);
+
+        const { files, skipped } = buildBatchShapeInputs(structures, batchResults);
+
+        expect(skipped).toEqual([]);
+        expect(files.map(f => [f.coordinationNumber, f.count])).toEqual([[4, 1], [6, 2]]);
+        expect(files[1].content).toContain('\ns1\n');
+        expect(files[1].content).toContain('\ns4\n');
+    });
+});
+
+describe('shapeInterop - .tab import and parity', () => {
+    test('parses the structure table and ignores the banner and shape list', () => {
+        const { structures, warnings } = parseShapeOutput(tab);
+
+        expect(warnings).toEqual([]);
+        expect(structures).toHaveLength(2);
+        expect(structures[0]).toEqual({
+            label: 'ABCDEF',
+            coordinationNumber: 6,
+            measures: { 'HP-6': 31.12345, 'PPY-6': 29.00012, 'OC-6': 0.21577, 'TPR-6': 15, 'JPPY-6': 32 }
+        });
+    });
+
+    test('uncomputed values become null and files without a table warn', () => {
+        const { structures } = parseShapeOutput(' Structure [ML4 ]  SP-4  T-4\n X1 ,  0.02657,  ******\n');
+        expect(structures[0].measures).toEqual({ 'SP-4': 0.02657, 'T-4': null });
+
+        expect(parseShapeOutput('not a tab file').warnings[0]).toMatch(/No SHAPE results/);
+    });
+
+    test('finds results by label and falls back to a single candidate', () => {
+        const { structures } = parseShapeOutput(tab);
+        expect(findShapeResult(structures, 'block1 partA', 6).label).toBe('block1_partA');
+        expect(findShapeResult(structures, 'unknown', 6)).toBeNull();
+        expect(findShapeResult(structures.slice(0, 1), 'unknown', 6).label).toBe('ABCDEF');
+        expect(findShapeResult(structures, 'ABCDEF', 4)).toBeNull();
+    });
+
+    test('compares against Q-Shape results and flags differences beyond tolerance', () => {
+        const { structures } = parseShapeOutput(tab);
+        const geometryResults = [
+            { name: 'OC-6 (Octahedral)', shapeMeasure: 0.21580 },
+            { name: 'TPR-6 (Trigonal Prism)', shapeMeasure: 15.5 },
+            { name: 'PPY-6 (Pentagonal Pyramid)', shapeMeasure: 29.01 }
+        ];
+
+        const rows = compareWithShape(geometryResults, structures[0].measures);
+
+        expect(rows.map(r => r.code)).toEqual(['OC-6', 'TPR-6', 'PPY-6', 'HP-6', 'JPPY-6']);
+        expect(rows[0].isMismatch).toBe(false);
+        expect(rows[0].difference).toBeCloseTo(0.00003, 6);
+        expect(rows[1].isMismatch).toBe(true);
+        expect(rows[2].isMismatch).toBe(false);
+        expect(rows[3]).toMatchObject({ name: null, qShape: null, shape: 31.12345, difference: null, isMismatch: false });
+    });
+});
@@ -17,6 +17,40 @@
  * @property {number} x - X coordinate in Ångströms (Cartesian)
  * @property {number} y - Y coordinate in Ångströms (Cartesian)
  * @property {number} z - Z coordinate in Ångströms (Cartesian)
+ * @property {string} [label] - Site label from the source file (CIF only, e.g. "Fe1")
+ * @property {Array<number>} [su] - Standard uncertainties of x, y, z in Å (CIF only, from e.g. "0.1234(5)")
+ * @property {AtomSymmetry} [symmetry] - Symmetry provenance (CIF atoms generated by symmetry expansion)
+ * @property {string} [atomName] - Atom name (PDB/mmCIF, e.g. "NE2")
+ * @property {string} [residueName] - Residue name (PDB/mmCIF, e.g. "HIS")
+ * @property {string} [chainId] - Chain identifier (PDB/mmCIF)
+ * @property {number} [residueNumber] - Residue sequence number (PDB/mmCIF)
+ * @property {string} [insertionCode] - Residue insertion code (PDB/mmCIF)
+ * @property {string} [altLoc] - Alternate location indicator (PDB/mmCIF)
+ * @property {boolean} [isHetatm] - True for HETATM records (PDB/mmCIF)
+ * @property {Array<boolean>} [selectiveDynamics] - VASP selective dynamics flags [x, y, z] (true = free)
+ * @property {number} [occupancy] - Site occupancy (CIF _atom_site_occupancy)
+ * @property {string} [disorderAssembly] - Disorder assembly (CIF _atom_site_disorder_assembly)
+ * @property {string} [disorderGroup] - Disorder group (CIF _atom_site_disorder_group, e.g. "1", "2", "-1")
+ */
+
+/**
+ * @typedef {Object} AtomSymmetry
+ * @property {string} operator - Symmetry operator in xyz notation (e.g. "-x+1/2,y,-z")
+ * @property {number} operatorIndex - Index of the operator in metadata.symmetryOperators (0 = identity)
+ * @property {Array<number>} translation - Integer lattice translation [h, k, l] added after the operator
+ */
+
+/**
+ * @typedef {Object} Bond
+ * @property {number} atom1 - Index of the first atom (0-based, into Structure.atoms)
+ * @property {number} atom2 - Index of the second atom (0-based)
+ * @property {number} order - Molfile bond type (1 = single, 2 = double, 3 = triple, 4 = aromatic, ...)
+ */
+
+/**
+ * @typedef {Object} DisorderSelection
+ * @property {string|null} label - Combination label used in the structure id (e.g. "partA"), null if not split
+ * @property {Array<{assembly?: string, group: string}>} groups - Disorder group kept for each assembly
  */
 
 /**
@@ -31,9 +65,18 @@
 
 /**
  * @typedef {Object} StructureMetadata
- * @property {UnitCell} [unitCell] - Unit cell parameters (CIF only)
+ * @property {UnitCell} [unitCell] - Unit cell parameters (CIF, POSCAR, extended XYZ)
  * @property {string} [spaceGroup] - Space group symbol (CIF only)
- * @property {string} [comment] - Comment line (XYZ) or CIF metadata
+ * @property {Array<string>} [symmetryOperators] - Symmetry operators applied during expansion (CIF only)
+ * @property {number} [asymmetricUnitAtomCount] - Atom count before symmetry expansion (CIF only)
+ * @property {DisorderSelection} [disorder] - Disorder groups this structure was built from (CIF only)
+ * @property {string} [comment] - Comment line (XYZ), molfile title or CIF metadata
+ * @property {number} [energy] - Total energy in Hartree (QC output, or XYZ comment "energy: ...")
+ * @property {number} [optimizationStep] - 1-based step number (QC output)
+ * @property {boolean} [isFinalGeometry] - Last geometry of a QC output file
+ * @property {Object<string, string>} [sdData] - SD-file data items keyed by field name (MOL/SDF only)
+ * @property {number} [metalIndex] - Metal site this structure was created for (PDB/mmCIF)
+ * @property {string} [siteLabel] - Residue label of that metal site (PDB/mmCIF, e.g. "ZN A 301")
  * @property {string} [parseProvenance] - How this structure was parsed
  * @property {Array<string>} [warnings] - Structure-specific warnings
  */
@@ -41,17 +84,19 @@
 /**
  * @typedef {Object} Structure
  * @property {string} id - Unique identifier for UI display (e.g., "LMMPa", "CIF:block1", "file:frame-001")
- * @property {string} source - Source file name or CIF block name
+ * @property {string} source - Source file name, or its path for folder/archive uploads (e.g. "screen.zip/CSD/ABCDEF.cif")
  * @property {Array<Atom>} atoms - Array of atoms with Cartesian coordinates
  * @property {StructureMetadata} [metadata] - Optional metadata
+ * @property {Array<Bond>} [bonds] - Explicit connectivity from the file (MOL/SDF only)
  */
 
 /**
  * @typedef {Object} ParseResult
  * @property {Array<Structure>} structures - Array of parsed structures
  * @property {Array<string>} warnings - Global warnings from parsing
- * @property {'xyz'|'cif'|'unknown'} format - Detected file format
+ * @property {'xyz'|'cif'|'pdb'|'mmcif'|'sdf'|'gaussian'|'orca'|'xtb'|'poscar'|'mixed'|'unknown'} format - Detected file format ('mixed' for multi-file uploads of several formats)
  * @property {number} frameCount - Number of structures/frames parsed
+ * @property {number} [defaultStructureIndex] - Structure to select after loading (default 0; final step for QC output)
  * @property {boolean} valid - Whether parsing was successful
  * @property {string} [error] - Error message if valid === false
  */
@@ -96,7 +141,7 @@ export function createErrorResult(error) {
 /**
  * Creates a successful parse result
  * @param {Array<Structure>} structures - Parsed structures
- * @param {'xyz'|'cif'} format - File format
+ * @param {string} format - File format (see ParseResult.format)
  * @param {Array<string>} [warnings=[]] - Parse warnings
  * @returns {ParseResult}
  */
@@ -116,15 +161,20 @@ export function createSuccessResult(structures, format, warnings = []) {
  * @param {string} source - Source file/block name
  * @param {Array<Atom>} atoms - Atom array
  * @param {StructureMetadata} [metadata={}] - Optional metadata
+ * @param {Array<Bond>} [bonds] - Explicit bonds (only set when the file provides them)
  * @returns {Structure}
  */
-export function createStructure(id, source, atoms, metadata = {}) {
-    return {
+export function createStructure(id, source, atoms, metadata = {}, bonds = undefined) {
+    const structure = {
         id,
         source,
         atoms,
         metadata
     };
+    if (bonds) {
+        structure.bonds = bonds;
+    }
+    return structure;
 }
 
 /**
@@ -151,7 +201,7 @@ export function generateStructureId(filename, frameIndex, comment = null) {
     }
 
     // Fallback: filename + frame index
-    const baseName = filename.replace(/\.(xyz|cif)$/i, '');
+    const baseName = filename.replace(/\.(xyz|cif|mol|sdf|sd|vasp)$/i, '');
     return frameIndex === 0 ? baseName : `${baseName}:frame-${String(frameIndex + 1).padStart(3, '0')}`;
 }
 
@@ -217,7 +267,14 @@ export const PARSE_CONFIG = {
     STRICT_MODE: false, // If true, fail on first malformed frame; if false, stop at last valid frame
 
     // CIF parsing
-    EXPAND_SYMMETRY: false, // If true, expand asymmetric unit to full cell (default: conservative)
+    EXPAND_SYMMETRY: true, // If true, apply symmetry operators to expand the asymmetric unit to the full cell
+    SYMMETRY_MERGE_TOLERANCE: 0.1, // Å - symmetry images closer than this to an existing atom are merged (special positions)
+    DISORDER_METAL_RADIUS: 3.5, // Å - disorder assemblies with an atom this close to a metal get one structure per group
+    MAX_DISORDER_COMBINATIONS: 16, // Above this, only the major part of each disorder assembly is kept
+
+    // Archive / multi-file upload
+    MAX_ARCHIVE_FILES: 5000, // Structure files read from one archive; the rest are skipped with a warning
+    MAX_ARCHIVE_BYTES: 512 * 1024 * 1024, // Decompressed bytes read from one archive (zip/gzip bomb guard); extraction stops past this
 
     // ID generation
     MAX_ID_LENGTH: 50 // Maximum length for generated structure IDs
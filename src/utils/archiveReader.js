@@ -0,0 +1,172 @@
+/**
+ * Archive Reader Utilities
+ *
+ * In-browser expansion of uploaded .zip and .gz files into the structure
+ * files they contain, so that a whole CSD export can be loaded as one batch.
+ * Decompression uses fflate and never leaves the browser.
+ */
+
+import { unzipSync, gunzipSync, strFromU8 } from 'fflate';
+import { PARSE_CONFIG } from '../types/structureTypes.js';
+
+/**
+ * File extensions the structure parsers understand
+ */
+export const STRUCTURE_EXTENSIONS = ['xyz', 'cif', 'pdb', 'ent', 'mmcif', 'mol', 'sdf', 'sd', 'log', 'out', 'vasp'];
+
+/**
+ * Check whether a file name is a VASP structure name (POSCAR, CONTCAR, POSCAR_relaxed, ...)
+ *
+ * VASP files usually have no extension, so they are recognized by name.
+ *
+ * @param {string} path - File name or path
+ * @returns {boolean}
+ */
+export function isVaspFileName(path) {
+    const baseName = String(path || '').split(/[\\/]/).pop();
+    return /^(POSCAR|CONTCAR)/i.test(baseName);
+}
+
+/**
+ * Check whether a file name is a supported archive (.zip or .gz)
+ *
+ * @param {string} name - File name or path
+ * @returns {boolean}
+ */
+export function isArchiveFile(name) {
+    return /\.(zip|gz)$/i.test(name || '');
+}
+
+/**
+ * Check whether a path names a structure file the parsers can read
+ *
+ * Hidden files and macOS resource forks (__MACOSX/, ._name) are skipped.
+ *
+ * @param {string} path - File path (directories separated by "/")
+ * @returns {boolean}
+ */
+export function isStructureFile(path) {
+    const parts = String(path || '').split(/[\\/]/);
+    const baseName = parts[parts.length - 1];
+
+    if (!baseName || baseName.startsWith('.') || parts.includes('__MACOSX')) {
+        return false;
+    }
+
+    const ext = baseName.includes('.') ? baseName.split('.').pop().toLowerCase() : '';
+    return STRUCTURE_EXTENSIONS.includes(ext) || isVaspFileName(baseName);
+}
+
+/**
+ * Uncompressed size recorded in a gzip trailer (ISIZE, modulo 2³²)
+ *
+ * fflate allocates exactly this many bytes, so the output cannot exceed it.
+ */
+function gzipDeclaredSize(data) {
+    const n = data.length;
+    return n >= 18
+        ? (data[n - 4] | (data[n - 3] << 8) | (data[n - 2] << 16) | (data[n - 1] << 24)) >>> 0
+        : 0;
+}
+
+/**
+ * Expand an archive into its structure files
+ *
+ * Entries are returned with their path prefixed by the archive path
+ * (e.g. "screen.zip/CSD/ABCDEF.cif"). Archives nested inside a zip are
+ * expanded as well. Corrupt archives give a warning instead of throwing.
+ *
+ * Declared uncompressed sizes (zip headers, gzip trailers) are checked
+ * against a running total before anything is inflated; once the total would
+ * pass PARSE_CONFIG.MAX_ARCHIVE_BYTES, extraction stops with a warning and
+ * only the files read so far are returned.
+ *
+ * @param {string} path - Archive file name or path
+ * @param {Uint8Array} bytes - Raw archive bytes
+ * @returns {{files: Array<{path: string, content: string}>, warnings: string[]}}
+ *
+ * @example
+ * const { files } = extractArchive('screen.zip', new Uint8Array(buffer));
+ * // [{ path: 'screen.zip/ABCDEF.cif', content: 'data_ABCDEF ...' }, ...]
+ */
+export function extractArchive(path, bytes) {
+    const files = [];
+    const warnings = [];
+    let skipped = 0;
+    let totalBytes = 0;
+    let sizeLimitReached = false;
+
+    // Counts decompressed bytes against the archive budget; false once it is spent
+    const reserve = size => {
+        if (sizeLimitReached || totalBytes + size > PARSE_CONFIG.MAX_ARCHIVE_BYTES) {
+            sizeLimitReached = true;
+            return false;
+        }
+        totalBytes += size;
+        return true;
+    };
+
+    const addFile = (filePath, data) => {
+        if (files.length >= PARSE_CONFIG.MAX_ARCHIVE_FILES) {
+            skipped++;
+            return;
+        }
+        files.push({ path: filePath, content: strFromU8(data) });
+    };
+
+    const expand = (archivePath, data) => {
+        if (sizeLimitReached) return;
+        try {
+            if (/\.zip$/i.test(archivePath)) {
+                const entries = unzipSync(data, {
+                    filter: entry => !entry.name.endsWith('/') &&
+                        (isStructureFile(entry.name) || isArchiveFile(entry.name)) &&
+                        reserve(entry.originalSize)
+                });
+
+                Object.keys(entries).sort().forEach(name => {
+                    const entryPath = `${archivePath}/${name}`;
+                    if (isArchiveFile(name)) {
+                        expand(entryPath, entries[name]);
+                    } else {
+                        addFile(entryPath, entries[name]);
+                    }
+                });
+            } else {
+                // Single gzip member: the inner name drops the .gz suffix
+                const innerPath = archivePath.replace(/\.gz$/i, '');
+                if (/\.tar$/i.test(innerPath)) {
+                    warnings.push(`${archivePath}: tar archives are not supported - use .zip instead`);
+                } else if (!isStructureFile(innerPath) && !isArchiveFile(innerPath)) {
+                    warnings.push(`${archivePath}: not a supported structure file`);
+                } else if (reserve(gzipDeclaredSize(data))) {
+                    const inflated = gunzipSync(data);
+                    if (isArchiveFile(innerPath)) {
+                        expand(innerPath, inflated);
+                    } else {
+                        addFile(innerPath, inflated);
+                    }
+                }
+            }
+        } catch (error) {
+            warnings.push(`${archivePath}: could not be decompressed (${error.message})`);
+        }
+    };
+
+    expand(path, bytes);
+
+    if (sizeLimitReached) {
+        warnings.push(
+            `${path}: more than ${Math.round(PARSE_CONFIG.MAX_ARCHIVE_BYTES / 1048576)} MB once decompressed - ` +
+            `extraction stopped after ${files.length} file(s)`
+        );
+    }
+
+    if (skipped > 0) {
+        warnings.push(
+            `${path}: more than ${PARSE_CONFIG.MAX_ARCHIVE_FILES} structure files - ${skipped} were skipped`
+        );
+    }
+
+    return { files, warnings };
+}
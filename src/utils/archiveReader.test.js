@@ -0,0 +1,124 @@
+/**
+ * Archive Reader Tests
+ *
+ * Covers expansion of .zip and .gz uploads into structure files.
+ */
+
+import { zipSync, gzipSync, strToU8 } from 'fflate';
+import { extractArchive, isArchiveFile, isStructureFile, isVaspFileName } from './archiveReader';
+import { PARSE_CONFIG } from '../types/structureTypes';
+
+const xyz = `3
+water
+O 0.0 0.0 0.0
+H 0.96 0.0 0.0
+H -0.24 0.93 0.0`;
+
+describe('archiveReader - file names', () => {
+    test('isArchiveFile recognizes zip and gzip', () => {
+        expect(isArchiveFile('screen.zip')).toBe(true);
+        expect(isArchiveFile('ABCDEF.cif.gz')).toBe(true);
+        expect(isArchiveFile('ABCDEF.cif')).toBe(false);
+    });
+
+    test('isStructureFile accepts parser extensions and VASP names only', () => {
+        expect(isStructureFile('CSD/ABCDEF.cif')).toBe(true);
+        expect(isStructureFile('run/CONTCAR')).toBe(true);
+        expect(isStructureFile('README.txt')).toBe(false);
+        expect(isStructureFile('__MACOSX/CSD/._ABCDEF.cif')).toBe(false);
+        expect(isStructureFile('CSD/.hidden.xyz')).toBe(false);
+    });
+
+    test('isVaspFileName recognizes extensionless VASP files by name', () => {
+        expect(isVaspFileName('POSCAR')).toBe(true);
+        expect(isVaspFileName('relax/CONTCAR_final')).toBe(true);
+        expect(isVaspFileName('poscar')).toBe(true);
+        expect(isVaspFileName('run/INCAR')).toBe(false);
+        expect(isVaspFileName('POSCAR/notes')).toBe(false);
+    });
+});
+
+describe('archiveReader - extractArchive', () => {
+    test('expands a zip with folders and skips other files', () => {
+        const zip = zipSync({
+            'CSD/a.xyz': strToU8(xyz),
+            'CSD/b.xyz': strToU8(xyz),
+            'CSD/notes.txt': strToU8('not a structure'),
+            '__MACOSX/CSD/._a.xyz': strToU8('resource fork')
+        });
+
+        const { files, warnings } = extractArchive('screen.zip', zip);
+
+        expect(files.map(f => f.path)).toEqual(['screen.zip/CSD/a.xyz', 'screen.zip/CSD/b.xyz']);
+        expect(files[0].content).toBe(xyz);
+        expect(warnings).toEqual([]);
+    });
+
+    test('keeps VASP structures without an extension', () => {
+        const poscar = 'Fe\n1.0\n3 0 0\n0 3 0\n0 0 3\nFe\n1\nDirect\n0 0 0';
+        const zip = zipSync({
+            'relax/POSCAR': strToU8(poscar),
+            'relax/CONTCAR': strToU8(poscar),
+            'relax/INCAR': strToU8('ENCUT = 520'),
+            'relax/CONTCAR.gz': gzipSync(strToU8(poscar))
+        });
+
+        const { files } = extractArchive('relax.zip', zip);
+
+        expect(files.map(f => f.path).sort()).toEqual(['relax.zip/relax/CONTCAR', 'relax.zip/relax/CONTCAR', 'relax.zip/relax/POSCAR']);
+    });
+
+    test('decompresses gzip files and gzip members inside a zip', () => {
+        const single = extractArchive('water.xyz.gz', gzipSync(strToU8(xyz)));
+        expect(single.files).toEqual([{ path: 'water.xyz', content: xyz }]);
+
+        const zip = zipSync({ 'nested/water.xyz.gz': gzipSync(strToU8(xyz)) });
+        const nested = extractArchive('set.zip', zip);
+        expect(nested.files.map(f => f.path)).toEqual(['set.zip/nested/water.xyz']);
+    });
+
+    test('reports corrupt and unsupported archives as warnings', () => {
+        const corrupt = extractArchive('broken.zip', new Uint8Array([1, 2, 3, 4]));
+        expect(corrupt.files).toEqual([]);
+        expect(corrupt.warnings[0]).toMatch(/broken\.zip: could not be decompressed/);
+
+        const tar = extractArchive('set.tar.gz', gzipSync(strToU8('')));
+        expect(tar.warnings[0]).toMatch(/tar archives are not supported/);
+    });
+
+    describe('decompressed size limit', () => {
+        const limit = PARSE_CONFIG.MAX_ARCHIVE_BYTES;
+        // Compresses to a few hundred bytes
+        const padding = strToU8(`${xyz}\n${' '.repeat(100000)}`);
+
+        beforeEach(() => { PARSE_CONFIG.MAX_ARCHIVE_BYTES = 150000; });
+        afterEach(() => { PARSE_CONFIG.MAX_ARCHIVE_BYTES = limit; });
+
+        test('stops a zip once the declared sizes pass the limit', () => {
+            const zip = zipSync({ 'a.xyz': padding, 'b.xyz': padding, 'c.xyz': padding });
+            expect(zip.length).toBeLessThan(5000);
+
+            const { files, warnings } = extractArchive('bomb.zip', zip);
+
+            expect(files.map(f => f.path)).toEqual(['bomb.zip/a.xyz']);
+            expect(warnings.some(w => /bomb\.zip: more than .* MB once decompressed - extraction stopped after 1 file/.test(w))).toBe(true);
+        });
+
+        test('counts gzip members nested in a zip towards the same total', () => {
+            const zip = zipSync({ 'a.xyz.gz': gzipSync(padding), 'b.xyz.gz': gzipSync(padding) });
+
+            const { files, warnings } = extractArchive('nested.zip', zip);
+
+            expect(files).toHaveLength(1);
+            expect(warnings.some(w => /extraction stopped/.test(w))).toBe(true);
+        });
+
+        test('refuses a single gzip that declares more than the limit', () => {
+            const big = gzipSync(strToU8(' '.repeat(200000)));
+            const { files, warnings } = extractArchive('huge.xyz.gz', big);
+
+            expect(files).toEqual([]);
+            expect(warnings[0]).toMatch(/huge\.xyz\.gz: more than/);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Atom Label Utilities
+ *
+ * Human-readable labels for atoms in results and reports. Macromolecular
+ * atoms (PDB / mmCIF) are labelled by residue, e.g. "HIS A 93 NE2"; CIF
+ * atoms use their site label; everything else falls back to the element.
+ */
+
+/**
+ * Format a display label for an atom
+ *
+ * For residue atoms the atom name is omitted when it repeats the residue
+ * name, so a zinc ion reads "ZN A 301" rather than "ZN A 301 ZN".
+ *
+ * @param {Atom} atom - Atom with optional residue or site-label fields
+ * @returns {string}
+ *
+ * @example
+ * formatAtomLabel({ element: 'N', residueName: 'HIS', chainId: 'A',
+ *                   residueNumber: 93, atomName: 'NE2' }); // "HIS A 93 NE2"
+ */
+export function formatAtomLabel(atom) {
+    if (!atom) return '';
+
+    if (atom.residueName) {
+        const residue = [
+            atom.residueName,
+            atom.chainId,
+            Number.isFinite(atom.residueNumber)
+                ? `${atom.residueNumber}${atom.insertionCode || ''}`
+                : null
+        ].filter(Boolean).join(' ');
+
+        return atom.atomName && atom.atomName !== atom.residueName
+            ? `${residue} ${atom.atomName}`
+            : residue;
+    }
+
+    return atom.label || atom.element || '';
+}
+
+/**
+ * Check whether an atom carries residue information (PDB / mmCIF)
+ *
+ * @param {Atom} atom - Atom
+ * @returns {boolean}
+ */
+export function hasResidueInfo(atom) {
+    return Boolean(atom && atom.residueName);
+}
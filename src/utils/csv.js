@@ -0,0 +1,31 @@
+/**
+ * CSV Field Utility
+ *
+ * Quotes free-text CSV fields (structure IDs, geometry names, labels) so that
+ * commas and quotes keep the column layout and spreadsheets do not evaluate
+ * them as formulas.
+ */
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a text value as one CSV field
+ *
+ * Embedded quotes are doubled and a leading =, +, -, @, tab or carriage
+ * return is prefixed with an apostrophe.
+ *
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} Quoted field
+ *
+ * @example
+ * csvText('Fe "A"');     // '"Fe ""A"""'
+ * csvText('=HYPERLINK'); // '"\'=HYPERLINK"'
+ */
+export function csvText(value) {
+    const text = value == null ? '' : String(value);
+    const safe = FORMULA_PREFIX.test(text) ? `'${text}` : text;
+    return `"${safe.replace(/"/g, '""')}"`;
+}
+
+export default csvText;
@@ -0,0 +1,23 @@
+/**
+ * CSV Field Tests
+ *
+ * Quoting of free-text fields and neutralised spreadsheet formulas.
+ */
+
+import { csvText } from './csv';
+
+describe('csv - text fields', () => {
+    test('quotes the value and doubles embedded quotes', () => {
+        expect(csvText('OC-6 (Octahedral)')).toBe('"OC-6 (Octahedral)"');
+        expect(csvText('Fe "A", site 2')).toBe('"Fe ""A"", site 2"');
+        expect(csvText(null)).toBe('""');
+        expect(csvText(12)).toBe('"12"');
+    });
+
+    test('prefixes values that spreadsheets would read as formulas', () => {
+        ['=1+1', '+A1', '-A1', '@SUM(A1)', '\tA1'].forEach(value => {
+            expect(csvText(value)).toBe(`"'${value}"`);
+        });
+        expect(csvText('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    });
+});
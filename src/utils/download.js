@@ -0,0 +1,30 @@
+/**
+ * Browser Download Utility
+ *
+ * Saves generated text (CSV tables, SVG plots, SHAPE input, polyhedron
+ * libraries) as a file through a temporary Blob URL and a hidden link.
+ */
+
+/**
+ * Download text content as a file
+ *
+ * @param {string} content - File content
+ * @param {string} filename - Download name; characters that file systems reject become "_"
+ * @param {string} [type='text/plain'] - MIME type (UTF-8 is appended)
+ *
+ * @example
+ * downloadTextFile(csv, 'Fe1_results.csv', 'text/csv');
+ */
+export function downloadTextFile(content, filename, type = 'text/plain') {
+    const blob = new Blob([content], { type: `${type};charset=utf-8;` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename.replace(/[<>:"/\\|?*]/g, '_');
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
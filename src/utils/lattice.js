@@ -0,0 +1,249 @@
+/**
+ * Crystal Lattice Utilities
+ *
+ * Helpers for structures that carry a unit cell (metadata.unitCell):
+ * fractional/Cartesian conversion, lattice-vector input (POSCAR, extended
+ * XYZ) and periodic neighbour search across cell faces using lattice
+ * translations.
+ */
+
+import { cross, dot, length } from './vec3.js';
+
+/**
+ * Build the fractional-to-Cartesian transformation matrix for a unit cell
+ *
+ * Standard crystallographic convention: a along x, b in the xy plane.
+ *
+ * @param {UnitCell} cell - Unit cell parameters
+ * @returns {number[][]} - 3x3 matrix (columns are the lattice vectors a, b, c)
+ */
+export function fractionalToCartesianMatrix(cell) {
+    const { a, b, c, alpha, beta, gamma } = cell;
+
+    // Convert angles to radians
+    const alphaRad = (alpha * Math.PI) / 180;
+    const betaRad = (beta * Math.PI) / 180;
+    const gammaRad = (gamma * Math.PI) / 180;
+
+    // Calculate transformation matrix components
+    const cosAlpha = Math.cos(alphaRad);
+    const cosBeta = Math.cos(betaRad);
+    const cosGamma = Math.cos(gammaRad);
+    const sinGamma = Math.sin(gammaRad);
+
+    // Volume factor
+    const v = Math.sqrt(
+        1 - cosAlpha * cosAlpha - cosBeta * cosBeta - cosGamma * cosGamma +
+        2 * cosAlpha * cosBeta * cosGamma
+    );
+
+    return [
+        [a, b * cosGamma, c * cosBeta],
+        [0, b * sinGamma, c * (cosAlpha - cosBeta * cosGamma) / sinGamma],
+        [0, 0, c * v / sinGamma]
+    ];
+}
+
+/**
+ * Build the Cartesian-to-fractional transformation matrix for a unit cell
+ *
+ * Inverse of fractionalToCartesianMatrix. The matrix is upper triangular, so
+ * the inverse is computed by back substitution.
+ *
+ * @param {UnitCell} cell - Unit cell parameters
+ * @returns {number[][]} - 3x3 matrix
+ */
+export function cartesianToFractionalMatrix(cell) {
+    const m = fractionalToCartesianMatrix(cell);
+    const [[m11, m12, m13], [, m22, m23], [, , m33]] = m;
+
+    return [
+        [1 / m11, -m12 / (m11 * m22), (m12 * m23 - m13 * m22) / (m11 * m22 * m33)],
+        [0, 1 / m22, -m23 / (m22 * m33)],
+        [0, 0, 1 / m33]
+    ];
+}
+
+/**
+ * Derive unit cell parameters from three lattice vectors
+ *
+ * @param {number[][]} vectors - Lattice vectors [a, b, c] in Å (Cartesian)
+ * @returns {UnitCell}
+ *
+ * @example
+ * unitCellFromVectors([[5, 0, 0], [0, 5, 0], [0, 0, 7]]);
+ * // { a: 5, b: 5, c: 7, alpha: 90, beta: 90, gamma: 90 }
+ */
+export function unitCellFromVectors(vectors) {
+    const [va, vb, vc] = vectors;
+    const a = length(va);
+    const b = length(vb);
+    const c = length(vc);
+    const angle = (u, v, lu, lv) => Math.acos(Math.max(-1, Math.min(1, dot(u, v) / (lu * lv)))) * 180 / Math.PI;
+
+    return {
+        a, b, c,
+        alpha: angle(vb, vc, b, c),
+        beta: angle(va, vc, a, c),
+        gamma: angle(va, vb, a, b)
+    };
+}
+
+/**
+ * Re-express Cartesian positions in the standard cell orientation
+ *
+ * The periodic search assumes the crystallographic convention used by
+ * fractionalToCartesianMatrix (a along x, b in the xy plane). Lattices from
+ * POSCAR or extended XYZ can point anywhere, so positions are converted to
+ * fractional coordinates with the given vectors and back with the standard
+ * matrix. This is a rigid rotation for right-handed lattices; distances and
+ * shape measures are unchanged. Atoms already in the standard frame are
+ * returned as they are.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} atoms - Atoms in the lattice's frame
+ * @param {number[][]} vectors - Lattice vectors [a, b, c] in Å
+ * @returns {{atoms: Array<Object>, unitCell: UnitCell, rotated: boolean, leftHanded: boolean}}
+ */
+export function alignToStandardCell(atoms, vectors) {
+    const unitCell = unitCellFromVectors(vectors);
+    const [va, vb, vc] = vectors;
+    const scale = Math.max(unitCell.a, unitCell.b, unitCell.c);
+    const tol = 1e-8 * scale;
+    const leftHanded = dot(cross(va, vb), vc) < 0;
+
+    const isStandard = Math.abs(va[1]) < tol && Math.abs(va[2]) < tol && Math.abs(vb[2]) < tol &&
+                       va[0] > 0 && vb[1] > 0 && vc[2] > 0;
+    if (isStandard) {
+        return { atoms, unitCell, rotated: false, leftHanded };
+    }
+
+    // Rows of the inverse of [a b c] are the reciprocal vectors (without 2π)
+    const volume = dot(va, cross(vb, vc));
+    const reciprocal = [cross(vb, vc), cross(vc, va), cross(va, vb)].map(v => v.map(x => x / volume));
+    const m = fractionalToCartesianMatrix(unitCell);
+
+    const aligned = atoms.map(atom => {
+        const f = reciprocal.map(r => dot(r, [atom.x, atom.y, atom.z]));
+        return {
+            ...atom,
+            x: m[0][0] * f[0] + m[0][1] * f[1] + m[0][2] * f[2],
+            y: m[1][1] * f[1] + m[1][2] * f[2],
+            z: m[2][2] * f[2]
+        };
+    });
+
+    return { atoms: aligned, unitCell, rotated: true, leftHanded };
+}
+
+/**
+ * Check whether a unit cell is usable for periodic calculations
+ *
+ * @param {UnitCell|null|undefined} cell - Unit cell parameters
+ * @returns {boolean}
+ */
+export function isValidUnitCell(cell) {
+    if (!cell) return false;
+    const values = [cell.a, cell.b, cell.c, cell.alpha, cell.beta, cell.gamma];
+    if (!values.every(Number.isFinite)) return false;
+    if (cell.a <= 0 || cell.b <= 0 || cell.c <= 0) return false;
+
+    // Angles that cannot close a cell give a NaN or vanishing c-axis height
+    const m = fractionalToCartesianMatrix(cell);
+    return Number.isFinite(m[2][2]) && m[2][2] > 1e-6 * cell.c;
+}
+
+/**
+ * Find all periodic images within a cutoff of a central atom
+ *
+ * Every atom is considered together with its lattice translations
+ * r + h·a + k·b + l·c. For each atom the (h,k,l) range is derived from its
+ * fractional offset to the centre, so atoms stored outside [0, 1) are handled
+ * as well. When the cutoff is below half the shortest cell width this
+ * reduces to the minimum-image convention; for larger cutoffs several images
+ * of the same atom may be returned, which is what a small cell requires.
+ *
+ * The central atom itself is skipped at offset (0,0,0) but its translated
+ * images are included.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} atoms - All atoms (Cartesian)
+ * @param {number} centerIndex - Index of the central atom
+ * @param {number} cutoff - Search radius (Å)
+ * @param {UnitCell} cell - Unit cell parameters
+ * @returns {Array<{atom: Object, idx: number, distance: number, offset: number[], position: {x: number, y: number, z: number}}>}
+ *   Unsorted list of images; `offset` is the [h, k, l] lattice translation
+ *
+ * @example
+ * const images = findPeriodicNeighbors(atoms, 0, 3.0, structure.metadata.unitCell);
+ * images.filter(n => n.offset.some(v => v !== 0)); // donors from neighbouring cells
+ */
+export function findPeriodicNeighbors(atoms, centerIndex, cutoff, cell) {
+    const m = fractionalToCartesianMatrix(cell);
+    const inv = cartesianToFractionalMatrix(cell);
+    const center = atoms[centerIndex];
+    const cutoffSq = cutoff * cutoff;
+
+    // Largest fractional displacement along each axis reachable within the cutoff
+    const reach = inv.map(row => cutoff * Math.hypot(row[0], row[1], row[2]));
+
+    const neighbors = [];
+
+    atoms.forEach((atom, idx) => {
+        const dx = atom.x - center.x;
+        const dy = atom.y - center.y;
+        const dz = atom.z - center.z;
+        if (!Number.isFinite(dx) || !Number.isFinite(dy) || !Number.isFinite(dz)) return;
+
+        const df = inv.map(row => row[0] * dx + row[1] * dy + row[2] * dz);
+        // "|| 0" normalizes -0 so offsets compare cleanly
+        const lo = df.map((f, i) => Math.ceil(-f - reach[i]) || 0);
+        const hi = df.map((f, i) => Math.floor(-f + reach[i]) || 0);
+
+        for (let h = lo[0]; h <= hi[0]; h++) {
+            for (let k = lo[1]; k <= hi[1]; k++) {
+                for (let l = lo[2]; l <= hi[2]; l++) {
+                    if (idx === centerIndex && h === 0 && k === 0 && l === 0) continue;
+
+                    const tx = m[0][0] * h + m[0][1] * k + m[0][2] * l;
+                    const ty = m[1][1] * k + m[1][2] * l;
+                    const tz = m[2][2] * l;
+                    const vx = dx + tx;
+                    const vy = dy + ty;
+                    const vz = dz + tz;
+                    const distSq = vx * vx + vy * vy + vz * vz;
+
+                    if (distSq <= cutoffSq) {
+                        neighbors.push({
+                            atom,
+                            idx,
+                            distance: Math.sqrt(distSq),
+                            offset: [h, k, l],
+                            position: { x: atom.x + tx, y: atom.y + ty, z: atom.z + tz }
+                        });
+                    }
+                }
+            }
+        }
+    });
+
+    return neighbors;
+}
+
+/**
+ * Check whether a lattice offset is a translation into a neighbouring cell
+ *
+ * @param {number[]|null|undefined} offset - [h, k, l]
+ * @returns {boolean}
+ */
+export function isTranslatedImage(offset) {
+    return Array.isArray(offset) && offset.some(v => v !== 0);
+}
+
+/**
+ * Format a lattice offset for display, e.g. "(1,0,-1)"
+ *
+ * @param {number[]} offset - [h, k, l]
+ * @returns {string}
+ */
+export function formatLatticeOffset(offset) {
+    return `(${offset.join(',')})`;
+}
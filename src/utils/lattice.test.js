@@ -0,0 +1,148 @@
+/**
+ * Lattice Utilities Tests
+ *
+ * Covers fractional/Cartesian conversion and the periodic neighbour search
+ * used for crystal structures.
+ */
+
+import {
+    fractionalToCartesianMatrix,
+    cartesianToFractionalMatrix,
+    isValidUnitCell,
+    findPeriodicNeighbors,
+    isTranslatedImage,
+    formatLatticeOffset,
+    unitCellFromVectors,
+    alignToStandardCell
+} from './lattice';
+
+const cubic = { a: 10, b: 10, c: 10, alpha: 90, beta: 90, gamma: 90 };
+const monoclinic = { a: 7.2, b: 9.1, c: 11.3, alpha: 90, beta: 104.5, gamma: 90 };
+
+describe('lattice - matrices', () => {
+    test('cubic cell gives a diagonal matrix', () => {
+        const m = fractionalToCartesianMatrix(cubic);
+        expect(m[0][0]).toBeCloseTo(10, 10);
+        expect(m[1][1]).toBeCloseTo(10, 10);
+        expect(m[2][2]).toBeCloseTo(10, 10);
+        expect(m[0][1]).toBeCloseTo(0, 10);
+    });
+
+    test('inverse matrix undoes the forward transform', () => {
+        const m = fractionalToCartesianMatrix(monoclinic);
+        const inv = cartesianToFractionalMatrix(monoclinic);
+
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                const v = inv[i][0] * m[0][j] + inv[i][1] * m[1][j] + inv[i][2] * m[2][j];
+                expect(v).toBeCloseTo(i === j ? 1 : 0, 10);
+            }
+        }
+    });
+
+    test('isValidUnitCell rejects missing or degenerate cells', () => {
+        expect(isValidUnitCell(cubic)).toBe(true);
+        expect(isValidUnitCell(null)).toBe(false);
+        expect(isValidUnitCell({ ...cubic, a: 0 })).toBe(false);
+        expect(isValidUnitCell({ ...cubic, alpha: 150, beta: 150, gamma: 150 })).toBe(false);
+    });
+});
+
+describe('lattice - findPeriodicNeighbors', () => {
+    // Metal close to the a-face: one donor sits across the face in the next cell
+    const atoms = [
+        { element: 'Fe', x: 0.5, y: 5, z: 5 },
+        { element: 'N', x: 2.5, y: 5, z: 5 },
+        { element: 'N', x: 8.5, y: 5, z: 5 }, // 2.0 Å away through the x = 0 face
+        { element: 'C', x: 5.0, y: 5, z: 5 }
+    ];
+
+    test('finds donors across the cell face with their (h,k,l) offset', () => {
+        const neighbors = findPeriodicNeighbors(atoms, 0, 2.5, cubic);
+
+        expect(neighbors).toHaveLength(2);
+        const image = neighbors.find(n => n.idx === 2);
+        expect(image.offset).toEqual([-1, 0, 0]);
+        expect(image.distance).toBeCloseTo(2.0, 10);
+        expect(image.position.x).toBeCloseTo(-1.5, 10);
+
+        const direct = neighbors.find(n => n.idx === 1);
+        expect(direct.offset).toEqual([0, 0, 0]);
+    });
+
+    test('includes images of the central atom but not the atom itself', () => {
+        const neighbors = findPeriodicNeighbors(atoms, 0, 10.0, cubic);
+        const selfImages = neighbors.filter(n => n.idx === 0);
+
+        expect(selfImages.length).toBe(6);
+        selfImages.forEach(n => {
+            expect(n.distance).toBeCloseTo(10, 10);
+            expect(isTranslatedImage(n.offset)).toBe(true);
+        });
+    });
+
+    test('handles atoms stored outside the home cell', () => {
+        const shifted = atoms.map((a, i) => (i === 2 ? { ...a, x: a.x + 30 } : a));
+        const neighbors = findPeriodicNeighbors(shifted, 0, 2.5, cubic);
+        const image = neighbors.find(n => n.idx === 2);
+
+        expect(image.offset).toEqual([-4, 0, 0]);
+        expect(image.distance).toBeCloseTo(2.0, 10);
+    });
+});
+
+describe('lattice - lattice vectors', () => {
+    test('unitCellFromVectors gives lengths and angles', () => {
+        // Hexagonal cell: gamma = 120°
+        const cell = unitCellFromVectors([[3, 0, 0], [-1.5, 1.5 * Math.sqrt(3), 0], [0, 0, 5]]);
+        expect(cell.a).toBeCloseTo(3, 10);
+        expect(cell.b).toBeCloseTo(3, 10);
+        expect(cell.c).toBeCloseTo(5, 10);
+        expect(cell.alpha).toBeCloseTo(90, 10);
+        expect(cell.gamma).toBeCloseTo(120, 10);
+    });
+
+    test('alignToStandardCell leaves a standard lattice untouched', () => {
+        const atoms = [{ element: 'Fe', x: 1, y: 2, z: 3 }];
+        const result = alignToStandardCell(atoms, [[10, 0, 0], [0, 10, 0], [0, 0, 10]]);
+        expect(result.rotated).toBe(false);
+        expect(result.atoms).toBe(atoms);
+    });
+
+    test('alignToStandardCell rotates a general lattice without changing distances', () => {
+        // Cubic cell with a along y: rotated 90° about z
+        const vectors = [[0, 8, 0], [-8, 0, 0], [0, 0, 8]];
+        const atoms = [
+            { element: 'Fe', x: 0, y: 1, z: 0 },
+            { element: 'O', x: -2, y: 1, z: 0 }
+        ];
+        const result = alignToStandardCell(atoms, vectors);
+
+        expect(result.rotated).toBe(true);
+        expect(result.leftHanded).toBe(false);
+        expect(result.unitCell.a).toBeCloseTo(8, 10);
+        expect(result.atoms[0].x).toBeCloseTo(1, 10);
+        expect(result.atoms[0].y).toBeCloseTo(0, 10);
+        expect(result.atoms[1].y).toBeCloseTo(2, 10);
+
+        const [fe, o] = result.atoms;
+        expect(Math.hypot(fe.x - o.x, fe.y - o.y, fe.z - o.z)).toBeCloseTo(2, 10);
+    });
+
+    test('alignToStandardCell flags left-handed lattices', () => {
+        const result = alignToStandardCell([], [[0, 8, 0], [8, 0, 0], [0, 0, 8]]);
+        expect(result.leftHanded).toBe(true);
+    });
+});
+
+describe('lattice - display helpers', () => {
+    test('isTranslatedImage', () => {
+        expect(isTranslatedImage([0, 0, 0])).toBe(false);
+        expect(isTranslatedImage([0, -1, 0])).toBe(true);
+        expect(isTranslatedImage(undefined)).toBe(false);
+    });
+
+    test('formatLatticeOffset', () => {
+        expect(formatLatticeOffset([1, 0, -1])).toBe('(1,0,-1)');
+    });
+});
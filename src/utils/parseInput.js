@@ -1,16 +1,18 @@
 /**
  * Unified Input Parser for Q-Shape v1.5.0
  *
- * Parses XYZ (single/multi-frame) and CIF files into a unified Structure format.
+ * Parses XYZ (single/multi-frame, extended XYZ), CIF, PDB, mmCIF, MOL/SDF,
+ * VASP POSCAR/CONTCAR and quantum-chemistry output (Gaussian, ORCA, xTB)
+ * into a unified Structure format.
  * This is the SINGLE entry point for all file parsing.
  *
  * Contract:
  * - Returns a ParseResult with structures[], warnings[], format, frameCount, valid
  * - Never throws exceptions - errors are captured in the result
- * - Correctly routes to XYZ or CIF parser based on file content/extension
+ * - Correctly routes to the matching parser based on file content/extension
  */
 
-import { ATOMIC_DATA } from '../constants/atomicData.js';
+import { ATOMIC_DATA, ALL_METALS, ELEMENTS_BY_NUMBER } from '../constants/atomicData.js';
 import {
     createErrorResult,
     createSuccessResult,
@@ -18,6 +20,13 @@ import {
     generateStructureId,
     PARSE_CONFIG
 } from '../types/structureTypes.js';
+import {
+    fractionalToCartesianMatrix,
+    alignToStandardCell,
+    isValidUnitCell,
+    findPeriodicNeighbors
+} from './lattice.js';
+import { formatAtomLabel } from './atomLabels.js';
 
 /**
  * Main entry point for file parsing
@@ -42,9 +51,97 @@ export function parseInput(content, filename) {
         return parseCIF(content, filename);
     } else if (format === 'xyz') {
         return parseXYZMultiFrame(content, filename);
+    } else if (format === 'pdb') {
+        return parsePDB(content, filename);
+    } else if (format === 'mmcif') {
+        return parseMmCIF(content, filename);
+    } else if (format === 'sdf') {
+        return parseSDF(content, filename);
+    } else if (format === 'gaussian') {
+        return parseGaussianOutput(content, filename);
+    } else if (format === 'orca') {
+        return parseORCAOutput(content, filename);
+    } else if (format === 'xtb') {
+        return parseXTBOutput(content, filename);
+    } else if (format === 'poscar') {
+        return parsePOSCAR(content, filename);
     } else {
-        return createErrorResult(`Unknown file format. Expected .xyz or .cif file.`);
+        return createErrorResult(
+            `Unknown file format. Expected .xyz, .cif, .pdb, .mmcif, .mol, .sdf or POSCAR file, ` +
+            `or Gaussian/ORCA/xTB output.`
+        );
+    }
+}
+
+/**
+ * Parse several files into one batch
+ *
+ * Used for multi-file, folder and archive uploads. Every structure keeps the
+ * path it came from in Structure.source; IDs that repeat across files get a
+ * "#2", "#3", ... suffix. Files that fail to parse become warnings, so one
+ * bad CIF does not reject a whole screening set.
+ *
+ * @param {Array<{path: string, content: string}>} files - File paths and contents
+ * @returns {ParseResult} - Merged result ('mixed' format when formats differ)
+ *
+ * @example
+ * const result = parseInputFiles([
+ *     { path: 'screen/ABCDEF.cif', content: cif1 },
+ *     { path: 'screen/GHIJKL.cif', content: cif2 }
+ * ]);
+ * // result.structures[1].source === 'screen/GHIJKL.cif'
+ */
+export function parseInputFiles(files) {
+    if (!Array.isArray(files) || files.length === 0) {
+        return createErrorResult('No files provided');
+    }
+
+    const structures = [];
+    const warnings = [];
+    const formats = new Set();
+    let defaultStructureIndex;
+
+    for (const file of files) {
+        // IDs come from the bare file name; the full path goes to source
+        const baseName = file.path.split(/[\\/]/).pop();
+        const result = parseInput(file.content, baseName);
+
+        if (!result.valid) {
+            warnings.push(`${file.path}: ${result.error}`);
+            continue;
+        }
+
+        formats.add(result.format);
+        warnings.push(...result.warnings.map(w => (files.length > 1 ? `${file.path}: ${w}` : w)));
+
+        if (files.length === 1) {
+            defaultStructureIndex = result.defaultStructureIndex;
+        }
+
+        for (const structure of result.structures) {
+            structures.push({
+                ...structure,
+                id: uniqueStructureId(structure.id, structures),
+                source: file.path
+            });
+        }
+    }
+
+    if (structures.length === 0) {
+        return createErrorResult(
+            `No valid structures found in ${files.length} file(s). ` + warnings.join('; ')
+        );
+    }
+
+    const result = createSuccessResult(
+        structures,
+        formats.size === 1 ? [...formats][0] : 'mixed',
+        warnings
+    );
+    if (defaultStructureIndex !== undefined) {
+        result.defaultStructureIndex = defaultStructureIndex;
     }
+    return result;
 }
 
 /**
@@ -52,22 +149,60 @@ export function parseInput(content, filename) {
  *
  * @param {string} content - File content
  * @param {string} filename - Filename
- * @returns {'xyz'|'cif'|'unknown'}
+ * @returns {'xyz'|'cif'|'pdb'|'mmcif'|'sdf'|'gaussian'|'orca'|'xtb'|'poscar'|'unknown'}
  */
 export function detectFormat(content, filename) {
     const ext = filename.toLowerCase().split('.').pop();
 
-    // Extension-based detection first
+    // Extension-based detection first.
+    // .cif is shared by small-molecule CIF and mmCIF; mmCIF uses dotted
+    // category names (_atom_site.Cartn_x) instead of _atom_site_fract_x.
     if (ext === 'cif') {
-        return 'cif';
+        return isMmCIFContent(content) ? 'mmcif' : 'cif';
+    }
+    if (ext === 'mmcif') {
+        return 'mmcif';
+    }
+    if (ext === 'pdb' || ext === 'ent') {
+        return 'pdb';
+    }
+    if (ext === 'mol' || ext === 'sdf' || ext === 'sd') {
+        return 'sdf';
     }
     if (ext === 'xyz') {
         return 'xyz';
     }
 
+    // VASP files are usually named POSCAR/CONTCAR (often without extension)
+    const baseName = filename.split(/[\\/]/).pop().toUpperCase();
+    if (ext === 'vasp' || /^(POSCAR|CONTCAR)/.test(baseName)) {
+        return 'poscar';
+    }
+
+    // Program output (.log/.out) is recognized by its banner
+    const program = detectQuantumChemistryProgram(content);
+    if (program) {
+        return program;
+    }
+
+    // Molfiles have a free-text header, so check the counts line (line 4)
+    // before trimming shifts an empty title line away
+    if (/V[23]000/.test(content.split(/\r?\n/)[3] || '')) {
+        return 'sdf';
+    }
+
     // Content-based detection as fallback
     const trimmed = content.trim();
 
+    if (isMmCIFContent(trimmed)) {
+        return 'mmcif';
+    }
+
+    // PDB files are made of fixed-column records
+    if (/^(HEADER|CRYST1|MODEL |ATOM {2}|HETATM)/m.test(trimmed)) {
+        return 'pdb';
+    }
+
     // CIF files start with data_ or have characteristic CIF patterns
     if (trimmed.startsWith('data_') ||
         trimmed.includes('_cell_length_a') ||
@@ -81,6 +216,10 @@ export function detectFormat(content, filename) {
         return 'xyz';
     }
 
+    if (isPOSCARContent(content)) {
+        return 'poscar';
+    }
+
     return 'unknown';
 }
 
@@ -93,6 +232,10 @@ export function detectFormat(content, filename) {
  * - Lines 3+: Element X Y Z [optional extra columns]
  * - Repeat for multiple frames
  *
+ * Extended XYZ comment lines (Lattice="..." Properties=... pbc="T T T") are
+ * honoured: Properties selects the species and position columns, and a
+ * fully periodic lattice is stored as metadata.unitCell.
+ *
  * @param {string} content - Raw XYZ content
  * @param {string} filename - Source filename
  * @returns {ParseResult}
@@ -154,6 +297,8 @@ export function parseXYZMultiFrame(content, filename) {
                 break;
             }
             const comment = lines[lineIndex].trim();
+            const extended = parseExtendedXYZHeader(comment);
+            const columns = extended?.columns || DEFAULT_XYZ_COLUMNS;
             lineIndex++;
 
             // Check if we have enough lines for atoms
@@ -180,14 +325,15 @@ export function parseXYZMultiFrame(content, filename) {
                 const atomLine = lines[lineIndex + i].trim();
                 const parts = atomLine.split(/\s+/);
 
-                if (parts.length < 4) {
+                if (parts.length < columns.width) {
                     frameWarnings.push(
                         `Line ${lineIndex + i + 1}: Invalid format "${atomLine}" - expected "Element X Y Z"`
                     );
                     continue;
                 }
 
-                const [elementRaw, xStr, yStr, zStr] = parts;
+                const elementRaw = parts[columns.species];
+                const [xStr, yStr, zStr] = parts.slice(columns.pos, columns.pos + 3);
                 const element = normalizeElement(elementRaw);
                 const x = parseFloat(xStr);
                 const y = parseFloat(yStr);
@@ -244,13 +390,34 @@ export function parseXYZMultiFrame(content, filename) {
                 );
             }
 
-            // Generate structure ID
-            const id = generateStructureId(filename, frameIndex, comment);
+            // Extended XYZ lattice
+            let frameAtoms = atoms;
+            let unitCell;
+            if (extended?.lattice) {
+                if (extended.pbc.every(Boolean)) {
+                    const aligned = alignToStandardCell(atoms, extended.lattice);
+                    frameAtoms = aligned.atoms;
+                    unitCell = aligned.unitCell;
+                    if (aligned.leftHanded) {
+                        frameWarnings.push(`Frame ${frameIndex + 1}: Left-handed lattice - coordinates mirrored into a right-handed cell`);
+                    }
+                } else {
+                    frameWarnings.push(
+                        `Frame ${frameIndex + 1}: Partial periodicity (pbc="${extended.pbc.map(p => (p ? 'T' : 'F')).join(' ')}") ` +
+                        `is not supported - lattice ignored`
+                    );
+                }
+            }
+
+            // Generate structure ID (extended XYZ comments are key=value data, not names)
+            const id = generateStructureId(filename, frameIndex, extended ? null : comment);
 
             // Create structure
-            const structure = createStructure(id, filename, atoms, {
+            const structure = createStructure(id, filename, frameAtoms, {
                 comment,
-                parseProvenance: 'xyz',
+                unitCell,
+                energy: parseCommentEnergy(comment),
+                parseProvenance: extended ? 'extxyz' : 'xyz',
                 warnings: frameWarnings.length > 0 ? frameWarnings : undefined
             });
 
@@ -268,7 +435,13 @@ export function parseXYZMultiFrame(content, filename) {
             return createErrorResult('No valid structures found in XYZ file');
         }
 
-        return createSuccessResult(structures, 'xyz', warnings);
+        // Optimizer trajectories (xtbopt.log, xtbopt.xyz) carry an energy on
+        // every comment line; open them on the final geometry like QC output
+        const result = createSuccessResult(structures, 'xyz', warnings);
+        if (structures.length > 1 && structures.every(s => s.metadata.energy !== undefined)) {
+            result.defaultStructureIndex = structures.length - 1;
+        }
+        return result;
 
     } catch (error) {
         return createErrorResult(`XYZ parsing failed: ${error.message}`);
@@ -280,6 +453,8 @@ export function parseXYZMultiFrame(content, filename) {
  *
  * NOTE: This is a placeholder implementation. Full CIF parsing requires gemmi-wasm.
  * For now, we provide a basic parser that handles simple CIF files.
+ * When a symmetry-operator loop is present, the asymmetric unit is expanded
+ * to the full unit cell (see PARSE_CONFIG.EXPAND_SYMMETRY).
  *
  * @param {string} content - Raw CIF content
  * @param {string} filename - Source filename
@@ -302,7 +477,7 @@ export function parseCIF(content, filename) {
             const blockResult = parseCIFBlock(block, filename, blockIndex);
 
             if (blockResult.valid) {
-                structures.push(blockResult.structure);
+                structures.push(...blockResult.structures);
                 if (blockResult.warnings.length > 0) {
                     warnings.push(...blockResult.warnings);
                 }
@@ -371,10 +546,14 @@ function splitCIFBlocks(content) {
 /**
  * Parse a single CIF data block
  *
+ * Atoms carrying _atom_site_disorder_group are split into one structure per
+ * combination of disorder groups around the metal centres, so that alternate
+ * conformers never share a coordination sphere.
+ *
  * @param {{name: string, content: string}} block - CIF block
  * @param {string} filename - Source filename
  * @param {number} blockIndex - Block index
- * @returns {{valid: boolean, structure?: Structure, warnings: string[], error?: string}}
+ * @returns {{valid: boolean, structures?: Array<Structure>, warnings: string[], error?: string}}
  */
 function parseCIFBlock(block, filename, blockIndex) {
     const warnings = [];
@@ -390,22 +569,33 @@ function parseCIFBlock(block, filename, blockIndex) {
 
         // Try to extract atom coordinates
         let atoms = [];
+        let symmetryMetadata = {};
 
         // Try _atom_site_fract_* first (fractional coordinates)
-        const fractAtoms = extractFractionalAtoms(lines);
+        let fractAtoms = extractFractionalAtoms(lines);
         if (fractAtoms.length > 0) {
+            const operators = extractSymmetryOperators(lines, warnings);
+
+            if (PARSE_CONFIG.EXPAND_SYMMETRY && operators.length > 1) {
+                if (unitCell) {
+                    const asymmetricCount = fractAtoms.length;
+                    fractAtoms = expandSymmetryEquivalents(fractAtoms, operators, unitCell);
+                    symmetryMetadata = {
+                        symmetryOperators: operators.map(op => op.text),
+                        asymmetricUnitAtomCount: asymmetricCount
+                    };
+                } else {
+                    warnings.push('Symmetry operators found but no unit cell - asymmetric unit not expanded');
+                }
+            }
+
             if (unitCell) {
                 atoms = convertFractionalToCartesian(fractAtoms, unitCell);
             } else {
                 // Without unit cell, fractional coords would be cramped
                 warnings.push('Fractional coordinates without unit cell - coordinates may be incorrect');
                 // Use as-is (will be cramped, but at least parseable)
-                atoms = fractAtoms.map(a => ({
-                    element: a.element,
-                    x: a.x,
-                    y: a.y,
-                    z: a.z
-                }));
+                atoms = fractAtoms.map(a => ({ ...a }));
             }
         }
 
@@ -431,16 +621,32 @@ function parseCIFBlock(block, filename, blockIndex) {
         const spaceGroup = extractValue(lines, '_symmetry_space_group_name_H-M') ||
                           extractValue(lines, '_space_group_name_H-M_alt');
 
-        const structure = createStructure(id, filename, atoms, {
-            unitCell,
-            spaceGroup: spaceGroup || undefined,
-            parseProvenance: 'cif-basic',
-            warnings: warnings.length > 0 ? warnings : undefined
-        });
+        const partialCount = atoms.filter(a => a.occupancy < 1 && a.disorderGroup === undefined).length;
+        if (partialCount > 0) {
+            warnings.push(
+                `${partialCount} atom(s) with partial occupancy but no disorder group - all were kept`
+            );
+        }
+
+        const disorderParts = splitDisorderParts(atoms, unitCell, warnings);
+
+        const structures = disorderParts.map(part => createStructure(
+            part.label ? `${id}:${part.label}` : id,
+            filename,
+            part.atoms,
+            {
+                unitCell,
+                spaceGroup: spaceGroup || undefined,
+                ...symmetryMetadata,
+                disorder: part.groups ? { label: part.label, groups: part.groups } : undefined,
+                parseProvenance: 'cif-basic',
+                warnings: warnings.length > 0 ? warnings : undefined
+            }
+        ));
 
         return {
             valid: true,
-            structure,
+            structures,
             warnings
         };
 
@@ -528,12 +734,256 @@ function extractCartesianAtoms(lines) {
     ]);
 }
 
+/**
+ * Extract symmetry operators from a CIF symmetry loop
+ *
+ * Reads `_symmetry_equiv_pos_as_xyz` (CIF 1.1) or
+ * `_space_group_symop_operation_xyz` (CIF 2 / mmCIF style) loops, with or
+ * without an accompanying id column. Operators that cannot be parsed are
+ * skipped with a warning. The identity is always placed first so that the
+ * asymmetric unit keeps its position at the head of the expanded atom list.
+ *
+ * @param {string[]} lines - CIF lines
+ * @param {string[]} warnings - Warning accumulator
+ * @returns {Array<{rotation: number[][], translation: number[], text: string}>}
+ */
+function extractSymmetryOperators(lines, warnings) {
+    const operators = [];
+    let inLoop = false;
+    let inData = false;
+    let columns = [];
+    let opCol = -1;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        const lower = line.toLowerCase();
+
+        if (lower === 'loop_') {
+            if (opCol >= 0 && inData) break;
+            inLoop = true;
+            inData = false;
+            columns = [];
+            opCol = -1;
+            continue;
+        }
+
+        if (!inLoop || line === '' || line.startsWith('#')) {
+            continue;
+        }
+
+        if (line.startsWith('_')) {
+            if (inData) {
+                if (opCol >= 0) break;
+                inLoop = false;
+                continue;
+            }
+            columns.push(lower);
+            if (lower === '_symmetry_equiv_pos_as_xyz' ||
+                lower === '_space_group_symop_operation_xyz') {
+                opCol = columns.length - 1;
+            }
+            continue;
+        }
+
+        inData = true;
+        if (opCol < 0) {
+            continue;
+        }
+
+        const parts = parseLoopLine(line);
+        // Unquoted operators containing spaces ("-x, y, -z") spill into extra tokens
+        const text = parts.length > columns.length && opCol === columns.length - 1
+            ? parts.slice(opCol).join('')
+            : parts[opCol];
+
+        const operator = text ? parseSymmetryOperator(text) : null;
+        if (operator) {
+            operators.push(operator);
+        } else {
+            warnings.push(`Could not parse symmetry operator "${line}" - skipped`);
+        }
+    }
+
+    const identityIndex = operators.findIndex(isIdentityOperator);
+    if (identityIndex > 0) {
+        operators.unshift(operators.splice(identityIndex, 1)[0]);
+    } else if (identityIndex < 0 && operators.length > 0) {
+        operators.unshift(parseSymmetryOperator('x,y,z'));
+    }
+
+    return operators;
+}
+
+/**
+ * Parse a symmetry operator in xyz notation (e.g. "-x+1/2, y, -z+1/2")
+ *
+ * @param {string} text - Operator string
+ * @returns {{rotation: number[][], translation: number[], text: string}|null} Parsed operator, or null if malformed
+ *
+ * @example
+ * parseSymmetryOperator('-x+1/2,y,-z');
+ * // { rotation: [[-1,0,0],[0,1,0],[0,0,-1]], translation: [0.5,0,0], text: '-x+1/2,y,-z' }
+ */
+export function parseSymmetryOperator(text) {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+
+    const normalized = text.replace(/\s+/g, '').toLowerCase();
+    const components = normalized.split(',');
+    if (components.length !== 3) {
+        return null;
+    }
+
+    const rotation = [];
+    const translation = [];
+
+    for (const component of components) {
+        const terms = component.match(/[+-]?[^+-]+/g);
+        if (!terms) {
+            return null;
+        }
+
+        const row = [0, 0, 0];
+        let shift = 0;
+
+        for (const term of terms) {
+            const sign = term.startsWith('-') ? -1 : 1;
+            const body = term.replace(/^[+-]/, '');
+            const axisMatch = body.match(/^([\d./]*)\*?([xyz])$/);
+
+            if (axisMatch) {
+                const coefficient = axisMatch[1] ? parseFraction(axisMatch[1]) : 1;
+                if (!Number.isFinite(coefficient)) {
+                    return null;
+                }
+                row['xyz'.indexOf(axisMatch[2])] += sign * coefficient;
+            } else {
+                const value = parseFraction(body);
+                if (!Number.isFinite(value)) {
+                    return null;
+                }
+                shift += sign * value;
+            }
+        }
+
+        if (row.every(v => v === 0)) {
+            return null;
+        }
+
+        rotation.push(row);
+        translation.push(shift);
+    }
+
+    return { rotation, translation, text: normalized };
+}
+
+/**
+ * Parse a decimal or fractional number ("0.5", "1/2")
+ *
+ * @param {string} text - Number string
+ * @returns {number} - Parsed value (NaN if malformed)
+ */
+function parseFraction(text) {
+    if (!/^(\d+(\.\d*)?|\.\d+)(\/\d+)?$/.test(text)) {
+        return NaN;
+    }
+    const [num, den] = text.split('/');
+    return den !== undefined ? parseFloat(num) / parseFloat(den) : parseFloat(num);
+}
+
+/**
+ * Check whether an operator is the identity (x,y,z)
+ *
+ * @param {{rotation: number[][], translation: number[]}} op - Symmetry operator
+ * @returns {boolean}
+ */
+function isIdentityOperator(op) {
+    return op.rotation.every((row, i) => row.every((v, j) => v === (i === j ? 1 : 0))) &&
+           op.translation.every(t => Math.abs(t) < 1e-8);
+}
+
+/**
+ * Expand asymmetric-unit atoms into all symmetry-equivalent positions
+ *
+ * Each operator is applied to every fractional position. Generated images are
+ * shifted by the integer lattice translation that places them inside the unit
+ * cell [0, 1), while the identity images keep the position given in the CIF.
+ * Images that coincide with an already generated atom of the same element
+ * (minimum-image distance below PARSE_CONFIG.SYMMETRY_MERGE_TOLERANCE) are
+ * merged; this is what collapses atoms sitting on special positions.
+ *
+ * Every returned atom carries a `symmetry` record with the operator and the
+ * lattice translation that produced it.
+ *
+ * @param {Array<{element: string, x: number, y: number, z: number, label?: string}>} fractAtoms - Asymmetric unit (fractional)
+ * @param {Array<{rotation: number[][], translation: number[], text: string}>} operators - Symmetry operators (identity first)
+ * @param {UnitCell} cell - Unit cell parameters
+ * @returns {Array<Object>} - Expanded atoms in fractional coordinates
+ */
+function expandSymmetryEquivalents(fractAtoms, operators, cell) {
+    const m = fractionalToCartesianMatrix(cell);
+    const tolSq = PARSE_CONFIG.SYMMETRY_MERGE_TOLERANCE * PARSE_CONFIG.SYMMETRY_MERGE_TOLERANCE;
+    const expanded = [];
+
+    const isDuplicate = (candidate) => expanded.some(existing => {
+        if (existing.element !== candidate.element) return false;
+        // Alternate conformers may overlap - they are separated later
+        if (existing.disorderGroup !== candidate.disorderGroup) return false;
+        let dx = candidate.x - existing.x;
+        let dy = candidate.y - existing.y;
+        let dz = candidate.z - existing.z;
+        dx -= Math.round(dx);
+        dy -= Math.round(dy);
+        dz -= Math.round(dz);
+        const cx = m[0][0] * dx + m[0][1] * dy + m[0][2] * dz;
+        const cy = m[1][1] * dy + m[1][2] * dz;
+        const cz = m[2][2] * dz;
+        return cx * cx + cy * cy + cz * cz < tolSq;
+    });
+
+    operators.forEach((op, operatorIndex) => {
+        const identity = isIdentityOperator(op);
+
+        for (const atom of fractAtoms) {
+            const f = [atom.x, atom.y, atom.z];
+            const image = op.rotation.map((row, i) =>
+                row[0] * f[0] + row[1] * f[1] + row[2] * f[2] + op.translation[i]
+            );
+            // Small epsilon keeps coordinates like 0.9999999 from landing at -1e-7
+            const translation = identity
+                ? [0, 0, 0]
+                : image.map(v => -Math.floor(v + 1e-8) || 0);
+
+            const candidate = {
+                ...atom,
+                x: image[0] + translation[0],
+                y: image[1] + translation[1],
+                z: image[2] + translation[2],
+                su: atom.su && transformUncertainty(op.rotation, atom.su),
+                symmetry: {
+                    operator: op.text,
+                    operatorIndex,
+                    translation
+                }
+            };
+
+            if (!isDuplicate(candidate)) {
+                expanded.push(candidate);
+            }
+        }
+    });
+
+    return expanded;
+}
+
 /**
  * Extract atoms from a CIF loop with specified coordinate columns
  *
  * @param {string[]} lines - CIF lines
  * @param {string[]} coordKeys - Keys for x, y, z coordinates
- * @returns {Array<{element: string, x: number, y: number, z: number}>}
+ * @returns {Array<{element: string, x: number, y: number, z: number, label?: string, su?: number[],
+ *   occupancy?: number, disorderAssembly?: string, disorderGroup?: string}>}
  */
 function extractAtomLoop(lines, coordKeys) {
     const atoms = [];
@@ -545,6 +995,9 @@ function extractAtomLoop(lines, coordKeys) {
     let xCol = -1;
     let yCol = -1;
     let zCol = -1;
+    let occupancyCol = -1;
+    let assemblyCol = -1;
+    let groupCol = -1;
 
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i].trim();
@@ -556,6 +1009,7 @@ function extractAtomLoop(lines, coordKeys) {
             elementCol = -1;
             symbolCol = -1;
             xCol = yCol = zCol = -1;
+            occupancyCol = assemblyCol = groupCol = -1;
             continue;
         }
 
@@ -580,6 +1034,12 @@ function extractAtomLoop(lines, coordKeys) {
                 yCol = colIndex;
             } else if (lowerLine === coordKeys[2].toLowerCase()) {
                 zCol = colIndex;
+            } else if (lowerLine === '_atom_site_occupancy') {
+                occupancyCol = colIndex;
+            } else if (lowerLine === '_atom_site_disorder_assembly') {
+                assemblyCol = colIndex;
+            } else if (lowerLine === '_atom_site_disorder_group') {
+                groupCol = colIndex;
             }
 
             continue;
@@ -616,7 +1076,35 @@ function extractAtomLoop(lines, coordKeys) {
                 const z = parseFloat(parts[zCol].replace(/\([^)]*\)/g, ''));
 
                 if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)) {
-                    atoms.push({ element, x, y, z });
+                    const atom = { element, x, y, z };
+                    if (elementCol >= 0 && parts[elementCol]) {
+                        atom.label = parts[elementCol];
+                    }
+
+                    // Standard uncertainties in the same units as the coordinates
+                    const su = [parts[xCol], parts[yCol], parts[zCol]].map(parseStandardUncertainty);
+                    if (su.some(u => u > 0)) {
+                        atom.su = su;
+                    }
+
+                    const occupancy = occupancyCol >= 0
+                        ? parseFloat(parts[occupancyCol].replace(/\([^)]*\)/g, ''))
+                        : NaN;
+                    if (Number.isFinite(occupancy)) {
+                        atom.occupancy = occupancy;
+                    }
+
+                    // "." and "?" mark atoms that are not part of any disorder
+                    const assembly = assemblyCol >= 0 ? parts[assemblyCol] : '.';
+                    const group = groupCol >= 0 ? parts[groupCol] : '.';
+                    if (group !== '.' && group !== '?') {
+                        atom.disorderGroup = group;
+                        if (assembly !== '.' && assembly !== '?') {
+                            atom.disorderAssembly = assembly;
+                        }
+                    }
+
+                    atoms.push(atom);
                 }
             }
         }
@@ -630,6 +1118,29 @@ function extractAtomLoop(lines, coordKeys) {
     return atoms;
 }
 
+/**
+ * Read the standard uncertainty of a CIF number
+ *
+ * The digits in parentheses apply to the last digits of the value, so
+ * "0.12345(7)" has s.u. 0.00007 and "1.2e-3(4)" has s.u. 0.4e-3.
+ *
+ * @param {string} text - CIF numeric value
+ * @returns {number} - Standard uncertainty, or 0 when none is given
+ *
+ * @example
+ * parseStandardUncertainty('0.12345(7)'); // 0.00007
+ * parseStandardUncertainty('12.3(12)');   // 1.2
+ */
+export function parseStandardUncertainty(text) {
+    const match = String(text ?? '').trim()
+        .match(/^[+-]?\d*(?:\.(\d*))?(?:[eE]([+-]?\d+))?\((\d+)\)$/);
+    if (!match) return 0;
+
+    const decimals = match[1] ? match[1].length : 0;
+    const exponent = match[2] ? parseInt(match[2], 10) : 0;
+    return parseInt(match[3], 10) * Math.pow(10, exponent - decimals);
+}
+
 /**
  * Parse a CIF loop data line, handling quoted strings
  *
@@ -672,52 +1183,1286 @@ function parseLoopLine(line) {
 /**
  * Convert fractional to Cartesian coordinates
  *
- * Uses the standard crystallographic transformation matrix.
+ * Uses the standard crystallographic transformation matrix. Any extra atom
+ * fields (label, symmetry provenance) are carried over unchanged.
  *
  * @param {Array<{element: string, x: number, y: number, z: number}>} fractAtoms - Fractional coords
  * @param {UnitCell} cell - Unit cell parameters
  * @returns {Array<{element: string, x: number, y: number, z: number}>}
  */
 function convertFractionalToCartesian(fractAtoms, cell) {
-    const { a, b, c, alpha, beta, gamma } = cell;
-
-    // Convert angles to radians
-    const alphaRad = (alpha * Math.PI) / 180;
-    const betaRad = (beta * Math.PI) / 180;
-    const gammaRad = (gamma * Math.PI) / 180;
-
-    // Calculate transformation matrix components
-    const cosAlpha = Math.cos(alphaRad);
-    const cosBeta = Math.cos(betaRad);
-    const cosGamma = Math.cos(gammaRad);
-    const sinGamma = Math.sin(gammaRad);
-
-    // Volume factor
-    const v = Math.sqrt(
-        1 - cosAlpha * cosAlpha - cosBeta * cosBeta - cosGamma * cosGamma +
-        2 * cosAlpha * cosBeta * cosGamma
-    );
-
-    // Transformation matrix (fractional to Cartesian)
-    // Standard crystallographic convention
-    const m11 = a;
-    const m12 = b * cosGamma;
-    const m13 = c * cosBeta;
-    const m21 = 0;
-    const m22 = b * sinGamma;
-    const m23 = c * (cosAlpha - cosBeta * cosGamma) / sinGamma;
-    const m31 = 0;
-    const m32 = 0;
-    const m33 = c * v / sinGamma;
+    const m = fractionalToCartesianMatrix(cell);
 
     return fractAtoms.map(atom => ({
-        element: atom.element,
-        x: m11 * atom.x + m12 * atom.y + m13 * atom.z,
-        y: m21 * atom.x + m22 * atom.y + m23 * atom.z,
-        z: m31 * atom.x + m32 * atom.y + m33 * atom.z
+        ...atom,
+        x: m[0][0] * atom.x + m[0][1] * atom.y + m[0][2] * atom.z,
+        y: m[1][0] * atom.x + m[1][1] * atom.y + m[1][2] * atom.z,
+        z: m[2][0] * atom.x + m[2][1] * atom.y + m[2][2] * atom.z,
+        su: atom.su && transformUncertainty(m, atom.su)
     }));
 }
 
+/**
+ * Propagate independent standard uncertainties through a linear map
+ *
+ * Covariances between x, y and z are not given in a CIF, so each output
+ * variance is the sum of squared matrix elements times the input variances.
+ *
+ * @param {number[][]} matrix - 3×3 matrix (symmetry rotation or fractional→Cartesian)
+ * @param {number[]} su - Standard uncertainties [σx, σy, σz]
+ * @returns {number[]} - Transformed standard uncertainties
+ */
+function transformUncertainty(matrix, su) {
+    return matrix.map(row => Math.sqrt(
+        (row[0] * su[0]) ** 2 + (row[1] * su[1]) ** 2 + (row[2] * su[2]) ** 2
+    ));
+}
+
+/**
+ * Split a CIF atom list into one atom set per disorder combination
+ *
+ * Groups are collected per _atom_site_disorder_assembly (atoms without an
+ * assembly share one). Assemblies with an atom within
+ * PARSE_CONFIG.DISORDER_METAL_RADIUS of a metal are expanded into every
+ * combination of their groups; assemblies further away keep only their major
+ * (highest mean occupancy) group. Combinations are labelled "partA",
+ * "partB", ... with one letter per assembly near a metal, giving the
+ * position of the chosen group in that assembly (e.g. "partAB").
+ *
+ * @param {Array<Atom>} atoms - Cartesian atoms with optional disorder fields
+ * @param {UnitCell|null} unitCell - Unit cell (periodic distances when valid)
+ * @param {string[]} warnings - Warnings array (mutated)
+ * @returns {Array<{label: string|null, atoms: Array<Atom>, groups: Array<{assembly?: string, group: string}>|null}>}
+ */
+function splitDisorderParts(atoms, unitCell, warnings) {
+    // assembly -> group -> { count, occupancy }
+    const assemblies = new Map();
+    for (const atom of atoms) {
+        if (atom.disorderGroup === undefined) continue;
+        const key = atom.disorderAssembly ?? '';
+        if (!assemblies.has(key)) {
+            assemblies.set(key, new Map());
+        }
+        const groups = assemblies.get(key);
+        const stats = groups.get(atom.disorderGroup) || { count: 0, occupancy: 0 };
+        stats.count++;
+        stats.occupancy += atom.occupancy ?? 1;
+        groups.set(atom.disorderGroup, stats);
+    }
+
+    if (assemblies.size === 0) {
+        return [{ label: null, atoms, groups: null }];
+    }
+
+    const radius = PARSE_CONFIG.DISORDER_METAL_RADIUS;
+    const periodic = isValidUnitCell(unitCell);
+    const nearMetal = new Set();
+
+    atoms.forEach((metal, metalIndex) => {
+        if (!ALL_METALS.has(metal.element)) return;
+        if (metal.disorderGroup !== undefined) {
+            nearMetal.add(metal.disorderAssembly ?? '');
+        }
+        const neighbours = periodic
+            ? findPeriodicNeighbors(atoms, metalIndex, radius, unitCell).map(n => n.atom)
+            : atoms.filter((a, i) => i !== metalIndex &&
+                Math.hypot(a.x - metal.x, a.y - metal.y, a.z - metal.z) <= radius);
+        for (const atom of neighbours) {
+            if (atom.disorderGroup !== undefined) {
+                nearMetal.add(atom.disorderAssembly ?? '');
+            }
+        }
+    });
+
+    const byGroupNumber = (a, b) => (parseFloat(a) - parseFloat(b)) || a.localeCompare(b);
+    const assemblyKeys = [...assemblies.keys()].sort();
+    const groupLists = new Map(assemblyKeys.map(key => [key, [...assemblies.get(key).keys()].sort(byGroupNumber)]));
+
+    const majorGroup = (key) => {
+        const stats = assemblies.get(key);
+        const mean = group => stats.get(group).occupancy / stats.get(group).count;
+        return groupLists.get(key).reduce((best, group) => (mean(group) > mean(best) + 1e-6 ? group : best));
+    };
+
+    let splitKeys = assemblyKeys.filter(key => nearMetal.has(key) && groupLists.get(key).length > 1);
+    const combinationCount = splitKeys.reduce((n, key) => n * groupLists.get(key).length, 1);
+    if (combinationCount > PARSE_CONFIG.MAX_DISORDER_COMBINATIONS) {
+        warnings.push(
+            `${combinationCount} disorder combinations around the metal centres exceed the limit of ` +
+            `${PARSE_CONFIG.MAX_DISORDER_COMBINATIONS} - only the major part of each assembly was kept`
+        );
+        splitKeys = [];
+    } else {
+        const farCount = assemblyKeys.filter(key => !nearMetal.has(key) && groupLists.get(key).length > 1).length;
+        if (farCount > 0) {
+            warnings.push(`Kept only the major part of ${farCount} disorder assembly(ies) away from the metal centres`);
+        }
+    }
+
+    // Cartesian product over the groups of every assembly that is split
+    let combinations = [[]];
+    for (const key of splitKeys) {
+        const groups = groupLists.get(key);
+        combinations = combinations.flatMap(combo => groups.map((_, i) => [...combo, i]));
+    }
+
+    return combinations.map(combo => {
+        const choice = new Map(assemblyKeys.map(key => [key, majorGroup(key)]));
+        splitKeys.forEach((key, i) => choice.set(key, groupLists.get(key)[combo[i]]));
+
+        return {
+            label: splitKeys.length > 0
+                ? `part${combo.map(i => String.fromCharCode(65 + i)).join('')}`
+                : null,
+            atoms: atoms.filter(atom => atom.disorderGroup === undefined ||
+                choice.get(atom.disorderAssembly ?? '') === atom.disorderGroup),
+            groups: assemblyKeys.map(key => ({
+                assembly: key || undefined,
+                group: choice.get(key)
+            }))
+        };
+    });
+}
+
+/**
+ * Check whether CIF content is macromolecular (mmCIF / PDBx)
+ *
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+function isMmCIFContent(content) {
+    return /^\s*_atom_site\.(Cartn_x|group_PDB|label_atom_id)/m.test(content);
+}
+
+/**
+ * Parse PDB content (ATOM / HETATM records)
+ *
+ * Fixed-column PDB format. Only the first MODEL is read. Residue name, chain,
+ * residue number, insertion code and altLoc are kept on each atom. For atoms
+ * with alternate locations only the first conformer listed is kept.
+ *
+ * Every metal HETATM becomes its own Structure (all sharing the same atom
+ * list, with `metadata.metalIndex` pointing at the site), so a protein with
+ * several metal sites opens in batch mode.
+ *
+ * @param {string} content - Raw PDB content
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parsePDB(content, filename) {
+    const warnings = [];
+
+    try {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const records = [];
+        let modelCount = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const recordName = line.substring(0, 6).trim();
+
+            if (recordName === 'MODEL') {
+                modelCount++;
+                if (modelCount > 1) {
+                    warnings.push('Multiple models found - only the first MODEL is used');
+                    break;
+                }
+                continue;
+            }
+            if (recordName === 'ENDMDL') {
+                continue;
+            }
+            if (recordName === 'END') {
+                break;
+            }
+            if (recordName !== 'ATOM' && recordName !== 'HETATM') {
+                continue;
+            }
+
+            const x = parseFloat(line.substring(30, 38));
+            const y = parseFloat(line.substring(38, 46));
+            const z = parseFloat(line.substring(46, 54));
+
+            if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+                warnings.push(`Line ${i + 1}: Non-numeric coordinates - skipped`);
+                continue;
+            }
+
+            const nameField = line.substring(12, 16);
+            const element = normalizeElement(line.substring(76, 78).trim()) ||
+                            elementFromPDBAtomName(nameField);
+
+            records.push({
+                element,
+                x, y, z,
+                atomName: nameField.trim(),
+                altLoc: line.charAt(16).trim() || undefined,
+                residueName: line.substring(17, 20).trim(),
+                chainId: line.charAt(21).trim(),
+                residueNumber: parseInt(line.substring(22, 26), 10),
+                insertionCode: line.charAt(26).trim() || undefined,
+                isHetatm: recordName === 'HETATM'
+            });
+        }
+
+        return buildMacromolecularResult(records, filename, 'pdb', warnings);
+
+    } catch (error) {
+        return createErrorResult(`PDB parsing failed: ${error.message}`);
+    }
+}
+
+/**
+ * Parse mmCIF / PDBx content (_atom_site table)
+ *
+ * Author numbering (auth_*) is preferred over label_* so residue numbers and
+ * chains match the PDB-format file and the literature. Only the first model
+ * (pdbx_PDB_model_num) is read.
+ *
+ * @param {string} content - Raw mmCIF content
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parseMmCIF(content, filename) {
+    const warnings = [];
+
+    try {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const { columns, rows } = extractMmCIFLoop(lines, '_atom_site.');
+
+        if (rows.length === 0) {
+            return createErrorResult('No _atom_site records found in mmCIF file');
+        }
+
+        const col = (...names) => {
+            for (const name of names) {
+                const idx = columns.indexOf(`_atom_site.${name}`.toLowerCase());
+                if (idx >= 0) return idx;
+            }
+            return -1;
+        };
+        const value = (row, idx) => {
+            if (idx < 0 || row[idx] === undefined) return '';
+            return row[idx] === '.' || row[idx] === '?' ? '' : row[idx];
+        };
+
+        const groupCol = col('group_PDB');
+        const symbolCol = col('type_symbol');
+        const atomCol = col('auth_atom_id', 'label_atom_id');
+        const altCol = col('label_alt_id');
+        const resNameCol = col('auth_comp_id', 'label_comp_id');
+        const chainCol = col('auth_asym_id', 'label_asym_id');
+        const resNumCol = col('auth_seq_id', 'label_seq_id');
+        const insCol = col('pdbx_PDB_ins_code');
+        const modelCol = col('pdbx_PDB_model_num');
+        const xCol = col('Cartn_x');
+        const yCol = col('Cartn_y');
+        const zCol = col('Cartn_z');
+
+        if (xCol < 0 || yCol < 0 || zCol < 0) {
+            return createErrorResult('mmCIF _atom_site table has no Cartn_x/y/z columns');
+        }
+
+        const records = [];
+        const firstModel = modelCol >= 0 ? value(rows[0], modelCol) : '';
+
+        for (const row of rows) {
+            if (modelCol >= 0 && value(row, modelCol) !== firstModel) {
+                warnings.push('Multiple models found - only the first model is used');
+                break;
+            }
+
+            const x = parseFloat(value(row, xCol));
+            const y = parseFloat(value(row, yCol));
+            const z = parseFloat(value(row, zCol));
+            if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+                continue;
+            }
+
+            const atomName = value(row, atomCol);
+            records.push({
+                element: normalizeElement(value(row, symbolCol)) || elementFromPDBAtomName(atomName),
+                x, y, z,
+                atomName,
+                altLoc: value(row, altCol) || undefined,
+                residueName: value(row, resNameCol),
+                chainId: value(row, chainCol),
+                residueNumber: parseInt(value(row, resNumCol), 10),
+                insertionCode: value(row, insCol) || undefined,
+                isHetatm: value(row, groupCol) === 'HETATM'
+            });
+        }
+
+        return buildMacromolecularResult(records, filename, 'mmcif', warnings);
+
+    } catch (error) {
+        return createErrorResult(`mmCIF parsing failed: ${error.message}`);
+    }
+}
+
+/**
+ * Read the first mmCIF loop whose tags start with a category prefix
+ *
+ * @param {string[]} lines - mmCIF lines
+ * @param {string} prefix - Category prefix, e.g. "_atom_site."
+ * @returns {{columns: string[], rows: string[][]}} - Lowercased tags and row values
+ */
+function extractMmCIFLoop(lines, prefix) {
+    const lowerPrefix = prefix.toLowerCase();
+    const columns = [];
+    const rows = [];
+    let inLoop = false;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        const lower = line.toLowerCase();
+
+        if (lower === 'loop_') {
+            if (rows.length > 0) break;
+            inLoop = true;
+            columns.length = 0;
+            continue;
+        }
+
+        if (!inLoop || line === '' || line.startsWith('#')) {
+            if (rows.length > 0 && line.startsWith('#')) break;
+            continue;
+        }
+
+        if (line.startsWith('_')) {
+            if (rows.length > 0) break;
+            if (lower.startsWith(lowerPrefix)) {
+                columns.push(lower.split(/\s+/)[0]);
+            } else {
+                inLoop = false;
+                columns.length = 0;
+            }
+            continue;
+        }
+
+        if (columns.length > 0) {
+            const parts = parseLoopLine(line);
+            if (parts.length >= columns.length) {
+                rows.push(parts);
+            }
+        }
+    }
+
+    return { columns, rows };
+}
+
+/**
+ * Derive the element from a PDB atom name when the element column is empty
+ *
+ * In the PDB convention the element symbol is right-justified in columns
+ * 13-14, so " NE2" is nitrogen while "ZN  " is zinc.
+ *
+ * @param {string} nameField - Atom name (raw 4-character field when available)
+ * @returns {string} - Normalized element symbol
+ */
+function elementFromPDBAtomName(nameField) {
+    if (!nameField) return '';
+    if (nameField.length === 4 && (nameField[0] === ' ' || /\d/.test(nameField[0]))) {
+        return normalizeElement(nameField[1]);
+    }
+    const letters = nameField.trim().replace(/[^A-Za-z]/g, '');
+    const twoLetter = normalizeElement(letters.substring(0, 2));
+    return ATOMIC_DATA[twoLetter] && ALL_METALS.has(twoLetter)
+        ? twoLetter
+        : normalizeElement(letters.charAt(0));
+}
+
+/**
+ * Build the ParseResult for PDB / mmCIF atom records
+ *
+ * Drops alternate conformers beyond the first and creates one Structure per
+ * metal HETATM. Structures share the same atom array; each records its metal
+ * in `metadata.metalIndex`.
+ *
+ * @param {Array<Object>} records - Parsed atom records
+ * @param {string} filename - Source filename
+ * @param {'pdb'|'mmcif'} format - Source format
+ * @param {string[]} warnings - Warning accumulator
+ * @returns {ParseResult}
+ */
+function buildMacromolecularResult(records, filename, format, warnings) {
+    const atoms = [];
+    const seenSites = new Map();
+    let skippedAltLocs = 0;
+
+    for (const record of records) {
+        if (record.altLoc) {
+            const siteKey = [
+                record.chainId, record.residueNumber, record.insertionCode,
+                record.residueName, record.atomName
+            ].join('|');
+            const firstAltLoc = seenSites.get(siteKey);
+            if (firstAltLoc !== undefined && firstAltLoc !== record.altLoc) {
+                skippedAltLocs++;
+                continue;
+            }
+            seenSites.set(siteKey, record.altLoc);
+        }
+        atoms.push(record);
+    }
+
+    if (atoms.length === 0) {
+        return createErrorResult(`No valid atoms found in ${format === 'pdb' ? 'PDB' : 'mmCIF'} file`);
+    }
+
+    if (skippedAltLocs > 0) {
+        warnings.push(`${skippedAltLocs} alternate-location atom(s) skipped - first conformer kept`);
+    }
+
+    if (atoms.length > PARSE_CONFIG.LARGE_STRUCTURE_WARNING) {
+        warnings.push(`Large structure detected (${atoms.length} atoms) - analysis may be slow`);
+    }
+
+    const baseName = filename.replace(/\.(pdb|ent|cif|mmcif)$/i, '');
+    const metalIndices = atoms
+        .map((atom, idx) => (atom.isHetatm && ALL_METALS.has(atom.element) ? idx : -1))
+        .filter(idx => idx >= 0);
+
+    if (metalIndices.length === 0) {
+        warnings.push('No metal HETATM records found - using the whole model');
+        return createSuccessResult([
+            createStructure(baseName, filename, atoms, {
+                parseProvenance: format,
+                warnings: [...warnings]
+            })
+        ], format, warnings);
+    }
+
+    const structures = metalIndices.map(metalIndex => {
+        const siteLabel = formatAtomLabel(atoms[metalIndex]);
+        return createStructure(`${baseName}:${siteLabel}`, filename, atoms, {
+            metalIndex,
+            siteLabel,
+            parseProvenance: format,
+            warnings: [...warnings]
+        });
+    });
+
+    return createSuccessResult(structures, format, warnings);
+}
+
+/**
+ * Parse MDL molfile / SD-file content (V2000 and V3000)
+ *
+ * Each SD record (terminated by "$$$$") becomes a Structure. The bond block
+ * is kept as `structure.bonds` (0-based atom indices) so ring detection can
+ * use real connectivity, and SD data items ("> <NAME>") are stored in
+ * `metadata.sdData`.
+ *
+ * @param {string} content - Raw MOL/SDF content
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parseSDF(content, filename) {
+    const structures = [];
+    const warnings = [];
+
+    try {
+        const records = content.replace(/\r\n?/g, '\n').split(/^\$\$\$\$[^\n]*$/m);
+
+        records.forEach((recordText, recordIndex) => {
+            if (recordText.trim() === '') return;
+
+            // Records after the first start right after the "$$$$" line break;
+            // the first line of a record is its (possibly empty) title
+            const text = recordIndex > 0 ? recordText.replace(/^\n/, '') : recordText;
+            const lines = text.split('\n');
+            const record = parseMolfileRecord(lines);
+
+            if (record.error) {
+                warnings.push(`Record ${recordIndex + 1}: ${record.error} - skipped`);
+                return;
+            }
+            if (record.atoms.length === 0) {
+                warnings.push(`Record ${recordIndex + 1} has no atoms - skipped`);
+                return;
+            }
+
+            const id = uniqueStructureId(
+                generateStructureId(filename, structures.length, record.title),
+                structures
+            );
+
+            structures.push(createStructure(id, filename, record.atoms, {
+                comment: record.title || undefined,
+                sdData: Object.keys(record.sdData).length > 0 ? record.sdData : undefined,
+                parseProvenance: record.version === 'V3000' ? 'molfile-v3000' : 'molfile-v2000',
+                warnings: record.warnings.length > 0 ? record.warnings : undefined
+            }, record.bonds));
+
+            warnings.push(...record.warnings.map(w => `Record ${recordIndex + 1}: ${w}`));
+        });
+
+        if (structures.length === 0) {
+            return createErrorResult(
+                warnings.length > 0
+                    ? `No valid structures found in MOL/SDF file (${warnings[0]})`
+                    : 'No valid structures found in MOL/SDF file'
+            );
+        }
+
+        return createSuccessResult(structures, 'sdf', warnings);
+
+    } catch (error) {
+        return createErrorResult(`MOL/SDF parsing failed: ${error.message}`);
+    }
+}
+
+/**
+ * Parse one molfile record (header, connection table and SD data items)
+ *
+ * @param {string[]} lines - Lines of one record
+ * @returns {{title: string, version: string, atoms: Atom[], bonds: Bond[], sdData: Object, warnings: string[], error?: string}}
+ */
+function parseMolfileRecord(lines) {
+    const title = (lines[0] || '').trim();
+    const countsLine = lines[3] || '';
+    const version = countsLine.includes('V3000') ? 'V3000' : 'V2000';
+    const warnings = [];
+
+    const ctab = version === 'V3000'
+        ? parseV3000Ctab(lines, warnings)
+        : parseV2000Ctab(lines, warnings);
+
+    if (ctab.error) {
+        return { ...ctab, title, version, sdData: {}, warnings };
+    }
+
+    return {
+        title,
+        version,
+        atoms: ctab.atoms,
+        bonds: ctab.bonds,
+        sdData: parseSDDataItems(lines, ctab.endLine),
+        warnings
+    };
+}
+
+/**
+ * Parse a V2000 connection table (fixed-column atom and bond blocks)
+ *
+ * @param {string[]} lines - Record lines
+ * @param {string[]} warnings - Warning accumulator
+ * @returns {{atoms: Atom[], bonds: Bond[], endLine: number, error?: string}}
+ */
+function parseV2000Ctab(lines, warnings) {
+    const countsLine = lines[3] || '';
+    const atomCount = parseInt(countsLine.substring(0, 3), 10);
+    const bondCount = parseInt(countsLine.substring(3, 6), 10);
+
+    if (!Number.isInteger(atomCount) || !Number.isInteger(bondCount)) {
+        return { error: 'Invalid V2000 counts line' };
+    }
+    if (lines.length < 4 + atomCount + bondCount) {
+        return { error: `Expected ${atomCount} atoms and ${bondCount} bonds, but the record is truncated` };
+    }
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+        const line = lines[4 + i];
+        const x = parseFloat(line.substring(0, 10));
+        const y = parseFloat(line.substring(10, 20));
+        const z = parseFloat(line.substring(20, 30));
+        const element = normalizeElement(line.substring(31, 34).trim());
+
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+            return { error: `Atom ${i + 1}: Non-numeric coordinates` };
+        }
+        atoms.push({ element, x, y, z });
+    }
+
+    const bonds = [];
+    for (let i = 0; i < bondCount; i++) {
+        const line = lines[4 + atomCount + i];
+        const bond = createBond(
+            parseInt(line.substring(0, 3), 10),
+            parseInt(line.substring(3, 6), 10),
+            parseInt(line.substring(6, 9), 10),
+            atoms.length
+        );
+        if (bond) {
+            bonds.push(bond);
+        } else {
+            warnings.push(`Bond ${i + 1}: Invalid atom reference - skipped`);
+        }
+    }
+
+    let endLine = 4 + atomCount + bondCount;
+    while (endLine < lines.length && !lines[endLine].startsWith('M  END')) {
+        endLine++;
+    }
+
+    return { atoms, bonds, endLine };
+}
+
+/**
+ * Parse a V3000 connection table ("M  V30" lines)
+ *
+ * Atom and bond indices in V3000 are arbitrary identifiers, so bonds are
+ * resolved through the atom index map rather than by position.
+ *
+ * @param {string[]} lines - Record lines
+ * @param {string[]} warnings - Warning accumulator
+ * @returns {{atoms: Atom[], bonds: Bond[], endLine: number, error?: string}}
+ */
+function parseV3000Ctab(lines, warnings) {
+    const atoms = [];
+    const bonds = [];
+    const atomIds = new Map();
+    let block = null;
+    let endLine = lines.length;
+    let pending = '';
+
+    for (let i = 4; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('M  END')) {
+            endLine = i;
+            break;
+        }
+        if (!line.startsWith('M  V30 ')) continue;
+
+        // Lines ending in "-" continue on the next "M  V30" line
+        const text = pending + line.substring(7);
+        if (text.endsWith('-')) {
+            pending = text.slice(0, -1);
+            continue;
+        }
+        pending = '';
+
+        const parts = text.trim().split(/\s+/);
+
+        if (parts[0] === 'BEGIN' || parts[0] === 'END') {
+            block = parts[0] === 'BEGIN' ? parts[1] : null;
+            continue;
+        }
+
+        if (block === 'ATOM') {
+            const x = parseFloat(parts[2]);
+            const y = parseFloat(parts[3]);
+            const z = parseFloat(parts[4]);
+            if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+                return { error: `Atom ${parts[0]}: Non-numeric coordinates` };
+            }
+            atomIds.set(parseInt(parts[0], 10), atoms.length);
+            atoms.push({ element: normalizeElement(parts[1]), x, y, z });
+        } else if (block === 'BOND') {
+            const a1 = atomIds.get(parseInt(parts[2], 10));
+            const a2 = atomIds.get(parseInt(parts[3], 10));
+            const bond = a1 !== undefined && a2 !== undefined
+                ? createBond(a1 + 1, a2 + 1, parseInt(parts[1], 10), atoms.length)
+                : null;
+            if (bond) {
+                bonds.push(bond);
+            } else {
+                warnings.push(`Bond ${parts[0]}: Invalid atom reference - skipped`);
+            }
+        }
+    }
+
+    if (atoms.length === 0) {
+        return { error: 'No V3000 atom block found' };
+    }
+
+    return { atoms, bonds, endLine };
+}
+
+/**
+ * Build a bond from 1-based molfile atom numbers
+ *
+ * @param {number} a1 - First atom (1-based)
+ * @param {number} a2 - Second atom (1-based)
+ * @param {number} order - Molfile bond type (1-3, 4 = aromatic, 8 = any, ...)
+ * @param {number} atomCount - Number of atoms in the record
+ * @returns {Bond|null} - Bond with 0-based indices, or null if out of range
+ */
+function createBond(a1, a2, order, atomCount) {
+    if (!Number.isInteger(a1) || !Number.isInteger(a2) ||
+        a1 < 1 || a2 < 1 || a1 > atomCount || a2 > atomCount || a1 === a2) {
+        return null;
+    }
+    return { atom1: a1 - 1, atom2: a2 - 1, order: Number.isInteger(order) ? order : 1 };
+}
+
+/**
+ * Read SD data items ("> <NAME>" header followed by value lines)
+ *
+ * @param {string[]} lines - Record lines
+ * @param {number} startLine - First line after the connection table
+ * @returns {Object<string, string>} - Data items keyed by field name
+ */
+function parseSDDataItems(lines, startLine) {
+    const data = {};
+
+    for (let i = startLine; i < lines.length; i++) {
+        const header = lines[i].match(/^>.*<([^>]+)>/);
+        if (!header) continue;
+
+        const values = [];
+        for (i = i + 1; i < lines.length && lines[i].trim() !== ''; i++) {
+            values.push(lines[i]);
+        }
+        data[header[1]] = values.join('\n');
+    }
+
+    return data;
+}
+
+/**
+ * Make a structure ID unique within a file (SD titles often repeat)
+ *
+ * @param {string} id - Candidate ID
+ * @param {Structure[]} structures - Structures created so far
+ * @returns {string}
+ */
+function uniqueStructureId(id, structures) {
+    const taken = new Set(structures.map(s => s.id));
+    if (!taken.has(id)) return id;
+
+    let n = 2;
+    while (taken.has(`${id}#${n}`)) n++;
+    return `${id}#${n}`;
+}
+
+/**
+ * Bohr radius in Ångströms (CODATA 2018), for coordinates printed in bohr
+ */
+const BOHR_TO_ANGSTROM = 0.529177210903;
+
+/**
+ * Identify quantum-chemistry program output from its banner
+ *
+ * Only the beginning of the file is searched; the banners are printed first.
+ *
+ * @param {string} content - File content
+ * @returns {'gaussian'|'orca'|'xtb'|null}
+ */
+function detectQuantumChemistryProgram(content) {
+    const head = content.slice(0, 20000);
+
+    if (/Entering Gaussian System|Gaussian, Inc\./.test(head)) {
+        return 'gaussian';
+    }
+    if (/O {3}R {3}C {3}A/.test(head)) {
+        return 'orca';
+    }
+    if (/\bx T B\b/.test(head)) {
+        return 'xtb';
+    }
+    return null;
+}
+
+/**
+ * Parse Gaussian output (.log / .out)
+ *
+ * Every "Standard orientation" block (or "Input orientation" for nosymm
+ * jobs) becomes a frame, paired with the last "SCF Done" energy printed
+ * before the next geometry.
+ *
+ * @param {string} content - Raw Gaussian output
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parseGaussianOutput(content, filename) {
+    try {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const header = content.includes('Standard orientation:')
+            ? 'Standard orientation:'
+            : 'Input orientation:';
+        const geometries = [];
+        const energies = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.includes(header)) {
+                // Title, dashes, two column-header lines, dashes
+                const atoms = [];
+                let j = i + 5;
+                for (; j < lines.length && !lines[j].includes('-----'); j++) {
+                    const parts = lines[j].trim().split(/\s+/);
+                    if (parts.length < 5) continue;
+
+                    const element = ELEMENTS_BY_NUMBER[parseInt(parts[1], 10)];
+                    const [x, y, z] = parts.slice(-3).map(parseFloat);
+                    // Dummy and ghost centres have atomic numbers <= 0
+                    if (element && [x, y, z].every(Number.isFinite)) {
+                        atoms.push({ element, x, y, z });
+                    }
+                }
+                geometries.push({ line: i, atoms });
+                i = j;
+            } else if (line.includes('SCF Done:')) {
+                const match = line.match(/=\s*(-?\d+\.\d+)/);
+                if (match) {
+                    energies.push({ line: i, value: parseFloat(match[1]) });
+                }
+            }
+        }
+
+        const converged = /Stationary point found|Optimization completed\./.test(content);
+        return buildOptimizationResult(
+            pairGeometriesWithEnergies(geometries, energies),
+            filename, 'gaussian', converged
+        );
+
+    } catch (error) {
+        return createErrorResult(`Gaussian output parsing failed: ${error.message}`);
+    }
+}
+
+/**
+ * Parse ORCA output (.out)
+ *
+ * Every "CARTESIAN COORDINATES (ANGSTROEM)" block becomes a frame, paired
+ * with the "FINAL SINGLE POINT ENERGY" printed for that geometry.
+ *
+ * @param {string} content - Raw ORCA output
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parseORCAOutput(content, filename) {
+    try {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const geometries = [];
+        const energies = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.trim() === 'CARTESIAN COORDINATES (ANGSTROEM)') {
+                const atoms = [];
+                let j = i + 2;
+                for (; j < lines.length && lines[j].trim() !== ''; j++) {
+                    const parts = lines[j].trim().split(/\s+/);
+                    if (parts.length < 4) continue;
+
+                    const element = normalizeElement(parts[0]);
+                    const [x, y, z] = parts.slice(1, 4).map(parseFloat);
+                    if (ATOMIC_DATA[element] && [x, y, z].every(Number.isFinite)) {
+                        atoms.push({ element, x, y, z });
+                    }
+                }
+                geometries.push({ line: i, atoms });
+                i = j;
+            } else if (line.includes('FINAL SINGLE POINT ENERGY')) {
+                const value = parseFloat(line.trim().split(/\s+/).pop());
+                if (Number.isFinite(value)) {
+                    energies.push({ line: i, value });
+                }
+            }
+        }
+
+        const converged = content.includes('THE OPTIMIZATION HAS CONVERGED');
+        return buildOptimizationResult(
+            pairGeometriesWithEnergies(geometries, energies),
+            filename, 'orca', converged
+        );
+
+    } catch (error) {
+        return createErrorResult(`ORCA output parsing failed: ${error.message}`);
+    }
+}
+
+/**
+ * Parse xTB standard output
+ *
+ * xTB prints coordinates only for the optimized geometry ("final
+ * structure:"), either as XYZ or as a Turbomole $coord block in bohr. The
+ * optimization trajectory (xtbopt.log) is a multi-frame XYZ file and goes
+ * through the XYZ parser, which reads the energies from its comment lines
+ * and selects the last frame by default.
+ *
+ * @param {string} content - Raw xTB output
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parseXTBOutput(content, filename) {
+    try {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const start = lines.findIndex(line => line.trim() === 'final structure:');
+
+        if (start < 0) {
+            return createErrorResult(
+                'No final structure found in xTB output - only optimization runs (--opt) print coordinates'
+            );
+        }
+
+        let i = start + 1;
+        while (i < lines.length && /^\s*(=*)\s*$/.test(lines[i])) i++;
+
+        const atoms = [];
+        const first = (lines[i] || '').trim();
+
+        if (first === '$coord') {
+            for (i++; i < lines.length && !lines[i].trim().startsWith('$'); i++) {
+                const parts = lines[i].trim().split(/\s+/);
+                const [x, y, z] = parts.slice(0, 3).map(v => parseFloat(v) * BOHR_TO_ANGSTROM);
+                const element = normalizeElement(parts[3]);
+                if (ATOMIC_DATA[element] && [x, y, z].every(Number.isFinite)) {
+                    atoms.push({ element, x, y, z });
+                }
+            }
+        } else if (/^\d+$/.test(first)) {
+            const atomCount = parseInt(first, 10);
+            for (let j = i + 2; j < i + 2 + atomCount && j < lines.length; j++) {
+                const parts = lines[j].trim().split(/\s+/);
+                const element = normalizeElement(parts[0]);
+                const [x, y, z] = parts.slice(1, 4).map(parseFloat);
+                if (ATOMIC_DATA[element] && [x, y, z].every(Number.isFinite)) {
+                    atoms.push({ element, x, y, z });
+                }
+            }
+        } else {
+            return createErrorResult('Unsupported coordinate format in xTB final structure (expected XYZ or $coord)');
+        }
+
+        const energyLines = content.match(/TOTAL ENERGY\s+-?\d+\.\d+\s+Eh/g) || [];
+        const lastEnergy = energyLines.length > 0
+            ? parseFloat(energyLines[energyLines.length - 1].match(/-?\d+\.\d+/)[0])
+            : null;
+        const converged = !content.includes('FAILED TO CONVERGE GEOMETRY OPTIMIZATION');
+
+        return buildOptimizationResult([{ atoms, energy: lastEnergy }], filename, 'xtb', converged);
+
+    } catch (error) {
+        return createErrorResult(`xTB output parsing failed: ${error.message}`);
+    }
+}
+
+/**
+ * Pair each geometry with the last energy printed before the next geometry
+ *
+ * Programs reprint the converged geometry (Gaussian after "Stationary point
+ * found", ORCA for the final energy evaluation, Link1 frequency jobs), so
+ * consecutive identical geometries are merged into one frame.
+ *
+ * @param {Array<{line: number, atoms: Atom[]}>} geometries - Geometry blocks in file order
+ * @param {Array<{line: number, value: number}>} energies - Energies in file order
+ * @returns {Array<{atoms: Atom[], energy: number|null}>}
+ */
+function pairGeometriesWithEnergies(geometries, energies) {
+    const frames = [];
+
+    geometries.forEach((geometry, i) => {
+        const end = i + 1 < geometries.length ? geometries[i + 1].line : Infinity;
+        const inWindow = energies.filter(e => e.line > geometry.line && e.line < end);
+        const energy = inWindow.length > 0 ? inWindow[inWindow.length - 1].value : null;
+
+        const previous = frames[frames.length - 1];
+        if (previous && sameGeometry(previous.atoms, geometry.atoms)) {
+            if (previous.energy === null) previous.energy = energy;
+            return;
+        }
+        if (geometry.atoms.length > 0) {
+            frames.push({ atoms: geometry.atoms, energy });
+        }
+    });
+
+    return frames;
+}
+
+/**
+ * Check whether two atom lists describe the same geometry
+ *
+ * @param {Atom[]} a - First atom list
+ * @param {Atom[]} b - Second atom list
+ * @returns {boolean}
+ */
+function sameGeometry(a, b) {
+    return a.length === b.length && a.every((atom, i) =>
+        atom.element === b[i].element &&
+        Math.abs(atom.x - b[i].x) < 1e-6 &&
+        Math.abs(atom.y - b[i].y) < 1e-6 &&
+        Math.abs(atom.z - b[i].z) < 1e-6
+    );
+}
+
+/**
+ * Build the ParseResult for a geometry optimization
+ *
+ * Each step becomes a Structure with its energy (Hartree) in metadata. The
+ * final geometry is selected by default via `defaultStructureIndex`.
+ *
+ * @param {Array<{atoms: Atom[], energy: number|null}>} frames - Optimization steps
+ * @param {string} filename - Source filename
+ * @param {'gaussian'|'orca'|'xtb'} format - Source program
+ * @param {boolean} converged - Whether the program reported convergence
+ * @returns {ParseResult}
+ */
+function buildOptimizationResult(frames, filename, format, converged) {
+    const programName = { gaussian: 'Gaussian', orca: 'ORCA', xtb: 'xTB' }[format];
+    const warnings = [];
+
+    if (frames.length === 0 || frames[0].atoms.length === 0) {
+        return createErrorResult(`No geometries found in ${programName} output`);
+    }
+
+    if (!converged) {
+        warnings.push(`${programName} optimization did not converge - the final frame is not a stationary point`);
+    }
+    if (frames.some(f => f.energy === null)) {
+        warnings.push('Some geometries have no energy');
+    }
+
+    const baseName = filename.replace(/\.(log|out|txt)$/i, '');
+    const structures = frames.map((frame, i) => {
+        const id = frames.length === 1
+            ? baseName
+            : `${baseName}:step-${String(i + 1).padStart(3, '0')}`;
+
+        return createStructure(id, filename, frame.atoms, {
+            comment: frame.energy !== null ? `E = ${frame.energy.toFixed(8)} Eh` : undefined,
+            energy: frame.energy ?? undefined,
+            optimizationStep: i + 1,
+            isFinalGeometry: i === frames.length - 1,
+            parseProvenance: format
+        });
+    });
+
+    return {
+        ...createSuccessResult(structures, format, warnings),
+        defaultStructureIndex: structures.length - 1
+    };
+}
+
+/**
+ * Read the energy from an XYZ comment line written by optimizers
+ * (xTB: " energy: -42.123456 gnorm: 0.000123 xtb: 6.6.1")
+ *
+ * Extended XYZ "energy=" keys are not read: writers such as ASE use eV,
+ * while metadata.energy is in Hartree.
+ *
+ * @param {string} comment - XYZ comment line
+ * @returns {number|undefined} - Energy in Hartree
+ */
+function parseCommentEnergy(comment) {
+    const match = comment && comment.match(/\benergy:\s*(-?\d+\.\d+)/i);
+    return match ? parseFloat(match[1]) : undefined;
+}
+
+/**
+ * Column layout of plain XYZ atom lines: species, then x y z
+ */
+const DEFAULT_XYZ_COLUMNS = { species: 0, pos: 1, width: 4 };
+
+/**
+ * Parse an extended XYZ comment line
+ *
+ * Reads Lattice="ax ay az bx by bz cx cy cz", pbc="T T T" and
+ * Properties=name:type:count:... (columns of the atom lines).
+ *
+ * @param {string} comment - XYZ comment line
+ * @returns {{lattice: number[][]|null, pbc: boolean[], columns: Object}|null} - null for plain XYZ
+ */
+function parseExtendedXYZHeader(comment) {
+    const fields = {};
+    const pattern = /(\w+)\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(comment)) !== null) {
+        fields[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+
+    if (fields.lattice === undefined && fields.properties === undefined) {
+        return null;
+    }
+
+    let lattice = null;
+    if (fields.lattice !== undefined) {
+        const values = fields.lattice.trim().split(/\s+/).map(parseFloat);
+        if (values.length === 9 && values.every(Number.isFinite)) {
+            lattice = [values.slice(0, 3), values.slice(3, 6), values.slice(6, 9)];
+        }
+    }
+
+    // Lattice implies full periodicity unless pbc says otherwise
+    const pbc = fields.pbc !== undefined
+        ? fields.pbc.trim().split(/\s+/).map(v => /^(t|true|1)$/i.test(v))
+        : [true, true, true];
+
+    let columns = DEFAULT_XYZ_COLUMNS;
+    if (fields.properties !== undefined) {
+        const parts = fields.properties.split(':');
+        const found = {};
+        let offset = 0;
+        for (let i = 0; i + 2 < parts.length; i += 3) {
+            found[parts[i].toLowerCase()] = offset;
+            offset += parseInt(parts[i + 2], 10) || 1;
+        }
+        if (found.species !== undefined && found.pos !== undefined) {
+            columns = { species: found.species, pos: found.pos, width: offset };
+        }
+    }
+
+    return { lattice, pbc, columns };
+}
+
+/**
+ * Check whether content has the POSCAR layout
+ *
+ * Line 2 is the scaling factor, lines 3-5 are lattice vectors and the atom
+ * counts follow on line 6 (VASP 4) or 7 (VASP 5+).
+ *
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+function isPOSCARContent(content) {
+    const lines = content.replace(/\r\n?/g, '\n').split('\n').map(l => l.trim());
+    const numbers = line => (line || '').split(/\s+/).map(Number);
+    const isCounts = line => /^\d+(\s+\d+)*$/.test(line || '');
+
+    return numbers(lines[1]).every(Number.isFinite) &&
+           [2, 3, 4].every(i => numbers(lines[i]).length === 3 && numbers(lines[i]).every(Number.isFinite)) &&
+           (isCounts(lines[5]) || isCounts(lines[6]));
+}
+
+/**
+ * Parse VASP POSCAR / CONTCAR content
+ *
+ * Supports VASP 4 (element names taken from the comment line) and VASP 5+
+ * (species line), negative scaling factors (target volume), Direct and
+ * Cartesian coordinates, and "Selective dynamics" flags, which are kept on
+ * each atom as `selectiveDynamics`. The lattice goes into metadata.unitCell;
+ * positions are re-expressed in the standard cell orientation.
+ *
+ * @param {string} content - Raw POSCAR content
+ * @param {string} filename - Source filename
+ * @returns {ParseResult}
+ */
+export function parsePOSCAR(content, filename) {
+    const warnings = [];
+
+    try {
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const comment = (lines[0] || '').trim();
+        const numbers = line => (line || '').trim().split(/\s+/).map(Number);
+
+        const scaling = numbers(lines[1]);
+        const rawVectors = [2, 3, 4].map(i => numbers(lines[i]).slice(0, 3));
+
+        if (!scaling.every(Number.isFinite) ||
+            !rawVectors.every(v => v.length === 3 && v.every(Number.isFinite))) {
+            return createErrorResult('Invalid POSCAR header: expected scaling factor and three lattice vectors');
+        }
+
+        // Species line (VASP 5+) or counts directly (VASP 4)
+        let lineIndex = 5;
+        let species = null;
+        const speciesTokens = (lines[lineIndex] || '').trim().split(/\s+/);
+        if (!speciesTokens.every(t => /^\d+$/.test(t))) {
+            // POTCAR-style labels such as "Fe_pv" or "Fe/abc123"
+            species = speciesTokens.map(t => normalizeElement(t.split(/[_/]/)[0]));
+            lineIndex++;
+        }
+
+        const counts = (lines[lineIndex] || '').trim().split(/\s+/).map(t => parseInt(t, 10));
+        lineIndex++;
+        if (counts.length === 0 || !counts.every(n => Number.isInteger(n) && n >= 0)) {
+            return createErrorResult('Invalid POSCAR atom counts line');
+        }
+
+        if (!species) {
+            species = comment.split(/\s+/).map(normalizeElement).filter(el => ATOMIC_DATA[el]);
+            if (species.length !== counts.length) {
+                return createErrorResult(
+                    'POSCAR has no species line (VASP 4 format) and the comment line does not list the elements'
+                );
+            }
+            warnings.push('VASP 4 format - element names taken from the comment line');
+        }
+
+        if (species.length !== counts.length) {
+            return createErrorResult(`POSCAR lists ${species.length} species but ${counts.length} atom counts`);
+        }
+        const unknown = species.filter(el => !ATOMIC_DATA[el]);
+        if (unknown.length > 0) {
+            warnings.push(`Unknown element(s) ${unknown.join(', ')} (will use defaults)`);
+        }
+
+        const selective = /^s/i.test((lines[lineIndex] || '').trim());
+        if (selective) lineIndex++;
+
+        const cartesian = /^[ck]/i.test((lines[lineIndex] || '').trim());
+        lineIndex++;
+
+        // A single negative scaling factor is the target cell volume;
+        // three values scale the x, y and z components separately
+        let axisScale;
+        if (scaling.length === 3) {
+            axisScale = scaling;
+        } else if (scaling[0] < 0) {
+            const [a, b, c] = rawVectors;
+            const volume = Math.abs(
+                a[0] * (b[1] * c[2] - b[2] * c[1]) -
+                a[1] * (b[0] * c[2] - b[2] * c[0]) +
+                a[2] * (b[0] * c[1] - b[1] * c[0])
+            );
+            const factor = Math.cbrt(-scaling[0] / volume);
+            axisScale = [factor, factor, factor];
+        } else {
+            axisScale = [scaling[0], scaling[0], scaling[0]];
+        }
+        const vectors = rawVectors.map(v => v.map((x, k) => x * axisScale[k]));
+
+        const elements = species.flatMap((el, i) => Array(counts[i]).fill(el));
+        if (lineIndex + elements.length > lines.length) {
+            return createErrorResult(
+                `POSCAR claims ${elements.length} atoms but only has ${Math.max(0, lines.length - lineIndex)} coordinate lines`
+            );
+        }
+
+        const atoms = [];
+        for (let i = 0; i < elements.length; i++) {
+            const parts = lines[lineIndex + i].trim().split(/\s+/);
+            const [u, v, w] = parts.slice(0, 3).map(Number);
+
+            if (![u, v, w].every(Number.isFinite)) {
+                return createErrorResult(`Line ${lineIndex + i + 1}: Non-numeric coordinates`);
+            }
+
+            const position = cartesian
+                ? [u * axisScale[0], v * axisScale[1], w * axisScale[2]]
+                : [0, 1, 2].map(k => u * vectors[0][k] + v * vectors[1][k] + w * vectors[2][k]);
+
+            const atom = { element: elements[i], x: position[0], y: position[1], z: position[2] };
+            if (selective) {
+                atom.selectiveDynamics = parts.slice(3, 6).map(flag => /^t/i.test(flag));
+            }
+            atoms.push(atom);
+        }
+
+        if (atoms.length === 0) {
+            return createErrorResult('No atoms found in POSCAR file');
+        }
+
+        const aligned = alignToStandardCell(atoms, vectors);
+        if (aligned.leftHanded) {
+            warnings.push('Left-handed lattice - coordinates mirrored into a right-handed cell');
+        }
+
+        const structure = createStructure(
+            generateStructureId(filename, 0, comment),
+            filename,
+            aligned.atoms,
+            {
+                comment,
+                unitCell: aligned.unitCell,
+                parseProvenance: 'poscar'
+            }
+        );
+
+        return createSuccessResult([structure], 'poscar', warnings);
+
+    } catch (error) {
+        return createErrorResult(`POSCAR parsing failed: ${error.message}`);
+    }
+}
+
 /**
  * Normalize element symbol
  *
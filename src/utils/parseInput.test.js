@@ -4,7 +4,8 @@
  * Tests for the unified parser that handles XYZ (single/multi-frame) and CIF files.
  */
 
-import { parseInput, detectFormat, parseXYZMultiFrame, parseCIF } from './parseInput';
+import { parseInput, parseInputFiles, detectFormat, parseXYZMultiFrame, parseCIF, parseSymmetryOperator, parseStandardUncertainty, parseMmCIF, parseSDF, parseXTBOutput, parsePOSCAR } from './parseInput';
+import { formatAtomLabel } from './atomLabels';
 
 describe('parseInput - Format Detection', () => {
     it('should detect XYZ format from extension', () => {
@@ -263,6 +264,830 @@ _cell_length_a 10.0`;
     });
 });
 
+describe('parseInput - CIF Symmetry Expansion', () => {
+    // Fe on the inversion centre of P-1 with three independent donors;
+    // the other three donors are generated by -x,-y,-z.
+    const centrosymmetricCIF = `data_FeP1bar
+_cell_length_a 10.0
+_cell_length_b 10.0
+_cell_length_c 10.0
+_cell_angle_alpha 90
+_cell_angle_beta 90
+_cell_angle_gamma 90
+_symmetry_space_group_name_H-M P-1
+
+loop_
+_symmetry_equiv_pos_site_id
+_symmetry_equiv_pos_as_xyz
+1 'x, y, z'
+2 '-x, -y, -z'
+
+loop_
+_atom_site_label
+_atom_site_type_symbol
+_atom_site_fract_x
+_atom_site_fract_y
+_atom_site_fract_z
+Fe1 Fe 0.5 0.5 0.5
+N1 N 0.7 0.5 0.5
+O1 O 0.5 0.7 0.5
+Cl1 Cl 0.5 0.5 0.28`;
+
+    it('should parse symmetry operators in xyz notation', () => {
+        const op = parseSymmetryOperator('-x+1/2, y, -z+0.5');
+        expect(op.rotation).toEqual([[-1, 0, 0], [0, 1, 0], [0, 0, -1]]);
+        expect(op.translation).toEqual([0.5, 0, 0.5]);
+
+        const hexagonal = parseSymmetryOperator('x-y,x,z+1/6');
+        expect(hexagonal.rotation).toEqual([[1, -1, 0], [1, 0, 0], [0, 0, 1]]);
+        expect(hexagonal.translation[2]).toBeCloseTo(1 / 6, 10);
+
+        expect(parseSymmetryOperator('x,y')).toBeNull();
+        expect(parseSymmetryOperator('x,y,q')).toBeNull();
+    });
+
+    it('should generate symmetry-equivalent donors and merge special positions', () => {
+        const result = parseInput(centrosymmetricCIF, 'fe.cif');
+        const structure = result.structures[0];
+
+        expect(result.valid).toBe(true);
+        expect(structure.atoms.length).toBe(7);
+        expect(structure.atoms.filter(a => a.element === 'Fe').length).toBe(1);
+        expect(structure.metadata.symmetryOperators).toEqual(['x,y,z', '-x,-y,-z']);
+        expect(structure.metadata.asymmetricUnitAtomCount).toBe(4);
+
+        const fe = structure.atoms[0];
+        const neighbours = structure.atoms.filter(a => a !== fe && Math.hypot(
+            a.x - fe.x, a.y - fe.y, a.z - fe.z
+        ) < 2.5);
+        expect(neighbours.length).toBe(6);
+    });
+
+    it('should record the operator and lattice translation for each atom', () => {
+        const result = parseInput(centrosymmetricCIF, 'fe.cif');
+        const atoms = result.structures[0].atoms;
+
+        const n1 = atoms.find(a => a.label === 'N1' && a.symmetry.operatorIndex === 0);
+        expect(n1.symmetry).toEqual({ operator: 'x,y,z', operatorIndex: 0, translation: [0, 0, 0] });
+
+        // -x,-y,-z maps (0.7, 0.5, 0.5) to (-0.7, -0.5, -0.5); +(1,1,1) brings it into the cell
+        const n1Image = atoms.find(a => a.label === 'N1' && a.symmetry.operatorIndex === 1);
+        expect(n1Image.symmetry.operator).toBe('-x,-y,-z');
+        expect(n1Image.symmetry.translation).toEqual([1, 1, 1]);
+        expect(n1Image.x).toBeCloseTo(3.0, 6);
+        expect(n1Image.y).toBeCloseTo(5.0, 6);
+    });
+
+    it('should accept unquoted operators and the CIF 2 symop tag', () => {
+        const content = centrosymmetricCIF.replace(
+            `loop_
+_symmetry_equiv_pos_site_id
+_symmetry_equiv_pos_as_xyz
+1 'x, y, z'
+2 '-x, -y, -z'`,
+            `loop_
+_space_group_symop_operation_xyz
+-x, -y, -z`
+        );
+
+        const result = parseInput(content, 'fe.cif');
+        expect(result.structures[0].atoms.length).toBe(7);
+        // Identity is added when the loop omits it
+        expect(result.structures[0].metadata.symmetryOperators[0]).toBe('x,y,z');
+    });
+
+    it('should leave the asymmetric unit untouched when only the identity is listed', () => {
+        const content = centrosymmetricCIF.replace(`2 '-x, -y, -z'\n`, '');
+        const result = parseInput(content, 'fe.cif');
+
+        expect(result.structures[0].atoms.length).toBe(4);
+        expect(result.structures[0].metadata.symmetryOperators).toBeUndefined();
+    });
+});
+
+describe('parseInput - CIF Standard Uncertainties', () => {
+    const suCIF = `data_su
+_cell_length_a 10.0
+_cell_length_b 10.0
+_cell_length_c 20.0
+_cell_angle_alpha 90
+_cell_angle_beta 90
+_cell_angle_gamma 90
+
+loop_
+_symmetry_equiv_pos_as_xyz
+'x, y, z'
+'-y, x, z'
+
+loop_
+_atom_site_label
+_atom_site_type_symbol
+_atom_site_fract_x
+_atom_site_fract_y
+_atom_site_fract_z
+Cu1 Cu 0.5 0.5 0.5
+O1 O 0.6012(3) 0.5000(10) 0.5`;
+
+    it('should read the s.u. of CIF numbers', () => {
+        expect(parseStandardUncertainty('0.12345(7)')).toBeCloseTo(0.00007, 12);
+        expect(parseStandardUncertainty('12.3(12)')).toBeCloseTo(1.2, 12);
+        expect(parseStandardUncertainty('-0.250(3)')).toBeCloseTo(0.003, 12);
+        expect(parseStandardUncertainty('1.5e-2(4)')).toBeCloseTo(0.004, 12);
+        expect(parseStandardUncertainty('0.5')).toBe(0);
+        expect(parseStandardUncertainty('?')).toBe(0);
+    });
+
+    it('should store Cartesian s.u. in Å on each atom', () => {
+        const atoms = parseInput(suCIF, 'su.cif').structures[0].atoms;
+
+        const o1 = atoms.find(a => a.label === 'O1' && a.symmetry.operatorIndex === 0);
+        expect(o1.su[0]).toBeCloseTo(0.003, 10); // 0.0003 × a
+        expect(o1.su[1]).toBeCloseTo(0.01, 10); // 0.0010 × b
+        expect(o1.su[2]).toBe(0);
+        expect(atoms.find(a => a.label === 'Cu1').su).toBeUndefined();
+    });
+
+    it('should carry s.u. through symmetry operators', () => {
+        const atoms = parseInput(suCIF, 'su.cif').structures[0].atoms;
+
+        // -y, x, z swaps the x and y uncertainties
+        const image = atoms.find(a => a.label === 'O1' && a.symmetry.operatorIndex === 1);
+        expect(image.su[0]).toBeCloseTo(0.01, 10);
+        expect(image.su[1]).toBeCloseTo(0.003, 10);
+    });
+});
+
+describe('parseInput - CIF Disorder', () => {
+    // Cu with a water disordered over two sites (assembly A) and a
+    // counter-ion carbon disordered far from the metal (assembly B)
+    const disorderedCIF = `data_block1
+_cell_length_a 10.0
+_cell_length_b 10.0
+_cell_length_c 10.0
+_cell_angle_alpha 90
+_cell_angle_beta 90
+_cell_angle_gamma 90
+
+loop_
+_atom_site_label
+_atom_site_type_symbol
+_atom_site_fract_x
+_atom_site_fract_y
+_atom_site_fract_z
+_atom_site_occupancy
+_atom_site_disorder_assembly
+_atom_site_disorder_group
+Cu1 Cu 0.5 0.5 0.5 1 . .
+N1 N 0.7 0.5 0.5 1 . .
+N2 N 0.3 0.5 0.5 1 . .
+O1A O 0.5 0.7 0.5 0.62(3) A 1
+O1B O 0.5 0.68 0.56 0.38(3) A 2
+C9A C 0.05 0.05 0.05 0.3 B 1
+C9B C 0.06 0.05 0.05 0.7 B 2`;
+
+    it('should read occupancy and disorder columns', () => {
+        const result = parseInput(disorderedCIF, 'cu.cif');
+        const atoms = result.structures[0].atoms;
+
+        const o1a = atoms.find(a => a.label === 'O1A');
+        expect(o1a.occupancy).toBeCloseTo(0.62, 10);
+        expect(o1a.disorderAssembly).toBe('A');
+        expect(o1a.disorderGroup).toBe('1');
+
+        const n1 = atoms.find(a => a.label === 'N1');
+        expect(n1.occupancy).toBe(1);
+        expect(n1.disorderGroup).toBeUndefined();
+    });
+
+    it('should create one structure per disorder group around the metal', () => {
+        const result = parseInput(disorderedCIF, 'cu.cif');
+
+        expect(result.valid).toBe(true);
+        expect(result.structures.map(s => s.id)).toEqual(['block1:partA', 'block1:partB']);
+
+        const [partA, partB] = result.structures;
+        expect(partA.atoms.map(a => a.label)).toEqual(['Cu1', 'N1', 'N2', 'O1A', 'C9B']);
+        expect(partB.atoms.map(a => a.label)).toEqual(['Cu1', 'N1', 'N2', 'O1B', 'C9B']);
+        expect(partB.metadata.disorder).toEqual({
+            label: 'partB',
+            groups: [{ assembly: 'A', group: '2' }, { assembly: 'B', group: '2' }]
+        });
+    });
+
+    it('should keep the major part of disorder away from the metal', () => {
+        const content = disorderedCIF.replace(/ A [12]$/gm, ' . .');
+        const result = parseInput(content, 'cu.cif');
+
+        expect(result.structures.length).toBe(1);
+        expect(result.structures[0].id).toBe('block1');
+        expect(result.structures[0].atoms.filter(a => a.element === 'C').map(a => a.label)).toEqual(['C9B']);
+        expect(result.structures[0].metadata.disorder.label).toBeNull();
+        expect(result.warnings.some(w => w.includes('major part of 1 disorder assembly'))).toBe(true);
+        expect(result.warnings.some(w => w.includes('partial occupancy but no disorder group'))).toBe(true);
+    });
+
+    it('should leave ordered structures unchanged', () => {
+        const content = disorderedCIF.replace(/^(O1B|C9A|C9B) .*\n?/gm, '').replace(/ [AB] 1$/gm, ' . .');
+        const result = parseInput(content, 'cu.cif');
+
+        expect(result.structures.length).toBe(1);
+        expect(result.structures[0].id).toBe('block1');
+        expect(result.structures[0].metadata.disorder).toBeUndefined();
+    });
+});
+
+describe('parseInput - PDB', () => {
+    // Zn(His)3 site with a disordered serine (altLoc A/B), a water and a
+    // second, isolated zinc in chain B
+    const pdb = `HEADER    HYDROLASE                               01-JAN-00   1ABC
+CRYST1   50.000   50.000   50.000  90.00  90.00  90.00 P 1           1
+ATOM      1  NE2 HIS A  93       2.000   0.000   0.000  1.00 20.00           N
+ATOM      2  NE2 HIS A  95      -2.000   0.000   0.000  1.00 20.00           N
+ATOM      3  ND1 HIS A 118       0.000   2.000   0.000  1.00 20.00           N
+ATOM      4  OG ASER A 120       0.000  -2.000   0.000  1.00 20.00           O
+ATOM      5  OG BSER A 120       0.000  -2.300   0.500  1.00 20.00           O
+HETATM    6 ZN    ZN A 301       0.000   0.000   0.000  1.00 20.00          ZN
+HETATM    7 ZN    ZN B 302      20.000   0.000   0.000  1.00 20.00          ZN
+HETATM    8  O   HOH A 401       0.000   0.000   2.100  1.00 20.00           O
+END`;
+
+    it('should detect PDB by extension and content', () => {
+        expect(detectFormat(pdb, 'site.pdb')).toBe('pdb');
+        expect(detectFormat(pdb, 'pdb1abc.ent')).toBe('pdb');
+        expect(detectFormat(pdb, 'site.txt')).toBe('pdb');
+    });
+
+    it('should keep residue, chain, number and altLoc on each atom', () => {
+        const result = parseInput(pdb, 'site.pdb');
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('pdb');
+
+        const atoms = result.structures[0].atoms;
+        expect(atoms).toHaveLength(7);
+        expect(atoms[0]).toMatchObject({
+            element: 'N',
+            atomName: 'NE2',
+            residueName: 'HIS',
+            chainId: 'A',
+            residueNumber: 93,
+            isHetatm: false
+        });
+        expect(atoms[3].altLoc).toBe('A');
+        expect(atoms[4]).toMatchObject({ element: 'Zn', residueName: 'ZN', isHetatm: true });
+    });
+
+    it('should keep only the first alternate location', () => {
+        const result = parseInput(pdb, 'site.pdb');
+        const serines = result.structures[0].atoms.filter(a => a.residueName === 'SER');
+        expect(serines).toHaveLength(1);
+        expect(serines[0].y).toBeCloseTo(-2.0, 5);
+        expect(result.warnings.some(w => w.includes('alternate-location'))).toBe(true);
+        result.structures.forEach(structure => {
+            expect(structure.metadata.warnings).toEqual(result.warnings);
+        });
+    });
+
+    it('should create one structure per metal HETATM', () => {
+        const result = parseInput(pdb, 'site.pdb');
+        expect(result.structures).toHaveLength(2);
+        expect(result.structures.map(s => s.id)).toEqual(['site:ZN A 301', 'site:ZN B 302']);
+
+        const [first, second] = result.structures;
+        expect(first.atoms[first.metadata.metalIndex].chainId).toBe('A');
+        expect(second.atoms[second.metadata.metalIndex].chainId).toBe('B');
+        expect(first.metadata.parseProvenance).toBe('pdb');
+        expect(first.metadata.unitCell).toBeUndefined();
+    });
+
+    it('should format donor labels from residue information', () => {
+        const atoms = parseInput(pdb, 'site.pdb').structures[0].atoms;
+        expect(formatAtomLabel(atoms[0])).toBe('HIS A 93 NE2');
+        expect(formatAtomLabel(atoms[4])).toBe('ZN A 301');
+        expect(formatAtomLabel({ element: 'Fe', label: 'Fe1' })).toBe('Fe1');
+        expect(formatAtomLabel({ element: 'O' })).toBe('O');
+    });
+
+    it('should infer elements from atom names when element columns are missing', () => {
+        const truncated = pdb.split('\n').map(line => line.substring(0, 66)).join('\n');
+        const atoms = parseInput(truncated, 'site.pdb').structures[0].atoms;
+        expect(atoms.map(a => a.element)).toEqual(['N', 'N', 'N', 'O', 'Zn', 'Zn', 'O']);
+    });
+
+    it('should read only the first model', () => {
+        const models = `MODEL        1
+HETATM    1 ZN    ZN A 301       0.000   0.000   0.000  1.00 20.00          ZN
+ENDMDL
+MODEL        2
+HETATM    1 ZN    ZN A 301       0.100   0.000   0.000  1.00 20.00          ZN
+ENDMDL`;
+        const result = parseInput(models, 'nmr.pdb');
+        expect(result.structures).toHaveLength(1);
+        expect(result.structures[0].atoms).toHaveLength(1);
+        expect(result.warnings.some(w => w.includes('first MODEL'))).toBe(true);
+    });
+
+    it('should fall back to a single structure without metal HETATMs', () => {
+        const result = parseInput(pdb.split('\n').filter(l => !l.includes(' ZN ')).join('\n'), 'apo.pdb');
+        expect(result.valid).toBe(true);
+        expect(result.structures).toHaveLength(1);
+        expect(result.warnings.some(w => w.includes('No metal HETATM'))).toBe(true);
+    });
+
+    it('should return an error for PDB files without atoms', () => {
+        const result = parseInput('HEADER    EMPTY\nEND', 'empty.pdb');
+        expect(result.valid).toBe(false);
+    });
+});
+
+describe('parseInput - mmCIF', () => {
+    const mmcif = `data_1ABC
+#
+_entry.id 1ABC
+#
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_alt_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.pdbx_PDB_ins_code
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.auth_seq_id
+_atom_site.auth_comp_id
+_atom_site.auth_asym_id
+_atom_site.auth_atom_id
+_atom_site.pdbx_PDB_model_num
+ATOM   1 N  NE2 . HIS A 90  ? 2.000  0.000  0.000 93  HIS A NE2 1
+ATOM   2 N  NE2 . HIS A 92  ? -2.000 0.000  0.000 95  HIS A NE2 1
+ATOM   3 N  ND1 . HIS A 115 ? 0.000  2.000  0.000 118 HIS A ND1 1
+HETATM 4 ZN ZN  . ZN  C .   ? 0.000  0.000  0.000 301 ZN  A ZN  1
+HETATM 5 O  O   . HOH D .   ? 0.000  0.000  2.100 401 HOH A O   1
+HETATM 6 ZN ZN  . ZN  C .   ? 0.100  0.000  0.000 301 ZN  A ZN  2
+#`;
+
+    it('should detect mmCIF separately from small-molecule CIF', () => {
+        expect(detectFormat(mmcif, '1abc.cif')).toBe('mmcif');
+        expect(detectFormat(mmcif, '1abc.mmcif')).toBe('mmcif');
+        expect(detectFormat(mmcif, '1abc.txt')).toBe('mmcif');
+    });
+
+    it('should prefer author numbering and read the first model', () => {
+        const result = parseInput(mmcif, '1abc.cif');
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('mmcif');
+        expect(result.structures).toHaveLength(1);
+
+        const structure = result.structures[0];
+        expect(structure.id).toBe('1abc:ZN A 301');
+        expect(structure.atoms).toHaveLength(5);
+        expect(structure.atoms[0]).toMatchObject({
+            element: 'N',
+            residueName: 'HIS',
+            chainId: 'A',
+            residueNumber: 93,
+            atomName: 'NE2'
+        });
+        expect(structure.atoms[0].altLoc).toBeUndefined();
+        expect(structure.atoms[structure.metadata.metalIndex].element).toBe('Zn');
+        expect(result.warnings.some(w => w.includes('first model'))).toBe(true);
+    });
+
+    it('should return an error without an _atom_site table', () => {
+        const result = parseMmCIF('data_empty\n_entry.id EMPTY\n', 'empty.cif');
+        expect(result.valid).toBe(false);
+    });
+});
+
+describe('parseInput - MOL/SDF', () => {
+    const v2000 = `CpFeCl
+  QShape  3D
+
+  7  6  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 Fe  0  0  0  0  0  0  0  0  0  0  0  0
+    1.0000    0.0000    1.6000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.3100    0.9500    1.6000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.8100    0.5900    1.6000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.8100   -0.5900    1.6000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.3100   -0.9500    1.6000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.0000    0.0000   -2.2000 Cl  0  0  0  0  0  0  0  0  0  0  0  0
+  2  3  4  0
+  3  4  4  0
+  4  5  4  0
+  5  6  4  0
+  6  2  4  0
+  1  7  1  0
+M  END
+> <CSD_REFCODE>
+ABCDEF
+
+> <COMMENT>
+line one
+line two
+
+$$$$
+`;
+
+    const v3000 = `
+  QShape  3D
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 3 2 0 0 0
+M  V30 BEGIN ATOM
+M  V30 10 Cu 0.0 0.0 0.0 0
+M  V30 20 N 2.0 0.0 0.0 0
+M  V30 30 N -2.0 0.0 -
+M  V30 0.0 0
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 10 20
+M  V30 2 1 10 30
+M  V30 END BOND
+M  V30 END CTAB
+M  END
+$$$$
+`;
+
+    it('should detect MOL/SDF by extension and counts line', () => {
+        expect(detectFormat(v2000, 'cp.sdf')).toBe('sdf');
+        expect(detectFormat(v2000, 'cp.mol')).toBe('sdf');
+        expect(detectFormat(v2000, 'cp.txt')).toBe('sdf');
+        expect(detectFormat(v3000, 'cu.txt')).toBe('sdf');
+    });
+
+    it('should parse a V2000 record with its bond block', () => {
+        const result = parseInput(v2000, 'cp.sdf');
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('sdf');
+        expect(result.structures).toHaveLength(1);
+
+        const structure = result.structures[0];
+        expect(structure.id).toBe('CpFeCl');
+        expect(structure.atoms).toHaveLength(7);
+        expect(structure.atoms[0].element).toBe('Fe');
+        expect(structure.atoms[6]).toMatchObject({ element: 'Cl', z: -2.2 });
+        expect(structure.bonds).toHaveLength(6);
+        expect(structure.bonds[0]).toEqual({ atom1: 1, atom2: 2, order: 4 });
+        expect(structure.metadata.parseProvenance).toBe('molfile-v2000');
+    });
+
+    it('should store SD data items in metadata', () => {
+        const { sdData } = parseInput(v2000, 'cp.sdf').structures[0].metadata;
+        expect(sdData).toEqual({
+            CSD_REFCODE: 'ABCDEF',
+            COMMENT: 'line one\nline two'
+        });
+    });
+
+    it('should parse V3000 atom ids and continuation lines', () => {
+        const result = parseInput(v3000, 'cu.mol');
+        expect(result.valid).toBe(true);
+
+        const structure = result.structures[0];
+        expect(structure.atoms.map(a => a.element)).toEqual(['Cu', 'N', 'N']);
+        expect(structure.atoms[2].x).toBe(-2);
+        expect(structure.bonds).toEqual([
+            { atom1: 0, atom2: 1, order: 1 },
+            { atom1: 0, atom2: 2, order: 1 }
+        ]);
+        expect(structure.metadata.parseProvenance).toBe('molfile-v3000');
+    });
+
+    it('should create one structure per SD record with unique IDs', () => {
+        const result = parseInput(v2000 + v2000 + v3000, 'set.sdf');
+        expect(result.structures).toHaveLength(3);
+        expect(result.structures.map(s => s.id)).toEqual(['CpFeCl', 'CpFeCl#2', 'set:frame-003']);
+    });
+
+    it('should skip truncated records with a warning', () => {
+        const truncated = v2000.split('\n').slice(0, 8).join('\n') + '\n$$$$\n';
+        const result = parseSDF(truncated + v3000, 'set.sdf');
+        expect(result.valid).toBe(true);
+        expect(result.structures).toHaveLength(1);
+        expect(result.warnings.some(w => w.includes('Record 1') && w.includes('truncated'))).toBe(true);
+
+        expect(parseSDF(truncated, 'bad.sdf').valid).toBe(false);
+    });
+});
+
+describe('parseInput - Quantum Chemistry Output', () => {
+    const orientation = (title, d) => ` ---------------------------------------------------------------------
+                         ${title}
+ ---------------------------------------------------------------------
+ Center     Atomic      Atomic             Coordinates (Angstroms)
+ Number     Number       Type             X           Y           Z
+ ---------------------------------------------------------------------
+      1         26           0        0.000000    0.000000    0.000000
+      2          8           0        ${d.toFixed(6)}    0.000000    0.000000
+      3          8           0        0.000000    ${d.toFixed(6)}    0.000000
+ ---------------------------------------------------------------------`;
+
+    const gaussian = ` Entering Gaussian System, Link 0=g16
+ #p opt b3lyp/def2svp
+${orientation('Input orientation:', 2.1)}
+${orientation('Standard orientation:', 2.1)}
+ SCF Done:  E(RB3LYP) =  -1413.10000000     A.U. after   20 cycles
+${orientation('Input orientation:', 2.0)}
+${orientation('Standard orientation:', 2.0)}
+ SCF Done:  E(RB3LYP) =  -1413.20000000     A.U. after   12 cycles
+    -- Stationary point found.
+${orientation('Standard orientation:', 2.0)}
+ Normal termination of Gaussian 16`;
+
+    it('should detect programs from their banners', () => {
+        expect(detectFormat(gaussian, 'opt.log')).toBe('gaussian');
+        expect(detectFormat(' * O   R   C   A *', 'opt.out')).toBe('orca');
+        expect(detectFormat('   |                x T B                |', 'xtb.out')).toBe('xtb');
+    });
+
+    it('should make one frame per Gaussian optimization step with energies', () => {
+        const result = parseInput(gaussian, 'opt.log');
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('gaussian');
+        // The geometry reprinted after convergence is merged into the last step
+        expect(result.structures).toHaveLength(2);
+
+        const [first, last] = result.structures;
+        expect(first.id).toBe('opt:step-001');
+        expect(first.atoms.map(a => a.element)).toEqual(['Fe', 'O', 'O']);
+        expect(first.atoms[1].x).toBeCloseTo(2.1, 6);
+        expect(first.metadata.energy).toBeCloseTo(-1413.1, 6);
+        expect(last.metadata.energy).toBeCloseTo(-1413.2, 6);
+        expect(last.metadata.isFinalGeometry).toBe(true);
+        expect(last.metadata.optimizationStep).toBe(2);
+        expect(result.warnings).toHaveLength(0);
+    });
+
+    it('should select the final geometry by default', () => {
+        expect(parseInput(gaussian, 'opt.log').defaultStructureIndex).toBe(1);
+    });
+
+    it('should warn when the optimization did not converge', () => {
+        const unconverged = gaussian.replace('-- Stationary point found.', '');
+        const result = parseInput(unconverged, 'opt.log');
+        expect(result.warnings.some(w => w.includes('did not converge'))).toBe(true);
+    });
+
+    it('should parse ORCA coordinate blocks and final energies', () => {
+        const block = (d) => `---------------------------------
+CARTESIAN COORDINATES (ANGSTROEM)
+---------------------------------
+  Cu      0.000000    0.000000    0.000000
+  N       ${d}    0.000000    0.000000
+  N       0.000000    ${d}    0.000000
+
+`;
+        const orca = `                                 * O   R   C   A *
+${block('2.100000')}
+FINAL SINGLE POINT ENERGY      -1750.100000000
+${block('2.050000')}
+FINAL SINGLE POINT ENERGY      -1750.200000000
+                    ***        THE OPTIMIZATION HAS CONVERGED     ***
+${block('2.050000')}
+FINAL SINGLE POINT ENERGY      -1750.200000001
+`;
+        const result = parseInput(orca, 'cu.out');
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('orca');
+        expect(result.structures).toHaveLength(2);
+        expect(result.structures[0].atoms[0].element).toBe('Cu');
+        expect(result.structures[1].atoms[1].x).toBeCloseTo(2.05, 6);
+        expect(result.structures[1].metadata.energy).toBeCloseTo(-1750.2, 6);
+        expect(result.defaultStructureIndex).toBe(1);
+    });
+
+    it('should read the xTB final structure in XYZ or $coord format', () => {
+        const xyzOutput = `   |                x T B                |
+          | TOTAL ENERGY              -20.100000000000 Eh   |
+ ================
+ final structure:
+ ================
+2
+ xtb: 6.6.1
+Zn        0.00000000000000        0.00000000000000        0.00000000000000
+Cl        2.20000000000000        0.00000000000000        0.00000000000000
+          | TOTAL ENERGY              -20.200000000000 Eh   |
+`;
+        const result = parseInput(xyzOutput, 'xtb.out');
+        expect(result.valid).toBe(true);
+        expect(result.structures).toHaveLength(1);
+        expect(result.structures[0].atoms[1]).toMatchObject({ element: 'Cl', x: 2.2 });
+        expect(result.structures[0].metadata.energy).toBeCloseTo(-20.2, 6);
+
+        const coordOutput = xyzOutput
+            .replace(/2\n xtb: 6.6.1\n[\s\S]*?(?= {10}\|)/, '$coord\n    0.0 0.0 0.0 zn\n    4.0 0.0 0.0 cl\n$end\n');
+        const fromCoord = parseXTBOutput(coordOutput, 'xtb.out');
+        expect(fromCoord.structures[0].atoms[1].element).toBe('Cl');
+        expect(fromCoord.structures[0].atoms[1].x).toBeCloseTo(4.0 * 0.529177210903, 8);
+    });
+
+    it('should return an error for xTB output without a final structure', () => {
+        const result = parseInput('   |                x T B                |\n', 'sp.out');
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('final structure');
+    });
+
+    it('should read energies from xTB trajectory comment lines', () => {
+        const trajectory = `2
+ energy: -20.123456789 gnorm: 0.012345678 xtb: 6.6.1 (8d0f1dd)
+Zn 0 0 0
+Cl 2.3 0 0
+2
+ energy: -20.223456789 gnorm: 0.000345678 xtb: 6.6.1 (8d0f1dd)
+Zn 0 0 0
+Cl 2.2 0 0`;
+        const result = parseInput(trajectory, 'xtbopt.xyz');
+        expect(result.structures[0].metadata.energy).toBeCloseTo(-20.123456789, 9);
+        expect(result.structures[1].metadata.energy).toBeCloseTo(-20.223456789, 9);
+        expect(result.defaultStructureIndex).toBe(1);
+    });
+
+    it('should open xtbopt.log on the final frame', () => {
+        const trajectory = `2
+ energy: -20.123456789 gnorm: 0.012345678 xtb: 6.6.1 (8d0f1dd)
+Zn 0 0 0
+Cl 2.3 0 0
+2
+ energy: -20.223456789 gnorm: 0.000345678 xtb: 6.6.1 (8d0f1dd)
+Zn 0 0 0
+Cl 2.2 0 0`;
+        const result = parseInput(trajectory, 'xtbopt.log');
+        expect(result.format).toBe('xyz');
+        expect(result.defaultStructureIndex).toBe(1);
+        expect(parseInputFiles([{ path: 'run/xtbopt.log', content: trajectory }]).defaultStructureIndex).toBe(1);
+    });
+
+    it('should keep the first frame for plain multi-frame XYZ', () => {
+        const frames = '1\nframe a\nZn 0 0 0\n1\nframe b\nZn 0 0 0';
+        expect(parseInput(frames, 'frames.xyz').defaultStructureIndex).toBeUndefined();
+    });
+});
+
+describe('parseInput - Periodic XYZ and POSCAR', () => {
+    // Fe at the cell corner with O donors on each face: three of the six are
+    // only reachable through the cell boundaries
+    const poscar = `FeO6 test cell
+1.0
+  4.0 0.0 0.0
+  0.0 4.0 0.0
+  0.0 0.0 4.0
+Fe O
+1 3
+Direct
+0.0 0.0 0.0
+0.5 0.0 0.0
+0.0 0.5 0.0
+0.0 0.0 0.5`;
+
+    it('should detect POSCAR by name and content', () => {
+        expect(detectFormat(poscar, 'POSCAR')).toBe('poscar');
+        expect(detectFormat(poscar, 'CONTCAR_relaxed')).toBe('poscar');
+        expect(detectFormat(poscar, 'cell.vasp')).toBe('poscar');
+        expect(detectFormat(poscar, 'cell.txt')).toBe('poscar');
+    });
+
+    it('should parse direct coordinates into a unit cell', () => {
+        const result = parseInput(poscar, 'POSCAR');
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('poscar');
+
+        const structure = result.structures[0];
+        expect(structure.atoms.map(a => a.element)).toEqual(['Fe', 'O', 'O', 'O']);
+        expect(structure.atoms[1].x).toBeCloseTo(2.0, 10);
+        expect(structure.metadata.unitCell).toMatchObject({ a: 4, b: 4, c: 4, alpha: 90, beta: 90, gamma: 90 });
+    });
+
+    it('should handle Cartesian coordinates, scaling and selective dynamics', () => {
+        const cartesian = `scaled
+2.0
+  2.0 0.0 0.0
+  0.0 2.0 0.0
+  0.0 0.0 2.0
+Fe_pv O
+1 1
+Selective dynamics
+Cartesian
+0.0 0.0 0.0 F F F
+1.0 0.0 0.0 T T F`;
+        const structure = parsePOSCAR(cartesian, 'POSCAR').structures[0];
+
+        expect(structure.atoms[0].element).toBe('Fe');
+        expect(structure.atoms[1].x).toBeCloseTo(2.0, 10);
+        expect(structure.atoms[0].selectiveDynamics).toEqual([false, false, false]);
+        expect(structure.atoms[1].selectiveDynamics).toEqual([true, true, false]);
+        expect(structure.metadata.unitCell.a).toBeCloseTo(4, 10);
+    });
+
+    it('should read VASP 4 files and negative (volume) scaling factors', () => {
+        const vasp4 = poscar
+            .replace('FeO6 test cell', 'Fe O')
+            .replace('1.0\n', '-8.0\n')
+            .replace('Fe O\n1 3', '1 3');
+        const result = parsePOSCAR(vasp4, 'POSCAR');
+
+        expect(result.valid).toBe(true);
+        expect(result.structures[0].metadata.unitCell.a).toBeCloseTo(2, 10);
+        expect(result.warnings.some(w => w.includes('VASP 4'))).toBe(true);
+    });
+
+    it('should reject POSCAR files with missing coordinates', () => {
+        const result = parsePOSCAR(poscar.split('\n').slice(0, 10).join('\n'), 'POSCAR');
+        expect(result.valid).toBe(false);
+        expect(result.error).toContain('claims 4 atoms');
+    });
+
+    it('should read extended XYZ lattice and Properties columns', () => {
+        const extxyz = `2
+Lattice="0.0 4.0 0.0 -4.0 0.0 0.0 0.0 0.0 4.0" Properties=id:I:1:species:S:1:pos:R:3:forces:R:3 pbc="T T T"
+1 Fe 0.0 0.0 0.0 0.1 0.0 0.0
+2 O 0.0 2.0 0.0 0.0 0.0 0.0`;
+        const result = parseInput(extxyz, 'cell.xyz');
+        expect(result.valid).toBe(true);
+
+        const structure = result.structures[0];
+        expect(structure.id).toBe('cell');
+        expect(structure.metadata.parseProvenance).toBe('extxyz');
+        expect(structure.metadata.unitCell.a).toBeCloseTo(4, 10);
+        expect(structure.atoms.map(a => a.element)).toEqual(['Fe', 'O']);
+        // Rotated into the standard orientation (a along x)
+        expect(structure.atoms[1].x).toBeCloseTo(2, 10);
+        expect(structure.atoms[1].y).toBeCloseTo(0, 10);
+    });
+
+    it('should ignore lattices that are not fully periodic', () => {
+        const slab = `1
+Lattice="4.0 0.0 0.0 0.0 4.0 0.0 0.0 0.0 20.0" pbc="T T F"
+Fe 0.0 0.0 0.0`;
+        const result = parseInput(slab, 'slab.xyz');
+        expect(result.structures[0].metadata.unitCell).toBeUndefined();
+        expect(result.warnings.some(w => w.includes('Partial periodicity'))).toBe(true);
+    });
+});
+
+describe('parseInput - Multiple Files', () => {
+    const water = `3
+water
+O 0.0 0.0 0.0
+H 0.96 0.0 0.0
+H -0.24 0.93 0.0`;
+    const cif = `data_FeCl
+_cell_length_a 10
+_cell_length_b 10
+_cell_length_c 10
+_cell_angle_alpha 90
+_cell_angle_beta 90
+_cell_angle_gamma 90
+loop_
+_atom_site_label
+_atom_site_type_symbol
+_atom_site_fract_x
+_atom_site_fract_y
+_atom_site_fract_z
+Fe1 Fe 0.5 0.5 0.5
+Cl1 Cl 0.7 0.5 0.5`;
+
+    it('should merge all files into one batch and keep each path as source', () => {
+        const result = parseInputFiles([
+            { path: 'screen/a.xyz', content: water },
+            { path: 'screen/sub/b.cif', content: cif }
+        ]);
+
+        expect(result.valid).toBe(true);
+        expect(result.format).toBe('mixed');
+        expect(result.structures.map(s => s.source)).toEqual(['screen/a.xyz', 'screen/sub/b.cif']);
+        expect(result.structures.map(s => s.id)).toEqual(['water', 'FeCl']);
+    });
+
+    it('should make repeated IDs unique across files', () => {
+        const result = parseInputFiles([
+            { path: 'run1/a.xyz', content: water },
+            { path: 'run2/a.xyz', content: water }
+        ]);
+
+        expect(result.format).toBe('xyz');
+        expect(result.structures.map(s => s.id)).toEqual(['water', 'water#2']);
+    });
+
+    it('should turn unreadable files into warnings', () => {
+        const result = parseInputFiles([
+            { path: 'a.xyz', content: water },
+            { path: 'broken.cif', content: 'data_x\n_cell_length_a 10' }
+        ]);
+
+        expect(result.valid).toBe(true);
+        expect(result.structures.length).toBe(1);
+        expect(result.warnings.some(w => w.startsWith('broken.cif:'))).toBe(true);
+
+        expect(parseInputFiles([{ path: 'broken.cif', content: 'data_x' }]).valid).toBe(false);
+        expect(parseInputFiles([]).valid).toBe(false);
+    });
+});
+
 describe('parseInput - Edge Cases', () => {
     it('should handle empty content', () => {
         const result = parseInput('', 'test.xyz');
@@ -0,0 +1,46 @@
+/**
+ * Seedable Random Number Generation
+ *
+ * Mulberry32 generator: small, fast and good enough for optimisation restarts
+ * and Monte Carlo sampling. The same seed always yields the same sequence.
+ */
+
+import { RANDOM_SEED } from '../constants/algorithmConstants';
+
+/**
+ * Coerce user input to a valid seed
+ * @param {*} value - Number or numeric string
+ * @param {number} [fallback=RANDOM_SEED.DEFAULT] - Returned for invalid input
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function normalizeSeed(value, fallback = RANDOM_SEED.DEFAULT) {
+    const seed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof seed !== 'number' || !Number.isInteger(seed) || seed < 0 || seed > RANDOM_SEED.MAX) {
+        return fallback;
+    }
+    return seed;
+}
+
+/**
+ * Create a seeded uniform generator
+ * @param {number} [seed=RANDOM_SEED.DEFAULT] - Unsigned 32-bit integer seed
+ * @returns {Function} Generator returning numbers on [0, 1)
+ */
+export function createRandom(seed = RANDOM_SEED.DEFAULT) {
+    let state = normalizeSeed(seed) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a fresh seed for users who want a new run
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * (RANDOM_SEED.MAX + 1));
+}
@@ -352,9 +352,25 @@ function scaleNormalize(vectors) {
     return { normalized, scale: rms };
 }
 
+// --- SEEDED RANDOM ---
+
+// Seeded generator (Mulberry32, as createRandom in src/utils/random.js), inlined
+// because the worker cannot import app modules
+function createRandom(seed = 12345) { // RANDOM_SEED.DEFAULT
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // --- OPTIMIZED CSHM CALCULATION ---
 
-function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCallback, smartAlignments = []) {
+function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCallback, smartAlignments = [], seed) {
+    const random = createRandom(seed);
     let workingActualCoords = actualCoords;
     let workingRefCoords = referenceCoords;
 
@@ -550,12 +566,12 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
             currentRotation.copy(globalBestRotation);
         } else if (restart < numRestarts / 2) {
             // Small perturbation
-            tempVec.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-            tempMat1.makeRotationAxis(tempVec, (Math.random() - 0.5) * Math.PI);
+            tempVec.set(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+            tempMat1.makeRotationAxis(tempVec, (random() - 0.5) * Math.PI);
             currentRotation.multiplyMatrices(tempMat1, globalBestRotation);
         } else {
             // Random start
-            tempEuler.set(Math.random() * 6.28, Math.random() * 6.28, Math.random() * 6.28);
+            tempEuler.set(random() * 6.28, random() * 6.28, random() * 6.28);
             currentRotation.makeRotationFromEuler(tempEuler);
         }
 
@@ -569,11 +585,11 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
 
         for (let step = 0; step < stepsPerRun; step++) {
             // Generate perturbation
-            const stepSize = temp * 0.12 * (1 + 0.2 * Math.random());
-            tempVec.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
+            const stepSize = temp * 0.12 * (1 + 0.2 * random());
+            tempVec.set(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
 
             // tempMat1 = perturbation
-            tempMat1.makeRotationAxis(tempVec, (Math.random() - 0.5) * 2 * stepSize);
+            tempMat1.makeRotationAxis(tempVec, (random() - 0.5) * 2 * stepSize);
 
             // tempMat2 = newRotation = perturbation * current
             tempMat2.multiplyMatrices(tempMat1, currentRotation);
@@ -581,7 +597,7 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
             const newRes = getMeasureForRotation(tempMat2);
             const deltaE = newRes.measure - res.measure;
 
-            if (deltaE < 0 || Math.random() < Math.exp(-deltaE / temp)) {
+            if (deltaE < 0 || random() < Math.exp(-deltaE / temp)) {
                 // Accept: copy newRotation to current
                 currentRotation.copy(tempMat2);
                 res = newRes;
@@ -614,8 +630,8 @@ function calculateShapeMeasure(actualCoords, referenceCoords, mode, progressCall
 
     for (let step = 0; step < refinementSteps; step++) {
         const stepSize = temp * 0.02;
-        tempVec.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
-        tempMat1.makeRotationAxis(tempVec, (Math.random() - 0.5) * 2 * stepSize);
+        tempVec.set(random() - 0.5, random() - 0.5, random() - 0.5).normalize();
+        tempMat1.makeRotationAxis(tempVec, (random() - 0.5) * 2 * stepSize);
         tempMat2.multiplyMatrices(tempMat1, currentRotation);
 
         const newRes = getMeasureForRotation(tempMat2);
@@ -650,14 +666,14 @@ function finish(P_vecs, rotation, matching, measure, N) {
 // --- WORKER HANDLER ---
 
 self.onmessage = function (e) {
-    const { type, actualCoords, referenceCoords, mode, shapeName, smartAlignments } = e.data;
+    const { type, actualCoords, referenceCoords, mode, shapeName, smartAlignments, seed } = e.data;
     if (type === 'terminate') { self.close(); return; }
     if (type === 'calculate') {
         try {
             const res = calculateShapeMeasure(
                 actualCoords, referenceCoords, mode,
                 (p) => self.postMessage({ type: 'progress', shapeName, ...p }),
-                smartAlignments
+                smartAlignments, seed
             );
             self.postMessage({
                 type: 'result', shapeName, measure: res.measure,